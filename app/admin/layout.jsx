@@ -0,0 +1,19 @@
+// ============================================
+// ADMIN LAYOUT
+// ============================================
+// Wraps the moderator dashboard; only sets its own metadata
+
+// ============================================
+// METADATA CONFIGURATION
+// ============================================
+export const metadata = {
+  // The title shown in the browser tab
+  title: 'Admin - RandomMatch',
+
+  // Keep the dashboard out of search results
+  robots: { index: false, follow: false },
+};
+
+export default function AdminLayout({ children }) {
+  return children;
+}
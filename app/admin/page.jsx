@@ -0,0 +1,1112 @@
+'use client';
+
+// ============================================
+// ADMIN DASHBOARD
+// ============================================
+// Live view of the queue, open rooms, reports and server health for
+// moderators, with actions to kick users, close rooms, ban identities and
+// broadcast system notices.
+// Staff sign in with their account (/api/admin/login sets a session cookie).
+// Live data and actions go through the /admin socket namespace; reports and
+// the audit log come from the API. What's shown depends on the role:
+// viewers only look, moderators act, admins also broadcast and read the
+// audit log.
+
+// ============================================
+// IMPORTS
+// ============================================
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { io } from 'socket.io-client';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid } from 'recharts';
+
+// UI components (shadcn/ui)
+import { Button } from '../../components/ui/button';
+import { Input } from '../../components/ui/input';
+import { Label } from '../../components/ui/label';
+import { Textarea } from '../../components/ui/textarea';
+import { Badge } from '../../components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../../components/ui/card';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../../components/ui/tabs';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '../../components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../../components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../../components/ui/dialog';
+import {
+  ChartContainer,
+  ChartTooltip,
+  ChartTooltipContent,
+  ChartLegend,
+  ChartLegendContent,
+} from '../../components/ui/chart';
+
+// Icons
+import {
+  Shield,      // Dashboard / sign-in icon
+  LogOut,      // Sign out icon
+  RefreshCw,   // Reload reports icon
+  Users,       // Waiting users icon
+  MessageCircle, // Rooms icon
+  Activity,    // Health icon
+  Ban,         // Ban icon
+  Megaphone,   // Broadcast icon
+  UserX,       // Kick icon
+  XCircle,     // Close room icon
+  Loader2,     // Loading spinner
+  ScrollText,  // Audit log icon
+} from 'lucide-react';
+
+// ============================================
+// CONSTANTS
+// ============================================
+// How long to wait for the server to acknowledge an action
+const ACTION_ACK_TIMEOUT = 10000; // 10 seconds
+
+// Must match BAN_REASONS in server/bans.js
+const BAN_REASONS = [
+  { id: 'harassment', label: 'Harassment' },
+  { id: 'hate_speech', label: 'Hate speech' },
+  { id: 'sexual_content', label: 'Sexual content' },
+  { id: 'spam', label: 'Spam' },
+  { id: 'scam', label: 'Scam' },
+  { id: 'underage', label: 'Under age' },
+  { id: 'self_harm', label: 'Self-harm' },
+  { id: 'ban_evasion', label: 'Ban evasion' },
+  { id: 'other', label: 'Other' },
+];
+
+// Ban lengths offered in the ban dialog (null = permanent)
+const BAN_DURATIONS = [
+  { id: '1h', label: '1 hour', ms: 60 * 60 * 1000 },
+  { id: '1d', label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { id: '30d', label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  { id: 'permanent', label: 'Permanent', ms: null },
+];
+
+// Must match REPORT_STATUSES in server/reports.js
+const REPORT_STATUSES = ['open', 'reviewing', 'resolved', 'dismissed'];
+
+// Chart series (colors come from the --chart-* CSS variables)
+const ACTIVITY_CHART_CONFIG = {
+  waitingUsers: { label: 'Waiting users', color: 'hsl(var(--chart-1))' },
+  activeRooms: { label: 'Active rooms', color: 'hsl(var(--chart-2))' },
+};
+const MEMORY_CHART_CONFIG = {
+  heapUsed: { label: 'Heap used (MB)', color: 'hsl(var(--chart-3))' },
+  rss: { label: 'RSS (MB)', color: 'hsl(var(--chart-4))' },
+};
+
+// ============================================
+// FORMATTING HELPERS
+// ============================================
+// 95000 -> "1m 35s"
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
+
+// Timestamp -> "14:05"
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Role order, as in server/admin-auth.js
+const ROLES = ['viewer', 'moderator', 'admin'];
+
+function hasRole(admin, role) {
+  return Boolean(admin) && ROLES.indexOf(admin.role) >= ROLES.indexOf(role);
+}
+
+// First block of a UUID is enough to tell rows apart
+function shortId(id) {
+  return id ? id.slice(0, 8) : '-';
+}
+
+// ============================================
+// ADMIN DASHBOARD COMPONENT
+// ============================================
+export default function AdminPage() {
+  // ============================================
+  // AUTH & CONNECTION STATE
+  // ============================================
+  // Signed-in account ({ id, username, role }), null when signed out
+  const [admin, setAdmin] = useState(null);
+  
+  // True until we know whether the session cookie is still valid
+  const [checkingSession, setCheckingSession] = useState(true);
+  
+  // Sign-in form
+  const [usernameInput, setUsernameInput] = useState('');
+  const [passwordInput, setPasswordInput] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [authError, setAuthError] = useState(null);
+
+  // 'connecting' | 'connected'
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
+
+  // Admin socket, kept in a ref so actions can use it without re-rendering
+  const socketRef = useRef(null);
+
+  // ============================================
+  // DASHBOARD DATA STATE
+  // ============================================
+  // Latest { waiting, rooms, health, healthHistory, sentAt } from the server
+  const [snapshot, setSnapshot] = useState(null);
+
+  // Reports for the selected status
+  const [reports, setReports] = useState([]);
+  const [reportsTotal, setReportsTotal] = useState(0);
+  const [reportFilter, setReportFilter] = useState('open');
+  const [reportsLoading, setReportsLoading] = useState(false);
+  const [reportsError, setReportsError] = useState(null);
+
+  // Recent audit log entries (admins only)
+  const [auditEntries, setAuditEntries] = useState([]);
+  const [auditLoading, setAuditLoading] = useState(false);
+  const [auditError, setAuditError] = useState(null);
+
+  // Result of the last action ({ type: 'success' | 'error', text }), or null
+  const [feedback, setFeedback] = useState(null);
+
+  // ============================================
+  // BAN DIALOG STATE
+  // ============================================
+  // Who is being banned ({ username, clientId, ip, reportId }), or null
+  const [banTarget, setBanTarget] = useState(null);
+  const [banDuration, setBanDuration] = useState('1d');
+  const [banReason, setBanReason] = useState('');
+  const [banNote, setBanNote] = useState('');
+  // Which identities to ban: the device, the IP address, or both
+  const [banClientId, setBanClientId] = useState(true);
+  const [banIp, setBanIp] = useState(false);
+  const [banSending, setBanSending] = useState(false);
+
+  // ============================================
+  // BROADCAST STATE
+  // ============================================
+  const [noticeMessage, setNoticeMessage] = useState('');
+  const [noticeLevel, setNoticeLevel] = useState('info');
+
+  // ============================================
+  // SESSION CHECK EFFECT
+  // ============================================
+  // Stay signed in across reloads while the session cookie is valid
+  useEffect(() => {
+    fetch('/api/admin/session')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((body) => setAdmin(body?.admin || null))
+      .catch(() => setAdmin(null))
+      .finally(() => setCheckingSession(false));
+  }, []);
+
+  // ============================================
+  // ADMIN SOCKET EFFECT
+  // ============================================
+  // Connects to the /admin namespace while signed in (the session cookie
+  // goes along with the handshake)
+  useEffect(() => {
+    if (!admin) return;
+
+    const socket = io('/admin', {
+      path: '/socket.io',
+      transports: ['websocket', 'polling'],
+    });
+
+    socket.on('connect', () => {
+      setConnectionStatus('connected');
+      setAuthError(null);
+    });
+
+    socket.on('connect_error', (error) => {
+      // Session expired or revoked - back to the sign-in form
+      if (error?.data?.code === 'unauthorized') {
+        endSession('Your session has ended. Sign in again.');
+        return;
+      }
+      setConnectionStatus('connecting');
+    });
+
+    socket.on('disconnect', () => {
+      setConnectionStatus('connecting');
+    });
+
+    // Live queue, rooms and health
+    socket.on('admin-snapshot', (data) => {
+      setSnapshot(data);
+    });
+
+    socketRef.current = socket;
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, [admin?.id]);
+
+  // ============================================
+  // LOAD REPORTS
+  // ============================================
+  const loadReports = useCallback(async () => {
+    if (!admin) return;
+
+    setReportsLoading(true);
+    try {
+      const response = await fetch(`/api/moderation/reports?status=${reportFilter}&limit=100`);
+      if (response.status === 401) {
+        endSession('Your session has ended. Sign in again.');
+        return;
+      }
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || 'Failed to load reports');
+
+      setReports(body.reports);
+      setReportsTotal(body.total);
+      setReportsError(null);
+    } catch (error) {
+      setReportsError(error.message);
+    } finally {
+      setReportsLoading(false);
+    }
+  }, [admin?.id, reportFilter]);
+
+  useEffect(() => {
+    loadReports();
+  }, [loadReports]);
+
+  // ============================================
+  // LOAD AUDIT LOG
+  // ============================================
+  const loadAuditLog = useCallback(async () => {
+    if (!hasRole(admin, 'admin')) return;
+
+    setAuditLoading(true);
+    try {
+      const response = await fetch('/api/admin/audit?limit=100');
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || 'Failed to load the audit log');
+
+      setAuditEntries(body.entries);
+      setAuditError(null);
+    } catch (error) {
+      setAuditError(error.message);
+    } finally {
+      setAuditLoading(false);
+    }
+  }, [admin?.id, admin?.role]);
+
+  // Hide action feedback after a few seconds
+  useEffect(() => {
+    if (!feedback) return;
+    const timeout = setTimeout(() => setFeedback(null), 5000);
+    return () => clearTimeout(timeout);
+  }, [feedback]);
+
+  // ============================================
+  // SIGN IN / OUT
+  // ============================================
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+
+    try {
+      const response = await fetch('/api/admin/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: usernameInput, password: passwordInput }),
+      });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || 'Sign-in failed');
+
+      setConnectionStatus('connecting');
+      setAuthError(null);
+      setPasswordInput('');
+      setAdmin(body.admin);
+    } catch (error) {
+      setAuthError(error.message);
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  // Forget the account locally (the cookie is gone or no longer valid)
+  function endSession(reason = null) {
+    setAdmin(null);
+    setSnapshot(null);
+    setReports([]);
+    setAuditEntries([]);
+    setAuthError(reason);
+  }
+
+  const handleSignOut = async () => {
+    await fetch('/api/admin/logout', { method: 'POST' }).catch(() => {});
+    endSession();
+  };
+
+  // ============================================
+  // SOCKET ACTION HELPER
+  // ============================================
+  // Sends an admin action and reports the outcome. Resolves to true on success.
+  const runAction = async (event, payload, successText) => {
+    try {
+      const result = await socketRef.current
+        .timeout(ACTION_ACK_TIMEOUT)
+        .emitWithAck(event, payload);
+      if (result?.error) throw new Error(result.error);
+
+      setFeedback({ type: 'success', text: successText });
+      return true;
+    } catch (error) {
+      setFeedback({ type: 'error', text: error.message || 'Action failed' });
+      return false;
+    }
+  };
+
+  // ============================================
+  // USER & ROOM ACTIONS
+  // ============================================
+  const handleKick = (user) => {
+    if (!window.confirm(`Disconnect ${user.username}? They can reconnect unless banned.`)) return;
+    runAction('kick-socket', { socketId: user.socketId }, `Kicked ${user.username}`);
+  };
+
+  const handleCloseRoom = (room) => {
+    if (!window.confirm('Close this room for both users?')) return;
+    runAction('close-room', { roomId: room.roomId }, `Closed room ${shortId(room.roomId)}`);
+  };
+
+  // Open the ban dialog for a user from the queue, a room or a report
+  const handleOpenBan = ({ username, clientId, ip, reportId = null, reason = '' }) => {
+    setBanTarget({ username, clientId, ip, reportId });
+    setBanDuration('1d');
+    setBanReason(BAN_REASONS.some((r) => r.id === reason) ? reason : '');
+    setBanNote('');
+    setBanClientId(Boolean(clientId));
+    setBanIp(!clientId && Boolean(ip));
+  };
+
+  const handleSubmitBan = async () => {
+    const duration = BAN_DURATIONS.find((d) => d.id === banDuration);
+    setBanSending(true);
+
+    const banned = await runAction('ban', {
+      clientId: banClientId ? banTarget.clientId : null,
+      ip: banIp ? banTarget.ip : null,
+      type: duration.ms ? 'temporary' : 'permanent',
+      durationMs: duration.ms,
+      reason: banReason,
+      note: banNote,
+      reportId: banTarget.reportId,
+    }, `Banned ${banTarget.username || 'user'} (${duration.label.toLowerCase()})`);
+
+    setBanSending(false);
+    if (banned) setBanTarget(null);
+  };
+
+  // ============================================
+  // REPORT ACTIONS
+  // ============================================
+  // Move a report along; closing one needs a short resolution note
+  const handleUpdateReport = async (report, status) => {
+    let resolution = null;
+    if (status === 'resolved' || status === 'dismissed') {
+      resolution = window.prompt(`Resolution for this ${status} report:`);
+      if (!resolution?.trim()) return;
+    }
+
+    try {
+      const response = await fetch(`/api/moderation/reports/${report.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status, resolution }),
+      });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || 'Failed to update report');
+
+      setFeedback({ type: 'success', text: `Report marked ${status}` });
+      loadReports();
+    } catch (error) {
+      setFeedback({ type: 'error', text: error.message });
+    }
+  };
+
+  // ============================================
+  // BROADCAST ACTION
+  // ============================================
+  const handleBroadcast = async (e) => {
+    e.preventDefault();
+    if (!noticeMessage.trim()) return;
+
+    const sent = await runAction(
+      'broadcast-notice',
+      { message: noticeMessage, level: noticeLevel },
+      'Notice sent to all connected users'
+    );
+    if (sent) setNoticeMessage('');
+  };
+
+  // ============================================
+  // RENDER: SESSION CHECK
+  // ============================================
+  if (checkingSession) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <Loader2 className="w-6 h-6 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER: SIGN-IN SCREEN
+  // ============================================
+  if (!admin) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 p-4">
+        <Card className="w-full max-w-sm">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Shield className="w-5 h-5 text-purple-600" />
+              Staff sign-in
+            </CardTitle>
+            <CardDescription>Sign in with your moderation account.</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSignIn} className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="admin-username">Username</Label>
+                <Input
+                  id="admin-username"
+                  autoComplete="username"
+                  value={usernameInput}
+                  onChange={(e) => setUsernameInput(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="admin-password">Password</Label>
+                <Input
+                  id="admin-password"
+                  type="password"
+                  autoComplete="current-password"
+                  value={passwordInput}
+                  onChange={(e) => setPasswordInput(e.target.value)}
+                />
+              </div>
+              {authError && <p className="text-sm text-red-600">{authError}</p>}
+              <Button type="submit" className="w-full" disabled={signingIn || !usernameInput.trim() || !passwordInput}>
+                {signingIn && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Sign in
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  // ============================================
+  // DERIVED DATA
+  // ============================================
+  const canModerate = hasRole(admin, 'moderator');
+  const isAdmin = hasRole(admin, 'admin');
+  const waiting = snapshot?.waiting || [];
+  const rooms = snapshot?.rooms || [];
+  const health = snapshot?.health;
+  const history = (snapshot?.healthHistory || []).map((sample) => ({
+    ...sample,
+    time: formatTime(sample.timestamp),
+  }));
+
+  // ============================================
+  // RENDER: DASHBOARD
+  // ============================================
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto p-4 md:p-6 space-y-6">
+        {/* ============================================ */}
+        {/* HEADER */}
+        {/* ============================================ */}
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Shield className="w-7 h-7 text-purple-600" />
+            <h1 className="text-2xl font-bold">RandomMatch Admin</h1>
+            <Badge variant={connectionStatus === 'connected' ? 'default' : 'secondary'}>
+              {connectionStatus === 'connected' ? 'Live' : 'Connecting...'}
+            </Badge>
+          </div>
+          <div className="flex items-center gap-3">
+            {snapshot && (
+              <span className="text-xs text-muted-foreground">Updated {new Date(snapshot.sentAt).toLocaleTimeString()}</span>
+            )}
+            <span className="text-sm">
+              {admin.username} <Badge variant="outline">{admin.role}</Badge>
+            </span>
+            <Button variant="outline" size="sm" onClick={handleSignOut}>
+              <LogOut className="w-4 h-4 mr-2" />
+              Sign out
+            </Button>
+          </div>
+        </div>
+
+        {/* Result of the last action */}
+        {feedback && (
+          <div className={`px-4 py-2 rounded-lg text-sm border ${
+            feedback.type === 'success'
+              ? 'bg-green-50 border-green-200 text-green-800'
+              : 'bg-red-50 border-red-200 text-red-800'
+          }`}>
+            {feedback.text}
+          </div>
+        )}
+
+        {/* ============================================ */}
+        {/* SUMMARY CARDS */}
+        {/* ============================================ */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <SummaryCard icon={Users} label="Waiting users" value={health?.metrics.waitingUsers ?? '-'} />
+          <SummaryCard icon={MessageCircle} label="Active rooms" value={health?.metrics.activeRooms ?? '-'} />
+          <SummaryCard
+            icon={Activity}
+            label="Heap used"
+            value={health ? `${health.memory.heapUsed} MB` : '-'}
+            detail={health ? `${health.memory.heapUsedPercent}% · up ${formatDuration(health.uptime * 1000)}` : null}
+          />
+          <SummaryCard icon={Ban} label="Active bans" value={health?.metrics.activeBans ?? '-'} />
+        </div>
+
+        {/* ============================================ */}
+        {/* TABS */}
+        {/* ============================================ */}
+        <Tabs defaultValue="queue" onValueChange={(tab) => tab === 'audit' && loadAuditLog()}>
+          <TabsList>
+            <TabsTrigger value="queue">Queue ({waiting.length})</TabsTrigger>
+            <TabsTrigger value="rooms">Rooms ({rooms.length})</TabsTrigger>
+            <TabsTrigger value="reports">Reports</TabsTrigger>
+            <TabsTrigger value="health">Health</TabsTrigger>
+            {isAdmin && <TabsTrigger value="notice">Broadcast</TabsTrigger>}
+            {isAdmin && <TabsTrigger value="audit">Audit log</TabsTrigger>}
+          </TabsList>
+
+          {/* ============================================ */}
+          {/* QUEUE TAB */}
+          {/* ============================================ */}
+          <TabsContent value="queue">
+            <Card>
+              <CardContent className="pt-6">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>User</TableHead>
+                      <TableHead>Looking for</TableHead>
+                      <TableHead>Interests</TableHead>
+                      <TableHead>Client / IP</TableHead>
+                      <TableHead>Waiting</TableHead>
+                      <TableHead className="text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {waiting.length === 0 && (
+                      <EmptyRow colSpan={6} text="Nobody is waiting" />
+                    )}
+                    {waiting.map((user) => (
+                      <TableRow key={user.socketId}>
+                        <TableCell className="font-medium">
+                          {user.username}
+                          <span className="block text-xs text-muted-foreground">
+                            {user.ageBracket} · {user.gender}{user.language ? ` · ${user.language}` : ''}
+                          </span>
+                        </TableCell>
+                        <TableCell>{user.preferredGender}</TableCell>
+                        <TableCell className="max-w-[200px] truncate">{user.interests.join(', ')}</TableCell>
+                        <TableCell className="font-mono text-xs">
+                          {shortId(user.clientId)}
+                          <span className="block text-muted-foreground">{user.ip || '-'}</span>
+                        </TableCell>
+                        <TableCell>{formatDuration(user.waitingMs)}</TableCell>
+                        <TableCell className="text-right space-x-2 whitespace-nowrap">
+                          {canModerate && <UserActions user={user} onKick={handleKick} onBan={handleOpenBan} />}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          {/* ============================================ */}
+          {/* ROOMS TAB */}
+          {/* ============================================ */}
+          <TabsContent value="rooms">
+            <Card>
+              <CardContent className="pt-6">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Room</TableHead>
+                      <TableHead>Participants</TableHead>
+                      <TableHead>Age</TableHead>
+                      <TableHead>Call</TableHead>
+                      <TableHead className="text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rooms.length === 0 && (
+                      <EmptyRow colSpan={5} text="No open rooms" />
+                    )}
+                    {rooms.map((room) => (
+                      <TableRow key={room.roomId}>
+                        <TableCell className="font-mono text-xs">{shortId(room.roomId)}</TableCell>
+                        <TableCell>
+                          <div className="space-y-2">
+                            {room.users.map((user) => (
+                              <div key={user.socketId} className="flex items-center gap-2">
+                                <span className="font-medium">{user.username}</span>
+                                <span className="text-xs text-muted-foreground">{user.ageBracket}</span>
+                                <span className="font-mono text-xs text-muted-foreground">{user.ip || '-'}</span>
+                                {user.reconnecting && <Badge variant="secondary">Reconnecting</Badge>}
+                                <span className="ml-auto space-x-2 whitespace-nowrap">
+                                  {canModerate && <UserActions user={user} onKick={handleKick} onBan={handleOpenBan} />}
+                                </span>
+                              </div>
+                            ))}
+                          </div>
+                        </TableCell>
+                        <TableCell>{formatDuration(room.ageMs)}</TableCell>
+                        <TableCell>{room.call ? <Badge variant="outline">{room.call}</Badge> : '-'}</TableCell>
+                        <TableCell className="text-right">
+                          {canModerate && (
+                            <Button variant="outline" size="sm" onClick={() => handleCloseRoom(room)}>
+                              <XCircle className="w-4 h-4 mr-1" />
+                              Close
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          {/* ============================================ */}
+          {/* REPORTS TAB */}
+          {/* ============================================ */}
+          <TabsContent value="reports">
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                <div>
+                  <CardTitle className="text-lg">Reports</CardTitle>
+                  <CardDescription>{reportsTotal} {reportFilter}</CardDescription>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Select value={reportFilter} onValueChange={setReportFilter}>
+                    <SelectTrigger className="w-36">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {REPORT_STATUSES.map((status) => (
+                        <SelectItem key={status} value={status}>{status}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Button variant="outline" size="icon" onClick={loadReports} disabled={reportsLoading} title="Reload">
+                    {reportsLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                {reportsError && <p className="text-sm text-red-600 mb-4">{reportsError}</p>}
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Created</TableHead>
+                      <TableHead>Reason</TableHead>
+                      <TableHead>Reported</TableHead>
+                      <TableHead>Reporter</TableHead>
+                      <TableHead>Note</TableHead>
+                      <TableHead className="text-right">Actions</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {reports.length === 0 && (
+                      <EmptyRow colSpan={6} text={`No ${reportFilter} reports`} />
+                    )}
+                    {reports.map((report) => (
+                      <TableRow key={report.id}>
+                        <TableCell className="whitespace-nowrap">{new Date(report.createdAt).toLocaleString()}</TableCell>
+                        <TableCell><Badge variant="outline">{report.reason}</Badge></TableCell>
+                        <TableCell>
+                          {report.reported?.username}
+                          <span className="block font-mono text-xs text-muted-foreground">{shortId(report.reported?.clientId)}</span>
+                        </TableCell>
+                        <TableCell>{report.reporter?.username}</TableCell>
+                        <TableCell className="max-w-[240px] truncate" title={report.note || ''}>{report.note || '-'}</TableCell>
+                        <TableCell className="text-right space-x-2 whitespace-nowrap">
+                          {canModerate && (
+                            <>
+                              {report.status === 'open' && (
+                                <Button variant="outline" size="sm" onClick={() => handleUpdateReport(report, 'reviewing')}>
+                                  Review
+                                </Button>
+                              )}
+                              {(report.status === 'open' || report.status === 'reviewing') && (
+                                <>
+                                  <Button variant="outline" size="sm" onClick={() => handleUpdateReport(report, 'resolved')}>
+                                    Resolve
+                                  </Button>
+                                  <Button variant="outline" size="sm" onClick={() => handleUpdateReport(report, 'dismissed')}>
+                                    Dismiss
+                                  </Button>
+                                </>
+                              )}
+                              <Button
+                                variant="destructive"
+                                size="sm"
+                                onClick={() => handleOpenBan({ ...report.reported, reportId: report.id, reason: report.reason })}
+                              >
+                                <Ban className="w-4 h-4 mr-1" />
+                                Ban
+                              </Button>
+                            </>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          {/* ============================================ */}
+          {/* HEALTH TAB */}
+          {/* ============================================ */}
+          <TabsContent value="health" className="space-y-4">
+            {history.length === 0 ? (
+              <Card>
+                <CardContent className="pt-6 text-sm text-muted-foreground">
+                  No samples yet - the server records one every health check.
+                </CardContent>
+              </Card>
+            ) : (
+              <div className="grid md:grid-cols-2 gap-4">
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="text-lg">Activity</CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <ChartContainer config={ACTIVITY_CHART_CONFIG} className="aspect-auto h-64 w-full">
+                      <LineChart data={history}>
+                        <CartesianGrid vertical={false} />
+                        <XAxis dataKey="time" tickLine={false} axisLine={false} minTickGap={32} />
+                        <YAxis allowDecimals={false} tickLine={false} axisLine={false} width={32} />
+                        <ChartTooltip content={<ChartTooltipContent />} />
+                        <ChartLegend content={<ChartLegendContent />} />
+                        <Line type="monotone" dataKey="waitingUsers" stroke="var(--color-waitingUsers)" strokeWidth={2} dot={false} />
+                        <Line type="monotone" dataKey="activeRooms" stroke="var(--color-activeRooms)" strokeWidth={2} dot={false} />
+                      </LineChart>
+                    </ChartContainer>
+                  </CardContent>
+                </Card>
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="text-lg">Memory</CardTitle>
+                  </CardHeader>
+                  <CardContent>
+                    <ChartContainer config={MEMORY_CHART_CONFIG} className="aspect-auto h-64 w-full">
+                      <LineChart data={history}>
+                        <CartesianGrid vertical={false} />
+                        <XAxis dataKey="time" tickLine={false} axisLine={false} minTickGap={32} />
+                        <YAxis tickLine={false} axisLine={false} width={40} />
+                        <ChartTooltip content={<ChartTooltipContent />} />
+                        <ChartLegend content={<ChartLegendContent />} />
+                        <Line type="monotone" dataKey="heapUsed" stroke="var(--color-heapUsed)" strokeWidth={2} dot={false} />
+                        <Line type="monotone" dataKey="rss" stroke="var(--color-rss)" strokeWidth={2} dot={false} />
+                      </LineChart>
+                    </ChartContainer>
+                  </CardContent>
+                </Card>
+              </div>
+            )}
+
+            {/* Current metrics as reported by getHealthMetrics */}
+            {health && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="text-lg">Current metrics</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <Table>
+                    <TableBody>
+                      {Object.entries(health.metrics).map(([name, value]) => (
+                        <TableRow key={name}>
+                          <TableCell className="font-medium">{name}</TableCell>
+                          <TableCell className="text-right font-mono">{value ?? 'n/a'}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </CardContent>
+              </Card>
+            )}
+          </TabsContent>
+
+          {/* ============================================ */}
+          {/* BROADCAST TAB */}
+          {/* ============================================ */}
+          <TabsContent value="notice">
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg flex items-center gap-2">
+                  <Megaphone className="w-5 h-5" />
+                  System notice
+                </CardTitle>
+                <CardDescription>Shown as a banner to everyone connected right now.</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <form onSubmit={handleBroadcast} className="space-y-4 max-w-xl">
+                  <Textarea
+                    value={noticeMessage}
+                    onChange={(e) => setNoticeMessage(e.target.value)}
+                    maxLength={500}
+                    rows={3}
+                    placeholder="e.g. The server restarts in 5 minutes."
+                  />
+                  <div className="flex items-center gap-3">
+                    <Select value={noticeLevel} onValueChange={setNoticeLevel}>
+                      <SelectTrigger className="w-36">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="info">Info</SelectItem>
+                        <SelectItem value="warning">Warning</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <Button type="submit" disabled={!noticeMessage.trim() || connectionStatus !== 'connected'}>
+                      Send notice
+                    </Button>
+                  </div>
+                </form>
+              </CardContent>
+            </Card>
+          </TabsContent>
+
+          {/* ============================================ */}
+          {/* AUDIT LOG TAB */}
+          {/* ============================================ */}
+          <TabsContent value="audit">
+            <Card>
+              <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                <div>
+                  <CardTitle className="text-lg flex items-center gap-2">
+                    <ScrollText className="w-5 h-5" />
+                    Audit log
+                  </CardTitle>
+                  <CardDescription>The latest 100 privileged actions.</CardDescription>
+                </div>
+                <Button variant="outline" size="icon" onClick={loadAuditLog} disabled={auditLoading} title="Reload">
+                  {auditLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <RefreshCw className="w-4 h-4" />}
+                </Button>
+              </CardHeader>
+              <CardContent>
+                {auditError && <p className="text-sm text-red-600 mb-4">{auditError}</p>}
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Time</TableHead>
+                      <TableHead>Who</TableHead>
+                      <TableHead>Action</TableHead>
+                      <TableHead>Target</TableHead>
+                      <TableHead>IP</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {auditEntries.length === 0 && (
+                      <EmptyRow colSpan={5} text="No entries" />
+                    )}
+                    {auditEntries.map((entry) => (
+                      <TableRow key={entry.id}>
+                        <TableCell className="whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</TableCell>
+                        <TableCell>{entry.actor ? `${entry.actor.username} (${entry.actor.role})` : '-'}</TableCell>
+                        <TableCell><Badge variant="outline">{entry.action}</Badge></TableCell>
+                        <TableCell className="font-mono text-xs">
+                          {entry.target ? `${entry.target.type} ${shortId(entry.target.id)}` : '-'}
+                        </TableCell>
+                        <TableCell className="font-mono text-xs">{entry.ip || '-'}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          </TabsContent>
+        </Tabs>
+      </div>
+
+      {/* ============================================ */}
+      {/* BAN DIALOG */}
+      {/* ============================================ */}
+      <Dialog open={!!banTarget} onOpenChange={(open) => !open && !banSending && setBanTarget(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Ban {banTarget?.username || 'user'}</DialogTitle>
+            <DialogDescription>
+              Takes effect immediately and ends their current chat or search.
+            </DialogDescription>
+          </DialogHeader>
+
+          {banTarget && (
+            <div className="space-y-4">
+              {/* Identities to ban */}
+              <div className="space-y-2 text-sm">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={banClientId}
+                    disabled={!banTarget.clientId}
+                    onChange={(e) => setBanClientId(e.target.checked)}
+                  />
+                  Device <span className="font-mono text-xs text-muted-foreground">{banTarget.clientId || 'unknown'}</span>
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={banIp}
+                    disabled={!banTarget.ip}
+                    onChange={(e) => setBanIp(e.target.checked)}
+                  />
+                  IP address <span className="font-mono text-xs text-muted-foreground">{banTarget.ip || 'unknown'}</span>
+                </label>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-2">
+                  <Label>Length</Label>
+                  <Select value={banDuration} onValueChange={setBanDuration}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {BAN_DURATIONS.map((duration) => (
+                        <SelectItem key={duration.id} value={duration.id}>{duration.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label>Reason</Label>
+                  <Select value={banReason} onValueChange={setBanReason}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Choose..." />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {BAN_REASONS.map((reason) => (
+                        <SelectItem key={reason.id} value={reason.id}>{reason.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="ban-note">Internal note (not shown to the user)</Label>
+                <Textarea
+                  id="ban-note"
+                  value={banNote}
+                  onChange={(e) => setBanNote(e.target.value)}
+                  maxLength={2000}
+                  rows={3}
+                />
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setBanTarget(null)} disabled={banSending}>
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleSubmitBan}
+              disabled={banSending || !banReason || (!banClientId && !banIp)}
+            >
+              {banSending && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Ban
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
+
+// ============================================
+// SUMMARY CARD
+// ============================================
+// One headline number at the top of the dashboard
+function SummaryCard({ icon: Icon, label, value, detail = null }) {
+  return (
+    <Card>
+      <CardContent className="pt-6">
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-muted-foreground">{label}</span>
+          <Icon className="w-4 h-4 text-muted-foreground" />
+        </div>
+        <div className="text-2xl font-bold mt-1">{value}</div>
+        {detail && <div className="text-xs text-muted-foreground mt-1">{detail}</div>}
+      </CardContent>
+    </Card>
+  );
+}
+
+// ============================================
+// USER ACTION BUTTONS
+// ============================================
+// Kick and ban buttons for a user in the queue or a room
+function UserActions({ user, onKick, onBan }) {
+  return (
+    <>
+      <Button variant="outline" size="sm" onClick={() => onKick(user)} title="Disconnect">
+        <UserX className="w-4 h-4" />
+      </Button>
+      <Button variant="destructive" size="sm" onClick={() => onBan(user)} title="Ban">
+        <Ban className="w-4 h-4" />
+      </Button>
+    </>
+  );
+}
+
+// ============================================
+// EMPTY TABLE ROW
+// ============================================
+function EmptyRow({ colSpan, text }) {
+  return (
+    <TableRow>
+      <TableCell colSpan={colSpan} className="text-center text-muted-foreground py-8">
+        {text}
+      </TableCell>
+    </TableRow>
+  );
+}
@@ -1,24 +1,79 @@
-import { MongoClient } from 'mongodb'
 import { v4 as uuidv4 } from 'uuid'
 import { NextResponse } from 'next/server'
+// MongoDB connection (shared with the socket server)
+import { connectToMongo } from '@/server/db'
+import {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  validateReportUpdate,
+  listReports,
+  getReport,
+  updateReport,
+} from '@/server/reports'
+import { validateBan, createBan, listBans, revokeBan, enforceBan, liftBan } from '@/server/bans'
+import {
+  SESSION_COOKIE,
+  SESSION_TTL,
+  validateAdmin,
+  validateAdminUpdate,
+  createAdmin,
+  listAdmins,
+  updateAdmin,
+  endSessions,
+  checkCredentials,
+  isAdminAuthConfigured,
+  createSessionToken,
+  readSessionToken,
+  resolveAdmin,
+  hasRole,
+} from '@/server/admin-auth'
+import { recordAudit, listAuditLog } from '@/server/audit-log'
+import { SPAM_EVENT_TYPES, listSpamEvents } from '@/server/spam-detector'
+import { CLIENT_IP_HEADER } from '@/server/ip'
 
-// MongoDB connection
-let client
-let db
+const MAX_PAGE_SIZE = 100
 
-async function connectToMongo() {
-  if (!client) {
-    client = new MongoClient(process.env.MONGO_URL)
-    await client.connect()
-    db = client.db(process.env.DB_NAME)
+// Helper function to find the signed-in staff account (session cookie or Authorization: Bearer <token>)
+async function getAdmin(request, db) {
+  const token = readSessionToken({
+    authorization: request.headers.get('authorization'),
+    cookie: request.headers.get('cookie'),
+  })
+  return token ? resolveAdmin(db, token) : null
+}
+
+// Helper function to refuse a request without the given role: 401 when signed out, 403 when not allowed
+function requireRole(admin, role) {
+  if (!admin) {
+    return handleCORS(NextResponse.json({ error: "Unauthorized" }, { status: 401 }))
+  }
+  if (!hasRole(admin, role)) {
+    return handleCORS(NextResponse.json({ error: "Forbidden" }, { status: 403 }))
   }
-  return db
+  return null
+}
+
+// Helper function to write the audit log entry for a privileged request
+function audit(db, request, admin, action, target = null, details = null) {
+  return recordAudit(db, { actor: admin, action, target, details, ip: request.headers.get(CLIENT_IP_HEADER) || null })
+}
+
+// Helper function to set (or, with no token, clear) the session cookie
+function setSessionCookie(response, token) {
+  response.cookies.set(SESSION_COOKIE, token || '', {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge: token ? SESSION_TTL / 1000 : 0,
+  })
+  return response
 }
 
 // Helper function to handle CORS
 function handleCORS(response) {
   response.headers.set('Access-Control-Allow-Origin', process.env.CORS_ORIGINS || '*')
-  response.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+  response.headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS')
   response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization')
   response.headers.set('Access-Control-Allow-Credentials', 'true')
   return response
@@ -37,6 +92,7 @@ async function handleRoute(request, { params }) {
 
   try {
     const db = await connectToMongo()
+    const admin = await getAdmin(request, db)
 
     // Root endpoint - GET /api/root (since /api/ is not accessible with catch-all)
     if (route === '/root' && method === 'GET') {
@@ -47,8 +103,11 @@ async function handleRoute(request, { params }) {
       return handleCORS(NextResponse.json({ message: "Hello World" }))
     }
 
-    // Status endpoints - POST /api/status
+    // Status endpoints - POST /api/status (admin)
     if (route === '/status' && method === 'POST') {
+      const denied = requireRole(admin, 'admin')
+      if (denied) return denied
+
       const body = await request.json()
       
       if (!body.client_name) {
@@ -65,11 +124,15 @@ async function handleRoute(request, { params }) {
       }
 
       await db.collection('status_checks').insertOne(statusObj)
+      await audit(db, request, admin, 'status.create', { type: 'status_check', id: statusObj.id })
       return handleCORS(NextResponse.json(statusObj))
     }
 
-    // Status endpoints - GET /api/status
+    // Status endpoints - GET /api/status (viewer)
     if (route === '/status' && method === 'GET') {
+      const denied = requireRole(admin, 'viewer')
+      if (denied) return denied
+
       const statusChecks = await db.collection('status_checks')
         .find({})
         .limit(1000)
@@ -81,6 +144,313 @@ async function handleRoute(request, { params }) {
       return handleCORS(NextResponse.json(cleanedStatusChecks))
     }
 
+    // Sign in - POST /api/admin/login { username, password }
+    // Sets the session cookie and also returns the token for API clients
+    if (route === '/admin/login' && method === 'POST') {
+      if (!isAdminAuthConfigured()) {
+        return handleCORS(NextResponse.json(
+          { error: "Admin sign-in is not configured" },
+          { status: 503 }
+        ))
+      }
+
+      const body = await request.json().catch(() => ({}))
+      const result = await checkCredentials(db, body.username, body.password)
+      if (result.error) {
+        await audit(db, request, null, 'admin.login_failed', null, {
+          username: typeof body.username === 'string' ? body.username.substring(0, 100) : null,
+        })
+        return handleCORS(NextResponse.json(
+          { error: result.error },
+          { status: result.locked ? 429 : 401 }
+        ))
+      }
+
+      const { token, expiresAt } = createSessionToken(result.admin)
+      await audit(db, request, result.admin, 'admin.login')
+      return setSessionCookie(handleCORS(NextResponse.json({ admin: result.admin, token, expiresAt })), token)
+    }
+
+    // Sign out - POST /api/admin/logout
+    // Revokes the token too, not just the cookie: a copied bearer token
+    // would otherwise keep working until it expires
+    if (route === '/admin/logout' && method === 'POST') {
+      if (admin) {
+        await endSessions(db, admin.id)
+        await audit(db, request, admin, 'admin.logout')
+      }
+      return setSessionCookie(handleCORS(NextResponse.json({ ok: true })), null)
+    }
+
+    // Current account - GET /api/admin/session
+    if (route === '/admin/session' && method === 'GET') {
+      const denied = requireRole(admin, 'viewer')
+      if (denied) return denied
+
+      return handleCORS(NextResponse.json({ admin }))
+    }
+
+    // Account management - /api/admin/users[/:id] (admin)
+    if (route === '/admin/users' || route.startsWith('/admin/users/')) {
+      const denied = requireRole(admin, 'admin')
+      if (denied) return denied
+
+      // List accounts - GET /api/admin/users
+      if (route === '/admin/users' && method === 'GET') {
+        return handleCORS(NextResponse.json({ admins: await listAdmins(db) }))
+      }
+
+      // Create an account - POST /api/admin/users { username, password, role }
+      if (route === '/admin/users' && method === 'POST') {
+        const validation = validateAdmin(await request.json())
+        if (!validation.valid) {
+          return handleCORS(NextResponse.json(
+            { error: validation.error },
+            { status: 400 }
+          ))
+        }
+
+        const created = await createAdmin(db, validation.data, { createdBy: admin.username })
+        if (!created) {
+          return handleCORS(NextResponse.json(
+            { error: "Username is already taken" },
+            { status: 409 }
+          ))
+        }
+
+        await audit(db, request, admin, 'admin.create', { type: 'admin', id: created.id }, {
+          username: created.username,
+          role: created.role,
+        })
+        return handleCORS(NextResponse.json(created, { status: 201 }))
+      }
+
+      // Change an account - PATCH /api/admin/users/:id { role?, disabled?, password? }
+      if (path.length === 3 && method === 'PATCH') {
+        const validation = validateAdminUpdate(await request.json())
+        if (!validation.valid) {
+          return handleCORS(NextResponse.json(
+            { error: validation.error },
+            { status: 400 }
+          ))
+        }
+
+        // Admins can't lock themselves out
+        const { role, disabled, password } = validation.data
+        if (path[2] === admin.id && ((role && role !== admin.role) || disabled)) {
+          return handleCORS(NextResponse.json(
+            { error: "You can't change your own role or disable your own account" },
+            { status: 400 }
+          ))
+        }
+
+        const updated = await updateAdmin(db, path[2], validation.data)
+        if (!updated) {
+          return handleCORS(NextResponse.json(
+            { error: "Account not found" },
+            { status: 404 }
+          ))
+        }
+
+        await audit(db, request, admin, 'admin.update', { type: 'admin', id: updated.id }, {
+          role,
+          disabled,
+          passwordChanged: password !== undefined,
+        })
+        return handleCORS(NextResponse.json(updated))
+      }
+    }
+
+    // Audit log - GET /api/admin/audit?action=ban.create&actorId=...&limit=50&skip=0 (admin)
+    if (route === '/admin/audit' && method === 'GET') {
+      const denied = requireRole(admin, 'admin')
+      if (denied) return denied
+
+      const { searchParams } = new URL(request.url)
+      const limit = Math.min(parseInt(searchParams.get('limit')) || 50, MAX_PAGE_SIZE)
+      const skip = Math.max(parseInt(searchParams.get('skip')) || 0, 0)
+
+      const result = await listAuditLog(db, {
+        action: searchParams.get('action'),
+        actorId: searchParams.get('actorId'),
+        limit,
+        skip,
+      })
+      return handleCORS(NextResponse.json(result))
+    }
+
+    // Moderation endpoints - /api/moderation/reports[/:id], /api/moderation/bans[/:id], /api/moderation/spam-events
+    // Reading needs the viewer role, changing anything the moderator role
+    if (route === '/moderation' || route.startsWith('/moderation/')) {
+      const denied = requireRole(admin, method === 'GET' ? 'viewer' : 'moderator')
+      if (denied) return denied
+
+      const reportId = path[1] === 'reports' ? path[2] : null
+
+      // List reports - GET /api/moderation/reports?status=open&reason=spam&limit=50&skip=0
+      if (route === '/moderation/reports' && method === 'GET') {
+        const { searchParams } = new URL(request.url)
+        const status = searchParams.get('status')
+        const reason = searchParams.get('reason')
+
+        if (status && !REPORT_STATUSES.includes(status)) {
+          return handleCORS(NextResponse.json(
+            { error: `status must be one of: ${REPORT_STATUSES.join(', ')}` },
+            { status: 400 }
+          ))
+        }
+        if (reason && !REPORT_REASONS.includes(reason)) {
+          return handleCORS(NextResponse.json(
+            { error: `reason must be one of: ${REPORT_REASONS.join(', ')}` },
+            { status: 400 }
+          ))
+        }
+
+        const limit = Math.min(parseInt(searchParams.get('limit')) || 50, MAX_PAGE_SIZE)
+        const skip = Math.max(parseInt(searchParams.get('skip')) || 0, 0)
+
+        const result = await listReports(db, { status, reason, limit, skip })
+        return handleCORS(NextResponse.json(result))
+      }
+
+      if (reportId && path.length === 3) {
+        // Review a report with its message snapshot - GET /api/moderation/reports/:id
+        if (method === 'GET') {
+          const report = await getReport(db, reportId)
+          if (!report) {
+            return handleCORS(NextResponse.json(
+              { error: "Report not found" },
+              { status: 404 }
+            ))
+          }
+          return handleCORS(NextResponse.json(report))
+        }
+
+        // Change status - PATCH /api/moderation/reports/:id
+        // { status: 'reviewing' | 'resolved' | 'dismissed', resolution }
+        if (method === 'PATCH') {
+          const validation = validateReportUpdate({ ...await request.json(), reviewedBy: admin.username })
+          if (!validation.valid) {
+            return handleCORS(NextResponse.json(
+              { error: validation.error },
+              { status: 400 }
+            ))
+          }
+
+          const report = await updateReport(db, reportId, validation.data)
+          if (!report) {
+            // Either it doesn't exist or it was already closed
+            const existing = await getReport(db, reportId)
+            return handleCORS(NextResponse.json(
+              { error: existing ? `Report is already ${existing.status}` : "Report not found" },
+              { status: existing ? 409 : 404 }
+            ))
+          }
+
+          await audit(db, request, admin, 'report.update', { type: 'report', id: reportId }, {
+            status: report.status,
+            resolution: report.resolution,
+          })
+          return handleCORS(NextResponse.json(report))
+        }
+      }
+
+      // List bans - GET /api/moderation/bans?active=true&clientId=...&ip=...
+      if (route === '/moderation/bans' && method === 'GET') {
+        const { searchParams } = new URL(request.url)
+        const limit = Math.min(parseInt(searchParams.get('limit')) || 50, MAX_PAGE_SIZE)
+        const skip = Math.max(parseInt(searchParams.get('skip')) || 0, 0)
+
+        const result = await listBans(db, {
+          active: searchParams.get('active') === 'true',
+          clientId: searchParams.get('clientId'),
+          ip: searchParams.get('ip'),
+          limit,
+          skip,
+        })
+        return handleCORS(NextResponse.json(result))
+      }
+
+      // Cross-room spam detections - GET /api/moderation/spam-events?type=shadow_muted&clientId=...
+      if (route === '/moderation/spam-events' && method === 'GET') {
+        const { searchParams } = new URL(request.url)
+        const type = searchParams.get('type')
+        if (type && !SPAM_EVENT_TYPES.includes(type)) {
+          return handleCORS(NextResponse.json(
+            { error: `type must be one of: ${SPAM_EVENT_TYPES.join(', ')}` },
+            { status: 400 }
+          ))
+        }
+
+        const limit = Math.min(parseInt(searchParams.get('limit')) || 50, MAX_PAGE_SIZE)
+        const skip = Math.max(parseInt(searchParams.get('skip')) || 0, 0)
+
+        const result = await listSpamEvents(db, {
+          type,
+          clientId: searchParams.get('clientId'),
+          limit,
+          skip,
+        })
+        return handleCORS(NextResponse.json(result))
+      }
+
+      // Ban a device and/or IP - POST /api/moderation/bans
+      // { clientId?, ip?, type: 'temporary' | 'permanent', durationMs?, reason, note?, reportId? }
+      // With a reportId and no clientId/ip, the reported user from that report is banned
+      if (route === '/moderation/bans' && method === 'POST') {
+        const body = await request.json()
+
+        if (body.reportId && !body.clientId && !body.ip) {
+          const report = await getReport(db, body.reportId)
+          if (!report) {
+            return handleCORS(NextResponse.json(
+              { error: "Report not found" },
+              { status: 404 }
+            ))
+          }
+          body.clientId = report.reported.clientId
+          body.ip = report.reported.ip
+        }
+
+        const validation = validateBan({ ...body, createdBy: admin.username })
+        if (!validation.valid) {
+          return handleCORS(NextResponse.json(
+            { error: validation.error },
+            { status: 400 }
+          ))
+        }
+
+        // Kick matching users now instead of at the next ban refresh
+        const ban = await createBan(db, validation.data)
+        await enforceBan(ban, 'Partner was removed by a moderator')
+        await audit(db, request, admin, 'ban.create', { type: 'ban', id: ban.id }, {
+          clientId: ban.clientId,
+          ip: ban.ip,
+          type: ban.type,
+          reason: ban.reason,
+          expiresAt: ban.expiresAt,
+          reportId: ban.reportId,
+        })
+        return handleCORS(NextResponse.json(ban, { status: 201 }))
+      }
+
+      // Lift a ban - DELETE /api/moderation/bans/:id
+      if (path[1] === 'bans' && path.length === 3 && method === 'DELETE') {
+        const ban = await revokeBan(db, path[2], { revokedBy: admin.username })
+        if (!ban) {
+          return handleCORS(NextResponse.json(
+            { error: "Ban not found or already revoked" },
+            { status: 404 }
+          ))
+        }
+
+        // Let the user back in now instead of at the next ban refresh
+        await liftBan(ban)
+        await audit(db, request, admin, 'ban.revoke', { type: 'ban', id: ban.id })
+        return handleCORS(NextResponse.json(ban))
+      }
+    }
+
     // Route not found
     return handleCORS(NextResponse.json(
       { error: `Route ${route} not found` }, 
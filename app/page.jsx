@@ -20,6 +20,18 @@ import { useState, useEffect, useRef } from 'react';
 // Import Socket.io client for real-time WebSocket communication
 import { io } from 'socket.io-client';
 
+// ============================================
+// UUID IMPORT
+// ============================================
+// Used to generate this browser's stable client ID
+import { v4 as uuidv4 } from 'uuid';
+
+// ============================================
+// WEBRTC PEER IMPORT
+// ============================================
+// simple-peer wraps RTCPeerConnection for voice/video calls
+import Peer from 'simple-peer';
+
 // ============================================
 // SHADCN UI COMPONENT IMPORTS
 // ============================================
@@ -33,6 +45,16 @@ import { Avatar, AvatarFallback } from '../components/ui/avatar';
 import { Label } from '../components/ui/label';
 import { RadioGroup, RadioGroupItem } from '../components/ui/radio-group';
 import { Checkbox } from '../components/ui/checkbox';
+import { Textarea } from '../components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '../components/ui/dialog';
+import { Popover, PopoverTrigger, PopoverContent } from '../components/ui/popover';
 
 // ============================================
 // LUCIDE REACT ICONS IMPORTS
@@ -56,8 +78,173 @@ import {
   Square,         // Stop recording icon
   Play,           // Play audio icon
   Pause,          // Pause audio icon
+  SkipForward,    // Next partner icon
+  Phone,          // Voice call icon
+  PhoneOff,       // Hang up / decline icon
+  MicOff,         // Muted microphone icon
+  VideoOff,       // Camera off icon
+  Flag,           // Report partner icon
+  UserX,          // Block partner icon
+  Ban,            // Banned notice icon
+  CheckCircle2,   // Report sent icon
+  Timer,          // Mute countdown icon
+  Megaphone,      // System notice icon
+  EyeOff,         // Hidden media icon
+  ShieldCheck,    // Media permission icon
+  SmilePlus,      // Add reaction icon
+  Reply,          // Reply to message icon
+  Pencil,         // Edit message icon
+  Trash2,         // Delete message icon
 } from 'lucide-react';
 
+// ============================================
+// STABLE CLIENT ID
+// ============================================
+// Persisted in localStorage so the server can recognise this browser across
+// reconnects (e.g. to avoid re-matching the same partner straight away)
+const CLIENT_ID_STORAGE_KEY = 'randommatch-client-id';
+
+function getClientId() {
+  try {
+    let clientId = localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+    if (!clientId) {
+      clientId = uuidv4();
+      localStorage.setItem(CLIENT_ID_STORAGE_KEY, clientId);
+    }
+    return clientId;
+  } catch (error) {
+    // Storage blocked (private mode etc.) - fall back to a per-page ID
+    return uuidv4();
+  }
+}
+
+// ============================================
+// TERMS ACCEPTANCE
+// ============================================
+// The terms version we last accepted ({ version, acceptedAt }). The server
+// sends the current version on connect; a newer one means accepting again.
+const TERMS_STORAGE_KEY = 'randommatch-terms';
+
+function getAcceptedTerms() {
+  try {
+    return JSON.parse(localStorage.getItem(TERMS_STORAGE_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function setAcceptedTerms(acceptance) {
+  try {
+    if (acceptance) {
+      localStorage.setItem(TERMS_STORAGE_KEY, JSON.stringify(acceptance));
+    } else {
+      localStorage.removeItem(TERMS_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage blocked - we'll just be asked again next visit
+  }
+}
+
+// What accepting the terms means, shown next to the checkbox
+const TERMS_SUMMARY = [
+  'The age group I selected is my real age',
+  'I will not harass, threaten or send sexual content to anyone',
+  "I won't share anyone's personal information, including my own",
+  'Chats can be reported and reviewed by moderators',
+];
+
+// ============================================
+// MEDIA UPLOADS
+// ============================================
+// How long to wait for the server to acknowledge each upload step
+const UPLOAD_ACK_TIMEOUT = 30000; // 30 seconds
+
+// ============================================
+// REPORT REASONS
+// ============================================
+// Must match REPORT_REASONS in server/reports.js
+const REPORT_REASONS = [
+  { id: 'harassment', label: 'Harassment or bullying' },
+  { id: 'hate_speech', label: 'Hate speech' },
+  { id: 'sexual_content', label: 'Unwanted sexual content' },
+  { id: 'spam', label: 'Spam or advertising' },
+  { id: 'scam', label: 'Scam or fraud' },
+  { id: 'underage', label: 'Appears to be under age' },
+  { id: 'self_harm', label: 'Self-harm or threats' },
+  { id: 'other', label: 'Something else' },
+];
+
+// ============================================
+// MESSAGE REACTIONS
+// ============================================
+// Must match REACTION_EMOJIS in server.js
+const REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Labels for the ban reasons the server can send (see BAN_REASONS in server/bans.js)
+const BAN_REASON_LABELS = {
+  ...Object.fromEntries(REPORT_REASONS.map((reason) => [reason.id, reason.label])),
+  ban_evasion: 'Evading an earlier ban',
+  other: 'Breaking the community rules',
+};
+
+// Longest note the server accepts with a report
+const MAX_REPORT_NOTE_LENGTH = 1000;
+
+// How long to wait for the server to confirm a report
+const REPORT_ACK_TIMEOUT = 15000; // 15 seconds
+
+// ============================================
+// RATE LIMITS
+// ============================================
+// How long a "slow down" warning stays above the composer
+const RATE_NOTICE_DURATION = 4000; // 4 seconds
+
+// How long to wait before trying again when the server refused the
+// connection because too many are open from our network
+const CONNECTION_LIMIT_RETRY_DELAY = 15000; // 15 seconds
+
+// ============================================
+// PROOF OF WORK
+// ============================================
+// The server hands out a challenge on connect and a new one after each use.
+// Joining the queue needs a nonce that makes SHA-256("<challenge>:<nonce>")
+// start with `difficulty` zero bits (see server/proof-of-work.js).
+
+// Times a join is resent with a fresh proof after the server refused one
+const MAX_POW_RETRIES = 2;
+
+// Start solving a challenge in a Web Worker so the page stays responsive.
+// Returns the pending solution and a way to abandon it.
+function solveChallenge({ challenge, difficulty }) {
+  const worker = new Worker(new URL('../lib/pow-worker.js', import.meta.url));
+  let rejectSolution;
+
+  const solution = new Promise((resolve, reject) => {
+    rejectSolution = reject;
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      if (data.error) reject(new Error(data.error));
+      else resolve(data.solution);
+    };
+    worker.onerror = () => {
+      worker.terminate();
+      reject(new Error('Could not verify this browser. Please try again.'));
+    };
+    worker.postMessage({ challenge, difficulty });
+  });
+  // Failures surface when the solution is awaited
+  solution.catch(() => {});
+
+  return {
+    challenge,
+    solution,
+    cancel: () => {
+      worker.terminate();
+      rejectSolution(new Error('Challenge replaced'));
+    },
+  };
+}
+
 // ============================================
 // AVAILABLE INTERESTS
 // ============================================
@@ -237,6 +424,63 @@ function AudioPlayer({ src, isOwnMessage }) {
   );
 }
 
+// ============================================
+// QUOTED MESSAGE COMPONENT
+// ============================================
+// Preview of the message a reply answers, shown above the composer while
+// composing and inside the reply's bubble. Images get a thumbnail, videos
+// and voice messages a label.
+function QuotedMessage({ message, author, isOwnMessage, mediaHidden, onClick }) {
+  // Text of the quote, or an icon and label for media
+  let preview;
+  if (!message) {
+    // Sent before we were matched, or gone after a reconnect
+    preview = <span className="italic">Original message unavailable</span>;
+  } else if (message.deletedAt) {
+    preview = <span className="italic">Message deleted</span>;
+  } else if (message.type === 'text') {
+    preview = <span className="truncate">{message.content}</span>;
+  } else {
+    const MediaIcon = { image: Image, video: Video, audio: Mic }[message.type];
+    preview = (
+      <>
+        {MediaIcon && <MediaIcon className="w-3 h-3 shrink-0" />}
+        <span className="truncate">
+          {{ image: 'Photo', video: 'Video', audio: 'Voice message' }[message.type] || 'Attachment'}
+        </span>
+      </>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={!onClick}
+      className={`flex items-center gap-2 w-full min-w-0 text-left border-l-4 rounded-md px-2 py-1 text-xs ${
+        isOwnMessage
+          ? 'bg-white/15 border-white/60 text-white/90'
+          : 'bg-black/5 border-purple-400 text-gray-700'
+      }`}
+    >
+      <div className="flex-1 min-w-0">
+        {/* Who sent the quoted message */}
+        {message && <p className="font-semibold truncate">{author}</p>}
+        <p className="flex items-center gap-1 min-w-0">{preview}</p>
+      </div>
+
+      {/* Image thumbnail, blurred like the image itself until revealed */}
+      {message?.type === 'image' && !message.deletedAt && (
+        <img
+          src={message.mediaUrl}
+          alt=""
+          className={`w-10 h-10 rounded object-cover shrink-0 ${mediaHidden ? 'blur-md' : ''}`}
+        />
+      )}
+    </button>
+  );
+}
+
 // ============================================
 // MAIN APP COMPONENT
 // ============================================
@@ -264,6 +508,18 @@ export default function RandomChatApp() {
   // Current room ID when in a chat
   const [roomId, setRoomId] = useState(null);
   
+  // Mirror of roomId for socket handlers (ignores events for rooms we already left)
+  const roomIdRef = useRef(null);
+  
+  // Room ID and session token used to reclaim our seat after a reconnect
+  const sessionRef = useRef(null);
+  
+  // Our connection dropped mid-chat and we're waiting to resume the session
+  const [connectionLost, setConnectionLost] = useState(false);
+  
+  // The partner's connection dropped and the server is holding the room for them
+  const [partnerReconnecting, setPartnerReconnecting] = useState(false);
+  
   // Common interests between the user and partner
   const [commonInterests, setCommonInterests] = useState([]);
   
@@ -300,6 +556,102 @@ export default function RandomChatApp() {
   // Maximum recording duration (20 seconds)
   const MAX_RECORDING_DURATION = 20;
 
+  // ============================================
+  // CALL STATE
+  // ============================================
+  // Current call phase: 'idle', 'outgoing', 'incoming', 'connecting', or 'active'
+  const [callState, setCallState] = useState('idle');
+  
+  // Type of the current call: 'voice' or 'video'
+  const [callType, setCallType] = useState(null);
+  
+  // Our camera/microphone stream (for local preview)
+  const [localStream, setLocalStream] = useState(null);
+  
+  // Partner's stream once the peer connection is up
+  const [remoteStream, setRemoteStream] = useState(null);
+  
+  // Whether our microphone is muted
+  const [isMuted, setIsMuted] = useState(false);
+  
+  // Whether our camera is turned off
+  const [isCameraOff, setIsCameraOff] = useState(false);
+  
+  // Short status message shown in the chat (declined, ended, no permission...)
+  const [callNotice, setCallNotice] = useState(null);
+
+  // ============================================
+  // REPORT STATE
+  // ============================================
+  // The chat being reported ({ roomId, username }), or null when the dialog is closed
+  // Kept separately from the room so the report can still be sent if the chat ends
+  const [reportTarget, setReportTarget] = useState(null);
+  
+  // Selected reason ID and optional note
+  const [reportReason, setReportReason] = useState('');
+  const [reportNote, setReportNote] = useState('');
+  
+  // 'idle' | 'sending' | 'sent'
+  const [reportStatus, setReportStatus] = useState('idle');
+  
+  // Error from the server, shown in the dialog
+  const [reportError, setReportError] = useState(null);
+  
+  // Also block the reported partner (on by default)
+  const [reportAlsoBlock, setReportAlsoBlock] = useState(true);
+
+  // ============================================
+  // BAN STATE
+  // ============================================
+  // Refusal from the server ({ type, reason, expiresAt, message }) or null
+  const [banNotice, setBanNotice] = useState(null);
+
+  // ============================================
+  // RATE LIMIT STATE
+  // ============================================
+  // When our mute for sending too fast ends (local clock), or null
+  const [mutedUntil, setMutedUntil] = useState(null);
+  
+  // Whole seconds left on the mute, for the composer countdown
+  const [muteSecondsLeft, setMuteSecondsLeft] = useState(0);
+  
+  // "Slow down" warning from the server ({ message }), or null
+  const [rateNotice, setRateNotice] = useState(null);
+  
+  // Server refused our connection (too many from our network): the reason, or null
+  const [connectionLimitNotice, setConnectionLimitNotice] = useState(null);
+
+  // ============================================
+  // MODERATOR NOTICE STATE
+  // ============================================
+  // Announcement broadcast by a moderator ({ id, message, level, sentAt }), or null
+  const [systemNotice, setSystemNotice] = useState(null);
+  
+  // Why a moderator disconnected us, shown on the setup screen, or null
+  const [kickNotice, setKickNotice] = useState(null);
+
+  // ============================================
+  // MEDIA PERMISSION STATE
+  // ============================================
+  // Whether media can be exchanged in this chat, from the server:
+  // { unlocked, youAllowed, partnerAllowed, textMessagesLeft }, or null
+  const [mediaPermission, setMediaPermission] = useState(null);
+  
+  // IDs of the partner's media messages we tapped to reveal (blurred until then)
+  const [revealedMedia, setRevealedMedia] = useState(() => new Set());
+
+  // Reactions per message ID, from the server: [{ emoji, count, reacted }]
+  const [reactions, setReactions] = useState({});
+
+  // ID of the message we're replying to, shown above the composer, or null
+  const [replyingTo, setReplyingTo] = useState(null);
+
+  // ID of our message being edited in the composer, or null
+  const [editingMessage, setEditingMessage] = useState(null);
+
+  // How long after sending we can still edit or delete a message (ms), from the server
+  const [messageEditWindow, setMessageEditWindow] = useState(0);
+
   // ============================================
   // USER FORM DATA STATE
   // ============================================
@@ -308,9 +660,26 @@ export default function RandomChatApp() {
     username: '',           // Display name entered by user
     gender: 'male',         // User's gender (male/female)
     preferredGender: 'any', // Gender preference for matching
+    ageBracket: '',         // Self-declared age bracket ID (from the server's policy)
     interests: [],          // Array of selected interest IDs
   });
 
+  // Problems with the form, shown under the field they belong to:
+  // { username?, ageBracket?, terms? } (from our own checks or the server's)
+  const [formErrors, setFormErrors] = useState({});
+
+  // ============================================
+  // AGE AND TERMS POLICY STATE
+  // ============================================
+  // Sent by the server on connect: { termsVersion, adultAge, brackets }
+  const [policy, setPolicy] = useState(null);
+  
+  // Whether the terms checkbox is ticked (pre-ticked if we already accepted this version)
+  const [termsAccepted, setTermsAccepted] = useState(false);
+  
+  // We accepted an older version, so the terms changed since
+  const [termsUpdated, setTermsUpdated] = useState(false);
+
   // ============================================
   // REFS FOR DOM ELEMENTS
   // ============================================
@@ -322,10 +691,22 @@ export default function RandomChatApp() {
   
   // Reference to video file input
   const videoInputRef = useRef(null);
+
+  // Reference to the message input, focused when replying
+  const messageInputRef = useRef(null);
   
   // Reference to store the search timer interval ID
   const searchTimerRef = useRef(null);
   
+  // Pending reconnect after a connection limit refusal
+  const connectionRetryRef = useRef(null);
+  
+  // Current proof-of-work challenge being (or already) solved
+  const powRef = useRef(null);
+  
+  // Last queue join ({ eventName, payload, attempts }), resent if the server refuses its proof
+  const pendingJoinRef = useRef(null);
+  
   // ============================================
   // VOICE RECORDING REFS
   // ============================================
@@ -337,6 +718,152 @@ export default function RandomChatApp() {
   
   // Reference to recording timer interval
   const recordingTimerRef = useRef(null);
+  
+  // Mirror of recordingDuration readable from the recorder's onstop closure
+  const recordingDurationRef = useRef(0);
+
+  // ============================================
+  // CALL REFS
+  // ============================================
+  // Reference to the active simple-peer instance
+  const peerRef = useRef(null);
+  
+  // Reference to our media stream so tracks can be stopped on teardown
+  const localStreamRef = useRef(null);
+  
+  // Reference to the local preview video element
+  const localVideoRef = useRef(null);
+  
+  // Reference to the remote video/audio element
+  const remoteMediaRef = useRef(null);
+  
+  // Socket reference for callbacks created before the socket state updates
+  const socketRef = useRef(null);
+  
+  // STUN/TURN servers delivered by the server (null = simple-peer defaults)
+  const iceServersRef = useRef(null);
+
+  // ============================================
+  // CALL TEARDOWN
+  // ============================================
+  // Destroys the peer connection, releases camera/microphone and resets call state
+  // Only touches refs and state setters, so it is safe to call from socket handlers
+  const teardownCall = (notice = null) => {
+    // Close the peer connection if one exists
+    if (peerRef.current) {
+      peerRef.current.destroy();
+      peerRef.current = null;
+    }
+    
+    // Stop all local tracks to turn off the camera light / mic indicator
+    if (localStreamRef.current) {
+      localStreamRef.current.getTracks().forEach((track) => track.stop());
+      localStreamRef.current = null;
+    }
+    
+    // Reset all call-related state
+    setLocalStream(null);
+    setRemoteStream(null);
+    setIsMuted(false);
+    setIsCameraOff(false);
+    setCallType(null);
+    setCallState('idle');
+    setCallNotice(notice);
+  };
+
+  // ============================================
+  // ACQUIRE LOCAL MEDIA
+  // ============================================
+  // Asks for camera and/or microphone; returns null when the user denies access
+  const acquireLocalMedia = async (type) => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: true,
+        video: type === 'video',
+      });
+      localStreamRef.current = stream;
+      setLocalStream(stream);
+      return stream;
+    } catch (error) {
+      console.error('Error accessing media devices:', error);
+      return null;
+    }
+  };
+
+  // ============================================
+  // CREATE PEER CONNECTION
+  // ============================================
+  // Builds the simple-peer instance and routes its signals through the server relay
+  const createPeer = (initiator, stream) => {
+    const peer = new Peer({
+      initiator,
+      stream,
+      trickle: true,
+      // Use the server-provided ICE servers (with TURN credentials) when we have them
+      ...(iceServersRef.current ? { config: { iceServers: iceServersRef.current } } : {}),
+    });
+    
+    // Forward offers, answers and ICE candidates to the partner via the server
+    peer.on('signal', (data) => {
+      const activeSocket = socketRef.current;
+      if (data.type === 'offer') {
+        activeSocket?.emit('webrtc-offer', { offer: data });
+      } else if (data.type === 'answer') {
+        activeSocket?.emit('webrtc-answer', { answer: data });
+      } else if (data.candidate) {
+        activeSocket?.emit('webrtc-ice-candidate', { candidate: data });
+      }
+    });
+    
+    // Partner's media arrived - the call is live
+    peer.on('stream', (stream) => {
+      setRemoteStream(stream);
+      setCallState('active');
+    });
+    
+    // Connection dropped or failed
+    peer.on('close', () => {
+      if (peerRef.current === peer) {
+        teardownCall('Call ended');
+      }
+    });
+    peer.on('error', (error) => {
+      console.error('Peer connection error:', error);
+      if (peerRef.current === peer) {
+        socketRef.current?.emit('call-end');
+        teardownCall('Call connection failed');
+      }
+    });
+    
+    peerRef.current = peer;
+    return peer;
+  };
+
+  // ============================================
+  // PROOF OF WORK HELPER
+  // ============================================
+  // Solution for the current challenge ({ challenge, solution }), or null if
+  // the server hasn't asked for one. Usually ready by the time it's needed;
+  // throws with a message for the user if this browser can't solve it.
+  const getPowProof = async () => {
+    // A new challenge may replace the one we're waiting on - follow it
+    while (powRef.current) {
+      const pow = powRef.current;
+      try {
+        return { challenge: pow.challenge, solution: await pow.solution };
+      } catch (error) {
+        if (powRef.current === pow) throw error;
+      }
+    }
+    return null;
+  };
+
+  // Give up on a join in progress and tell the user why
+  const abandonJoin = (message) => {
+    pendingJoinRef.current = null;
+    setAppState('setup');
+    alert(message);
+  };
 
   // ============================================
   // SOCKET CONNECTION EFFECT
@@ -362,6 +889,9 @@ export default function RandomChatApp() {
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
+      
+      // Stable identity sent with every (re)connection
+      auth: { clientId: getClientId() },
     });
 
     // ============================================
@@ -373,6 +903,14 @@ export default function RandomChatApp() {
       
       // Store our socket ID for message identification
       setMySocketId(newSocket.id || null);
+      
+      // Any earlier refusal no longer applies
+      setConnectionLimitNotice(null);
+      
+      // Back after a drop in the middle of a chat - reclaim our seat
+      if (sessionRef.current) {
+        newSocket.emit('resume-session', sessionRef.current);
+      }
     });
 
     // ============================================
@@ -388,13 +926,25 @@ export default function RandomChatApp() {
         clearInterval(searchTimerRef.current);
       }
       
+      // The join went through
+      pendingJoinRef.current = null;
+      
       // Update state with match information
       setRoomId(data.roomId);                           // Store the room ID
+      roomIdRef.current = data.roomId;
+      sessionRef.current = { roomId: data.roomId, sessionToken: data.sessionToken };
+      setPartnerReconnecting(false);
       setPartner(data.partner);                         // Store partner info
       setCommonInterests(data.commonInterests || []);   // Store shared interests
+      setMediaPermission(data.mediaPermission || null); // Media starts locked
       
       // Clear any previous messages from old chats
       setMessages([]);
+      setRevealedMedia(new Set());
+      setReactions({});
+      setReplyingTo(null);
+      setEditingMessage(null);
+      setMessageEditWindow(data.messageEditWindow || 0);
       
       // Transition to chatting state
       setAppState('chatting');
@@ -408,6 +958,9 @@ export default function RandomChatApp() {
       // Log that we're now searching
       console.log('Added to waiting queue, searching for match...');
       
+      // The join went through
+      pendingJoinRef.current = null;
+      
       // Transition to searching state
       setAppState('searching');
       
@@ -437,23 +990,325 @@ export default function RandomChatApp() {
       setPartnerTyping(isTyping);
     });
 
+    // ============================================
+    // SOCKET EVENT: AGE AND TERMS POLICY
+    // ============================================
+    // Age brackets to offer and the current terms version
+    newSocket.on('policy', (data) => {
+      setPolicy(data);
+      
+      // Already accepted this version - no need to tick the box again
+      const accepted = getAcceptedTerms();
+      setTermsAccepted(accepted?.version === data.termsVersion);
+      setTermsUpdated(Boolean(accepted) && accepted.version !== data.termsVersion);
+    });
+
+    // ============================================
+    // SOCKET EVENT: ICE SERVERS
+    // ============================================
+    // STUN/TURN configuration for calls, sent on connect and on request
+    newSocket.on('ice-servers', (data) => {
+      if (Array.isArray(data?.iceServers) && data.iceServers.length > 0) {
+        iceServersRef.current = data.iceServers;
+      }
+    });
+
+    // ============================================
+    // SOCKET EVENT: INCOMING CALL
+    // ============================================
+    // Triggered when the partner wants to start a voice or video call
+    newSocket.on('incoming-call', (data) => {
+      // If we were dialing at the same moment, the partner's call wins
+      teardownCall();
+      setCallType(data.type);
+      setCallState('incoming');
+    });
+
+    // ============================================
+    // SOCKET EVENT: CALL ACCEPTED
+    // ============================================
+    // Partner accepted our call - we start the WebRTC offer
+    newSocket.on('call-accepted', () => {
+      if (!localStreamRef.current) return;
+      setCallState('connecting');
+      createPeer(true, localStreamRef.current);
+    });
+
+    // ============================================
+    // SOCKET EVENT: CALL DECLINED
+    // ============================================
+    // Partner declined, could not open their camera/microphone, or isn't
+    // allowed to take calls
+    newSocket.on('call-declined', (data) => {
+      const notices = {
+        'media-unavailable': "Partner couldn't access their camera or microphone",
+        'not-allowed': "Your partner can't take calls",
+      };
+      teardownCall(notices[data?.reason] || 'Call declined');
+    });
+
+    // ============================================
+    // SOCKET EVENT: CALL REFUSED
+    // ============================================
+    // The server won't let this call happen (e.g. age group, media consent)
+    newSocket.on('call-refused', (data) => {
+      teardownCall(data?.message || "This call isn't available");
+    });
+
+    // ============================================
+    // SOCKET EVENT: CALL ENDED
+    // ============================================
+    // Partner hung up
+    newSocket.on('call-ended', () => {
+      teardownCall('Call ended');
+    });
+
+    // ============================================
+    // WEBRTC SIGNALING EVENTS
+    // ============================================
+    // Feed the partner's offer/answer/ICE candidates into our peer connection
+    newSocket.on('webrtc-offer', (data) => {
+      peerRef.current?.signal(data.offer);
+    });
+    newSocket.on('webrtc-answer', (data) => {
+      peerRef.current?.signal(data.answer);
+    });
+    newSocket.on('webrtc-ice-candidate', (data) => {
+      peerRef.current?.signal(data.candidate);
+    });
+
+    // ============================================
+    // SOCKET EVENT: PARTNER RECONNECTING
+    // ============================================
+    // The partner's connection dropped; the room is held for a grace period
+    newSocket.on('partner-reconnecting', (data) => {
+      if (data.roomId !== roomIdRef.current) return;
+      setPartnerReconnecting(true);
+      setPartnerTyping(false);
+    });
+
+    // ============================================
+    // SOCKET EVENT: PARTNER RECONNECTED
+    // ============================================
+    newSocket.on('partner-reconnected', (data) => {
+      if (data.roomId !== roomIdRef.current) return;
+      setPartnerReconnecting(false);
+    });
+
+    // ============================================
+    // SOCKET EVENT: SESSION RESUMED
+    // ============================================
+    // We reclaimed our seat after a reconnect
+    newSocket.on('session-resumed', (data) => {
+      console.log('Session resumed with', data.messages?.length || 0, 'missed messages');
+      
+      setConnectionLost(false);
+      setPartnerReconnecting(Boolean(data.partnerReconnecting));
+      setMediaPermission(data.mediaPermission || null);
+      
+      // Our old messages were sent from the previous socket ID, so move them
+      // to the new one, then apply what happened in the gap: edited or
+      // deleted messages replace the ones we have, the rest are appended
+      setMessages((prev) => {
+        const missed = new Map((data.messages || []).map((message) => [message.id, message]));
+        const updated = prev.map((message) => {
+          const replacement = missed.get(message.id);
+          missed.delete(message.id);
+          if (replacement) return replacement;
+          return message.senderId === data.previousSocketId
+            ? { ...message, senderId: newSocket.id }
+            : message;
+        });
+        return [...updated, ...missed.values()];
+      });
+    });
+
+    // ============================================
+    // SOCKET EVENT: MEDIA PERMISSION
+    // ============================================
+    // Either of us allowed media, or a text brought the unlock closer
+    newSocket.on('media-permission', (data) => {
+      setMediaPermission(data);
+    });
+
+    // ============================================
+    // SOCKET EVENT: MESSAGE REACTIONS
+    // ============================================
+    // Someone in the room added or removed a reaction on a message
+    newSocket.on('message-reactions', (data) => {
+      setReactions((prev) => ({ ...prev, [data.messageId]: data.reactions }));
+    });
+
+    // ============================================
+    // SOCKET EVENT: MESSAGE UPDATED
+    // ============================================
+    // A message was edited or deleted by its sender; swap in the new version
+    newSocket.on('message-updated', (message) => {
+      setMessages((prev) => prev.map((existing) => (existing.id === message.id ? message : existing)));
+      
+      // Stop editing or replying to a message that is gone
+      if (message.deletedAt) {
+        setEditingMessage((current) => (current === message.id ? null : current));
+        setReplyingTo((current) => (current === message.id ? null : current));
+      }
+    });
+
     // ============================================
     // SOCKET EVENT: CHAT ENDED
     // ============================================
     // Triggered when the chat session ends (partner left, disconnected, etc.)
-    newSocket.on('chat-ended', (data) => {
+    const handleChatEnded = (data) => {
       // Log the reason for chat ending
       console.log('Chat ended:', data.reason);
       
+      // Ignore endings for a room we already left (e.g. both pressed Next)
+      if (data.roomId && data.roomId !== roomIdRef.current) return;
+      
+      // Hang up any ongoing call
+      teardownCall();
+      
       // Reset all chat-related state
       setPartner(null);           // Clear partner info
       setRoomId(null);            // Clear room ID
+      roomIdRef.current = null;
+      sessionRef.current = null;  // Nothing left to resume
+      setConnectionLost(false);
+      setPartnerReconnecting(false);
       setMessages([]);            // Clear messages
       setCommonInterests([]);     // Clear common interests
       setPartnerTyping(false);    // Clear typing indicator
       
+      // The server may have put us straight back into matching
+      if (data.requeued) {
+        setSearchTimer(60);
+        setAppState('searching');
+        return;
+      }
+      
       // Return to setup screen
       setAppState('setup');
+    };
+    newSocket.on('chat-ended', handleChatEnded);
+
+    // ============================================
+    // SOCKET EVENT: SESSION EXPIRED
+    // ============================================
+    // We came back too late - the room was closed while we were away
+    newSocket.on('session-expired', (data) => {
+      handleChatEnded({ roomId: data.roomId, reason: 'Session expired' });
+    });
+
+    // ============================================
+    // SOCKET EVENT: PROOF-OF-WORK CHALLENGE
+    // ============================================
+    // Start solving straight away so joining doesn't have to wait
+    newSocket.on('pow-challenge', (data) => {
+      powRef.current?.cancel();
+      powRef.current = solveChallenge(data);
+    });
+
+    // ============================================
+    // SOCKET EVENT: PROOF OF WORK REJECTED
+    // ============================================
+    // The server refused our proof (e.g. it expired) and sent a new challenge
+    // just before this - resend the join with that one a couple of times
+    newSocket.on('pow-rejected', async (data) => {
+      const pending = pendingJoinRef.current;
+      if (!pending || pending.attempts >= MAX_POW_RETRIES) {
+        abandonJoin(data?.message || 'Could not verify this browser. Please try again.');
+        return;
+      }
+      
+      pending.attempts += 1;
+      let pow;
+      try {
+        pow = await getPowProof();
+      } catch (error) {
+        if (pendingJoinRef.current === pending) abandonJoin(error.message);
+        return;
+      }
+      if (pendingJoinRef.current === pending) {
+        newSocket.emit(pending.eventName, { ...pending.payload, pow });
+      }
+    });
+
+    // ============================================
+    // SOCKET EVENT: BANNED
+    // ============================================
+    // The server refused to queue us because this device or network is banned
+    newSocket.on('banned', (data) => {
+      console.warn('Banned:', data?.message);
+      setBanNotice(data);
+      setAppState('setup');
+    });
+
+    // ============================================
+    // SOCKET EVENT: KICKED
+    // ============================================
+    // A moderator disconnected us. socket.io won't reconnect after a
+    // server-side disconnect, so reconnect ourselves once it happens.
+    newSocket.on('kicked', (data) => {
+      pendingJoinRef.current = null;  // Drop any join in progress
+      sessionRef.current = null;      // The room is gone, nothing to resume
+      setKickNotice(data?.message || 'You were disconnected by a moderator');
+      setAppState('setup');
+      newSocket.once('disconnect', () => newSocket.connect());
+    });
+
+    // ============================================
+    // SOCKET EVENT: SYSTEM NOTICE
+    // ============================================
+    // Announcement from a moderator to everyone (e.g. planned maintenance)
+    newSocket.on('system-notice', (data) => {
+      setSystemNotice(data);
+    });
+
+    // ============================================
+    // SOCKET EVENT: RATE LIMITED
+    // ============================================
+    // We sent too fast - a warning first, mutes if we keep going
+    newSocket.on('rate-limited', (data) => {
+      setRateNotice({ message: data?.message });
+    });
+
+    // ============================================
+    // SOCKET EVENT: MUTED
+    // ============================================
+    // Sending is blocked for a while; count down from the remaining time
+    // rather than the server's clock
+    newSocket.on('muted', (data) => {
+      setRateNotice(null);
+      setMutedUntil(Date.now() + (data?.remainingMs || 0));
+    });
+
+    // ============================================
+    // SOCKET EVENT: SERVER-SIDE REJECTION
+    // ============================================
+    // Triggered when the server rejects an action (validation, moderation)
+    newSocket.on('error', (data) => {
+      // Log the rejection reason for debugging
+      console.warn('Server error:', data?.message);
+      
+      // A refused username, age or terms goes back to the form, shown
+      // under the field
+      if (['username', 'ageBracket', 'terms'].includes(data?.field)) {
+        pendingJoinRef.current = null;
+        setFormErrors({ [data.field]: data.message });
+        setAppState('setup');
+        setSearchTimer(60);
+        
+        // Our acceptance is out of date - untick the box
+        if (data.field === 'terms') {
+          setAcceptedTerms(null);
+          setTermsAccepted(false);
+        }
+        return;
+      }
+      
+      // Show the reason to the user (e.g. "Voice message too long")
+      if (data?.message) {
+        alert(data.message);
+      }
     });
 
     // ============================================
@@ -463,6 +1318,14 @@ export default function RandomChatApp() {
     newSocket.on('connect_error', (error) => {
       // Log the error for debugging
       console.error('Socket connection error:', error);
+      
+      // Refused by the per-network connection cap - socket.io doesn't retry
+      // refusals by itself, so try again after a pause
+      if (error?.data?.code === 'connection_limit') {
+        setConnectionLimitNotice(error.message);
+        clearTimeout(connectionRetryRef.current);
+        connectionRetryRef.current = setTimeout(() => newSocket.connect(), CONNECTION_LIMIT_RETRY_DELAY);
+      }
     });
 
     // ============================================
@@ -475,6 +1338,14 @@ export default function RandomChatApp() {
       
       // If disconnect was due to server or transport issue, it will auto-reconnect
       // If disconnect was intentional (io client disconnect), we don't need to do anything
+      
+      // Calls don't survive a disconnect, so hang up locally
+      teardownCall();
+      
+      // The server holds the room for a short grace period; we resume it on reconnect
+      if (sessionRef.current) {
+        setConnectionLost(true);
+      }
     });
 
     // ============================================
@@ -488,15 +1359,24 @@ export default function RandomChatApp() {
 
     // Store the socket instance in state for use in other functions
     setSocket(newSocket);
+    socketRef.current = newSocket;
 
     // ============================================
     // CLEANUP FUNCTION
     // ============================================
     // Runs when component unmounts to prevent memory leaks
     return () => {
-      // Disconnect from the socket server
+      // Release camera/microphone if a call is still open
+      teardownCall();
+      
+      // Disconnect from the socket server (and stop any pending retry)
+      clearTimeout(connectionRetryRef.current);
       newSocket.disconnect();
       
+      // Stop solving a challenge nobody will use
+      powRef.current?.cancel();
+      powRef.current = null;
+      
       // Clear any active search timer
       if (searchTimerRef.current) {
         clearInterval(searchTimerRef.current);
@@ -520,6 +1400,49 @@ export default function RandomChatApp() {
     }
   }, [messages]); // Run this effect when messages array changes
 
+  // ============================================
+  // CALL MEDIA EFFECTS
+  // ============================================
+  // Attach streams to the video/audio elements once they are rendered
+  useEffect(() => {
+    if (localVideoRef.current) {
+      localVideoRef.current.srcObject = localStream;
+    }
+  }, [localStream, callState]);
+
+  useEffect(() => {
+    if (remoteMediaRef.current) {
+      remoteMediaRef.current.srcObject = remoteStream;
+    }
+  }, [remoteStream, callState]);
+
+  // Hide call notices after a few seconds
+  useEffect(() => {
+    if (!callNotice) return;
+    const timeout = setTimeout(() => setCallNotice(null), 5000);
+    return () => clearTimeout(timeout);
+  }, [callNotice]);
+
+  // ============================================
+  // NEXT PARTNER KEYBOARD SHORTCUT
+  // ============================================
+  // Esc skips to the next partner while chatting
+  useEffect(() => {
+    if (appState !== 'chatting') return;
+
+    const handleKeyDown = (e) => {
+      // Ignore Esc while an incoming call prompt is waiting for an answer,
+      // and while the report dialog is open (Esc closes the dialog instead)
+      if (e.key === 'Escape' && callState !== 'incoming' && !reportTarget) {
+        e.preventDefault();
+        handleNextPartner();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [appState, socket, callState, reportTarget]);
+
   // ============================================
   // SEARCH TIMER EFFECT
   // ============================================
@@ -540,6 +1463,7 @@ export default function RandomChatApp() {
             
             // Leave the queue on the server
             socket?.emit('leave-queue');
+            pendingJoinRef.current = null;
             
             // Return to setup state
             setAppState('setup');
@@ -561,29 +1485,104 @@ export default function RandomChatApp() {
     };
   }, [appState, socket]); // Re-run when appState or socket changes
 
+  // ============================================
+  // MUTE COUNTDOWN EFFECT
+  // ============================================
+  // Ticks the composer countdown and lifts the mute when it runs out
+  useEffect(() => {
+    // Nothing to count while we can send
+    if (!mutedUntil) return;
+
+    const tick = () => {
+      const secondsLeft = Math.ceil((mutedUntil - Date.now()) / 1000);
+      
+      // Mute is over - unlock the composer
+      if (secondsLeft <= 0) {
+        setMutedUntil(null);
+        setMuteSecondsLeft(0);
+        return;
+      }
+      
+      setMuteSecondsLeft(secondsLeft);
+    };
+
+    // Show the starting value straight away, then update every second
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [mutedUntil]);
+
+  // ============================================
+  // RATE NOTICE EFFECT
+  // ============================================
+  // Hides the "slow down" warning after a few seconds
+  useEffect(() => {
+    if (!rateNotice) return;
+    const timeout = setTimeout(() => setRateNotice(null), RATE_NOTICE_DURATION);
+    return () => clearTimeout(timeout);
+  }, [rateNotice]);
+
   // ============================================
   // HANDLE START MATCH
   // ============================================
   // Function to initiate the matching process when user clicks "Start Matching"
-  const handleStartMatch = () => {
+  const handleStartMatch = async () => {
     // Validate that username is provided (not empty or just whitespace)
     if (!formData.username.trim()) {
-      alert('Please enter a username');
+      setFormErrors({ username: 'Please enter a username' });
       return; // Stop execution if validation fails
     }
 
+    // Validate that an age bracket is selected
+    if (!formData.ageBracket) {
+      setFormErrors({ ageBracket: 'Please select your age' });
+      return;
+    }
+
+    // The terms must be accepted (again, if they changed)
+    if (!termsAccepted || !policy) {
+      setFormErrors({ terms: 'Please accept the terms to continue' });
+      return;
+    }
+
     // Validate that at least one interest is selected
     if (formData.interests.length === 0) {
       alert('Please select at least one interest');
       return; // Stop execution if validation fails
     }
 
-    // Emit join-queue event to server with user data
-    // Server will find a match or add user to waiting queue
-    socket?.emit('join-queue', formData);
-    
+    // Remember which version we accepted, so we're only asked again when it changes
+    if (getAcceptedTerms()?.version !== policy.termsVersion) {
+      setAcceptedTerms({ version: policy.termsVersion, acceptedAt: Date.now() });
+    }
+    setTermsUpdated(false);
+
     // Transition to searching state to show loading UI
     setAppState('searching');
+    setKickNotice(null);
+    setFormErrors({});
+    
+    // Browser language lets the server prefer partners who speak the same language
+    const payload = { ...formData, language: navigator.language, termsVersion: policy.termsVersion };
+    const pending = { eventName: 'join-queue', payload, attempts: 0 };
+    pendingJoinRef.current = pending;
+    
+    // Attach the proof of work (normally solved already); the server
+    // refuses a stale one and we retry with a fresh challenge
+    let pow;
+    try {
+      pow = await getPowProof();
+    } catch (error) {
+      if (pendingJoinRef.current === pending) abandonJoin(error.message);
+      return;
+    }
+    
+    // Cancelled while we were solving
+    if (pendingJoinRef.current !== pending) return;
+    
+    // Emit join-queue event to server with user data
+    // Server will find a match or add user to waiting queue
+    socket?.emit('join-queue', { ...payload, pow });
   };
 
   // ============================================
@@ -594,6 +1593,9 @@ export default function RandomChatApp() {
     // Emit leave-queue event to remove from waiting list on server
     socket?.emit('leave-queue');
     
+    // Don't send (or resend) a join that's still waiting on its proof
+    pendingJoinRef.current = null;
+    
     // Return to setup state
     setAppState('setup');
     
@@ -608,31 +1610,255 @@ export default function RandomChatApp() {
   const handleSendMessage = () => {
     // Don't send empty messages (only whitespace or empty string)
     if (!inputMessage.trim()) return;
+    
+    // Wait until the session is resumed after a connection drop
+    if (connectionLost) return;
+    
+    // Keep the draft while muted - it can be sent when the countdown ends
+    if (mutedUntil) return;
+
+    // Save the new text of the message being edited instead of sending one
+    if (editingMessage) {
+      socket?.emit('edit-message', { messageId: editingMessage, content: inputMessage }, (response) => {
+        if (response?.error) alert(response.error);
+      });
+      setEditingMessage(null);
+      setInputMessage('');
+      socket?.emit('typing', false);
+      return;
+    }
 
     // Emit the message to the server
     socket?.emit('send-message', {
-      content: inputMessage, // The message text
-      type: 'text',          // Message type indicator
+      content: inputMessage,             // The message text
+      type: 'text',                      // Message type indicator
+      replyTo: replyingTo || undefined,  // The message this one answers, if any
     });
 
-    // Clear the input field after sending
+    // Clear the input field and the quoted message after sending
     setInputMessage('');
+    setReplyingTo(null);
     
     // Stop typing indicator since message is sent
     socket?.emit('typing', false);
   };
 
+  // ============================================
+  // HANDLE ALLOW MEDIA
+  // ============================================
+  // Agree to exchange photos, videos and voice messages in this chat;
+  // the server unlocks them once the partner agrees too
+  const handleAllowMedia = () => {
+    socket?.emit('allow-media');
+  };
+
+  // ============================================
+  // HANDLE REVEAL MEDIA
+  // ============================================
+  // Show one of the partner's media messages that was blurred
+  const handleRevealMedia = (messageId) => {
+    setRevealedMedia((prev) => new Set(prev).add(messageId));
+  };
+
+  // ============================================
+  // HANDLE REPLY TO MESSAGE
+  // ============================================
+  // Quote a message above the composer; the next text we send answers it
+  const handleReplyToMessage = (messageId) => {
+    // Replying drops an edit in progress
+    if (editingMessage) {
+      setEditingMessage(null);
+      setInputMessage('');
+    }
+    setReplyingTo(messageId);
+    messageInputRef.current?.focus();
+  };
+
+  // ============================================
+  // HANDLE EDIT MESSAGE
+  // ============================================
+  // Load one of our text messages into the composer; sending saves the new text
+  const handleStartEdit = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message.id);
+    setInputMessage(message.content);
+    messageInputRef.current?.focus();
+  };
+
+  // Leave edit mode without changing the message
+  const handleCancelEdit = () => {
+    setEditingMessage(null);
+    setInputMessage('');
+  };
+
+  // ============================================
+  // HANDLE DELETE MESSAGE
+  // ============================================
+  // Unsend one of our messages; both of us see a "message deleted" placeholder
+  const handleDeleteMessage = (messageId) => {
+    socket?.emit('delete-message', { messageId }, (response) => {
+      if (response?.error) alert(response.error);
+    });
+  };
+
+  // ============================================
+  // HANDLE SCROLL TO MESSAGE
+  // ============================================
+  // Jump to the message a reply quotes
+  const handleScrollToMessage = (messageId) => {
+    document.getElementById(`message-${messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  // ============================================
+  // HANDLE REACT TO MESSAGE
+  // ============================================
+  // Add a reaction to a message, or take it back if we already added it;
+  // the server sends the new totals to both of us
+  const handleReactMessage = (messageId, emoji) => {
+    socket?.emit('react-message', { messageId, emoji }, (response) => {
+      if (response?.error) console.warn('Reaction failed:', response.error);
+    });
+  };
+
+  // ============================================
+  // HANDLE START CALL
+  // ============================================
+  // Function to ring the partner for a voice or video call
+  const handleStartCall = async (type) => {
+    // Ignore if a call is already ringing or running
+    if (callState !== 'idle') return;
+
+    // Refresh TURN credentials while the partner is ringing
+    socket?.emit('get-ice-servers');
+
+    // Ask for camera/microphone before ringing so a denial fails fast
+    setCallType(type);
+    setCallNotice(null);
+    const stream = await acquireLocalMedia(type);
+    if (!stream) {
+      teardownCall(
+        type === 'video'
+          ? 'Camera or microphone access was denied. Allow it in your browser settings to call.'
+          : 'Microphone access was denied. Allow it in your browser settings to call.'
+      );
+      return;
+    }
+
+    // Ring the partner
+    socket?.emit('call-request', { type });
+    setCallState('outgoing');
+  };
+
+  // ============================================
+  // HANDLE ACCEPT CALL
+  // ============================================
+  // Function to answer an incoming call
+  const handleAcceptCall = async () => {
+    // Refresh TURN credentials while the camera/microphone prompt is open
+    socket?.emit('get-ice-servers');
+
+    const stream = await acquireLocalMedia(callType);
+    if (!stream) {
+      // Tell the caller why the call is not happening
+      socket?.emit('call-decline', { reason: 'media-unavailable' });
+      teardownCall('Camera or microphone access was denied, so the call could not be answered.');
+      return;
+    }
+
+    // Create the answering peer first so the caller's offer has somewhere to go
+    createPeer(false, stream);
+    socket?.emit('call-accept');
+    setCallState('connecting');
+  };
+
+  // ============================================
+  // HANDLE DECLINE CALL
+  // ============================================
+  // Function to reject an incoming call
+  const handleDeclineCall = () => {
+    socket?.emit('call-decline');
+    teardownCall();
+  };
+
+  // ============================================
+  // HANDLE HANG UP
+  // ============================================
+  // Function to end an outgoing or active call
+  const handleHangUp = () => {
+    socket?.emit('call-end');
+    teardownCall();
+  };
+
+  // ============================================
+  // HANDLE MUTE / CAMERA TOGGLES
+  // ============================================
+  // Disable tracks instead of stopping them so they can be turned back on
+  const handleToggleMute = () => {
+    const nextMuted = !isMuted;
+    localStreamRef.current?.getAudioTracks().forEach((track) => {
+      track.enabled = !nextMuted;
+    });
+    setIsMuted(nextMuted);
+  };
+
+  const handleToggleCamera = () => {
+    const nextCameraOff = !isCameraOff;
+    localStreamRef.current?.getVideoTracks().forEach((track) => {
+      track.enabled = !nextCameraOff;
+    });
+    setIsCameraOff(nextCameraOff);
+  };
+
   // ============================================
   // HANDLE END CHAT
   // ============================================
   // Function to end the current chat session voluntarily
   const handleEndChat = () => {
-    // Emit end-chat event to notify server and partner
-    socket?.emit('end-chat');
+    leaveChat('end-chat');
+  };
+
+  // ============================================
+  // HANDLE NEXT PARTNER
+  // ============================================
+  // Function to leave this chat and immediately search again with the same
+  // profile; the server won't re-match us with this partner for a while
+  const handleNextPartner = async () => {
+    // Requeueing needs a proof of work too (normally solved already); if
+    // this browser can't solve one, stay in the chat
+    let pow;
+    try {
+      pow = await getPowProof();
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    pendingJoinRef.current = { eventName: 'next-partner', payload: {}, attempts: 0 };
+    leaveChat('next-partner', { pow });
+    
+    // Show the searching screen right away - the server replies with
+    // 'searching' or 'match-found'
+    setSearchTimer(60);
+    setAppState('searching');
+  };
+
+  // ============================================
+  // LEAVE CHAT HELPER
+  // ============================================
+  // Shared by End Chat and Next: tells the server, then resets local state
+  const leaveChat = (eventName, extra = {}) => {
+    // Hang up any ongoing call before leaving the room
+    teardownCall();
+    
+    // Emit the leave event to notify server and partner
+    // The room ID lets the server ignore a request for a room that already closed
+    socket?.emit(eventName, { ...extra, roomId: roomIdRef.current });
     
     // Reset all chat-related state locally
     setPartner(null);        // Clear partner info
     setRoomId(null);         // Clear room ID
+    roomIdRef.current = null;
+    sessionRef.current = null;
+    setPartnerReconnecting(false);
     setMessages([]);         // Clear messages
     setCommonInterests([]);  // Clear common interests
     
@@ -640,6 +1866,103 @@ export default function RandomChatApp() {
     setAppState('setup');
   };
 
+  // ============================================
+  // HANDLE REPORT PARTNER
+  // ============================================
+  // Open the report dialog for the current chat
+  const handleOpenReport = () => {
+    setReportTarget({ roomId: roomIdRef.current, username: partner?.username });
+    setReportReason('');
+    setReportNote('');
+    setReportStatus('idle');
+    setReportError(null);
+    setReportAlsoBlock(true);
+  };
+
+  // Ask the server to never match us with this partner again
+  // Resolves to an error message, or null on success
+  const blockPartner = async (targetRoomId) => {
+    try {
+      const response = await socket
+        .timeout(REPORT_ACK_TIMEOUT)
+        .emitWithAck('block-partner', { roomId: targetRoomId });
+      return response?.error || null;
+    } catch (error) {
+      // No acknowledgement in time
+      return 'Could not reach the server. Please try again.';
+    }
+  };
+
+  // Send the report; the server attaches the recent messages as evidence
+  const handleSubmitReport = async () => {
+    if (!socket || !reportTarget || !reportReason) return;
+
+    setReportStatus('sending');
+    setReportError(null);
+
+    try {
+      const response = await socket
+        .timeout(REPORT_ACK_TIMEOUT)
+        .emitWithAck('report-partner', {
+          roomId: reportTarget.roomId,
+          reason: reportReason,
+          note: reportNote.trim(),
+        });
+
+      if (response?.error) {
+        setReportError(response.error);
+        setReportStatus('idle');
+        return;
+      }
+
+      // Blocking is best-effort here - the report itself went through
+      if (reportAlsoBlock) {
+        await blockPartner(reportTarget.roomId);
+      }
+
+      setReportStatus('sent');
+
+      // Reporting also ends the chat, if it's still going
+      if (roomIdRef.current === reportTarget.roomId) {
+        leaveChat('end-chat');
+      }
+    } catch (error) {
+      // No acknowledgement in time
+      setReportError('Could not reach the server. Please try again.');
+      setReportStatus('idle');
+    }
+  };
+
+  // Close the dialog (not while a report is being sent)
+  const handleCloseReport = () => {
+    if (reportStatus === 'sending') return;
+    setReportTarget(null);
+  };
+
+  // ============================================
+  // HANDLE BLOCK PARTNER
+  // ============================================
+  // Block the current partner for good and leave the chat
+  const handleBlockPartner = async () => {
+    const targetRoomId = roomIdRef.current;
+    if (!socket || !targetRoomId) return;
+
+    if (!window.confirm(`Block ${partner?.username || 'this person'}? You won't be matched with them again.`)) {
+      return;
+    }
+
+    const error = await blockPartner(targetRoomId);
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    // Leave unless the chat already ended while we were waiting
+    if (roomIdRef.current === targetRoomId) {
+      leaveChat('end-chat');
+    }
+  };
+
   // ============================================
   // HANDLE TYPING INDICATOR
   // ============================================
@@ -671,14 +1994,77 @@ export default function RandomChatApp() {
     });
   };
 
+  // ============================================
+  // MEDIA UPLOAD HELPER
+  // ============================================
+  // Sends a file to the server as binary chunks, one acknowledged chunk at a
+  // time, so the progress bar reflects what the server has actually received.
+  // The server announces the message to the room once the upload completes.
+  const uploadMedia = async (blob, { type, duration }) => {
+    // Announce the upload - the server validates type and size up front
+    const started = await socket
+      .timeout(UPLOAD_ACK_TIMEOUT)
+      .emitWithAck('media-upload-start', { type, mimeType: blob.type, size: blob.size, duration });
+    if (started.error) {
+      // Rate limit refusals are already shown by the 'rate-limited' / 'muted' events
+      throw Object.assign(new Error(started.error), { rateLimited: Boolean(started.rateLimited) });
+    }
+    
+    const { mediaId, chunkSize } = started;
+    
+    try {
+      // Send the file piece by piece as raw binary (no base64)
+      let offset = 0;
+      while (offset < blob.size) {
+        const chunk = await blob.slice(offset, offset + chunkSize).arrayBuffer();
+        const reply = await socket
+          .timeout(UPLOAD_ACK_TIMEOUT)
+          .emitWithAck('media-upload-chunk', { mediaId, chunk });
+        if (reply.error) throw new Error(reply.error);
+        
+        // Progress is what the server has stored so far
+        offset = reply.received;
+        setUploadProgress(Math.round((offset / blob.size) * 100));
+      }
+      
+      // Ask the server to deliver the message to the room
+      const completed = await socket
+        .timeout(UPLOAD_ACK_TIMEOUT)
+        .emitWithAck('media-upload-complete', { mediaId });
+      if (completed.error) throw new Error(completed.error);
+    } catch (error) {
+      // Let the server discard the partial upload
+      socket.emit('media-upload-cancel', { mediaId });
+      throw error;
+    }
+  };
+
+  // ============================================
+  // RESET UPLOAD STATE
+  // ============================================
+  // Hides the upload indicator (after a short delay on success so the user
+  // sees it reach 100%)
+  const finishUpload = (delay = 0) => {
+    setTimeout(() => {
+      setIsUploading(false);
+      setUploadProgress(0);
+      setUploadingFileType(null);
+    }, delay);
+  };
+
   // ============================================
   // HANDLE IMAGE UPLOAD
   // ============================================
   // Function to handle image file selection and send to chat
-  const handleImageUpload = (e) => {
+  const handleImageUpload = async (e) => {
     // Get the selected file from the input
     const file = e.target.files?.[0];
     
+    // Clear the file input for future uploads
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+    
     // Return early if no file was selected
     if (!file) return;
 
@@ -693,72 +2079,23 @@ export default function RandomChatApp() {
     // ============================================
     // Set uploading state FIRST to show loading indicator right away
     setIsUploading(true);
-    setUploadProgress(10); // Start at 10% to show something is happening
+    setUploadProgress(0);
     setUploadingFileType('image'); // Set the file type being uploaded
 
-    // Create a FileReader to convert file to base64 string
-    const reader = new FileReader();
-    
-    // Event handler for tracking upload progress
-    reader.onprogress = (event) => {
-      if (event.lengthComputable) {
-        // Calculate progress - scale from 10% to 90% during read
-        const progress = 10 + Math.round((event.loaded / event.total) * 80);
-        setUploadProgress(progress);
-      }
-    };
-    
-    // Event handler when file reading completes
-    reader.onload = () => {
-      // Set progress to 90% - sending to server
-      setUploadProgress(90);
+    try {
+      // Upload the raw file in chunks
+      await uploadMedia(file, { type: 'image' });
       
-      try {
-        // Send the image as a base64-encoded data URL
-        socket?.emit('send-message', {
-          content: reader.result, // Base64 string of image
-          type: 'image',          // Message type indicator
-        });
-        
-        // Set to 100% after sending
-        setUploadProgress(100);
-        
-        // Log success for debugging
-        console.log('Image sent successfully');
-        
-        // Small delay before hiding the upload indicator
-        // This gives visual feedback that upload completed
-        setTimeout(() => {
-          setIsUploading(false);
-          setUploadProgress(0);
-          setUploadingFileType(null);
-        }, 300);
-      } catch (error) {
-        // Log any errors that occur
-        console.error('Error sending image:', error);
-        alert('Failed to send image. Please try again.');
-        // Reset uploading state
-        setIsUploading(false);
-        setUploadProgress(0);
-        setUploadingFileType(null); // Clear the file type
+      // Log success for debugging
+      console.log('Image sent successfully');
+      finishUpload(300);
+    } catch (error) {
+      // Show the server's reason if there is one (e.g. "Image too large")
+      console.error('Error sending image:', error);
+      if (!error.rateLimited) {
+        alert(error.message || 'Failed to send image. Please try again.');
       }
-    };
-    
-    // Event handler for read errors
-    reader.onerror = () => {
-      console.error('Error reading file:', reader.error);
-      alert('Failed to read image file. Please try again.');
-      setIsUploading(false);
-      setUploadProgress(0);
-      setUploadingFileType(null); // Clear the file type
-    };
-    
-    // Start reading the file as a data URL (base64)
-    reader.readAsDataURL(file);
-    
-    // Clear the file input for future uploads
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
+      finishUpload();
     }
   };
 
@@ -770,6 +2107,11 @@ export default function RandomChatApp() {
     // Get the selected file from the input
     const file = e.target.files?.[0];
     
+    // Clear the file input for future uploads
+    if (videoInputRef.current) {
+      videoInputRef.current.value = '';
+    }
+    
     // Return early if no file was selected
     if (!file) return;
 
@@ -784,7 +2126,7 @@ export default function RandomChatApp() {
     // ============================================
     // Set uploading state FIRST to show loading indicator right away
     setIsUploading(true);
-    setUploadProgress(5); // Start at 5% - checking video duration
+    setUploadProgress(0);
     setUploadingFileType('video'); // Set the file type being uploaded
 
     // Create a temporary video element to check duration
@@ -792,97 +2134,42 @@ export default function RandomChatApp() {
     video.preload = 'metadata'; // Only load metadata, not full video
     
     // Event handler when video metadata is loaded
-    video.onloadedmetadata = () => {
+    video.onloadedmetadata = async () => {
       // Release the object URL to free memory
       URL.revokeObjectURL(video.src);
       
-      // Set progress to 10% - duration check passed
-      setUploadProgress(10);
-      
       // Check if video duration exceeds 1 minute (60 seconds)
       if (video.duration > 60) {
         alert('Video must be 1 minute or less');
-        setIsUploading(false);
-        setUploadProgress(0);
-        setUploadingFileType(null);
+        finishUpload();
         return;
       }
       
-      // Create a FileReader to convert file to base64 string
-      const reader = new FileReader();
-      
-      // Event handler for tracking upload progress
-      reader.onprogress = (event) => {
-        if (event.lengthComputable) {
-          // Calculate progress - scale from 10% to 90% during read
-          const progress = 10 + Math.round((event.loaded / event.total) * 80);
-          setUploadProgress(progress);
-        }
-      };
-      
-      // Event handler when file reading completes
-      reader.onload = () => {
-        // Set progress to 90% - sending to server
-        setUploadProgress(90);
+      try {
+        // Upload the raw file in chunks (the server requires the length)
+        await uploadMedia(file, { type: 'video', duration: video.duration });
         
-        try {
-          // Send the video as a base64-encoded data URL
-          socket?.emit('send-message', {
-            content: reader.result, // Base64 string of video
-            type: 'video',          // Message type indicator
-          });
-          
-          // Set to 100% after sending
-          setUploadProgress(100);
-          
-          // Log success for debugging
-          console.log('Video sent successfully');
-          
-          // Small delay before hiding the upload indicator
-          setTimeout(() => {
-            setIsUploading(false);
-            setUploadProgress(0);
-            setUploadingFileType(null);
-          }, 300);
-        } catch (error) {
-          // Log any errors that occur
-          console.error('Error sending video:', error);
-          alert('Failed to send video. Please try again.');
-          // Reset uploading state
-          setIsUploading(false);
-          setUploadProgress(0);
-          setUploadingFileType(null); // Clear the file type
+        // Log success for debugging
+        console.log('Video sent successfully');
+        finishUpload(300);
+      } catch (error) {
+        // Show the server's reason if there is one (e.g. "Video too large")
+        console.error('Error sending video:', error);
+        if (!error.rateLimited) {
+          alert(error.message || 'Failed to send video. Please try again.');
         }
-      };
-      
-      // Event handler for read errors
-      reader.onerror = () => {
-        console.error('Error reading file:', reader.error);
-        alert('Failed to read video file. Please try again.');
-        setIsUploading(false);
-        setUploadProgress(0);
-        setUploadingFileType(null); // Clear the file type
-      };
-      
-      // Start reading the file as a data URL (base64)
-      reader.readAsDataURL(file);
+        finishUpload();
+      }
     };
     
     // Event handler for metadata load errors
     video.onerror = () => {
       alert('Failed to load video. Please try a different file.');
-      setIsUploading(false);
-      setUploadProgress(0);
-      setUploadingFileType(null); // Clear the file type
+      finishUpload();
     };
     
     // Create a temporary object URL to load video metadata
     video.src = URL.createObjectURL(file);
-    
-    // Clear the file input for future uploads
-    if (videoInputRef.current) {
-      videoInputRef.current.value = '';
-    }
   };
 
   // ============================================
@@ -918,44 +2205,27 @@ export default function RandomChatApp() {
         // Create a blob from all audio chunks
         const audioBlob = new Blob(audioChunksRef.current, { type: 'audio/webm' });
         
-        // Convert blob to base64 and send
-        const reader = new FileReader();
-        
         // Set uploading state for audio
         setIsUploading(true);
-        setUploadProgress(50);
+        setUploadProgress(0);
         setUploadingFileType('audio');
         
-        reader.onload = () => {
-          // Send the audio message
-          socket?.emit('send-message', {
-            content: reader.result,
-            type: 'audio',
-            duration: recordingDuration // Include duration for display
+        // Upload the recording in chunks
+        uploadMedia(audioBlob, {
+          type: 'audio',
+          duration: recordingDurationRef.current // Include duration for display and server limits
+        })
+          .then(() => {
+            console.log('Voice message sent successfully');
+            finishUpload(300);
+          })
+          .catch((error) => {
+            console.error('Error sending voice message:', error);
+            if (!error.rateLimited) {
+              alert(error.message || 'Failed to send voice message');
+            }
+            finishUpload();
           });
-          
-          setUploadProgress(100);
-          
-          // Reset after small delay
-          setTimeout(() => {
-            setIsUploading(false);
-            setUploadProgress(0);
-            setUploadingFileType(null);
-          }, 300);
-          
-          console.log('Voice message sent successfully');
-        };
-        
-        reader.onerror = () => {
-          console.error('Error converting audio');
-          alert('Failed to send voice message');
-          setIsUploading(false);
-          setUploadProgress(0);
-          setUploadingFileType(null);
-        };
-        
-        // Read the audio blob as base64
-        reader.readAsDataURL(audioBlob);
         
         // Stop all audio tracks to release microphone
         stream.getTracks().forEach(track => track.stop());
@@ -965,15 +2235,18 @@ export default function RandomChatApp() {
       mediaRecorder.start();
       setIsRecording(true);
       setRecordingDuration(0);
+      recordingDurationRef.current = 0;
       
       // Start the recording timer
       recordingTimerRef.current = setInterval(() => {
         setRecordingDuration(prev => {
           // Auto-stop at max duration (20 seconds)
           if (prev >= MAX_RECORDING_DURATION - 1) {
+            recordingDurationRef.current = MAX_RECORDING_DURATION;
             handleStopRecording();
             return MAX_RECORDING_DURATION;
           }
+          recordingDurationRef.current = prev + 1;
           return prev + 1;
         });
       }, 1000);
@@ -1020,6 +2293,30 @@ export default function RandomChatApp() {
     });
   };
 
+  // Whether the last ban notice still applies
+  const banActive = Boolean(banNotice) && (!banNotice.expiresAt || banNotice.expiresAt > Date.now());
+
+  // Whether sending is blocked by a rate limit mute
+  const sendingMuted = mutedUntil !== null;
+
+  // Whether our age bracket may send images, videos and voice messages
+  const mediaAllowed = Boolean(policy?.brackets.find((bracket) => bracket.id === formData.ageBracket)?.allowMedia);
+
+  // Whether both of us agreed to media in this chat (or chatted long enough)
+  const mediaUnlocked = Boolean(mediaPermission?.unlocked);
+
+  // Messages by ID, for the quotes in replies
+  const messagesById = new Map(messages.map((message) => [message.id, message]));
+
+  // Who sent a message, as shown on quotes
+  const getMessageAuthor = (message) => (message?.senderId === mySocketId ? 'You' : partner?.username || 'Partner');
+
+  // Whether a message is the partner's media that we haven't tapped to reveal yet
+  const isMediaHidden = (message) => Boolean(message)
+    && message.senderId !== mySocketId
+    && message.type !== 'text'
+    && !revealedMedia.has(message.id);
+
   // ============================================
   // RENDER SETUP SCREEN
   // ============================================
@@ -1075,11 +2372,66 @@ export default function RandomChatApp() {
                 id="username"
                 placeholder="Enter a cool username..."
                 value={formData.username}
-                onChange={(e) => setFormData({ ...formData, username: e.target.value })}
-                className="pl-10 h-12 border-gray-200 focus:border-purple-500 focus:ring-purple-500"
+                onChange={(e) => {
+                  setFormData({ ...formData, username: e.target.value });
+                  // Editing the name clears the last refusal
+                  setFormErrors({ ...formErrors, username: null });
+                }}
+                className={`pl-10 h-12 focus:border-purple-500 focus:ring-purple-500 ${formErrors.username ? 'border-red-400' : 'border-gray-200'}`}
                 maxLength={20} // Limit username to 20 characters
+                aria-invalid={Boolean(formErrors.username)}
+                aria-describedby={formErrors.username ? 'username-error' : undefined}
               />
             </div>
+            {/* Why the name was refused (checked by the server) */}
+            {formErrors.username && (
+              <p id="username-error" className="text-sm text-red-600">
+                {formErrors.username}
+              </p>
+            )}
+          </div>
+
+          {/* ============================================ */}
+          {/* AGE BRACKET SECTION */}
+          {/* ============================================ */}
+          {/* Brackets come from the server; minors are only matched with minors */}
+          <div className="space-y-3">
+            {/* Label for age selection */}
+            <Label className="text-sm font-medium text-gray-700">Your age</Label>
+            {policy ? (
+              // One button per bracket
+              <RadioGroup
+                value={formData.ageBracket}
+                onValueChange={(value) => {
+                  setFormData({ ...formData, ageBracket: value });
+                  setFormErrors({ ...formErrors, ageBracket: null });
+                }}
+                className="flex flex-wrap gap-2"
+                aria-invalid={Boolean(formErrors.ageBracket)}
+              >
+                {policy.brackets.map((bracket) => (
+                  <div key={bracket.id}>
+                    <RadioGroupItem value={bracket.id} id={`age-${bracket.id}`} className="peer sr-only" />
+                    <Label
+                      htmlFor={`age-${bracket.id}`}
+                      className="flex items-center justify-center px-4 py-2 border-2 rounded-xl cursor-pointer transition-all peer-data-[state=checked]:border-purple-500 peer-data-[state=checked]:bg-purple-50 hover:border-purple-300"
+                    >
+                      {bracket.label}
+                    </Label>
+                  </div>
+                ))}
+              </RadioGroup>
+            ) : (
+              // Not connected yet
+              <p className="flex items-center gap-2 text-sm text-gray-500">
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Loading…
+              </p>
+            )}
+            {/* Nothing selected, or refused by the server */}
+            {formErrors.ageBracket && (
+              <p className="text-sm text-red-600">{formErrors.ageBracket}</p>
+            )}
           </div>
 
           {/* ============================================ */}
@@ -1209,11 +2561,94 @@ export default function RandomChatApp() {
             </div>
           </div>
 
+          {/* ============================================ */}
+          {/* TERMS ACCEPTANCE SECTION */}
+          {/* ============================================ */}
+          <div className={`space-y-3 p-4 rounded-xl border ${formErrors.terms ? 'border-red-300 bg-red-50' : 'border-gray-200 bg-gray-50'}`}>
+            {/* Shown when we accepted an older version */}
+            {termsUpdated && (
+              <p className="text-sm font-semibold text-amber-700">
+                Our terms have been updated. Please review and accept them again.
+              </p>
+            )}
+            {/* What we're agreeing to */}
+            <ul className="list-disc pl-5 space-y-1 text-sm text-gray-600">
+              {TERMS_SUMMARY.map((term) => (
+                <li key={term}>{term}</li>
+              ))}
+            </ul>
+            {/* Acceptance checkbox */}
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="accept-terms"
+                checked={termsAccepted}
+                onCheckedChange={(checked) => {
+                  setTermsAccepted(checked === true);
+                  setFormErrors({ ...formErrors, terms: null });
+                }}
+                className="data-[state=checked]:bg-purple-500 data-[state=checked]:border-purple-500"
+              />
+              <Label htmlFor="accept-terms" className="font-normal cursor-pointer">
+                I agree to the terms{policy ? ` (version ${policy.termsVersion})` : ''}
+              </Label>
+            </div>
+            {/* Not accepted, or the server wants the new version accepted */}
+            {formErrors.terms && (
+              <p className="text-sm text-red-600">{formErrors.terms}</p>
+            )}
+          </div>
+
+          {/* ============================================ */}
+          {/* BAN NOTICE */}
+          {/* ============================================ */}
+          {/* Shown after the server refused to queue us; matching stays off until it expires */}
+          {banActive && (
+            <div className="flex items-start gap-3 p-4 rounded-xl border border-red-200 bg-red-50 text-red-800 text-sm">
+              <Ban className="w-5 h-5 mt-0.5 shrink-0" />
+              <div>
+                <p className="font-semibold">
+                  {banNotice.expiresAt
+                    ? `You can't start new chats until ${new Date(banNotice.expiresAt).toLocaleString()}`
+                    : "You can't start new chats"}
+                </p>
+                <p className="mt-1">
+                  Reason: {BAN_REASON_LABELS[banNotice.reason] || BAN_REASON_LABELS.other}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {/* ============================================ */}
+          {/* CONNECTION LIMIT NOTICE */}
+          {/* ============================================ */}
+          {/* Shown while the server refuses us for too many connections from our network */}
+          {connectionLimitNotice && (
+            <div className="flex items-start gap-3 p-4 rounded-xl border border-amber-200 bg-amber-50 text-amber-800 text-sm">
+              <Loader2 className="w-5 h-5 mt-0.5 shrink-0 animate-spin" />
+              <div>
+                <p className="font-semibold">{connectionLimitNotice}</p>
+                <p className="mt-1">We&apos;ll keep trying to connect.</p>
+              </div>
+            </div>
+          )}
+
+          {/* ============================================ */}
+          {/* KICK NOTICE */}
+          {/* ============================================ */}
+          {/* Shown after a moderator disconnected us; starting again is allowed */}
+          {kickNotice && (
+            <div className="flex items-start gap-3 p-4 rounded-xl border border-amber-200 bg-amber-50 text-amber-800 text-sm">
+              <UserX className="w-5 h-5 mt-0.5 shrink-0" />
+              <p className="font-semibold">{kickNotice}</p>
+            </div>
+          )}
+
           {/* ============================================ */}
           {/* START MATCHING BUTTON */}
           {/* ============================================ */}
           <Button
             onClick={handleStartMatch}
+            disabled={banActive || Boolean(connectionLimitNotice)}
             className="w-full h-12 bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700 text-white font-semibold text-lg shadow-lg shadow-purple-500/30 transition-all duration-300"
           >
             {/* Sparkle icon before text */}
@@ -1362,15 +2797,79 @@ export default function RandomChatApp() {
               </div>
             </div>
 
-            {/* End chat button */}
-            <Button
-              onClick={handleEndChat}
-              variant="ghost"
-              className="text-white hover:bg-white/20 hover:text-white"
-            >
-              <X className="w-5 h-5 mr-1" />
-              End Chat
-            </Button>
+            <div className="flex items-center gap-1">
+              {/* Call buttons - hidden for age groups that can't send media */}
+              {mediaAllowed && (
+                <>
+                  {/* Voice call button - only when no call is in progress and media is on */}
+                  <Button
+                    onClick={() => handleStartCall('voice')}
+                    variant="ghost"
+                    size="icon"
+                    disabled={callState !== 'idle' || !mediaUnlocked}
+                    className="text-white hover:bg-white/20 hover:text-white disabled:opacity-50"
+                    title={mediaUnlocked ? 'Voice call' : 'Calls are off until you both allow media'}
+                  >
+                    <Phone className="w-5 h-5" />
+                  </Button>
+
+                  {/* Video call button - only when no call is in progress and media is on */}
+                  <Button
+                    onClick={() => handleStartCall('video')}
+                    variant="ghost"
+                    size="icon"
+                    disabled={callState !== 'idle' || !mediaUnlocked}
+                    className="text-white hover:bg-white/20 hover:text-white disabled:opacity-50"
+                    title={mediaUnlocked ? 'Video call' : 'Calls are off until you both allow media'}
+                  >
+                    <Video className="w-5 h-5" />
+                  </Button>
+                </>
+              )}
+
+              {/* Report button - opens the report dialog */}
+              <Button
+                onClick={handleOpenReport}
+                variant="ghost"
+                size="icon"
+                className="text-white hover:bg-white/20 hover:text-white"
+                title="Report partner"
+              >
+                <Flag className="w-5 h-5" />
+              </Button>
+
+              {/* Block button - never match with this partner again */}
+              <Button
+                onClick={handleBlockPartner}
+                variant="ghost"
+                size="icon"
+                className="text-white hover:bg-white/20 hover:text-white"
+                title="Block partner"
+              >
+                <UserX className="w-5 h-5" />
+              </Button>
+
+              {/* Next button - skip this partner and search again (shortcut: Esc) */}
+              <Button
+                onClick={handleNextPartner}
+                variant="ghost"
+                className="text-white hover:bg-white/20 hover:text-white"
+                title="Next partner (Esc)"
+              >
+                <SkipForward className="w-5 h-5 mr-1" />
+                Next
+              </Button>
+
+              {/* End chat button */}
+              <Button
+                onClick={handleEndChat}
+                variant="ghost"
+                className="text-white hover:bg-white/20 hover:text-white"
+              >
+                <X className="w-5 h-5 mr-1" />
+                End Chat
+              </Button>
+            </div>
           </div>
 
           {/* Display common interests if any exist */}
@@ -1392,6 +2891,137 @@ export default function RandomChatApp() {
           )}
         </div>
 
+        {/* ============================================ */}
+        {/* INCOMING CALL BANNER */}
+        {/* ============================================ */}
+        {callState === 'incoming' && (
+          <div className="flex items-center justify-between gap-3 px-4 py-3 bg-purple-50 border-b border-purple-100">
+            <div className="flex items-center gap-2 text-purple-700">
+              {callType === 'video' ? <Video className="w-5 h-5 animate-pulse" /> : <Phone className="w-5 h-5 animate-pulse" />}
+              <span className="text-sm font-medium">
+                {partner?.username || 'Your partner'} is starting a {callType} call
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              {/* Accept call */}
+              <Button
+                onClick={handleAcceptCall}
+                size="sm"
+                className="bg-green-500 hover:bg-green-600 text-white"
+              >
+                <Phone className="w-4 h-4 mr-1" />
+                Accept
+              </Button>
+              {/* Decline call */}
+              <Button
+                onClick={handleDeclineCall}
+                size="sm"
+                variant="outline"
+                className="border-red-200 text-red-600 hover:bg-red-50"
+              >
+                <PhoneOff className="w-4 h-4 mr-1" />
+                Decline
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* ============================================ */}
+        {/* CALL PANEL (OUTGOING / CONNECTING / ACTIVE) */}
+        {/* ============================================ */}
+        {['outgoing', 'connecting', 'active'].includes(callState) && (
+          <div className="relative bg-gray-900 text-white">
+            {/* Remote media - video fills the panel, voice plays through a hidden element */}
+            {callType === 'video' ? (
+              <video
+                ref={remoteMediaRef}
+                autoPlay
+                playsInline
+                className={`w-full h-56 object-cover bg-black ${callState === 'active' ? '' : 'hidden'}`}
+              />
+            ) : (
+              <audio ref={remoteMediaRef} autoPlay className="hidden" />
+            )}
+
+            {/* Status while ringing/connecting, or avatar for voice calls */}
+            {(callState !== 'active' || callType === 'voice') && (
+              <div className="h-40 flex flex-col items-center justify-center gap-2">
+                <Avatar className="h-14 w-14 border-2 border-white/30">
+                  <AvatarFallback className="bg-white/20 text-white font-bold">
+                    {partner?.username?.charAt(0).toUpperCase() || '?'}
+                  </AvatarFallback>
+                </Avatar>
+                <span className="text-sm text-white/80">
+                  {callState === 'outgoing' && 'Ringing...'}
+                  {callState === 'connecting' && 'Connecting...'}
+                  {callState === 'active' && 'Voice call in progress'}
+                </span>
+              </div>
+            )}
+
+            {/* Local camera preview (picture-in-picture) */}
+            {callType === 'video' && (
+              <video
+                ref={localVideoRef}
+                autoPlay
+                playsInline
+                muted // Never play our own audio back
+                className={`absolute top-3 right-3 w-28 h-20 object-cover rounded-lg border-2 border-white/30 bg-black ${isCameraOff ? 'opacity-30' : ''}`}
+              />
+            )}
+
+            {/* Call controls */}
+            <div className="absolute bottom-3 left-1/2 -translate-x-1/2 flex items-center gap-3">
+              {/* Mute toggle */}
+              <Button
+                onClick={handleToggleMute}
+                size="icon"
+                className={`rounded-full ${isMuted ? 'bg-white text-gray-900 hover:bg-white/90' : 'bg-white/20 hover:bg-white/30'}`}
+                title={isMuted ? 'Unmute' : 'Mute'}
+              >
+                {isMuted ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
+              </Button>
+
+              {/* Camera toggle - video calls only */}
+              {callType === 'video' && (
+                <Button
+                  onClick={handleToggleCamera}
+                  size="icon"
+                  className={`rounded-full ${isCameraOff ? 'bg-white text-gray-900 hover:bg-white/90' : 'bg-white/20 hover:bg-white/30'}`}
+                  title={isCameraOff ? 'Turn camera on' : 'Turn camera off'}
+                >
+                  {isCameraOff ? <VideoOff className="w-5 h-5" /> : <Video className="w-5 h-5" />}
+                </Button>
+              )}
+
+              {/* Hang up */}
+              <Button
+                onClick={handleHangUp}
+                size="icon"
+                className="rounded-full bg-red-500 hover:bg-red-600 text-white"
+                title="Hang up"
+              >
+                <PhoneOff className="w-5 h-5" />
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Connection status: our own drop or the partner's */}
+        {(connectionLost || partnerReconnecting) && (
+          <div className="px-4 py-2 bg-amber-50 border-b border-amber-100 text-amber-800 text-sm text-center flex items-center justify-center gap-2">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            {connectionLost ? 'Connection lost. Reconnecting…' : `${partner?.username || 'Partner'} is reconnecting…`}
+          </div>
+        )}
+
+        {/* Call status notice (declined, ended, permission denied...) */}
+        {callNotice && (
+          <div className="px-4 py-2 bg-amber-50 border-b border-amber-100 text-amber-800 text-sm text-center">
+            {callNotice}
+          </div>
+        )}
+
         {/* ============================================ */}
         {/* MESSAGES AREA */}
         {/* ============================================ */}
@@ -1409,79 +3039,220 @@ export default function RandomChatApp() {
             {messages.map((message) => {
               // Determine if this message was sent by the current user
               const isOwnMessage = message.senderId === mySocketId;
+              
+              // The partner's media is blurred until we choose to see it
+              const mediaHidden = isMediaHidden(message);
+
+              // The message this one answers, if it's a reply
+              const quoted = message.replyTo && messagesById.get(message.replyTo);
+
+              // Our own messages can be edited (text) or deleted for a while after sending
+              const canModify = isOwnMessage && !message.deletedAt && Date.now() - message.timestamp < messageEditWindow;
+
+              // Reactions on this message, and the buttons shown next to it
+              const messageReactions = reactions[message.id] || [];
+              const messageActions = !message.deletedAt && (
+                <div className="flex items-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 has-[[data-state=open]]:opacity-100 transition-opacity">
+                  {canModify && message.type === 'text' && (
+                    <button
+                      type="button"
+                      onClick={() => handleStartEdit(message)}
+                      className="p-1.5 rounded-full text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                      aria-label="Edit message"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  )}
+                  {canModify && (
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteMessage(message.id)}
+                      className="p-1.5 rounded-full text-gray-400 hover:text-red-600 hover:bg-red-50"
+                      aria-label="Delete message"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleReplyToMessage(message.id)}
+                    className="p-1.5 rounded-full text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                    aria-label="Reply to message"
+                  >
+                    <Reply className="w-4 h-4" />
+                  </button>
+                  <Popover>
+                    <PopoverTrigger asChild>
+                      <button
+                        type="button"
+                        className="p-1.5 rounded-full text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+                        aria-label="React to message"
+                      >
+                        <SmilePlus className="w-4 h-4" />
+                      </button>
+                    </PopoverTrigger>
+                    <PopoverContent side="top" className="w-auto p-1 flex gap-0.5 rounded-full">
+                      {REACTIONS.map((emoji) => (
+                        <button
+                          key={emoji}
+                          type="button"
+                          onClick={() => handleReactMessage(message.id, emoji)}
+                          className={`w-9 h-9 rounded-full text-lg hover:bg-gray-100 ${
+                            messageReactions.some((r) => r.emoji === emoji && r.reacted) ? 'bg-purple-100' : ''
+                          }`}
+                          aria-label={`React with ${emoji}`}
+                        >
+                          {emoji}
+                        </button>
+                      ))}
+                    </PopoverContent>
+                  </Popover>
+                </div>
+              );
 
               return (
                 <div
                   key={message.id}
+                  id={`message-${message.id}`} // Scroll target for quotes
                   // Align own messages to right, partner messages to left
-                  className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'}`}
+                  className={`group flex items-center gap-1 ${isOwnMessage ? 'justify-end' : 'justify-start'}`}
                 >
-                  <div
-                    // Apply different styles for own vs partner messages
-                    className={`max-w-[75%] rounded-2xl px-4 py-2.5 ${
-                      isOwnMessage
-                        ? 'bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-br-md'
-                        : 'bg-gray-100 text-gray-800 rounded-bl-md'
-                    }`}
-                  >
-                    {/* Render text message */}
-                    {message.type === 'text' && (
-                      <p className="break-words">{message.content}</p>
-                    )}
-
-                    {/* Render image message with loading state */}
-                    {message.type === 'image' && (
-                      <div className="relative">
-                        <img
-                          src={message.content}
-                          alt="Shared image"
-                          className="max-w-full rounded-lg max-h-64 object-contain cursor-pointer"
-                          loading="lazy"
-                          onClick={() => window.open(message.content, '_blank')}
-                          onError={(e) => {
-                            // Handle broken images
-                            e.target.onerror = null;
-                            e.target.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="200" height="150"><rect fill="%23eee" width="200" height="150"/><text fill="%23999" x="50%" y="50%" text-anchor="middle" dy=".3em">Image failed</text></svg>';
-                          }}
-                        />
-                      </div>
-                    )}
+                  {/* Reply and reaction buttons sit on the inner side of the bubble */}
+                  {isOwnMessage && messageActions}
+
+                  <div className={`max-w-[75%] flex flex-col ${isOwnMessage ? 'items-end' : 'items-start'}`}>
+                    <div
+                      // Apply different styles for own vs partner messages
+                      className={`max-w-full rounded-2xl px-4 py-2.5 ${
+                        isOwnMessage
+                          ? 'bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-br-md'
+                          : 'bg-gray-100 text-gray-800 rounded-bl-md'
+                      }`}
+                    >
+                      {/* Quote of the message this one answers */}
+                      {message.replyTo && (
+                        <div className="mb-1.5">
+                          <QuotedMessage
+                            message={quoted}
+                            author={getMessageAuthor(quoted)}
+                            isOwnMessage={isOwnMessage}
+                            mediaHidden={isMediaHidden(quoted)}
+                            onClick={quoted ? () => handleScrollToMessage(quoted.id) : undefined}
+                          />
+                        </div>
+                      )}
+
+                      {/* Placeholder for a message its sender deleted */}
+                      {message.deletedAt && (
+                        <p className="italic opacity-70">Message deleted</p>
+                      )}
+
+                      {/* Render text message */}
+                      {message.type === 'text' && !message.deletedAt && (
+                        <p className="break-words">{message.content}</p>
+                      )}
+
+                      {/* Render media; the partner's stays blurred until tapped */}
+                      {message.type !== 'text' && !message.deletedAt && (
+                        <div className="relative">
+                          <div
+                            className={mediaHidden ? 'blur-2xl pointer-events-none select-none' : ''}
+                            aria-hidden={mediaHidden}
+                          >
+                            {/* Render image message with loading state */}
+                            {message.type === 'image' && (
+                              <div className="relative">
+                                <img
+                                  src={message.mediaUrl}
+                                  alt="Shared image"
+                                  className="max-w-full rounded-lg max-h-64 object-contain cursor-pointer"
+                                  loading="lazy"
+                                  onClick={() => window.open(message.mediaUrl, '_blank')}
+                                  onError={(e) => {
+                                    // Handle broken images
+                                    e.target.onerror = null;
+                                    e.target.src = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="200" height="150"><rect fill="%23eee" width="200" height="150"/><text fill="%23999" x="50%" y="50%" text-anchor="middle" dy=".3em">Image failed</text></svg>';
+                                  }}
+                                />
+                              </div>
+                            )}
+
+                            {/* Render video message with controls */}
+                            {message.type === 'video' && (
+                              <div className="relative">
+                                <video
+                                  src={message.mediaUrl}
+                                  controls // Show play/pause controls
+                                  className="max-w-full rounded-lg max-h-64"
+                                  preload="metadata"
+                                  onError={(e) => {
+                                    // Log video load errors
+                                    console.error('Video failed to load');
+                                  }}
+                                >
+                                  Your browser does not support the video tag.
+                                </video>
+                              </div>
+                            )}
+
+                            {/* Render audio/voice message with custom player */}
+                            {message.type === 'audio' && (
+                              <AudioPlayer 
+                                src={message.mediaUrl} 
+                                isOwnMessage={isOwnMessage} 
+                              />
+                            )}
+                          </div>
+
+                          {/* Tap-to-reveal cover over unseen media */}
+                          {mediaHidden && (
+                            <button
+                              type="button"
+                              onClick={() => handleRevealMedia(message.id)}
+                              className="absolute inset-0 flex flex-col items-center justify-center gap-1 rounded-lg bg-black/30 text-white text-sm font-medium"
+                            >
+                              <EyeOff className="w-6 h-6" />
+                              {message.type === 'audio' ? 'Tap to show voice message' : `Tap to view ${message.type}`}
+                            </button>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Message timestamp */}
+                      <p
+                        className={`text-xs mt-1 ${
+                          isOwnMessage ? 'text-white/70' : 'text-gray-500'
+                        }`}
+                      >
+                        {formatTime(message.timestamp)}
+                        {message.editedAt && !message.deletedAt && ' · edited'}
+                      </p>
+                    </div>
 
-                    {/* Render video message with controls */}
-                    {message.type === 'video' && (
-                      <div className="relative">
-                        <video
-                          src={message.content}
-                          controls // Show play/pause controls
-                          className="max-w-full rounded-lg max-h-64"
-                          preload="metadata"
-                          onError={(e) => {
-                            // Log video load errors
-                            console.error('Video failed to load');
-                          }}
-                        >
-                          Your browser does not support the video tag.
-                        </video>
+                    {/* Reaction chips; tap one to add or take back that reaction */}
+                    {messageReactions.length > 0 && !message.deletedAt && (
+                      <div className="flex flex-wrap gap-1 -mt-2 px-2">
+                        {messageReactions.map(({ emoji, count, reacted }) => (
+                          <button
+                            key={emoji}
+                            type="button"
+                            onClick={() => handleReactMessage(message.id, emoji)}
+                            className={`flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs shadow-sm ${
+                              reacted
+                                ? 'bg-purple-100 border-purple-300 text-purple-700'
+                                : 'bg-white border-gray-200 text-gray-600'
+                            }`}
+                            aria-label={`${emoji} ${count}${reacted ? ', including you' : ''}`}
+                          >
+                            <span>{emoji}</span>
+                            <span>{count}</span>
+                          </button>
+                        ))}
                       </div>
                     )}
-
-                    {/* Render audio/voice message with custom player */}
-                    {message.type === 'audio' && (
-                      <AudioPlayer 
-                        src={message.content} 
-                        isOwnMessage={isOwnMessage} 
-                      />
-                    )}
-
-                    {/* Message timestamp */}
-                    <p
-                      className={`text-xs mt-1 ${
-                        isOwnMessage ? 'text-white/70' : 'text-gray-500'
-                      }`}
-                    >
-                      {formatTime(message.timestamp)}
-                    </p>
                   </div>
+
+                  {!isOwnMessage && messageActions}
                 </div>
               );
             })}
@@ -1578,6 +3349,85 @@ export default function RandomChatApp() {
         {/* MESSAGE INPUT AREA */}
         {/* ============================================ */}
         <div className="p-4 border-t bg-gray-50">
+          {/* Mute countdown, or a warning before the first mute */}
+          {sendingMuted ? (
+            <div className="flex items-center gap-2 mb-3 px-3 py-2 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+              <Timer className="w-4 h-4 shrink-0" />
+              <span>
+                You&apos;re sending messages too fast. You can send again in <span className="font-bold">{muteSecondsLeft}s</span>.
+              </span>
+            </div>
+          ) : rateNotice && (
+            <div className="flex items-center gap-2 mb-3 px-3 py-2 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+              <Timer className="w-4 h-4 shrink-0" />
+              <span>{rateNotice.message}</span>
+            </div>
+          )}
+
+          {/* Media stays off until we both allow it (or have chatted for a while) */}
+          {mediaAllowed && mediaPermission && !mediaPermission.unlocked && (
+            <div className="flex items-center gap-2 mb-3 px-3 py-2 rounded-lg bg-purple-50 border border-purple-200 text-sm text-purple-800">
+              <ShieldCheck className="w-4 h-4 shrink-0" />
+              <span className="flex-1">
+                {mediaPermission.youAllowed
+                  ? `Waiting for ${partner?.username || 'your partner'} to allow photos, videos and voice messages`
+                  : mediaPermission.partnerAllowed
+                    ? `${partner?.username || 'Your partner'} wants to share photos, videos and voice messages`
+                    : 'Photos, videos and voice messages are off'}
+                {mediaPermission.textMessagesLeft !== null && (
+                  <span className="text-purple-600"> · on after {mediaPermission.textMessagesLeft} more message{mediaPermission.textMessagesLeft === 1 ? '' : 's'}</span>
+                )}
+              </span>
+              {/* Our half of the handshake */}
+              {!mediaPermission.youAllowed && (
+                <Button size="sm" variant="outline" onClick={handleAllowMedia} className="h-7 border-purple-300 text-purple-700 hover:bg-purple-100">
+                  Allow
+                </Button>
+              )}
+            </div>
+          )}
+
+          {/* The message being edited; sending saves the new text */}
+          {editingMessage && (
+            <div className="flex items-center gap-2 mb-3 px-3 py-2 rounded-lg bg-purple-50 border border-purple-200 text-sm text-purple-800">
+              <Pencil className="w-4 h-4 shrink-0" />
+              <span className="flex-1">Editing message</span>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={handleCancelEdit}
+                className="h-7 w-7 shrink-0 text-purple-700 hover:bg-purple-100"
+                title="Cancel edit"
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          )}
+
+          {/* The message our next text answers */}
+          {replyingTo && (
+            <div className="flex items-center gap-2 mb-3">
+              <div className="flex-1 min-w-0">
+                <QuotedMessage
+                  message={messagesById.get(replyingTo)}
+                  author={`Replying to ${getMessageAuthor(messagesById.get(replyingTo))}`}
+                  isOwnMessage={false}
+                  mediaHidden={isMediaHidden(messagesById.get(replyingTo))}
+                  onClick={() => handleScrollToMessage(replyingTo)}
+                />
+              </div>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => setReplyingTo(null)}
+                className="h-8 w-8 shrink-0 text-gray-500 hover:text-gray-700"
+                title="Cancel reply"
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          )}
+
           <div className="flex items-center gap-2">
             {/* Hidden file inputs for media uploads */}
             <input
@@ -1595,64 +3445,75 @@ export default function RandomChatApp() {
               className="hidden"
             />
 
-            {/* Image upload button - disabled during upload or recording */}
-            <Button
-              variant="ghost"
-              size="icon"
-              onClick={() => fileInputRef.current?.click()}
-              disabled={isUploading || isRecording}
-              className="text-gray-500 hover:text-purple-600 hover:bg-purple-50 disabled:opacity-50"
-              title="Send image"
-            >
-              <Image className="w-5 h-5" />
-            </Button>
-
-            {/* Video upload button - disabled during upload or recording */}
-            <Button
-              variant="ghost"
-              size="icon"
-              onClick={() => videoInputRef.current?.click()}
-              disabled={isUploading || isRecording}
-              className="text-gray-500 hover:text-purple-600 hover:bg-purple-50 disabled:opacity-50"
-              title="Send video (max 1 min)"
-            >
-              <Video className="w-5 h-5" />
-            </Button>
-
-            {/* Voice recording button - toggle between start/stop */}
-            <Button
-              variant="ghost"
-              size="icon"
-              onClick={isRecording ? handleStopRecording : handleStartRecording}
-              disabled={isUploading}
-              className={`${
-                isRecording 
-                  ? 'text-red-500 hover:text-red-600 hover:bg-red-50 animate-pulse' 
-                  : 'text-gray-500 hover:text-purple-600 hover:bg-purple-50'
-              } disabled:opacity-50`}
-              title={isRecording ? `Stop recording (${recordingDuration}s)` : 'Record voice (max 20s)'}
-            >
-              {isRecording ? (
-                <Square className="w-5 h-5 fill-current" />
-              ) : (
-                <Mic className="w-5 h-5" />
-              )}
-            </Button>
+            {/* Media buttons - hidden for age groups that can't send media */}
+            {mediaAllowed && (
+              <>
+                {/* Image upload button - disabled during upload or recording */}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => fileInputRef.current?.click()}
+                  disabled={isUploading || isRecording || connectionLost || sendingMuted || !mediaUnlocked}
+                  className="text-gray-500 hover:text-purple-600 hover:bg-purple-50 disabled:opacity-50"
+                  title="Send image"
+                >
+                  <Image className="w-5 h-5" />
+                </Button>
+
+                {/* Video upload button - disabled during upload or recording */}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => videoInputRef.current?.click()}
+                  disabled={isUploading || isRecording || connectionLost || sendingMuted || !mediaUnlocked}
+                  className="text-gray-500 hover:text-purple-600 hover:bg-purple-50 disabled:opacity-50"
+                  title="Send video (max 1 min)"
+                >
+                  <Video className="w-5 h-5" />
+                </Button>
+
+                {/* Voice recording button - toggle between start/stop */}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  onClick={isRecording ? handleStopRecording : handleStartRecording}
+                  disabled={isUploading || ((connectionLost || sendingMuted || !mediaUnlocked) && !isRecording)}
+                  className={`${
+                    isRecording 
+                      ? 'text-red-500 hover:text-red-600 hover:bg-red-50 animate-pulse' 
+                      : 'text-gray-500 hover:text-purple-600 hover:bg-purple-50'
+                  } disabled:opacity-50`}
+                  title={isRecording ? `Stop recording (${recordingDuration}s)` : 'Record voice (max 20s)'}
+                >
+                  {isRecording ? (
+                    <Square className="w-5 h-5 fill-current" />
+                  ) : (
+                    <Mic className="w-5 h-5" />
+                  )}
+                </Button>
+              </>
+            )}
 
             {/* Message text input field - disabled during upload or recording */}
             <Input
+              ref={messageInputRef}
               value={inputMessage}
               onChange={handleTyping}
               onKeyPress={(e) => e.key === 'Enter' && !isUploading && !isRecording && handleSendMessage()}
-              placeholder={isRecording ? `Recording... ${recordingDuration}s` : isUploading ? "Uploading file..." : "Type a message..."}
-              disabled={isUploading || isRecording}
+              placeholder={
+                sendingMuted ? `Muted for sending too fast - ${muteSecondsLeft}s`
+                  : isRecording ? `Recording... ${recordingDuration}s`
+                  : isUploading ? "Uploading file..."
+                  : "Type a message..."
+              }
+              disabled={isUploading || isRecording || sendingMuted}
               className="flex-1 h-11 border-gray-200 focus:border-purple-500 focus:ring-purple-500 disabled:opacity-50"
             />
 
-            {/* Send message button - disabled during upload/recording or when empty */}
+            {/* Send message button - disabled during upload/recording, while reconnecting, muted or when empty */}
             <Button
               onClick={handleSendMessage}
-              disabled={!inputMessage.trim() || isUploading || isRecording}
+              disabled={!inputMessage.trim() || isUploading || isRecording || connectionLost || sendingMuted}
               className="h-11 px-6 bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700 text-white disabled:opacity-50"
             >
               <Send className="w-5 h-5" />
@@ -1668,12 +3529,130 @@ export default function RandomChatApp() {
     </div>
   );
 
+  // ============================================
+  // RENDER REPORT DIALOG
+  // ============================================
+  // Rendered outside the screens so it stays open if the chat ends meanwhile
+  const renderReportDialog = () => (
+    <Dialog open={!!reportTarget} onOpenChange={(open) => !open && handleCloseReport()}>
+      <DialogContent className="sm:max-w-md">
+        {reportStatus === 'sent' ? (
+          // Confirmation after the server accepted the report
+          <>
+            <DialogHeader>
+              <DialogTitle className="flex items-center gap-2">
+                <CheckCircle2 className="w-5 h-5 text-green-600" />
+                Report sent
+              </DialogTitle>
+              <DialogDescription>
+                Thanks for letting us know. Our moderators will review the conversation.
+              </DialogDescription>
+            </DialogHeader>
+            <DialogFooter>
+              <Button onClick={handleCloseReport}>Done</Button>
+            </DialogFooter>
+          </>
+        ) : (
+          <>
+            <DialogHeader>
+              <DialogTitle>Report {reportTarget?.username || 'partner'}</DialogTitle>
+              <DialogDescription>
+                The last messages of this chat are sent with your report. Images,
+                videos and voice notes are not shared. Reporting ends the chat.
+              </DialogDescription>
+            </DialogHeader>
+
+            {/* Reason categories */}
+            <RadioGroup value={reportReason} onValueChange={setReportReason} className="gap-2">
+              {REPORT_REASONS.map((reason) => (
+                <div key={reason.id} className="flex items-center gap-2">
+                  <RadioGroupItem value={reason.id} id={`report-${reason.id}`} />
+                  <Label htmlFor={`report-${reason.id}`} className="font-normal cursor-pointer">
+                    {reason.label}
+                  </Label>
+                </div>
+              ))}
+            </RadioGroup>
+
+            {/* Optional note (required for "Something else") */}
+            <Textarea
+              value={reportNote}
+              onChange={(e) => setReportNote(e.target.value)}
+              maxLength={MAX_REPORT_NOTE_LENGTH}
+              placeholder={reportReason === 'other' ? 'Tell us what happened' : 'Add details (optional)'}
+              className="resize-none"
+              rows={3}
+            />
+
+            {/* Block as well, so they're never matched with us again */}
+            <div className="flex items-center gap-2">
+              <Checkbox
+                id="report-also-block"
+                checked={reportAlsoBlock}
+                onCheckedChange={(checked) => setReportAlsoBlock(checked === true)}
+              />
+              <Label htmlFor="report-also-block" className="font-normal cursor-pointer">
+                Also block {reportTarget?.username || 'this person'}
+              </Label>
+            </div>
+
+            {/* Server-side error (already reported, too late, ...) */}
+            {reportError && (
+              <p className="text-sm text-red-600">{reportError}</p>
+            )}
+
+            <DialogFooter>
+              <Button variant="outline" onClick={handleCloseReport} disabled={reportStatus === 'sending'}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleSubmitReport}
+                disabled={
+                  !reportReason ||
+                  (reportReason === 'other' && !reportNote.trim()) ||
+                  reportStatus === 'sending'
+                }
+                className="bg-red-600 hover:bg-red-700 text-white"
+              >
+                {reportStatus === 'sending' && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                Report
+              </Button>
+            </DialogFooter>
+          </>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+
   // ============================================
   // MAIN RENDER
   // ============================================
   // Return the appropriate screen based on current app state
   return (
     <>
+      {/* Moderator announcement, on top of whichever screen is showing */}
+      {systemNotice && (
+        <div
+          role="status"
+          className={`fixed top-0 inset-x-0 z-50 flex items-start gap-3 px-4 py-3 text-sm shadow-md ${
+            systemNotice.level === 'warning'
+              ? 'bg-amber-500 text-amber-950'
+              : 'bg-purple-600 text-white'
+          }`}
+        >
+          <Megaphone className="w-5 h-5 shrink-0" />
+          <p className="flex-1 whitespace-pre-wrap break-words">{systemNotice.message}</p>
+          <button
+            type="button"
+            onClick={() => setSystemNotice(null)}
+            className="shrink-0 opacity-80 hover:opacity-100"
+            aria-label="Dismiss notice"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      )}
+      
       {/* Render setup screen when user is entering their info */}
       {appState === 'setup' && renderSetupScreen()}
       
@@ -1682,6 +3661,9 @@ export default function RandomChatApp() {
       
       {/* Render chat screen when matched with a partner */}
       {appState === 'chatting' && renderChatScreen()}
+      
+      {/* Report dialog, on top of whichever screen is showing */}
+      {renderReportDialog()}
     </>
   );
 }
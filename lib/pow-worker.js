@@ -0,0 +1,48 @@
+// ============================================
+// PROOF OF WORK SOLVER (WEB WORKER)
+// ============================================
+// Receives { challenge, difficulty } and posts back { solution }: a nonce
+// such that SHA-256("<challenge>:<nonce>") starts with `difficulty` zero
+// bits (see server/proof-of-work.js), or { error } if it can't hash. Runs
+// off the main thread so the page stays responsive while it searches.
+
+// Hashes started at once - digest() is async, so batching keeps it busy
+const BATCH_SIZE = 256;
+
+const encoder = new TextEncoder();
+
+function hasLeadingZeroBits(bytes, bits) {
+  const fullBytes = Math.floor(bits / 8);
+  for (let i = 0; i < fullBytes; i++) {
+    if (bytes[i] !== 0) return false;
+  }
+
+  const remainingBits = bits % 8;
+  return remainingBits === 0 || bytes[fullBytes] >> (8 - remainingBits) === 0;
+}
+
+self.onmessage = async ({ data: { challenge, difficulty } }) => {
+  // crypto.subtle only exists on secure (HTTPS or localhost) pages
+  if (!self.crypto?.subtle) {
+    self.postMessage({ error: "This browser can't be verified over an insecure connection. Please use the HTTPS address." });
+    return;
+  }
+
+  try {
+    for (let start = 0; ; start += BATCH_SIZE) {
+      const digests = await Promise.all(
+        Array.from({ length: BATCH_SIZE }, (_, i) =>
+          crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${start + i}`))
+        )
+      );
+
+      const index = digests.findIndex((digest) => hasLeadingZeroBits(new Uint8Array(digest), difficulty));
+      if (index !== -1) {
+        self.postMessage({ solution: String(start + index) });
+        return;
+      }
+    }
+  } catch {
+    self.postMessage({ error: 'Could not verify this browser. Please try again.' });
+  }
+};
@@ -8,6 +8,31 @@ const { createServer } = require('http');
 const next = require('next');
 const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./server/store');
+const { DEFAULT_MATCH_WEIGHTS, selectMatch, loadScorer } = require('./server/matching');
+const {
+  MEDIA_ROUTE,
+  MEDIA_MIME_TYPES,
+  normalizeMimeType,
+  createMediaRequestHandler,
+} = require('./server/media');
+const { inspectMedia } = require('./server/media-sniff');
+const { isMongoConfigured, connectToMongo, closeMongo } = require('./server/db');
+const { validateReport, createReport } = require('./server/reports');
+const { BanCache, validateBan, createBan, toBanNotice, setBanEnforcer, setBanLifter } = require('./server/bans');
+const { CLIENT_IP_HEADER, parseIpRanges, subnetOf, resolveClientAddress } = require('./server/ip');
+const { createChallenge, verifySolution, chooseDifficulty } = require('./server/proof-of-work');
+const { ensureBootstrapAdmin, isAdminAuthConfigured, readSessionToken, resolveAdmin, hasRole } = require('./server/admin-auth');
+const { recordAudit } = require('./server/audit-log');
+const { addBlock, getBlockedClientIds } = require('./server/blocks');
+const { createTextModerator } = require('./server/text-moderation');
+const { createUsernamePolicy } = require('./server/username-policy');
+const { createAgePolicy } = require('./server/age-policy');
+const { DEFAULT_PENALTIES, createRateLimiter } = require('./server/rate-limiter');
+const { createSpamDetector, recordSpamEvent } = require('./server/spam-detector');
 
 // ============================================
 // ENVIRONMENT CONFIGURATION
@@ -15,6 +40,29 @@ const { v4: uuidv4 } = require('uuid');
 const dev = process.env.NODE_ENV !== 'production';
 const port = parseInt(process.env.PORT || '3000', 10);
 
+/**
+ * Read a numeric env var, keeping explicit zeros (unlike `parseFloat(x) || fallback`)
+ */
+function envFloat(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Read a whole-number env var (0 or more), keeping explicit zeros. Anything
+ * else falls back, with a warning so a typo doesn't go unnoticed.
+ */
+function envCount(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+
+  const value = Number(raw);
+  if (Number.isInteger(value) && value >= 0) return value;
+
+  console.warn(`[CONFIG] ${name}="${raw}" is not a whole number, using ${fallback}`);
+  return fallback;
+}
+
 // Configuration constants for production stability
 const CONFIG = {
   // Memory management
@@ -27,7 +75,105 @@ const CONFIG = {
   // Message limits
   MAX_MESSAGE_LENGTH: 10000,
   MAX_USERNAME_LENGTH: 50,
+  MAX_USERNAME_COMBINING_MARKS: 2, // per letter; more is "zalgo" text
   MAX_INTERESTS: 10,
+  // Emoji a message can be reacted with (the client shows the same list)
+  REACTION_EMOJIS: ['👍', '❤️', '😂', '😮', '😢', '🙏'],
+  // How long after sending a message its sender can still edit or delete it
+  MESSAGE_EDIT_WINDOW: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS) || 5 * 60 * 1000, // 5 minutes
+  
+  // ============================================
+  // MATCHING CONFIGURATION
+  // ============================================
+  // Weights for the match score (see server/matching.js)
+  MATCH_WEIGHTS: {
+    interests: envFloat('MATCH_WEIGHT_INTERESTS', DEFAULT_MATCH_WEIGHTS.interests),
+    waitTime: envFloat('MATCH_WEIGHT_WAIT_TIME', DEFAULT_MATCH_WEIGHTS.waitTime),
+    language: envFloat('MATCH_WEIGHT_LANGUAGE', DEFAULT_MATCH_WEIGHTS.language),
+    recentPartner: envFloat('MATCH_WEIGHT_RECENT_PARTNER', DEFAULT_MATCH_WEIGHTS.recentPartner),
+  },
+  // Optional path to a module exporting a custom scoreCandidate function
+  MATCH_SCORER_MODULE: process.env.MATCH_SCORER_MODULE || null,
+  // Re-match cooldown: recent partners are only matched again when nobody
+  // else is compatible, skipped partners not at all (keyed by client ID)
+  REMATCH_COOLDOWN: parseInt(process.env.REMATCH_COOLDOWN_MS) || 10 * 60 * 1000, // 10 minutes
+  // Max partners remembered per client during the cooldown
+  RECENT_PARTNER_HISTORY: parseInt(process.env.RECENT_PARTNER_HISTORY) || 20,
+  // Put the partner left behind by "Next" back into matching automatically
+  AUTO_REQUEUE_PARTNER: process.env.AUTO_REQUEUE_PARTNER === 'true',
+  
+  // ============================================
+  // SESSION RESUME
+  // ============================================
+  // How long a room is held for a participant whose connection dropped
+  RESUME_GRACE_PERIOD: parseInt(process.env.RESUME_GRACE_PERIOD_MS) || 30 * 1000, // 30 seconds
+  // Messages kept for a participant while they are reconnecting
+  MAX_BUFFERED_MESSAGES: parseInt(process.env.MAX_BUFFERED_MESSAGES) || 50,
+  
+  // ============================================
+  // REPORTS
+  // ============================================
+  // Latest messages per room kept as evidence for reports
+  REPORT_TRANSCRIPT_LENGTH: parseInt(process.env.REPORT_TRANSCRIPT_LENGTH) || 50,
+  // How long after a room closes its participants can still report each other
+  REPORT_WINDOW: parseInt(process.env.REPORT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  REPORT_RATE_LIMIT: 5, // reports per window
+  REPORT_RATE_WINDOW: 60 * 1000, // 1 minute
+  BLOCK_RATE_LIMIT: 10, // blocks per REPORT_RATE_WINDOW
+  
+  // ============================================
+  // TEXT MODERATION
+  // ============================================
+  // Pipeline config for text messages (word lists, PII detectors); re-read
+  // when it changes on disk or on SIGHUP
+  TEXT_MODERATION_CONFIG: process.env.TEXT_MODERATION_CONFIG || path.join(__dirname, 'config', 'text-moderation.json'),
+  // Names nobody can pick (staff, the app itself); re-read like the above
+  RESERVED_USERNAMES_FILE: process.env.RESERVED_USERNAMES_FILE || path.join(__dirname, 'config', 'reserved-usernames.txt'),
+  // Age brackets, who may be matched with whom and the current terms
+  // version; read once at startup and required
+  AGE_POLICY_CONFIG: process.env.AGE_POLICY_CONFIG || path.join(__dirname, 'config', 'age-policy.json'),
+  
+  // ============================================
+  // BANS
+  // ============================================
+  // How often active bans are reloaded from MongoDB into memory
+  BAN_REFRESH_INTERVAL: parseInt(process.env.BAN_REFRESH_INTERVAL_MS) || 30 * 1000, // 30 seconds
+  // Longest a match waits on the personal block list, and how long to skip it after a failure
+  BLOCK_LOOKUP_TIMEOUT: 1000, // 1 second
+  BLOCK_LOOKUP_BACKOFF: 30 * 1000, // 30 seconds
+  
+  // ============================================
+  // PER-ADDRESS LIMITS
+  // ============================================
+  // X-Forwarded-For is only believed from these proxies (comma-separated IPs
+  // or CIDR ranges, e.g. "10.0.0.0/8,::1"); otherwise the socket's own address counts
+  TRUSTED_PROXIES: parseIpRanges(process.env.TRUSTED_PROXIES),
+  // Size of the networks that share the per-subnet limits
+  SUBNET_PREFIX_IPV4: parseInt(process.env.SUBNET_PREFIX_IPV4) || 24,
+  SUBNET_PREFIX_IPV6: parseInt(process.env.SUBNET_PREFIX_IPV6) || 64,
+  // Open sockets
+  MAX_SOCKETS_PER_IP: parseInt(process.env.MAX_SOCKETS_PER_IP) || 10,
+  MAX_SOCKETS_PER_SUBNET: parseInt(process.env.MAX_SOCKETS_PER_SUBNET) || 50,
+  // Sockets not refreshed by the cleanup task this long stop counting (crashed instances)
+  CONNECTION_ENTRY_TTL: 3 * 60 * 1000, // 3 minutes
+  // Queue joins (including "Next") per window
+  MAX_JOINS_PER_IP: parseInt(process.env.MAX_JOINS_PER_IP) || 30,
+  MAX_JOINS_PER_SUBNET: parseInt(process.env.MAX_JOINS_PER_SUBNET) || 150,
+  JOIN_RATE_WINDOW: 60 * 1000, // 1 minute
+  // Users waiting in the queue at the same time
+  MAX_QUEUED_PER_IP: parseInt(process.env.MAX_QUEUED_PER_IP) || 3,
+  MAX_QUEUED_PER_SUBNET: parseInt(process.env.MAX_QUEUED_PER_SUBNET) || 20,
+  
+  // ============================================
+  // PROOF OF WORK
+  // ============================================
+  // Joining the queue (and "Next") needs a solved hashcash challenge. Off
+  // unless POW_ENABLED=true: browsers can only hash over HTTPS (or localhost)
+  POW_ENABLED: process.env.POW_ENABLED === 'true',
+  // Leading zero bits: each one doubles the work (16 takes well under a second)
+  POW_BASE_DIFFICULTY: parseInt(process.env.POW_BASE_DIFFICULTY) || 16,
+  POW_MAX_DIFFICULTY: parseInt(process.env.POW_MAX_DIFFICULTY) || 22,
+  POW_CHALLENGE_TTL: 5 * 60 * 1000, // 5 minutes
   
   // ============================================
   // MEDIA UPLOAD CONFIGURATION
@@ -36,24 +182,102 @@ const CONFIG = {
   MAX_TEXT_SIZE: 50 * 1024, // 50KB for text messages
   MAX_IMAGE_SIZE: parseInt(process.env.MAX_IMAGE_SIZE_MB) * 1024 * 1024 || 5 * 1024 * 1024, // 5MB default
   MAX_VIDEO_SIZE: parseInt(process.env.MAX_VIDEO_SIZE_MB) * 1024 * 1024 || 15 * 1024 * 1024, // 15MB default
+  MAX_AUDIO_SIZE: parseInt(process.env.MAX_AUDIO_SIZE_MB) * 1024 * 1024 || 2 * 1024 * 1024, // 2MB default
+  MAX_AUDIO_DURATION: parseInt(process.env.MAX_AUDIO_DURATION_S) || 20, // seconds (matches client recorder)
+  MAX_VIDEO_DURATION: parseInt(process.env.MAX_VIDEO_DURATION_S) || 60, // seconds
+  MAX_IMAGE_DIMENSION: parseInt(process.env.MAX_IMAGE_DIMENSION) || 8192, // pixels per side
+  MAX_IMAGE_PIXELS: parseInt(process.env.MAX_IMAGE_PIXELS) || 40 * 1000 * 1000, // 40 megapixels
+  // Recorders overshoot their stop time slightly
+  MEDIA_DURATION_TOLERANCE: 1, // seconds
+  
+  // Media is uploaded in binary chunks and fetched by ID from MEDIA_ROUTE
+  MEDIA_CHUNK_SIZE: 256 * 1024, // 256KB per chunk
+  MAX_CONCURRENT_UPLOADS: 2, // per socket
+  // Upper bound on how long relayed media is kept - it's deleted when its room closes
+  MEDIA_TTL: parseInt(process.env.MEDIA_TTL_MS) || 30 * 60 * 1000, // 30 minutes
+  // Total relayed media held at once, across all rooms (declared sizes count
+  // from the start of an upload); new uploads are refused beyond it
+  MEDIA_MEMORY_BUDGET: parseInt(process.env.MEDIA_MEMORY_BUDGET_MB) * 1024 * 1024 || 256 * 1024 * 1024, // 256MB default
+  // Media in a new room is held back until both partners allow it, or until
+  // both have sent texts and this many have been exchanged (0: only by allowing)
+  MEDIA_UNLOCK_TEXT_MESSAGES: envCount('MEDIA_UNLOCK_TEXT_MESSAGES', 10),
   
-  // Socket.IO buffer size (must accommodate largest possible message)
-  MAX_HTTP_BUFFER_SIZE: 20 * 1024 * 1024, // 20MB to handle 15MB video + overhead
+  // Largest WebRTC offer, answer or ICE candidate relayed (SDP is a few KB)
+  MAX_SIGNAL_SIZE: 32 * 1024, // 32KB
   
-  // Rate limiting
-  MESSAGE_RATE_LIMIT: 10, // messages per window
-  MESSAGE_RATE_WINDOW: 1000, // 1 second
-  MEDIA_RATE_LIMIT: 3, // media messages per window
-  MEDIA_RATE_WINDOW: 5000, // 5 seconds (stricter for media)
+  // Socket.IO buffer size (must accommodate one upload chunk plus overhead)
+  MAX_HTTP_BUFFER_SIZE: 1024 * 1024, // 1MB
+  
+  // ============================================
+  // RATE LIMITING
+  // ============================================
+  // Token buckets per client: bursts up to capacity, then refillPerSecond
+  RATE_LIMIT_BUCKETS: {
+    message: { capacity: 10, refillPerSecond: 2 },
+    media: { capacity: 3, refillPerSecond: 0.6 }, // stricter for media
+    reaction: { capacity: 10, refillPerSecond: 1 },
+    call: { capacity: 6, refillPerSecond: 0.2 }, // ringing, answering, hanging up
+    signal: { capacity: 40, refillPerSecond: 5 }, // WebRTC offers, answers and ICE candidates
+  },
+  // Warning, then mutes of increasing length, then a temporary ban (see server/rate-limiter.js)
+  RATE_PENALTIES: DEFAULT_PENALTIES,
+  // Denials this soon after a violation count as the same burst
+  RATE_VIOLATION_GRACE: 3 * 1000, // 3 seconds
+  // Violations are forgotten after this long without a new one
+  RATE_VIOLATION_MEMORY: parseInt(process.env.RATE_VIOLATION_MEMORY_MS) || 30 * 60 * 1000, // 30 minutes
+  
+  // ============================================
+  // CROSS-ROOM SPAM DETECTION
+  // ============================================
+  // Near-duplicate text sent by one actor (client ID or IP) into many rooms
+  // is flagged, then shadow-muted (see server/spam-detector.js)
+  SPAM_WINDOW: parseInt(process.env.SPAM_WINDOW_MS) || 10 * 60 * 1000, // 10 minutes
+  SPAM_MIN_LENGTH: 24, // normalized characters; shorter messages are ignored
+  SPAM_MIN_SIMILARITY: 0.6, // estimated share of shingles two messages have in common
+  SPAM_FLAG_ROOMS: parseInt(process.env.SPAM_FLAG_ROOMS) || 3,
+  SPAM_MUTE_ROOMS: parseInt(process.env.SPAM_MUTE_ROOMS) || 5,
+  // Shadow-muting needs SPAM_MUTE_ROOMS rooms within this time, not the whole window
+  SPAM_MUTE_BURST: parseInt(process.env.SPAM_MUTE_BURST_MS) || 2 * 60 * 1000, // 2 minutes
+  SPAM_SHADOW_MUTE_DURATION: parseInt(process.env.SPAM_SHADOW_MUTE_MS) || 30 * 60 * 1000, // 30 minutes
+  SPAM_INDEX_LIMIT: 500, // entries kept per fingerprint band
   
   // Health check
   HEALTH_CHECK_INTERVAL: 30 * 1000, // 30 seconds
+  
+  // ============================================
+  // ADMIN DASHBOARD
+  // ============================================
+  // How often connected moderators get a fresh queue/rooms/health snapshot
+  ADMIN_SNAPSHOT_INTERVAL: 5 * 1000, // 5 seconds
+  // Health samples kept for the dashboard charts (1 hour at the default interval)
+  HEALTH_HISTORY_LENGTH: 120,
+  MAX_NOTICE_LENGTH: 500,
+  
+  // ============================================
+  // HORIZONTAL SCALING (SHARED STATE)
+  // ============================================
+  // When set, state is kept in Redis and socket.io events are relayed
+  // between instances through the Redis adapter
+  REDIS_URL: process.env.REDIS_URL || null,
+  REDIS_KEY_PREFIX: process.env.REDIS_KEY_PREFIX || 'randomchat:',
+  
+  // ============================================
+  // WEBRTC ICE SERVER CONFIGURATION
+  // ============================================
+  // Optional JSON file: { stunUrls: [], turnUrls: [], turnSecret, iceServers: [] }
+  ICE_SERVERS_FILE: process.env.ICE_SERVERS_FILE || null,
+  STUN_URLS: process.env.STUN_URLS ? process.env.STUN_URLS.split(',') : null,
+  TURN_URLS: process.env.TURN_URLS ? process.env.TURN_URLS.split(',') : null,
+  // Shared secret for time-limited TURN credentials (coturn "use-auth-secret")
+  TURN_SECRET: process.env.TURN_SECRET || null,
+  TURN_CREDENTIAL_TTL: parseInt(process.env.TURN_CREDENTIAL_TTL_S) || 24 * 60 * 60, // 24 hours
 };
 
 // Log configuration on startup
 console.log('[CONFIG] Media limits:', {
   maxImage: `${CONFIG.MAX_IMAGE_SIZE / 1024 / 1024}MB`,
   maxVideo: `${CONFIG.MAX_VIDEO_SIZE / 1024 / 1024}MB`,
+  maxAudio: `${CONFIG.MAX_AUDIO_SIZE / 1024 / 1024}MB / ${CONFIG.MAX_AUDIO_DURATION}s`,
   httpBuffer: `${CONFIG.MAX_HTTP_BUFFER_SIZE / 1024 / 1024}MB`,
 });
 
@@ -64,36 +288,108 @@ const app = next({ dev });
 const handler = app.getRequestHandler();
 
 // ============================================
-// DATA STRUCTURES WITH SIZE LIMITS
+// SHARED STATE STORE
 // ============================================
-const waitingUsers = new Map();
-const activeRooms = new Map();
-const socketToRoom = new Map();
+// Waiting queue, rooms, socket->room mapping and rate limits live behind a
+// store (in-memory by default, Redis when REDIS_URL is set).
+// Assigned during startup, before any socket connects.
+let store;
+
+// Message and media limits with escalating penalties (created with the store)
+let rateLimiter;
 
-// Rate limiting tracking - separate for text and media
-const messageRateLimits = new Map();
-const mediaRateLimits = new Map();
+// Near-duplicate messages across rooms (created with the store)
+let spamDetector;
+
+// Scoring function used by findMatch (default or CONFIG.MATCH_SCORER_MODULE)
+const matchScorer = loadScorer(CONFIG.MATCH_SCORER_MODULE);
+
+// Active bans, reloaded from MongoDB every BAN_REFRESH_INTERVAL
+const banCache = new BanCache();
+
+// Recent health samples for the admin dashboard charts, oldest first
+const healthHistory = [];
+
+// Word lists and PII detectors applied to outgoing text messages
+const textModerator = createTextModerator({ configFile: CONFIG.TEXT_MODERATION_CONFIG });
+
+// Display name clean-up and reserved names
+const usernamePolicy = createUsernamePolicy({
+  reservedFile: CONFIG.RESERVED_USERNAMES_FILE,
+  maxLength: CONFIG.MAX_USERNAME_LENGTH,
+  maxCombiningMarks: CONFIG.MAX_USERNAME_COMBINING_MARKS,
+});
+
+// Age brackets, cross-bracket matching rules and the terms version
+const agePolicy = createAgePolicy({ configFile: CONFIG.AGE_POLICY_CONFIG });
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
 /**
- * Calculate size of base64 encoded data
+ * Load STUN/TURN settings from CONFIG and the optional JSON file.
+ * Environment variables take precedence over the file.
  */
-function getBase64Size(base64String) {
-  if (!base64String || typeof base64String !== 'string') return 0;
-  
-  // Remove data URL prefix if present
-  const base64Data = base64String.includes(',') 
-    ? base64String.split(',')[1] 
-    : base64String;
-  
-  // Calculate actual size (base64 is ~33% larger than binary)
-  const padding = (base64Data.match(/=/g) || []).length;
-  return (base64Data.length * 3 / 4) - padding;
+function loadIceConfig() {
+  let fileConfig = {};
+
+  if (CONFIG.ICE_SERVERS_FILE) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(CONFIG.ICE_SERVERS_FILE, 'utf8'));
+    } catch (error) {
+      console.error(`[ICE] Failed to read ${CONFIG.ICE_SERVERS_FILE}:`, error.message);
+    }
+  }
+
+  const toList = (value) => (Array.isArray(value) ? value : [])
+    .map(url => String(url).trim())
+    .filter(Boolean);
+
+  return {
+    stunUrls: toList(CONFIG.STUN_URLS || fileConfig.stunUrls || ['stun:stun.l.google.com:19302']),
+    turnUrls: toList(CONFIG.TURN_URLS || fileConfig.turnUrls),
+    turnSecret: CONFIG.TURN_SECRET || fileConfig.turnSecret || null,
+    staticServers: Array.isArray(fileConfig.iceServers) ? fileConfig.iceServers : [],
+  };
+}
+
+const iceConfig = loadIceConfig();
+
+/**
+ * Build the RTCPeerConnection iceServers list for one client.
+ * TURN credentials follow the TURN REST API scheme: the username is
+ * "<expiry unix time>:<user id>" and the password is
+ * base64(HMAC-SHA1(shared secret, username)).
+ */
+function buildIceServers(userId) {
+  const iceServers = [];
+
+  if (iceConfig.stunUrls.length > 0) {
+    iceServers.push({ urls: iceConfig.stunUrls });
+  }
+
+  if (iceConfig.turnUrls.length > 0 && iceConfig.turnSecret) {
+    const expiry = Math.floor(Date.now() / 1000) + CONFIG.TURN_CREDENTIAL_TTL;
+    const username = `${expiry}:${userId}`;
+    const credential = crypto
+      .createHmac('sha1', iceConfig.turnSecret)
+      .update(username)
+      .digest('base64');
+
+    iceServers.push({ urls: iceConfig.turnUrls, username, credential });
+  }
+
+  return [...iceServers, ...iceConfig.staticServers];
 }
 
+// Refusal for a join without the current terms accepted
+const TERMS_NOT_ACCEPTED = {
+  error: 'Our terms have changed. Please review and accept them to continue',
+  field: 'terms',
+  code: 'terms_not_accepted',
+};
+
 /**
  * Validates user data to prevent malformed input from crashing server
  */
@@ -102,12 +398,20 @@ function validateUserData(userData) {
     return { valid: false, error: 'No user data provided' };
   }
 
-  if (!userData.username || typeof userData.username !== 'string') {
-    return { valid: false, error: 'Invalid username' };
+  // Cleaned up and checked against impersonation; refusals name the field
+  // so the setup form can show them under it
+  const username = usernamePolicy.check(userData.username);
+  if (!username.valid) {
+    return { valid: false, error: username.error, field: 'username', code: username.code };
+  }
+
+  if (!agePolicy.isBracket(userData.ageBracket)) {
+    return { valid: false, error: 'Please select your age', field: 'ageBracket', code: 'invalid_age_bracket' };
   }
 
-  if (userData.username.length > CONFIG.MAX_USERNAME_LENGTH) {
-    return { valid: false, error: 'Username too long' };
+  // Accepting an older version doesn't count once the terms have changed
+  if (userData.termsVersion !== agePolicy.termsVersion) {
+    return { valid: false, ...TERMS_NOT_ACCEPTED };
   }
 
   if (!['male', 'female'].includes(userData.gender)) {
@@ -131,19 +435,27 @@ function validateUserData(userData) {
     .filter(i => typeof i === 'string' && i.length > 0 && i.length <= 50)
     .slice(0, CONFIG.MAX_INTERESTS);
 
+  // Optional language - keep only the primary subtag ("en-US" -> "en")
+  const language = typeof userData.language === 'string'
+    ? userData.language.trim().toLowerCase().split(/[-_]/)[0]
+    : '';
+
   return { 
     valid: true, 
     data: {
-      username: userData.username.trim().substring(0, CONFIG.MAX_USERNAME_LENGTH),
+      username: username.username,
+      ageBracket: userData.ageBracket,
+      termsVersion: userData.termsVersion,
       gender: userData.gender,
       preferredGender: userData.preferredGender,
-      interests: validInterests
+      interests: validInterests,
+      language: /^[a-z]{2,3}$/.test(language) ? language : null
     }
   };
 }
 
 /**
- * Validates message data with proper media size checking
+ * Validates text message data (media goes through the chunked upload)
  */
 function validateMessage(data) {
   if (!data || typeof data !== 'object') {
@@ -152,7 +464,7 @@ function validateMessage(data) {
 
   const type = data.type || 'text';
   
-  if (!['text', 'image', 'video'].includes(type)) {
+  if (type !== 'text') {
     return { valid: false, error: 'Invalid message type' };
   }
 
@@ -160,657 +472,2529 @@ function validateMessage(data) {
     return { valid: false, error: 'Invalid message content' };
   }
 
-  // ============================================
-  // MEDIA SIZE VALIDATION (CRITICAL FOR STABILITY)
-  // ============================================
-  if (type === 'text') {
-    // Text messages - check character length
-    if (data.content.length > CONFIG.MAX_MESSAGE_LENGTH) {
-      return { valid: false, error: 'Message too long' };
-    }
-    
-    // Also check byte size in case of special characters
-    const byteSize = Buffer.byteLength(data.content, 'utf8');
-    if (byteSize > CONFIG.MAX_TEXT_SIZE) {
-      return { valid: false, error: 'Message size too large' };
-    }
-  } 
-  else if (type === 'image') {
-    // Image messages - validate base64 and check size
-    if (!data.content.startsWith('data:image/')) {
-      return { valid: false, error: 'Invalid image format' };
-    }
-    
-    const imageSize = getBase64Size(data.content);
-    console.log(`[VALIDATION] Image size: ${(imageSize / 1024 / 1024).toFixed(2)}MB`);
-    
-    if (imageSize > CONFIG.MAX_IMAGE_SIZE) {
-      const maxMB = CONFIG.MAX_IMAGE_SIZE / 1024 / 1024;
-      return { 
-        valid: false, 
-        error: `Image too large. Maximum size is ${maxMB}MB` 
-      };
-    }
-    
-    // Additional check: ensure it's a supported image type
-    if (!data.content.match(/^data:image\/(jpeg|jpg|png|gif|webp);base64,/)) {
-      return { valid: false, error: 'Unsupported image type. Use JPEG, PNG, GIF, or WebP' };
-    }
-  } 
-  else if (type === 'video') {
-    // Video messages - validate base64 and check size
-    if (!data.content.startsWith('data:video/')) {
-      return { valid: false, error: 'Invalid video format' };
-    }
-    
-    const videoSize = getBase64Size(data.content);
-    console.log(`[VALIDATION] Video size: ${(videoSize / 1024 / 1024).toFixed(2)}MB`);
-    
-    if (videoSize > CONFIG.MAX_VIDEO_SIZE) {
-      const maxMB = CONFIG.MAX_VIDEO_SIZE / 1024 / 1024;
-      return { 
-        valid: false, 
-        error: `Video too large. Maximum size is ${maxMB}MB` 
-      };
-    }
-    
-    // Additional check: ensure it's a supported video type
-    if (!data.content.match(/^data:video\/(mp4|webm|ogg);base64,/)) {
-      return { valid: false, error: 'Unsupported video type. Use MP4, WebM, or OGG' };
-    }
+  if (data.content.length > CONFIG.MAX_MESSAGE_LENGTH) {
+    return { valid: false, error: 'Message too long' };
+  }
+  
+  // Also check byte size in case of special characters
+  const byteSize = Buffer.byteLength(data.content, 'utf8');
+  if (byteSize > CONFIG.MAX_TEXT_SIZE) {
+    return { valid: false, error: 'Message size too large' };
+  }
+
+  // Optional ID of the message this one answers
+  if (data.replyTo !== undefined && data.replyTo !== null && (typeof data.replyTo !== 'string' || data.replyTo.length === 0 || data.replyTo.length > 64)) {
+    return { valid: false, error: 'Invalid reply' };
   }
 
   return { valid: true };
 }
 
 /**
- * Check rate limiting for messages (separate limits for text and media)
+ * Validates a reaction: the ID of a message and one of REACTION_EMOJIS
  */
-function checkRateLimit(socketId, isMedia = false) {
-  const now = Date.now();
-  const rateLimitMap = isMedia ? mediaRateLimits : messageRateLimits;
-  const limit = isMedia ? CONFIG.MEDIA_RATE_LIMIT : CONFIG.MESSAGE_RATE_LIMIT;
-  const window = isMedia ? CONFIG.MEDIA_RATE_WINDOW : CONFIG.MESSAGE_RATE_WINDOW;
-  
-  const userLimits = rateLimitMap.get(socketId) || { count: 0, windowStart: now };
-
-  // Reset window if expired
-  if (now - userLimits.windowStart > window) {
-    userLimits.count = 0;
-    userLimits.windowStart = now;
+function validateReaction(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid reaction' };
   }
 
-  userLimits.count++;
-  rateLimitMap.set(socketId, userLimits);
+  if (typeof data.messageId !== 'string' || data.messageId.length === 0 || data.messageId.length > 64) {
+    return { valid: false, error: 'Invalid message ID' };
+  }
 
-  const allowed = userLimits.count <= limit;
-  
-  if (!allowed && isMedia) {
-    console.warn(`[RATE LIMIT] Socket ${socketId} exceeded media rate limit`);
+  if (!CONFIG.REACTION_EMOJIS.includes(data.emoji)) {
+    return { valid: false, error: 'Invalid reaction' };
   }
 
-  return allowed;
+  return { valid: true, data: { messageId: data.messageId, emoji: data.emoji } };
 }
 
 /**
- * Matching algorithm with error handling
+ * Validates an edit: the ID of a message and its new text, checked like a
+ * new text message
  */
-function findMatch(user, socketId) {
-  try {
-    const compatibleMatches = [];
-
-    for (const [waitingSocketId, waitingUser] of waitingUsers.entries()) {
-      if (waitingSocketId === socketId) continue;
+function validateMessageEdit(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid edit' };
+  }
 
-      const currentUserGenderMatch = 
-        user.preferredGender === 'any' || 
-        user.preferredGender === waitingUser.gender;
+  if (typeof data.messageId !== 'string' || data.messageId.length === 0 || data.messageId.length > 64) {
+    return { valid: false, error: 'Invalid message ID' };
+  }
 
-      const waitingUserGenderMatch = 
-        waitingUser.preferredGender === 'any' || 
-        waitingUser.preferredGender === user.gender;
+  const content = validateMessage({ content: data.content });
+  if (!content.valid) {
+    return content;
+  }
 
-      if (currentUserGenderMatch && waitingUserGenderMatch) {
-        const commonInterests = user.interests.filter(
-          interest => waitingUser.interests.includes(interest)
-        );
+  return { valid: true, data: { messageId: data.messageId, content: data.content } };
+}
 
-        const matchScore = commonInterests.length;
+/**
+ * Validates the announcement that starts a chunked media upload
+ * (type, MIME type, declared size and, for video and audio, duration)
+ */
+function validateMediaUpload(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid upload data' };
+  }
 
-        compatibleMatches.push({
-          user: waitingUser,
-          socketId: waitingSocketId,
-          score: matchScore,
-          commonInterests: commonInterests
-        });
-      }
-    }
+  const { type } = data;
+  if (!['image', 'video', 'audio'].includes(type)) {
+    return { valid: false, error: 'Invalid media type' };
+  }
 
-    if (compatibleMatches.length === 0) {
-      return null;
-    }
+  // ============================================
+  // MEDIA TYPE VALIDATION
+  // ============================================
+  const mimeType = normalizeMimeType(data.mimeType);
+  if (!MEDIA_MIME_TYPES[type].includes(mimeType)) {
+    const unsupported = {
+      image: 'Unsupported image type. Use JPEG, PNG, GIF, or WebP',
+      video: 'Unsupported video type. Use MP4, WebM, or OGG',
+      audio: 'Unsupported audio type. Use WebM, OGG, MP4, or MPEG',
+    };
+    return { valid: false, error: unsupported[type] };
+  }
 
-    const highestScore = Math.max(...compatibleMatches.map(m => m.score));
-    const bestMatches = compatibleMatches.filter(m => m.score === highestScore);
-    const randomIndex = Math.floor(Math.random() * bestMatches.length);
-    const selectedMatch = bestMatches[randomIndex];
+  // ============================================
+  // MEDIA SIZE VALIDATION (CRITICAL FOR STABILITY)
+  // ============================================
+  // The declared size is enforced again as chunks arrive
+  if (!Number.isInteger(data.size) || data.size <= 0) {
+    return { valid: false, error: 'Invalid file size' };
+  }
 
-    console.log(`[MATCHING] Found ${compatibleMatches.length} compatible users, ${bestMatches.length} with highest score`);
+  const limits = {
+    image: { maxSize: CONFIG.MAX_IMAGE_SIZE, label: 'Image' },
+    video: { maxSize: CONFIG.MAX_VIDEO_SIZE, maxDuration: CONFIG.MAX_VIDEO_DURATION, label: 'Video' },
+    audio: { maxSize: CONFIG.MAX_AUDIO_SIZE, maxDuration: CONFIG.MAX_AUDIO_DURATION, label: 'Voice message' },
+  };
+  const { maxSize, maxDuration, label } = limits[type];
 
+  if (data.size > maxSize) {
+    const maxMB = maxSize / 1024 / 1024;
     return {
-      user: selectedMatch.user,
-      socketId: selectedMatch.socketId,
-      commonInterests: selectedMatch.commonInterests
+      valid: false,
+      error: `${label} too large. Maximum size is ${maxMB}MB`
     };
-  } catch (error) {
-    console.error('[MATCHING ERROR]', error);
-    return null;
   }
-}
 
-/**
- * Clean up stale waiting users
- */
-function cleanupWaitingUsers() {
-  const now = Date.now();
-  let cleanedCount = 0;
+  const upload = { type, mimeType, size: data.size };
 
-  for (const [socketId, user] of waitingUsers.entries()) {
-    if (now - user.joinedAt > CONFIG.QUEUE_TIMEOUT) {
-      waitingUsers.delete(socketId);
-      cleanedCount++;
+  // Videos and voice notes must declare their length: it stands in when
+  // the file itself doesn't record one (see validateMediaContent)
+  if (type !== 'image') {
+    if (typeof data.duration !== 'number' || !Number.isFinite(data.duration) || data.duration < 0) {
+      return { valid: false, error: `Missing or invalid ${label.toLowerCase()} length` };
     }
-  }
 
-  if (cleanedCount > 0) {
-    console.log(`[CLEANUP] Removed ${cleanedCount} stale waiting users`);
+    if (data.duration > maxDuration) {
+      return {
+        valid: false,
+        error: `${label} too long. Maximum length is ${maxDuration} seconds`
+      };
+    }
+
+    upload.duration = Math.round(data.duration);
   }
+
+  return { valid: true, data: upload };
 }
 
 /**
- * Clean up stale rooms
+ * Validates an uploaded file's actual bytes: the real format must match the
+ * declared MIME type, and dimensions and duration must be within limits.
+ * Returns the sniffed info (width, height, duration) on success, or
+ * inspectMedia's { valid, error, reason } if the bytes don't check out.
  */
-function cleanupStaleRooms(io) {
-  const now = Date.now();
-  let cleanedCount = 0;
+function validateMediaContent(upload, data) {
+  const inspection = inspectMedia(data, upload.mimeType);
+  if (!inspection.valid) {
+    return inspection;
+  }
 
-  for (const [roomId, room] of activeRooms.entries()) {
-    if (now - room.createdAt > CONFIG.ROOM_TIMEOUT) {
-      // Notify users
-      io.to(roomId).emit('chat-ended', {
-        reason: 'Session timeout'
-      });
+  const { width, height } = inspection.info;
+  let { duration } = inspection.info;
 
-      // Clean up
-      socketToRoom.delete(room.user1.socketId);
-      socketToRoom.delete(room.user2.socketId);
-      
-      const socket1 = io.sockets.sockets.get(room.user1.socketId);
-      const socket2 = io.sockets.sockets.get(room.user2.socketId);
-      
-      if (socket1) socket1.leave(roomId);
-      if (socket2) socket2.leave(roomId);
-      
-      activeRooms.delete(roomId);
-      cleanedCount++;
+  if (upload.type === 'image') {
+    if (width > CONFIG.MAX_IMAGE_DIMENSION || height > CONFIG.MAX_IMAGE_DIMENSION) {
+      return {
+        valid: false,
+        error: `Image too large. Maximum dimensions are ${CONFIG.MAX_IMAGE_DIMENSION}x${CONFIG.MAX_IMAGE_DIMENSION} pixels`
+      };
+    }
+
+    // Guards against decompression bombs (small file, huge canvas)
+    if (width * height > CONFIG.MAX_IMAGE_PIXELS) {
+      return { valid: false, error: 'Image has too many pixels' };
     }
   }
+  else if (upload.type === 'video') {
+    // Fall back to the length the client reported (already range-checked)
+    if (duration === null) {
+      duration = upload.duration ?? null;
+    }
 
-  if (cleanedCount > 0) {
-    console.log(`[CLEANUP] Removed ${cleanedCount} stale rooms`);
+    if (duration === null) {
+      return { valid: false, error: 'Could not determine the video length' };
+    }
+
+    if (duration > CONFIG.MAX_VIDEO_DURATION + CONFIG.MEDIA_DURATION_TOLERANCE) {
+      return {
+        valid: false,
+        error: `Video too long. Maximum length is ${CONFIG.MAX_VIDEO_DURATION} seconds`
+      };
+    }
+  }
+  else if (upload.type === 'audio') {
+    // Fall back to the length the recorder reported (already range-checked)
+    if (duration === null) {
+      duration = upload.duration ?? null;
+    }
+
+    if (duration === null) {
+      return { valid: false, error: 'Could not determine the voice message length' };
+    }
+
+    if (duration > CONFIG.MAX_AUDIO_DURATION + CONFIG.MEDIA_DURATION_TOLERANCE) {
+      return {
+        valid: false,
+        error: `Voice message too long. Maximum length is ${CONFIG.MAX_AUDIO_DURATION} seconds`
+      };
+    }
   }
+
+  return { valid: true, info: { width, height, duration } };
 }
 
 /**
- * Clean up rate limit tracking
+ * Validates a WebRTC offer, answer or ICE candidate before it is relayed
  */
-function cleanupRateLimits() {
-  const now = Date.now();
-  
-  for (const [socketId, limits] of messageRateLimits.entries()) {
-    if (now - limits.windowStart > CONFIG.MESSAGE_RATE_WINDOW * 10) {
-      messageRateLimits.delete(socketId);
-    }
+function validateSignal(signal) {
+  if (!signal || typeof signal !== 'object' || Array.isArray(signal)) {
+    return { valid: false, error: 'Invalid call signal' };
   }
-  
-  for (const [socketId, limits] of mediaRateLimits.entries()) {
-    if (now - limits.windowStart > CONFIG.MEDIA_RATE_WINDOW * 10) {
-      mediaRateLimits.delete(socketId);
-    }
+
+  if (Buffer.byteLength(JSON.stringify(signal)) > CONFIG.MAX_SIGNAL_SIZE) {
+    return { valid: false, error: 'Call signal too large' };
   }
+
+  return { valid: true };
 }
 
 /**
- * Check memory usage and enforce limits
+ * Spend a token of the given kind (see CONFIG.RATE_LIMIT_BUCKETS) for this
+ * socket and apply any penalty.
+ * Returns null if the message may go through; otherwise the client has been
+ * told (rate-limited warning, muted countdown or ban) and the reason is returned.
  */
-function enforceMemoryLimits() {
-  // Limit waiting users
-  if (waitingUsers.size > CONFIG.MAX_WAITING_USERS) {
-    const excess = waitingUsers.size - CONFIG.MAX_WAITING_USERS;
-    const sortedUsers = Array.from(waitingUsers.entries())
-      .sort((a, b) => a[1].joinedAt - b[1].joinedAt); // Remove oldest first
-    
-    for (let i = 0; i < excess; i++) {
-      waitingUsers.delete(sortedUsers[i][0]);
+async function enforceRateLimit(io, socket, kind) {
+  const result = await rateLimiter.check({ clientId: socket.data.clientId, ip: socket.data.ip }, kind);
+  if (result.allowed) return null;
+
+  const noun = {
+    media: 'media messages',
+    reaction: 'reactions',
+    call: 'call requests',
+    signal: 'call signals',
+  }[kind] || 'messages';
+
+  switch (result.action) {
+    case 'throttled':
+    case 'warn': {
+      const message = result.action === 'warn'
+        ? `You're sending ${noun} too fast. Keep it up and you'll be muted.`
+        : `Too many ${noun}. Please wait ${Math.ceil(result.retryAfterMs / 1000)} seconds.`;
+      socket.emit('rate-limited', { kind, retryAfterMs: result.retryAfterMs, message });
+      return message;
     }
-    
-    console.warn(`[MEMORY] Removed ${excess} oldest users to enforce waiting limit`);
-  }
 
-  // Limit active rooms
-  if (activeRooms.size > CONFIG.MAX_ACTIVE_ROOMS) {
-    const excess = activeRooms.size - CONFIG.MAX_ACTIVE_ROOMS;
-    const sortedRooms = Array.from(activeRooms.entries())
-      .sort((a, b) => a[1].createdAt - b[1].createdAt); // Remove oldest first
-    
-    for (let i = 0; i < excess; i++) {
-      const [roomId, room] = sortedRooms[i];
-      socketToRoom.delete(room.user1.socketId);
-      socketToRoom.delete(room.user2.socketId);
-      activeRooms.delete(roomId);
+    case 'mute':
+    case 'muted': {
+      if (result.action === 'mute') {
+        console.warn(`[RATE LIMIT] ${socket.id} muted for ${result.durationMs / 1000}s (violation ${result.violations})`);
+      }
+      const notice = toMuteNotice(result.until);
+      socket.emit('muted', notice);
+      return notice.message;
     }
-    
-    console.warn(`[MEMORY] Removed ${excess} oldest rooms to enforce room limit`);
+
+    case 'ban':
+    default:
+      console.warn(`[RATE LIMIT] ${socket.id} banned for ${result.durationMs / 1000}s (violation ${result.violations})`);
+      await banForFlooding(io, socket, result.durationMs);
+      return 'You have been banned for flooding';
   }
 }
 
 /**
- * Get server health metrics
+ * What a muted client is told: the end time and a countdown starting point
+ * (the client counts from remainingMs, so clock skew doesn't matter)
  */
-function getHealthMetrics() {
-  const memUsage = process.memoryUsage();
-  
+function toMuteNotice(until) {
+  const remainingMs = Math.max(0, until - Date.now());
   return {
-    status: 'healthy',
-    uptime: process.uptime(),
-    memory: {
-      heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
-      heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024),
-      heapUsedPercent: Math.round((memUsage.heapUsed / memUsage.heapTotal) * 100),
-      rss: Math.round(memUsage.rss / 1024 / 1024),
-    },
-    metrics: {
-      waitingUsers: waitingUsers.size,
-      activeRooms: activeRooms.size,
-      socketMappings: socketToRoom.size,
-      messageRateLimits: messageRateLimits.size,
-      mediaRateLimits: mediaRateLimits.size,
-    },
-    config: {
-      maxImageSizeMB: CONFIG.MAX_IMAGE_SIZE / 1024 / 1024,
-      maxVideoSizeMB: CONFIG.MAX_VIDEO_SIZE / 1024 / 1024,
-    },
-    timestamp: new Date().toISOString(),
+    until,
+    remainingMs,
+    message: `You're muted for ${Math.ceil(remainingMs / 1000)} seconds for sending too fast`,
   };
 }
 
-// ============================================
-// MAIN SERVER INITIALIZATION
-// ============================================
-app.prepare().then(() => {
-  const httpServer = createServer(handler);
+/**
+ * Last step of the penalty ladder: a temporary spam ban on the device and
+ * its IP, so a new client ID doesn't get around it
+ */
+async function banForFlooding(io, socket, durationMs) {
+  const hasClientId = socket.data.clientId !== socket.id;
+  const validation = validateBan({
+    clientId: hasClientId ? socket.data.clientId : null,
+    ip: socket.data.ip,
+    type: 'temporary',
+    reason: 'spam',
+    durationMs,
+    note: 'Automatic: repeated rate limit violations',
+    createdBy: 'rate-limiter',
+  });
+  if (!validation.valid) {
+    console.error(`[RATE LIMIT] Could not ban ${socket.id}: ${validation.error}`);
+    return;
+  }
 
-  // ============================================
-  // SOCKET.IO SERVER CONFIGURATION
-  // ============================================
-  const io = new Server(httpServer, {
-    cors: {
-      origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-      methods: ['GET', 'POST'],
-      credentials: true,
-    },
-    path: '/socket.io',
-    transports: ['websocket', 'polling'],
-    
-    // ============================================
-    // CRITICAL: Proper timeout configuration
-    // ============================================
-    pingTimeout: 60000,
-    pingInterval: 25000,
+  await issueBan(io, validation.data, 'Partner was removed for spamming');
+}
+
+/**
+ * Put a validated ban into force: stored in MongoDB when available (other
+ * instances pick it up on their next refresh), then applied here at once
+ * (see applyBan). `reason` is what their chat partners are told.
+ */
+async function issueBan(io, banData, reason) {
+  let ban = { id: uuidv4(), ...banData, createdAt: new Date(), revokedAt: null, revokedBy: null };
+  if (isMongoConfigured()) {
+    try {
+      ban = await createBan(await connectToMongo(), banData);
+    } catch (error) {
+      console.error('[BAN ERROR]', error.message);
+    }
+  }
+
+  await applyBan(io, ban, reason);
+  return ban;
+}
+
+/**
+ * Add a stored ban to this instance's cache and remove the sockets it
+ * covers (on any instance) from the queue or their chat. Also used for
+ * bans created through the REST API.
+ */
+async function applyBan(io, ban, reason) {
+  banCache.add(ban);
+
+  for (const socket of await io.fetchSockets()) {
+    const matches = (ban.clientId && socket.data.clientId === ban.clientId) || (ban.ip && socket.data.ip === ban.ip);
+    if (!matches) continue;
+
+    socket.emit('banned', toBanNotice(ban));
+    await removeFromChat(io, socket.id, reason);
+  }
+}
+
+/**
+ * Take a socket out of the queue or its room (the partner is told `reason`)
+ */
+async function removeFromChat(io, socketId, reason) {
+  await store.removeWaitingUser(socketId);
+
+  const { roomId, room } = await getSocketRoomState(socketId);
+  if (roomId) {
+    io.to(roomId).emit('chat-ended', { roomId, reason });
+    await closeRoom(io, roomId, room);
+    await store.deleteSocketRoom(socketId);
+  }
+}
+
+/**
+ * Stable client identity sent in the handshake (persisted in the browser),
+ * falling back to the socket ID for clients that don't send one
+ */
+function resolveClientId(socket) {
+  const clientId = socket.handshake.auth?.clientId;
+  if (typeof clientId === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(clientId)) {
+    return clientId.toLowerCase();
+  }
+  return socket.id;
+}
+
+/**
+ * The address the socket connected from, or the client's address reported
+ * by a trusted proxy in front of us
+ */
+function resolveClientIp(socket) {
+  return resolveClientAddress(
+    socket.handshake.address,
+    socket.handshake.headers['x-forwarded-for'],
+    CONFIG.TRUSTED_PROXIES
+  );
+}
+
+/**
+ * The network an IP belongs to, for the per-subnet limits
+ */
+function toSubnet(ip) {
+  return subnetOf(ip, { ipv4Prefix: CONFIG.SUBNET_PREFIX_IPV4, ipv6Prefix: CONFIG.SUBNET_PREFIX_IPV6 });
+}
+
+/**
+ * Store keys for the per-IP and per-subnet socket counts of a socket
+ */
+function connectionKeys(socket) {
+  const { ip, subnet } = socket.data;
+  return ip ? [`ip:${ip}`, `subnet:${subnet}`] : [];
+}
+
+/**
+ * Connection middleware: count the socket against its IP and subnet and
+ * refuse it when either already has too many open
+ */
+async function limitConnections(socket, next) {
+  socket.data.ip = resolveClientIp(socket);
+  socket.data.subnet = toSubnet(socket.data.ip);
+
+  try {
+    const [ipKey, subnetKey] = connectionKeys(socket);
+    if (!ipKey) return next();
+
+    const perIp = await store.addConnection(ipKey, socket.id, CONFIG.CONNECTION_ENTRY_TTL);
+    const perSubnet = await store.addConnection(subnetKey, socket.id, CONFIG.CONNECTION_ENTRY_TTL);
+    socket.data.socketsFromIp = perIp;
+    if (perIp <= CONFIG.MAX_SOCKETS_PER_IP && perSubnet <= CONFIG.MAX_SOCKETS_PER_SUBNET) {
+      return next();
+    }
+
+    await store.removeConnection(ipKey, socket.id);
+    await store.removeConnection(subnetKey, socket.id);
+    console.warn(`[CONNECTION LIMIT] Refused ${socket.data.ip} (${perIp} from IP, ${perSubnet} from ${socket.data.subnet})`);
+
+    const error = new Error('Too many connections from your network. Close some tabs and try again.');
+    error.data = { code: 'connection_limit' };
+    next(error);
+  } catch (error) {
+    // Don't lock everyone out because the store hiccuped
+    console.error('[CONNECTION LIMIT ERROR]', error);
+    next();
+  }
+}
+
+/**
+ * Per-address limits on joining the queue: attempts per window and users
+ * waiting at once, by IP and by subnet. Returns the reason to refuse, or
+ * null if the socket may join.
+ */
+async function checkJoinLimits(socket) {
+  const { ip, subnet } = socket.data;
+  if (!ip) return null;
+
+  const joinsFromIp = await store.hitRateLimit('join-ip', ip, CONFIG.JOIN_RATE_WINDOW);
+  const joinsFromSubnet = await store.hitRateLimit('join-subnet', subnet, CONFIG.JOIN_RATE_WINDOW);
+  if (joinsFromIp > CONFIG.MAX_JOINS_PER_IP || joinsFromSubnet > CONFIG.MAX_JOINS_PER_SUBNET) {
+    console.warn(`[JOIN LIMIT] ${socket.id} from ${ip}: ${joinsFromIp} joins from IP, ${joinsFromSubnet} from ${subnet}`);
+    return 'Too many chats started from your network. Please wait a minute and try again.';
+  }
+
+  let queuedFromIp = 0;
+  let queuedFromSubnet = 0;
+  for (const [socketId, user] of await store.getWaitingUsers()) {
+    if (socketId === socket.id || !user.ip) continue;
+    if (user.ip === ip) queuedFromIp++;
+    if (toSubnet(user.ip) === subnet) queuedFromSubnet++;
+  }
+
+  if (queuedFromIp >= CONFIG.MAX_QUEUED_PER_IP || queuedFromSubnet >= CONFIG.MAX_QUEUED_PER_SUBNET) {
+    console.warn(`[JOIN LIMIT] ${socket.id} from ${ip}: ${queuedFromIp} queued from IP, ${queuedFromSubnet} from ${subnet}`);
+    return 'Too many people from your network are already searching. Please try again shortly.';
+  }
+
+  return null;
+}
+
+/**
+ * Send the socket a new proof-of-work challenge, harder when the queue is
+ * under pressure or the client looks abusive
+ */
+async function issuePowChallenge(socket) {
+  const penalty = await store.getPenalty(socket.data.clientId);
+  const difficulty = chooseDifficulty(
+    { base: CONFIG.POW_BASE_DIFFICULTY, max: CONFIG.POW_MAX_DIFFICULTY },
+    {
+      queueLoad: await store.countWaitingUsers() / CONFIG.MAX_WAITING_USERS,
+      socketsFromIp: socket.data.socketsFromIp,
+      socketLimit: CONFIG.MAX_SOCKETS_PER_IP,
+      violations: penalty?.violations || 0,
+      failures: socket.data.powFailures || 0,
+    }
+  );
+
+  socket.data.powChallenge = createChallenge(difficulty, CONFIG.POW_CHALLENGE_TTL);
+  const { challenge, expiresAt } = socket.data.powChallenge;
+  socket.emit('pow-challenge', { challenge, difficulty, ttlMs: expiresAt - Date.now() });
+}
+
+/**
+ * Check the proof of work sent with a queue join. The challenge is used up
+ * either way and a new one issued. Returns true if the join may go ahead;
+ * otherwise the client has been sent 'pow-rejected'.
+ */
+async function checkProofOfWork(socket, proof) {
+  if (!CONFIG.POW_ENABLED) return true;
+
+  const result = verifySolution(socket.data.powChallenge, proof);
+  if (result.wrong) {
+    socket.data.powFailures = (socket.data.powFailures || 0) + 1;
+  }
+
+  await issuePowChallenge(socket);
+  if (result.valid) return true;
+
+  console.warn(`[PROOF OF WORK] ${socket.id} rejected: ${result.error}`);
+  socket.emit('pow-rejected', { message: 'Could not verify this browser. Please try again.' });
+  return false;
+}
+
+/**
+ * Refuse a banned device or IP (by default the socket's own client ID).
+ * Returns true (after telling the client) if banned.
+ */
+function rejectIfBanned(socket, clientId = socket.data.clientId) {
+  const ban = banCache.find({ clientId, ip: socket.data.ip });
+  if (!ban) return false;
+
+  console.warn(`[BANNED] ${socket.id} refused (${ban.type} ban ${ban.id})`);
+  socket.emit('banned', toBanNotice(ban));
+  return true;
+}
+
+/**
+ * Reload active bans. Keeps the previous list if the database is unreachable.
+ */
+async function refreshBans() {
+  if (!isMongoConfigured()) return;
+
+  try {
+    await banCache.refresh(await connectToMongo());
+  } catch (error) {
+    console.error('[BAN REFRESH ERROR]', error.message);
+  }
+}
+
+// After a failed block lookup, matching skips the database for a while
+let blockLookupRetryAt = 0;
+
+/**
+ * Client IDs a user must not be matched with (blocked either way).
+ * Matching goes ahead without them if the database is slow or unreachable;
+ * recent blocks are still covered by the skip history.
+ */
+async function loadBlockedPartners(clientId) {
+  if (!isMongoConfigured() || Date.now() < blockLookupRetryAt) return new Set();
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Block lookup timed out')), CONFIG.BLOCK_LOOKUP_TIMEOUT);
+  });
+
+  try {
+    const lookup = connectToMongo().then((db) => getBlockedClientIds(db, clientId));
+    return await Promise.race([lookup, timeout]);
+  } catch (error) {
+    blockLookupRetryAt = Date.now() + CONFIG.BLOCK_LOOKUP_BACKOFF;
+    console.error('[BLOCK LOOKUP ERROR]', error.message);
+    return new Set();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Find the room a user was in (open, or closed within the report window)
+ * and which seat is theirs, by stable client ID
+ */
+async function getParticipation(roomId, clientId) {
+  const liveRoom = roomId ? await store.getRoom(roomId) : null;
+  const summary = liveRoom ? toRoomSummary(liveRoom) : roomId && await store.getClosedRoom(roomId);
+
+  const seat = summary && ['user1', 'user2'].find((seat) => summary[seat].clientId === clientId);
+  if (!seat) return null;
+
+  return { summary, seat, partnerSeat: seat === 'user1' ? 'user2' : 'user1' };
+}
+
+/**
+ * Record a finished or skipped pairing in both users' partner history
+ */
+async function recordPairing(room, kind) {
+  const options = { limit: CONFIG.RECENT_PARTNER_HISTORY, ttlMs: CONFIG.REMATCH_COOLDOWN };
+  await store.recordPartner(room.user1.clientId, room.user2.clientId, kind, options);
+  await store.recordPartner(room.user2.clientId, room.user1.clientId, kind, options);
+}
+
+/**
+ * Random secret a participant uses to reclaim their seat after reconnecting
+ */
+function createSessionToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Find which seat ('user1' or 'user2') of a room a socket holds
+ */
+function getSeat(room, socketId) {
+  if (room.user1.socketId === socketId) return 'user1';
+  if (room.user2.socketId === socketId) return 'user2';
+  return null;
+}
+
+/**
+ * Find the seat a session token belongs to (constant-time comparison)
+ */
+function getSeatByToken(room, token) {
+  const given = Buffer.from(String(token));
+  return ['user1', 'user2'].find((seat) => {
+    const expected = Buffer.from(String(room[seat].sessionToken));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }) || null;
+}
+
+/**
+ * Get the other participant's socket ID in a room
+ */
+function getPartnerSocketId(room, socketId) {
+  return room.user1.socketId === socketId ? room.user2.socketId : room.user1.socketId;
+}
+
+/**
+ * Check whether a socket is connected to any server instance
+ */
+async function isSocketConnected(io, socketId) {
+  const sockets = await io.in(socketId).fetchSockets();
+  return sockets.length > 0;
+}
+
+/**
+ * Look up the room a socket is in. The room is null if the mapping is stale.
+ */
+async function getSocketRoomState(socketId) {
+  const roomId = await store.getSocketRoom(socketId);
+  const room = roomId ? await store.getRoom(roomId) : null;
+  return { roomId, room };
+}
+
+/**
+ * Why the socket can't take part in a call in this room, or null. Calls fall
+ * under the rules for media messages: both partners' age brackets must
+ * allow media, and media must be unlocked in the room.
+ */
+async function getCallRefusal(socket, roomId, room) {
+  const seat = getSeat(room, socket.id);
+  const partnerSeat = seat === 'user1' ? 'user2' : 'user1';
+
+  if (!agePolicy.allowsMedia(socket.data.profile?.ageBracket)) {
+    return "Calls aren't available for your age group";
+  }
+  if (!agePolicy.allowsMedia(room[partnerSeat].ageBracket)) {
+    return "Your partner can't take calls";
+  }
+
+  const permission = await store.getRoomMediaPermission(roomId);
+  if (!describeMediaPermission(permission, seat).unlocked) {
+    return 'Calls are off until you both allow media';
+  }
+  return null;
+}
+
+/**
+ * store.updateRoom change that ends the room's call (null if there is none)
+ */
+function endCall(room) {
+  if (!room.call) return null;
+  delete room.call;
+  return room;
+}
+
+/**
+ * Remove a room and its socket mappings, and take both sockets out of the
+ * socket.io room (works for sockets on other instances via the adapter).
+ * Returns true only for the caller that actually deleted the room.
+ */
+async function closeRoom(io, roomId, room) {
+  const deleted = await store.deleteRoom(roomId);
+
+  if (room) {
+    await store.deleteSocketRoom(room.user1.socketId);
+    await store.deleteSocketRoom(room.user2.socketId);
+    await store.deletePendingMessages(room.user1.sessionToken);
+    await store.deletePendingMessages(room.user2.sessionToken);
+
+    // Keep who was here (and what was said) for the report window
+    await store.archiveRoom(roomId, toRoomSummary(room), CONFIG.REPORT_WINDOW);
+  }
+
+  // Relayed media only lives as long as its room
+  for (const mediaId of await store.takeRoomMedia(roomId)) {
+    await store.deleteMedia(mediaId);
+  }
+  await store.deleteRoomMediaPermission(roomId);
+  await store.deleteRoomReactions(roomId);
+
+  io.in(roomId).socketsLeave(roomId);
+  return deleted;
+}
+
+// Media permission of a room nobody has acted in yet
+const NO_MEDIA_PERMISSION = { optIns: [], texts: { user1: 0, user2: 0 } };
+
+/**
+ * A room's media permission as one seat sees it:
+ * { unlocked, youAllowed, partnerAllowed, textMessagesLeft } where
+ * textMessagesLeft is null when texting doesn't unlock media
+ */
+function describeMediaPermission({ optIns, texts }, seat) {
+  const partnerSeat = seat === 'user1' ? 'user2' : 'user1';
+  const youAllowed = optIns.includes(seat);
+  const partnerAllowed = optIns.includes(partnerSeat);
+
+  let textMessagesLeft = null;
+  if (CONFIG.MEDIA_UNLOCK_TEXT_MESSAGES > 0) {
+    // Both have to have said something, not one side talking to itself
+    const exchanged = texts.user1 + texts.user2;
+    const bothTalked = texts.user1 > 0 && texts.user2 > 0;
+    textMessagesLeft = Math.max(CONFIG.MEDIA_UNLOCK_TEXT_MESSAGES - exchanged, bothTalked ? 0 : 1);
+  }
+
+  return {
+    unlocked: (youAllowed && partnerAllowed) || textMessagesLeft === 0,
+    youAllowed,
+    partnerAllowed,
+    textMessagesLeft,
+  };
+}
+
+/**
+ * Tell both participants where the room's media permission stands
+ */
+function sendMediaPermission(io, room, permission) {
+  for (const seat of ['user1', 'user2']) {
+    io.to(room[seat].socketId).emit('media-permission', describeMediaPermission(permission, seat));
+  }
+}
+
+/**
+ * Tell both participants a message's reactions, as each sees them:
+ * { messageId, reactions: [{ emoji, count, reacted }] } in REACTION_EMOJIS order
+ */
+function sendReactions(io, room, messageId, reactions) {
+  for (const seat of ['user1', 'user2']) {
+    const summary = CONFIG.REACTION_EMOJIS
+      .map((emoji) => {
+        const seats = reactions.filter((reaction) => reaction.emoji === emoji).map((reaction) => reaction.seat);
+        return { emoji, count: seats.length, reacted: seats.includes(seat) };
+      })
+      .filter((reaction) => reaction.count > 0);
+
+    io.to(room[seat].socketId).emit('message-reactions', { messageId, reactions: summary });
+  }
+}
+
+/**
+ * Send a message to a room, holding a copy for a partner who is reconnecting.
+ * For the report transcript, media messages pass the SHA-256 of their content
+ * and text messages the moderation flags they raised. A shadow-muted
+ * message only goes back to its sender, so to them it looks sent.
+ */
+async function deliverMessage(io, roomId, room, senderSocketId, message, { contentHash = null, flags = [], shadowMuted = false } = {}) {
+  if (shadowMuted) {
+    io.to(senderSocketId).emit('new-message', message);
+    return;
+  }
+
+  io.to(roomId).emit('new-message', message);
+
+  const seat = getSeat(room, senderSocketId);
+  const entry = toTranscriptEntry(message, room[seat].clientId, contentHash);
+  if (flags.length > 0) {
+    entry.flags = flags;
+  }
+
+  await store.pushRoomTranscript(roomId, entry, {
+    limit: CONFIG.REPORT_TRANSCRIPT_LENGTH,
+    ttlMs: CONFIG.ROOM_TIMEOUT + CONFIG.REPORT_WINDOW,
+  });
+
+  const partner = room[seat === 'user1' ? 'user2' : 'user1'];
+  if (partner.disconnectedAt) {
+    await store.pushPendingMessage(partner.sessionToken, message, {
+      limit: CONFIG.MAX_BUFFERED_MESSAGES,
+      ttlMs: CONFIG.RESUME_GRACE_PERIOD,
+    });
+  }
+}
+
+/**
+ * A message its sender may still edit or delete: in their current room's
+ * transcript, not deleted, sent by the same client and within
+ * MESSAGE_EDIT_WINDOW. Returns { roomId, room, entry } or { error }.
+ */
+async function getEditableMessage(socket, messageId, action) {
+  const { roomId, room } = await getSocketRoomState(socket.id);
+  if (!room) {
+    return { error: 'Not in a chat room' };
+  }
+
+  const transcript = await store.getRoomTranscript(roomId);
+  const entry = transcript.find((candidate) => candidate.id === messageId && !candidate.deletedAt);
+  if (!entry) {
+    return { error: 'Message not found' };
+  }
+  if (entry.senderClientId !== socket.data.clientId) {
+    return { error: `You can only ${action} your own messages` };
+  }
+  if (Date.now() - entry.timestamp > CONFIG.MESSAGE_EDIT_WINDOW) {
+    return { error: `It's too late to ${action} this message` };
+  }
+
+  return { roomId, room, entry };
+}
+
+/**
+ * Send the new version of an edited or deleted message to a room. A partner
+ * who is reconnecting gets it with their missed messages, in place of the
+ * old version if that was still waiting for them. Like deliverMessage, a
+ * shadow-muted update only goes back to its sender.
+ */
+async function deliverMessageUpdate(io, roomId, room, senderSocketId, message, { shadowMuted = false } = {}) {
+  if (shadowMuted) {
+    io.to(senderSocketId).emit('message-updated', message);
+    return;
+  }
+
+  io.to(roomId).emit('message-updated', message);
+
+  const seat = getSeat(room, senderSocketId);
+  const partner = room[seat === 'user1' ? 'user2' : 'user1'];
+  if (partner.disconnectedAt && !await store.replacePendingMessage(partner.sessionToken, message)) {
+    await store.pushPendingMessage(partner.sessionToken, message, {
+      limit: CONFIG.MAX_BUFFERED_MESSAGES,
+      ttlMs: CONFIG.RESUME_GRACE_PERIOD,
+    });
+  }
+}
+
+/**
+ * Transcript copy of a message: text as sent, media only as a content hash
+ */
+function toTranscriptEntry(message, senderClientId, contentHash) {
+  const entry = {
+    id: message.id,
+    senderClientId,
+    type: message.type,
+    timestamp: message.timestamp,
+  };
+
+  if (message.type === 'text') {
+    entry.content = message.content;
+  } else {
+    entry.sha256 = contentHash;
+    entry.mimeType = message.mimeType;
+    entry.size = message.size;
+    entry.mediaId = message.mediaId; // so the file can be dropped if the sender deletes it
+    if (message.duration !== undefined) entry.duration = message.duration;
+  }
+
+  if (message.replyTo) entry.replyTo = message.replyTo;
+
+  return entry;
+}
+
+/**
+ * Who was in a room, as recorded on reports against it
+ */
+function toRoomSummary(room) {
+  const participant = ({ clientId, ip, username, gender }) => ({ clientId, ip, username, gender });
+  return {
+    user1: participant(room.user1),
+    user2: participant(room.user2),
+    createdAt: room.createdAt,
+  };
+}
+
+/**
+ * Strip the per-room fields from a room participant, leaving their profile
+ */
+function toProfile(roomUser) {
+  const { socketId, joinedAt, sessionToken, disconnectedAt, ...profile } = roomUser;
+  return profile;
+}
+
+/**
+ * Turn a room participant back into a fresh queue entry with the same profile
+ */
+function toQueueEntry(roomUser) {
+  return { ...toProfile(roomUser), joinedAt: Date.now() };
+}
+
+/**
+ * Close a room once a disconnected participant's grace period has run out.
+ * Does nothing if they reclaimed their seat in the meantime.
+ */
+async function expireSeat(io, roomId, socketId) {
+  const room = await store.getRoom(roomId);
+  const seat = room && getSeat(room, socketId);
+  if (!seat || !room[seat].disconnectedAt) return;
+
+  io.to(roomId).emit('chat-ended', {
+    roomId,
+    reason: 'Partner disconnected',
+  });
+
+  await closeRoom(io, roomId, room);
+  console.log(`[CLEANUP] Room ${roomId} closed after ${socketId} did not reconnect`);
+}
+
+/**
+ * Match a user with the best waiting candidate, or put them in the queue.
+ * Works by socket ID so it can requeue sockets on other instances too.
+ */
+async function matchOrEnqueue(io, socketId, user) {
+  // Another handler (possibly on another instance) may claim the same
+  // candidate first, or the candidate may have gone away - try again
+  const blockedPartners = await loadBlockedPartners(user.clientId);
+
+  let match = null;
+  for (let attempt = 0; attempt < 3 && !match; attempt++) {
+    const candidate = await findMatch(user, socketId, blockedPartners);
+    if (!candidate) break;
+
+    if (!await store.removeWaitingUser(candidate.socketId)) continue;
+
+    if (!await isSocketConnected(io, candidate.socketId)) {
+      console.warn(`[MATCH ERROR] Match socket ${candidate.socketId} not found`);
+      continue;
+    }
+
+    match = candidate;
+  }
+
+  if (match) {
+    console.log(`[MATCH FOUND] Matching ${socketId} with ${match.socketId}`);
+
+    const roomId = uuidv4();
+    const sessionToken = createSessionToken();
+    const matchSessionToken = createSessionToken();
+
+    await store.setRoom(roomId, {
+      user1: { socketId, ...user, sessionToken },
+      user2: { socketId: match.socketId, ...match.user, sessionToken: matchSessionToken },
+      createdAt: Date.now(),
+    });
+
+    await store.setSocketRoom(socketId, roomId);
+    await store.setSocketRoom(match.socketId, roomId);
+
+    // Remember the pairing so the same two users aren't matched straight away again
+    await recordPairing({ user1: user, user2: match.user }, 'matched');
+
+    // Either user may be connected to another instance
+    io.in(socketId).socketsJoin(roomId);
+    io.in(match.socketId).socketsJoin(roomId);
+
+    const commonInterests = match.commonInterests || [];
+
+    io.to(socketId).emit('match-found', {
+      roomId,
+      partner: {
+        username: match.user.username,
+        gender: match.user.gender,
+        interests: match.user.interests,
+      },
+      commonInterests,
+      sessionToken,
+      mediaPermission: describeMediaPermission(NO_MEDIA_PERMISSION, 'user1'),
+      messageEditWindow: CONFIG.MESSAGE_EDIT_WINDOW,
+    });
+
+    io.to(match.socketId).emit('match-found', {
+      roomId,
+      partner: {
+        username: user.username,
+        gender: user.gender,
+        interests: user.interests,
+      },
+      commonInterests,
+      sessionToken: matchSessionToken,
+      mediaPermission: describeMediaPermission(NO_MEDIA_PERMISSION, 'user2'),
+      messageEditWindow: CONFIG.MESSAGE_EDIT_WINDOW,
+    });
+
+    console.log(`[ROOM CREATED] Room ${roomId} created`);
+  } else {
+    await store.addWaitingUser(socketId, user);
+    io.to(socketId).emit('searching');
+    console.log(`[WAITING] User ${socketId} added to queue. Queue size: ${await store.countWaitingUsers()}`);
+  }
+}
+
+/**
+ * Matching algorithm with error handling
+ */
+async function findMatch(user, socketId, blockedPartners = new Set()) {
+  try {
+    const history = await store.getPartnerHistory(user.clientId, CONFIG.REMATCH_COOLDOWN);
+
+    const { match, compatibleCount, bestCount } = selectMatch(
+      user,
+      socketId,
+      await store.getWaitingUsers(),
+      {
+        scorer: matchScorer,
+        weights: CONFIG.MATCH_WEIGHTS,
+        recentPartners: new Set(history.matched),
+        skippedPartners: new Set(history.skipped),
+        blockedPartners,
+        canMatchAges: agePolicy.canMatch,
+      }
+    );
+
+    if (!match) {
+      return null;
+    }
+
+    console.log(`[MATCHING] Found ${compatibleCount} compatible users, ${bestCount} with highest score (${match.score.toFixed(2)})`);
+
+    return {
+      user: match.user,
+      socketId: match.socketId,
+      commonInterests: match.commonInterests
+    };
+  } catch (error) {
+    console.error('[MATCHING ERROR]', error);
+    return null;
+  }
+}
+
+/**
+ * Clean up stale waiting users
+ */
+async function cleanupWaitingUsers() {
+  const now = Date.now();
+  let cleanedCount = 0;
+
+  for (const [socketId, user] of await store.getWaitingUsers()) {
+    if (now - user.joinedAt > CONFIG.QUEUE_TIMEOUT) {
+      await store.removeWaitingUser(socketId);
+      cleanedCount++;
+    }
+  }
+
+  if (cleanedCount > 0) {
+    console.log(`[CLEANUP] Removed ${cleanedCount} stale waiting users`);
+  }
+}
+
+/**
+ * Clean up stale rooms
+ */
+async function cleanupStaleRooms(io) {
+  const now = Date.now();
+  let cleanedCount = 0;
+
+  for (const [roomId, room] of await store.getRooms()) {
+    if (now - room.createdAt > CONFIG.ROOM_TIMEOUT) {
+      // Notify users
+      io.to(roomId).emit('chat-ended', {
+        roomId,
+        reason: 'Session timeout'
+      });
+
+      // Clean up
+      await closeRoom(io, roomId, room);
+      cleanedCount++;
+      continue;
+    }
+
+    // Grace periods whose timer was lost (e.g. the instance restarted)
+    const abandoned = [room.user1, room.user2].some(
+      (user) => user.disconnectedAt && now - user.disconnectedAt > CONFIG.RESUME_GRACE_PERIOD
+    );
+    if (abandoned) {
+      io.to(roomId).emit('chat-ended', {
+        roomId,
+        reason: 'Partner disconnected'
+      });
+
+      await closeRoom(io, roomId, room);
+      cleanedCount++;
+    }
+  }
+
+  if (cleanedCount > 0) {
+    console.log(`[CLEANUP] Removed ${cleanedCount} stale rooms`);
+  }
+}
+
+/**
+ * Keep a health sample for the dashboard charts
+ */
+function recordHealthSample(health) {
+  healthHistory.push({
+    timestamp: Date.now(),
+    waitingUsers: health.metrics.waitingUsers,
+    activeRooms: health.metrics.activeRooms,
+    heapUsed: health.memory.heapUsed,
+    rss: health.memory.rss,
+  });
+  if (healthHistory.length > CONFIG.HEALTH_HISTORY_LENGTH) {
+    healthHistory.shift();
+  }
+}
+
+/**
+ * What the admin dashboard shows: who is waiting, which rooms are open and
+ * for how long, and this instance's health (now and over time)
+ */
+async function buildAdminSnapshot() {
+  const now = Date.now();
+  const participant = ({ socketId, username, ageBracket, clientId, ip, disconnectedAt }) => ({
+    socketId,
+    username,
+    ageBracket,
+    clientId,
+    ip,
+    reconnecting: Boolean(disconnectedAt),
+  });
+
+  const waiting = (await store.getWaitingUsers()).map(([socketId, user]) => ({
+    socketId,
+    username: user.username,
+    ageBracket: user.ageBracket,
+    gender: user.gender,
+    preferredGender: user.preferredGender,
+    interests: user.interests,
+    language: user.language,
+    clientId: user.clientId,
+    ip: user.ip,
+    waitingMs: now - user.joinedAt,
+  }));
+
+  const rooms = (await store.getRooms()).map(([roomId, room]) => ({
+    roomId,
+    ageMs: now - room.createdAt,
+    call: room.call ? room.call.type : null,
+    users: [participant(room.user1), participant(room.user2)],
+  }));
+
+  return {
+    waiting,
+    rooms,
+    health: await getHealthMetrics(),
+    healthHistory,
+    sentAt: now,
+  };
+}
+
+/**
+ * Clean up rate limit tracking and spam fingerprints
+ */
+async function cleanupRateLimits() {
+  await store.pruneRateLimits();
+  await store.pruneContentFingerprints();
+}
+
+/**
+ * Run a text message through the cross-room spam detector. Returns whether
+ * to withhold it from the partner; new flags and shadow mutes are logged
+ * and stored for moderators.
+ */
+async function checkForSpam(socket, roomId, text) {
+  const { clientId, ip } = socket.data;
+  const { shadowMuted, event } = await spamDetector.check({ clientId, ip, roomId, text });
+  if (!event) return shadowMuted;
+
+  console.warn(`[SPAM] ${event.type} ${clientId} (${ip}): near-duplicate text in ${event.actorRooms} rooms by this sender, ${event.rooms} rooms by ${event.senders} senders`);
+  if (isMongoConfigured()) {
+    try {
+      await recordSpamEvent(await connectToMongo(), { ...event, clientId, ip, roomId, text });
+    } catch (error) {
+      console.error('[SPAM EVENT ERROR]', error.message);
+    }
+  }
+  return shadowMuted;
+}
+
+/**
+ * Refresh this instance's sockets in the per-address counts, so the ones
+ * left behind by a crashed instance are the only ones that age out
+ */
+async function refreshConnections(io) {
+  for (const socket of io.of('/').sockets.values()) {
+    for (const key of connectionKeys(socket)) {
+      await store.addConnection(key, socket.id, CONFIG.CONNECTION_ENTRY_TTL);
+    }
+  }
+}
+
+/**
+ * Drop relayed media whose TTL has passed
+ */
+async function cleanupMedia() {
+  await store.pruneMedia();
+}
+
+/**
+ * Drop room transcripts whose report window has passed
+ */
+async function cleanupRoomTranscripts() {
+  await store.pruneRoomTranscripts();
+}
+
+/**
+ * Forget partner history older than the re-match cooldown
+ */
+async function cleanupPartnerHistory() {
+  await store.prunePartnerHistory(CONFIG.REMATCH_COOLDOWN);
+}
+
+/**
+ * Check memory usage and enforce limits
+ */
+async function enforceMemoryLimits(io) {
+  // Limit waiting users
+  const waitingCount = await store.countWaitingUsers();
+  if (waitingCount > CONFIG.MAX_WAITING_USERS) {
+    const excess = waitingCount - CONFIG.MAX_WAITING_USERS;
+    const sortedUsers = (await store.getWaitingUsers())
+      .sort((a, b) => a[1].joinedAt - b[1].joinedAt); // Remove oldest first
+    
+    for (let i = 0; i < excess; i++) {
+      await store.removeWaitingUser(sortedUsers[i][0]);
+    }
+    
+    console.warn(`[MEMORY] Removed ${excess} oldest users to enforce waiting limit`);
+  }
+
+  // Limit active rooms
+  const roomCount = await store.countRooms();
+  if (roomCount > CONFIG.MAX_ACTIVE_ROOMS) {
+    const excess = roomCount - CONFIG.MAX_ACTIVE_ROOMS;
+    const sortedRooms = (await store.getRooms())
+      .sort((a, b) => a[1].createdAt - b[1].createdAt); // Remove oldest first
+    
+    for (let i = 0; i < excess; i++) {
+      const [roomId, room] = sortedRooms[i];
+      await closeRoom(io, roomId, room);
+    }
+    
+    console.warn(`[MEMORY] Removed ${excess} oldest rooms to enforce room limit`);
+  }
+}
+
+/**
+ * Get server health metrics
+ */
+async function getHealthMetrics() {
+  const memUsage = process.memoryUsage();
+  
+  return {
+    status: 'healthy',
+    uptime: process.uptime(),
+    memory: {
+      heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
+      heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024),
+      heapUsedPercent: Math.round((memUsage.heapUsed / memUsage.heapTotal) * 100),
+      rss: Math.round(memUsage.rss / 1024 / 1024),
+    },
+    metrics: {
+      waitingUsers: await store.countWaitingUsers(),
+      activeRooms: await store.countRooms(),
+      socketMappings: await store.countSocketRooms(),
+      messageRateLimits: await store.countTokenBuckets('message'),
+      mediaRateLimits: await store.countTokenBuckets('media'),
+      relayedMedia: await store.countMedia(),
+      activeBans: banCache.size,
+    },
+    config: {
+      maxImageSizeMB: CONFIG.MAX_IMAGE_SIZE / 1024 / 1024,
+      maxVideoSizeMB: CONFIG.MAX_VIDEO_SIZE / 1024 / 1024,
+      maxAudioSizeMB: CONFIG.MAX_AUDIO_SIZE / 1024 / 1024,
+      maxAudioDurationS: CONFIG.MAX_AUDIO_DURATION,
+      maxVideoDurationS: CONFIG.MAX_VIDEO_DURATION,
+      maxImageDimension: CONFIG.MAX_IMAGE_DIMENSION,
+    },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// ============================================
+// MAIN SERVER INITIALIZATION
+// ============================================
+app.prepare().then(async () => {
+  // ============================================
+  // SHARED STATE STORE
+  // ============================================
+  const storeSetup = await createStore({
+    redisUrl: CONFIG.REDIS_URL,
+    keyPrefix: CONFIG.REDIS_KEY_PREFIX,
+  });
+  store = storeSetup.store;
+  rateLimiter = createRateLimiter(store, {
+    buckets: CONFIG.RATE_LIMIT_BUCKETS,
+    penalties: CONFIG.RATE_PENALTIES,
+    grace: CONFIG.RATE_VIOLATION_GRACE,
+    memoryMs: CONFIG.RATE_VIOLATION_MEMORY,
+  });
+  spamDetector = createSpamDetector(store, {
+    windowMs: CONFIG.SPAM_WINDOW,
+    minLength: CONFIG.SPAM_MIN_LENGTH,
+    minSimilarity: CONFIG.SPAM_MIN_SIMILARITY,
+    flagRooms: CONFIG.SPAM_FLAG_ROOMS,
+    muteRooms: CONFIG.SPAM_MUTE_ROOMS,
+    burstMs: CONFIG.SPAM_MUTE_BURST,
+    shadowMuteMs: CONFIG.SPAM_SHADOW_MUTE_DURATION,
+    indexLimit: CONFIG.SPAM_INDEX_LIMIT,
+  });
+
+  // Relayed media is served by the custom server, everything else by Next.js
+  const handleMediaRequest = createMediaRequestHandler(store);
+  const httpServer = createServer((req, res) => {
+    if (req.url.startsWith(MEDIA_ROUTE)) {
+      handleMediaRequest(req, res);
+      return;
+    }
+
+    // The API records who made privileged requests
+    req.headers[CLIENT_IP_HEADER] = resolveClientAddress(
+      req.socket.remoteAddress,
+      req.headers['x-forwarded-for'],
+      CONFIG.TRUSTED_PROXIES
+    ) || '';
+    handler(req, res);
+  });
+
+  // ============================================
+  // SOCKET.IO SERVER CONFIGURATION
+  // ============================================
+  const io = new Server(httpServer, {
+    cors: {
+      origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
+      methods: ['GET', 'POST'],
+      credentials: true,
+    },
+    path: '/socket.io',
+    transports: ['websocket', 'polling'],
+    
+    // ============================================
+    // CRITICAL: Proper timeout configuration
+    // ============================================
+    pingTimeout: 60000,
+    pingInterval: 25000,
+    
+    // ============================================
+    // CRITICAL: Buffer size for media uploads
+    // ============================================
+    // This MUST be larger than MEDIA_CHUNK_SIZE to prevent crashes
+    maxHttpBufferSize: CONFIG.MAX_HTTP_BUFFER_SIZE,
+    
+    connectTimeout: 45000,
+    allowUpgrades: true,
+    perMessageDeflate: {
+      threshold: 1024, // Only compress messages > 1KB
+    },
     
     // ============================================
-    // CRITICAL: Buffer size for media uploads
+    // CRITICAL: Handle upgrade errors gracefully
+    // ============================================
+    handlePreflightRequest: (req, res) => {
+      const headers = {
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+        "Access-Control-Allow-Origin": req.headers.origin || '*',
+        "Access-Control-Allow-Credentials": true,
+        "Access-Control-Max-Age": 1728000,
+      };
+      res.writeHead(200, headers);
+      res.end();
+    },
+  });
+
+  // Relay events between instances when running with Redis
+  if (storeSetup.adapter) {
+    io.adapter(storeSetup.adapter);
+  }
+
+  // Bans created through the REST API take effect at once, like the admin socket's
+  setBanEnforcer((ban, reason) => applyBan(io, ban, reason));
+  // ...and revoked ones stop at once: another ban may still cover the same
+  // device or IP, so reload rather than drop entries
+  setBanLifter(() => refreshBans());
+
+  // ============================================
+  // GLOBAL ERROR HANDLER FOR SOCKET.IO
+  // ============================================
+  io.engine.on('connection_error', (err) => {
+    console.error('[ENGINE ERROR]', {
+      code: err.code,
+      message: err.message,
+      context: err.context,
+    });
+    // Don't crash - just log
+  });
+
+  // ============================================
+  // PERIODIC CLEANUP TASKS
+  // ============================================
+  const cleanupInterval = setInterval(async () => {
+    try {
+      await cleanupWaitingUsers();
+      await cleanupStaleRooms(io);
+      await cleanupRateLimits();
+      await refreshConnections(io);
+      await cleanupPartnerHistory();
+      await cleanupMedia();
+      await cleanupRoomTranscripts();
+      await enforceMemoryLimits(io);
+    } catch (error) {
+      console.error('[CLEANUP ERROR]', error);
+      // Don't let cleanup errors crash the server
+    }
+  }, CONFIG.CLEANUP_INTERVAL);
+
+  // ============================================
+  // BAN LIST REFRESH
+  // ============================================
+  // Not awaited: the server starts even if the database is slow or down
+  refreshBans();
+  const banRefreshInterval = setInterval(refreshBans, CONFIG.BAN_REFRESH_INTERVAL);
+
+  // ============================================
+  // ADMIN ACCOUNTS
+  // ============================================
+  // On a fresh database, create the first admin from ADMIN_USERNAME and
+  // ADMIN_PASSWORD (not awaited, like the ban refresh)
+  if (isMongoConfigured()) {
+    connectToMongo()
+      .then(ensureBootstrapAdmin)
+      .then((admin) => admin && console.log(`[ADMIN] Created admin account "${admin.username}"`))
+      .catch((error) => console.error('[ADMIN BOOTSTRAP ERROR]', error.message));
+  }
+
+  // ============================================
+  // HEALTH CHECK MONITORING
+  // ============================================
+  const healthInterval = setInterval(async () => {
+    try {
+      const health = await getHealthMetrics();
+      console.log('[HEALTH]', JSON.stringify(health));
+      recordHealthSample(health);
+      
+      // Warning if memory high
+      if (health.memory.heapUsedPercent > 85) {
+        console.warn('[WARNING] High memory usage:', health.memory.heapUsedPercent + '%');
+      }
+    } catch (error) {
+      console.error('[HEALTH CHECK ERROR]', error);
+    }
+  }, CONFIG.HEALTH_CHECK_INTERVAL);
+
+  // ============================================
+  // PER-ADDRESS CONNECTION LIMIT
+  // ============================================
+  // Sets socket.data.ip / subnet and refuses sockets over the per-IP or
+  // per-subnet cap (the client gets a connect_error with code 'connection_limit')
+  io.use(limitConnections);
+
+  // ============================================
+  // SOCKET CONNECTION EVENT HANDLER
+  // ============================================
+  io.on('connection', (socket) => {
+    console.log(`[CONNECTION] New user connected: ${socket.id}`);
+
+    // Stable identity used for partner history (survives reconnects and requeues)
+    socket.data.clientId = resolveClientId(socket);
+
+    // Media uploads in progress on this socket: mediaId -> { size, received }
+    const uploads = new Map();
+
+    // First proof-of-work challenge, solved in the background before the user joins
+    if (CONFIG.POW_ENABLED) {
+      issuePowChallenge(socket)
+        .catch((error) => console.error(`[PROOF OF WORK ERROR] ${socket.id}:`, error));
+    }
+
+    // A mute outlasts reconnects, so restore the client's countdown
+    rateLimiter.getMutedUntil({ clientId: socket.data.clientId, ip: socket.data.ip })
+      .then((until) => until && socket.emit('muted', toMuteNotice(until)))
+      .catch((error) => console.error(`[MUTE LOOKUP ERROR] ${socket.id}:`, error));
+
+    // Age brackets and terms version for the setup form
+    socket.emit('policy', agePolicy.toPublic());
+
+    // ============================================
+    // SOCKET ERROR HANDLER (CRITICAL)
+    // ============================================
+    socket.on('error', (error) => {
+      console.error(`[SOCKET ERROR] ${socket.id}:`, error);
+      // Don't crash - errors are isolated per socket
+    });
+
+    // ============================================
+    // ICE SERVERS FOR WEBRTC CALLS
+    // ============================================
+    // Sent on connect; clients ask again before each call so TURN
+    // credentials are always fresh
+    const sendIceServers = () => {
+      socket.emit('ice-servers', {
+        iceServers: buildIceServers(socket.id),
+        ttl: CONFIG.TURN_CREDENTIAL_TTL,
+      });
+    };
+
+    sendIceServers();
+
+    socket.on('get-ice-servers', () => {
+      try {
+        sendIceServers();
+      } catch (error) {
+        console.error(`[ICE SERVERS ERROR] ${socket.id}:`, error);
+      }
+    });
+
+    // ============================================
+    // JOIN QUEUE EVENT HANDLER
+    // ============================================
+    socket.on('join-queue', async (userData) => {
+      try {
+        // Validate user data
+        const validation = validateUserData(userData);
+        if (!validation.valid) {
+          console.warn(`[VALIDATION ERROR] ${socket.id}: ${validation.error}`);
+          socket.emit('error', { message: validation.error, field: validation.field, code: validation.code });
+          return;
+        }
+
+        const validData = validation.data;
+        console.log(`[JOIN QUEUE] User ${socket.id} joining queue:`, validData.username);
+
+        if (rejectIfBanned(socket)) return;
+
+        // Check if already in queue or room
+        if (await store.hasWaitingUser(socket.id) || await store.getSocketRoom(socket.id)) {
+          socket.emit('error', { message: 'Already in queue or chat' });
+          return;
+        }
+
+        if (!await checkProofOfWork(socket, userData.pow)) return;
+
+        const joinLimitError = await checkJoinLimits(socket);
+        if (joinLimitError) {
+          socket.emit('error', { message: joinLimitError });
+          return;
+        }
+
+        // Kept on the socket so "Next" can requeue with the same profile
+        socket.data.profile = { ...validData, clientId: socket.data.clientId, ip: socket.data.ip };
+
+        const user = {
+          ...socket.data.profile,
+          joinedAt: Date.now(),
+        };
+
+        await matchOrEnqueue(io, socket.id, user);
+      } catch (error) {
+        console.error(`[JOIN QUEUE ERROR] ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to join queue' });
+      }
+    });
+
+    // ============================================
+    // LEAVE QUEUE EVENT HANDLER
+    // ============================================
+    socket.on('leave-queue', async () => {
+      try {
+        await store.removeWaitingUser(socket.id);
+        console.log(`[LEAVE QUEUE] User ${socket.id} left the queue`);
+      } catch (error) {
+        console.error(`[LEAVE QUEUE ERROR] ${socket.id}:`, error);
+      }
+    });
+
+    // ============================================
+    // SEND MESSAGE EVENT HANDLER (TEXT)
+    // ============================================
+    socket.on('send-message', async (data) => {
+      try {
+        // Rate limiting (the client is told about warnings, mutes and bans)
+        if (await enforceRateLimit(io, socket, 'message')) return;
+
+        // Validate message
+        const validation = validateMessage(data);
+        if (!validation.valid) {
+          console.warn(`[MESSAGE VALIDATION ERROR] ${socket.id}: ${validation.error}`);
+          socket.emit('error', { message: validation.error });
+          return;
+        }
+
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (!roomId) {
+          socket.emit('error', { message: 'Not in a chat room' });
+          return;
+        }
+
+        // Verify room still exists
+        if (!room) {
+          socket.emit('error', { message: 'Chat room no longer exists' });
+          await store.deleteSocketRoom(socket.id);
+          return;
+        }
+
+        // A reply can only quote a recent message from this chat
+        if (data.replyTo) {
+          const transcript = await store.getRoomTranscript(roomId);
+          if (!transcript.some((entry) => entry.id === data.replyTo && !entry.deletedAt)) {
+            socket.emit('error', { message: 'The message you replied to is no longer available' });
+            return;
+          }
+        }
+
+        // Word lists and PII detectors may mask parts of the text or refuse it
+        const moderation = textModerator.moderate(data.content);
+        if (moderation.action === 'reject') {
+          console.warn(`[MODERATION] Message from ${socket.id} rejected: ${moderation.flags.map(f => f.name).join(', ')}`);
+          socket.emit('error', { message: moderation.reason });
+          return;
+        }
+        if (moderation.flags.length > 0) {
+          console.log(`[MODERATION] Message from ${socket.id}: ${moderation.flags.map(f => `${f.name} (${f.action})`).join(', ')}`);
+        }
+
+        const message = {
+          id: uuidv4(),
+          senderId: socket.id,
+          content: moderation.text,
+          type: 'text',
+          timestamp: Date.now(),
+        };
+        if (data.replyTo) message.replyTo = data.replyTo;
+
+        // The same text pasted into many rooms is withheld without telling the sender
+        const shadowMuted = await checkForSpam(socket, roomId, data.content);
+
+        await deliverMessage(io, roomId, room, socket.id, message, { flags: moderation.flags, shadowMuted });
+
+        // Texts count towards unlocking media; both sides hear when this one did
+        if (!shadowMuted) {
+          const seat = getSeat(room, socket.id);
+          const permission = await store.countRoomText(roomId, seat, CONFIG.ROOM_TIMEOUT);
+          const before = { ...permission, texts: { ...permission.texts, [seat]: permission.texts[seat] - 1 } };
+          if (!describeMediaPermission(before, seat).unlocked) {
+            sendMediaPermission(io, room, permission);
+          }
+        }
+      } catch (error) {
+        console.error(`[SEND MESSAGE ERROR] ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to send message' });
+      }
+    });
+
+    // ============================================
+    // EDIT MESSAGE EVENT HANDLER
+    // ============================================
+    // Senders can fix their own text messages for MESSAGE_EDIT_WINDOW; the
+    // new text is moderated like a new message. Replies are {} or { error }.
+    socket.on('edit-message', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const rateLimitError = await enforceRateLimit(io, socket, 'message');
+        if (rateLimitError) {
+          reply({ error: rateLimitError });
+          return;
+        }
+
+        const validation = validateMessageEdit(data);
+        if (!validation.valid) {
+          reply({ error: validation.error });
+          return;
+        }
+
+        const { messageId, content } = validation.data;
+        const { roomId, room, entry, error } = await getEditableMessage(socket, messageId, 'edit');
+        if (error) {
+          reply({ error });
+          return;
+        }
+        if (entry.type !== 'text') {
+          reply({ error: 'Only text messages can be edited' });
+          return;
+        }
+
+        const moderation = textModerator.moderate(content);
+        if (moderation.action === 'reject') {
+          console.warn(`[MODERATION] Edit from ${socket.id} rejected: ${moderation.flags.map(f => f.name).join(', ')}`);
+          reply({ error: moderation.reason });
+          return;
+        }
+
+        const editedAt = Date.now();
+        const message = {
+          id: messageId,
+          senderId: socket.id,
+          content: moderation.text,
+          type: 'text',
+          timestamp: entry.timestamp,
+          editedAt,
+        };
+        if (entry.replyTo) message.replyTo = entry.replyTo;
+
+        // Edits go through spam detection like new messages, so a message
+        // sent before a shadow mute can't be turned into spam afterwards;
+        // the partner keeps seeing the last version they were sent
+        if (await checkForSpam(socket, roomId, content)) {
+          await deliverMessageUpdate(io, roomId, room, socket.id, message, { shadowMuted: true });
+          reply({});
+          return;
+        }
+
+        // Reports see every version of the text, not just the last one
+        const changes = {
+          content: moderation.text,
+          editedAt,
+          edits: [...(entry.edits || []), { content: entry.content, replacedAt: editedAt }],
+        };
+        if (moderation.flags.length > 0) {
+          changes.flags = [...(entry.flags || []), ...moderation.flags];
+        }
+        if (!await store.updateRoomTranscriptEntry(roomId, messageId, changes)) {
+          reply({ error: 'Message not found' });
+          return;
+        }
+
+        await deliverMessageUpdate(io, roomId, room, socket.id, message);
+        reply({});
+      } catch (error) {
+        console.error(`[EDIT MESSAGE ERROR] ${socket.id}:`, error);
+        reply({ error: 'Failed to edit message' });
+      }
+    });
+
+    // ============================================
+    // DELETE MESSAGE EVENT HANDLER
     // ============================================
-    // This MUST be larger than MAX_VIDEO_SIZE to prevent crashes
-    maxHttpBufferSize: CONFIG.MAX_HTTP_BUFFER_SIZE,
-    
-    connectTimeout: 45000,
-    allowUpgrades: true,
-    perMessageDeflate: {
-      threshold: 1024, // Only compress messages > 1KB
-    },
-    
+    // Senders can unsend their own messages for MESSAGE_EDIT_WINDOW. Both
+    // sides keep a "message deleted" placeholder; a deleted file is removed
+    // from the media store at once. The transcript keeps the text (and a
+    // file's hash) for reports. Replies are {} or { error }.
+    socket.on('delete-message', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const rateLimitError = await enforceRateLimit(io, socket, 'message');
+        if (rateLimitError) {
+          reply({ error: rateLimitError });
+          return;
+        }
+
+        const messageId = data?.messageId;
+        if (typeof messageId !== 'string' || messageId.length === 0 || messageId.length > 64) {
+          reply({ error: 'Invalid message ID' });
+          return;
+        }
+
+        const { roomId, room, entry, error } = await getEditableMessage(socket, messageId, 'delete');
+        if (error) {
+          reply({ error });
+          return;
+        }
+
+        const deletedAt = Date.now();
+        if (!await store.updateRoomTranscriptEntry(roomId, messageId, { deletedAt })) {
+          reply({ error: 'Message not found' });
+          return;
+        }
+        if (entry.mediaId) {
+          await store.deleteMedia(entry.mediaId);
+        }
+
+        await deliverMessageUpdate(io, roomId, room, socket.id, {
+          id: messageId,
+          senderId: socket.id,
+          type: entry.type,
+          timestamp: entry.timestamp,
+          deletedAt,
+        });
+        reply({});
+      } catch (error) {
+        console.error(`[DELETE MESSAGE ERROR] ${socket.id}:`, error);
+        reply({ error: 'Failed to delete message' });
+      }
+    });
+
     // ============================================
-    // CRITICAL: Handle upgrade errors gracefully
+    // MEDIA UPLOAD: START
     // ============================================
-    handlePreflightRequest: (req, res) => {
-      const headers = {
-        "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        "Access-Control-Allow-Origin": req.headers.origin || '*',
-        "Access-Control-Allow-Credentials": true,
-        "Access-Control-Max-Age": 1728000,
-      };
-      res.writeHead(200, headers);
-      res.end();
-    },
-  });
+    // Images, videos and voice notes are sent as binary chunks:
+    // start -> chunk... -> complete, each acknowledged so the client can
+    // report real progress. Replies are { error } on failure.
+    socket.on('media-upload-start', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        // Rate limiting (stricter for media)
+        const rateLimitError = await enforceRateLimit(io, socket, 'media');
+        if (rateLimitError) {
+          reply({ error: rateLimitError, rateLimited: true });
+          return;
+        }
 
-  // ============================================
-  // GLOBAL ERROR HANDLER FOR SOCKET.IO
-  // ============================================
-  io.engine.on('connection_error', (err) => {
-    console.error('[ENGINE ERROR]', {
-      code: err.code,
-      message: err.message,
-      context: err.context,
+        const validation = validateMediaUpload(data);
+        if (!validation.valid) {
+          console.warn(`[UPLOAD VALIDATION ERROR] ${socket.id}: ${validation.error}`);
+          reply({ error: validation.error });
+          return;
+        }
+
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (!room) {
+          reply({ error: 'Not in a chat room' });
+          return;
+        }
+
+        if (!agePolicy.allowsMedia(socket.data.profile?.ageBracket)) {
+          reply({ error: "Photos, videos and voice messages aren't available for your age group" });
+          return;
+        }
+
+        // Nothing is delivered before the partner has agreed to receive it
+        const permission = await store.getRoomMediaPermission(roomId);
+        if (!describeMediaPermission(permission, getSeat(room, socket.id)).unlocked) {
+          reply({ error: 'Media is off until you both allow it' });
+          return;
+        }
+
+        if (uploads.size >= CONFIG.MAX_CONCURRENT_UPLOADS) {
+          reply({ error: 'Please wait for your other uploads to finish' });
+          return;
+        }
+
+        const mediaId = uuidv4();
+        const reserved = await store.createMedia(mediaId, {
+          ...validation.data,
+          roomId,
+          senderId: socket.id,
+          complete: false,
+          createdAt: Date.now(),
+        }, CONFIG.MEDIA_TTL, CONFIG.MEDIA_MEMORY_BUDGET);
+        if (!reserved) {
+          console.warn(`[MEDIA] Memory budget full, refused ${validation.data.size} bytes from ${socket.id}`);
+          reply({ error: 'Too many files are being shared right now. Please try again in a moment' });
+          return;
+        }
+        await store.addRoomMedia(roomId, mediaId, CONFIG.MEDIA_TTL);
+
+        uploads.set(mediaId, { size: validation.data.size, received: 0 });
+        reply({ mediaId, chunkSize: CONFIG.MEDIA_CHUNK_SIZE });
+      } catch (error) {
+        console.error(`[UPLOAD START ERROR] ${socket.id}:`, error);
+        reply({ error: 'Failed to start upload' });
+      }
     });
-    // Don't crash - just log
-  });
 
-  // ============================================
-  // PERIODIC CLEANUP TASKS
-  // ============================================
-  const cleanupInterval = setInterval(() => {
-    try {
-      cleanupWaitingUsers();
-      cleanupStaleRooms(io);
-      cleanupRateLimits();
-      enforceMemoryLimits();
-    } catch (error) {
-      console.error('[CLEANUP ERROR]', error);
-      // Don't let cleanup errors crash the server
-    }
-  }, CONFIG.CLEANUP_INTERVAL);
+    // ============================================
+    // MEDIA UPLOAD: CHUNK
+    // ============================================
+    socket.on('media-upload-chunk', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const mediaId = data?.mediaId;
+        const upload = uploads.get(mediaId);
+        if (!upload) {
+          reply({ error: 'Unknown upload' });
+          return;
+        }
 
-  // ============================================
-  // HEALTH CHECK MONITORING
-  // ============================================
-  const healthInterval = setInterval(() => {
-    try {
-      const health = getHealthMetrics();
-      console.log('[HEALTH]', JSON.stringify(health));
-      
-      // Warning if memory high
-      if (health.memory.heapUsedPercent > 85) {
-        console.warn('[WARNING] High memory usage:', health.memory.heapUsedPercent + '%');
+        const chunk = data.chunk;
+        if (!Buffer.isBuffer(chunk) || chunk.length === 0 || chunk.length > CONFIG.MEDIA_CHUNK_SIZE) {
+          reply({ error: 'Invalid upload chunk' });
+          return;
+        }
+
+        // Never store more than was declared (and validated) at the start
+        if (upload.received + chunk.length > upload.size) {
+          uploads.delete(mediaId);
+          await store.deleteMedia(mediaId);
+          reply({ error: 'File is larger than announced' });
+          return;
+        }
+
+        const received = await store.appendMediaChunk(mediaId, chunk);
+        if (received === null) {
+          uploads.delete(mediaId);
+          reply({ error: 'Chat room no longer exists' });
+          return;
+        }
+
+        upload.received = received;
+        reply({ received });
+      } catch (error) {
+        console.error(`[UPLOAD CHUNK ERROR] ${socket.id}:`, error);
+        reply({ error: 'Failed to upload file' });
       }
-    } catch (error) {
-      console.error('[HEALTH CHECK ERROR]', error);
-    }
-  }, CONFIG.HEALTH_CHECK_INTERVAL);
+    });
 
-  // ============================================
-  // SOCKET CONNECTION EVENT HANDLER
-  // ============================================
-  io.on('connection', (socket) => {
-    console.log(`[CONNECTION] New user connected: ${socket.id}`);
+    // ============================================
+    // MEDIA UPLOAD: COMPLETE
+    // ============================================
+    // Once every byte is stored the message is announced to the room with
+    // a URL to fetch the media from
+    socket.on('media-upload-complete', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const mediaId = data?.mediaId;
+        const upload = uploads.get(mediaId);
+        if (!upload) {
+          reply({ error: 'Unknown upload' });
+          return;
+        }
+        uploads.delete(mediaId);
+
+        if (upload.received !== upload.size) {
+          await store.deleteMedia(mediaId);
+          reply({ error: 'Upload incomplete' });
+          return;
+        }
+
+        const meta = await store.getMediaMeta(mediaId);
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (!meta || !room || meta.roomId !== roomId) {
+          await store.deleteMedia(mediaId);
+          reply({ error: 'Chat room no longer exists' });
+          return;
+        }
+
+        // Check what was actually uploaded, not what the client declared
+        const fileData = await store.readMedia(mediaId, 0, meta.size - 1);
+        const content = validateMediaContent(meta, fileData);
+        if (!content.valid) {
+          console.warn(`[UPLOAD VALIDATION ERROR] ${socket.id}: ${content.error}${content.reason ? ` (${meta.mimeType}: ${content.reason})` : ''}`);
+          await store.deleteMedia(mediaId);
+          reply({ error: content.error });
+          return;
+        }
+
+        meta.complete = true;
+        await store.setMediaMeta(mediaId, meta);
+
+        const message = {
+          id: uuidv4(),
+          senderId: socket.id,
+          type: meta.type,
+          mediaId,
+          mediaUrl: `${MEDIA_ROUTE}${mediaId}`,
+          mimeType: meta.mimeType,
+          size: meta.size,
+          timestamp: Date.now(),
+        };
+
+        // Dimensions let the client reserve space; duration is for the player UI
+        const { width, height, duration } = content.info;
+        if (width && height) {
+          message.width = width;
+          message.height = height;
+        }
+        if (duration !== null && duration !== undefined) {
+          message.duration = Math.round(duration);
+        }
+
+        // Log media transfers
+        const sizeMB = (meta.size / 1024 / 1024).toFixed(2);
+        console.log(`[MEDIA] Room ${roomId}: ${meta.type} (${sizeMB}MB) from ${socket.id}`);
+
+        // Reports keep only a fingerprint of the file, never the file itself
+        const contentHash = crypto.createHash('sha256').update(fileData).digest('hex');
+        await deliverMessage(io, roomId, room, socket.id, message, {
+          contentHash,
+          shadowMuted: await spamDetector.isShadowMuted(socket.data.clientId),
+        });
+        reply({ mediaId });
+      } catch (error) {
+        console.error(`[UPLOAD COMPLETE ERROR] ${socket.id}:`, error);
+        reply({ error: 'Failed to send file' });
+      }
+    });
 
     // ============================================
-    // SOCKET ERROR HANDLER (CRITICAL)
+    // MEDIA UPLOAD: CANCEL
     // ============================================
-    socket.on('error', (error) => {
-      console.error(`[SOCKET ERROR] ${socket.id}:`, error);
-      // Don't crash - errors are isolated per socket
+    socket.on('media-upload-cancel', async (data) => {
+      try {
+        const mediaId = data?.mediaId;
+        if (uploads.delete(mediaId)) {
+          await store.deleteMedia(mediaId);
+        }
+      } catch (error) {
+        console.error(`[UPLOAD CANCEL ERROR] ${socket.id}:`, error);
+      }
+    });
+
+    // ============================================
+    // CALL SETUP: REQUEST (voice or video)
+    // ============================================
+    socket.on('call-request', async (data) => {
+      try {
+        // Refusals are reported by the 'rate-limited' / 'muted' events
+        if (await enforceRateLimit(io, socket, 'call')) return;
+
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (!room) {
+          socket.emit('error', { message: 'Not in a chat room' });
+          return;
+        }
+
+        const callType = data?.type;
+        if (!['voice', 'video'].includes(callType)) {
+          socket.emit('error', { message: 'Invalid call type' });
+          return;
+        }
+
+        const refusal = await getCallRefusal(socket, roomId, room);
+        if (refusal) {
+          socket.emit('call-refused', { message: refusal });
+          return;
+        }
+
+        // Checked again in the update: the partner may be calling too
+        const call = { callerId: socket.id, type: callType, status: 'ringing', startedAt: Date.now() };
+        const updated = !room.call && await store.updateRoom(roomId, (current) => {
+          if (current.call) return null;
+          current.call = call;
+          return current;
+        });
+        if (!updated) {
+          socket.emit('error', { message: 'A call is already in progress' });
+          return;
+        }
+
+        socket.broadcast.to(roomId).emit('incoming-call', { type: callType });
+        console.log(`[CALL] ${callType} call requested in room ${roomId}`);
+      } catch (error) {
+        console.error(`[CALL REQUEST ERROR] ${socket.id}:`, error);
+      }
+    });
+
+    // ============================================
+    // CALL SETUP: ACCEPT
+    // ============================================
+    socket.on('call-accept', async () => {
+      try {
+        if (await enforceRateLimit(io, socket, 'call')) return;
+
+        const { roomId, room: ringing } = await getSocketRoomState(socket.id);
+        if (!ringing?.call || ringing.call.callerId === socket.id) return;
+
+        // The caller was checked when ringing; the callee is checked here
+        const refusal = await getCallRefusal(socket, roomId, ringing);
+        if (refusal) {
+          if (await store.updateRoom(roomId, endCall)) {
+            socket.broadcast.to(roomId).emit('call-declined', { reason: 'not-allowed' });
+          }
+          socket.emit('call-refused', { message: refusal });
+          return;
+        }
+
+        // Only the callee can accept, and only a call that is still ringing
+        const room = await store.updateRoom(roomId, (current) => {
+          if (current.call?.status !== 'ringing' || current.call.callerId === socket.id) return null;
+          current.call.status = 'active';
+          return current;
+        });
+        if (!room) return;
+
+        socket.broadcast.to(roomId).emit('call-accepted', { type: room.call.type });
+        console.log(`[CALL] Call accepted in room ${roomId}`);
+      } catch (error) {
+        console.error(`[CALL ACCEPT ERROR] ${socket.id}:`, error);
+      }
+    });
+
+    // ============================================
+    // CALL SETUP: DECLINE
+    // ============================================
+    socket.on('call-decline', async (data) => {
+      try {
+        if (await enforceRateLimit(io, socket, 'call')) return;
+
+        const roomId = await store.getSocketRoom(socket.id);
+        if (!roomId || !await store.updateRoom(roomId, endCall)) return;
+
+        // Callee could not open camera/microphone, or simply said no
+        const reason = data?.reason === 'media-unavailable' ? 'media-unavailable' : 'declined';
+
+        socket.broadcast.to(roomId).emit('call-declined', { reason });
+        console.log(`[CALL] Call declined in room ${roomId} (${reason})`);
+      } catch (error) {
+        console.error(`[CALL DECLINE ERROR] ${socket.id}:`, error);
+      }
+    });
+
+    // ============================================
+    // CALL SETUP: HANG UP
+    // ============================================
+    socket.on('call-end', async () => {
+      try {
+        if (await enforceRateLimit(io, socket, 'call')) return;
+
+        const roomId = await store.getSocketRoom(socket.id);
+        if (!roomId || !await store.updateRoom(roomId, endCall)) return;
+
+        socket.broadcast.to(roomId).emit('call-ended');
+        console.log(`[CALL] Call ended in room ${roomId}`);
+      } catch (error) {
+        console.error(`[CALL END ERROR] ${socket.id}:`, error);
+      }
+    });
+
+    // ============================================
+    // WEBRTC SIGNALING: OFFER
+    // ============================================
+    // Signaling is only relayed while a call has been set up in the room,
+    // rate limited and size-capped so it can't be used to flood the partner
+    socket.on('webrtc-offer', async (data) => {
+      try {
+        if (await enforceRateLimit(io, socket, 'signal')) return;
+
+        const validation = validateSignal(data?.offer);
+        if (!validation.valid) {
+          socket.emit('error', { message: validation.error });
+          return;
+        }
+
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (room?.call) {
+          socket.broadcast.to(roomId).emit('webrtc-offer', {
+            offer: data.offer,
+            from: socket.id,
+          });
+          console.log(`[WEBRTC] Offer sent in room ${roomId}`);
+        }
+      } catch (error) {
+        console.error(`[WEBRTC OFFER ERROR] ${socket.id}:`, error);
+      }
+    });
+
+    // ============================================
+    // WEBRTC SIGNALING: ANSWER
+    // ============================================
+    socket.on('webrtc-answer', async (data) => {
+      try {
+        if (await enforceRateLimit(io, socket, 'signal')) return;
+
+        const validation = validateSignal(data?.answer);
+        if (!validation.valid) {
+          socket.emit('error', { message: validation.error });
+          return;
+        }
+
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (room?.call) {
+          socket.broadcast.to(roomId).emit('webrtc-answer', {
+            answer: data.answer,
+            from: socket.id,
+          });
+          console.log(`[WEBRTC] Answer sent in room ${roomId}`);
+        }
+      } catch (error) {
+        console.error(`[WEBRTC ANSWER ERROR] ${socket.id}:`, error);
+      }
     });
 
     // ============================================
-    // JOIN QUEUE EVENT HANDLER
+    // WEBRTC SIGNALING: ICE CANDIDATE
     // ============================================
-    socket.on('join-queue', (userData) => {
+    socket.on('webrtc-ice-candidate', async (data) => {
       try {
-        // Validate user data
-        const validation = validateUserData(userData);
+        if (await enforceRateLimit(io, socket, 'signal')) return;
+
+        const validation = validateSignal(data?.candidate);
         if (!validation.valid) {
-          console.warn(`[VALIDATION ERROR] ${socket.id}: ${validation.error}`);
           socket.emit('error', { message: validation.error });
           return;
         }
 
-        const validData = validation.data;
-        console.log(`[JOIN QUEUE] User ${socket.id} joining queue:`, validData.username);
-
-        // Check if already in queue or room
-        if (waitingUsers.has(socket.id) || socketToRoom.has(socket.id)) {
-          socket.emit('error', { message: 'Already in queue or chat' });
-          return;
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (room?.call) {
+          socket.broadcast.to(roomId).emit('webrtc-ice-candidate', {
+            candidate: data.candidate,
+            from: socket.id,
+          });
         }
+      } catch (error) {
+        console.error(`[WEBRTC ICE ERROR] ${socket.id}:`, error);
+      }
+    });
 
-        const user = {
-          ...validData,
-          joinedAt: Date.now(),
-        };
+    // ============================================
+    // END CHAT EVENT HANDLER
+    // ============================================
+    socket.on('end-chat', async () => {
+      try {
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (!roomId) return;
 
-        const match = findMatch(user, socket.id);
+        io.to(roomId).emit('chat-ended', {
+          roomId,
+          reason: 'User left the chat',
+        });
 
-        if (match) {
-          console.log(`[MATCH FOUND] Matching ${socket.id} with ${match.socketId}`);
+        await closeRoom(io, roomId, room);
+        await store.deleteSocketRoom(socket.id);
+        console.log(`[ROOM CLOSED] Room ${roomId} closed by user`);
+      } catch (error) {
+        console.error(`[END CHAT ERROR] ${socket.id}:`, error);
+      }
+    });
 
-          const roomId = uuidv4();
-          waitingUsers.delete(match.socketId);
+    // ============================================
+    // SKIP PARTNER EVENT HANDLER
+    // ============================================
+    // Like end-chat, but the two users are never re-matched during the cooldown
+    socket.on('skip-partner', async () => {
+      try {
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (!roomId) return;
 
-          socket.join(roomId);
+        socket.broadcast.to(roomId).emit('chat-ended', {
+          roomId,
+          reason: 'Partner skipped to the next chat',
+        });
 
-          const matchSocket = io.sockets.sockets.get(match.socketId);
-          if (matchSocket) {
-            matchSocket.join(roomId);
-          } else {
-            console.warn(`[MATCH ERROR] Match socket ${match.socketId} not found`);
-            waitingUsers.set(socket.id, user);
-            socket.emit('searching');
-            return;
-          }
+        if (room) {
+          await recordPairing(room, 'skipped');
+        }
 
-          activeRooms.set(roomId, {
-            user1: { socketId: socket.id, ...user },
-            user2: { socketId: match.socketId, ...match.user },
-            createdAt: Date.now(),
-          });
+        await closeRoom(io, roomId, room);
+        await store.deleteSocketRoom(socket.id);
+        console.log(`[ROOM CLOSED] Room ${roomId} skipped by user`);
+      } catch (error) {
+        console.error(`[SKIP PARTNER ERROR] ${socket.id}:`, error);
+      }
+    });
 
-          socketToRoom.set(socket.id, roomId);
-          socketToRoom.set(match.socketId, roomId);
+    // ============================================
+    // NEXT PARTNER EVENT HANDLER
+    // ============================================
+    // Ends the chat (with skip semantics) and puts the caller straight back
+    // into matching with the profile they joined with
+    socket.on('next-partner', async (data) => {
+      try {
+        const { roomId, room } = await getSocketRoomState(socket.id);
 
-          const commonInterests = match.commonInterests || [];
+        // Stale request: the partner's Next already put us into a newer room
+        if (room && data?.roomId && data.roomId !== roomId) return;
 
-          socket.emit('match-found', {
-            roomId,
-            partner: {
-              username: match.user.username,
-              gender: match.user.gender,
-              interests: match.user.interests,
-            },
-            commonInterests,
-          });
+        if (room) {
+          const partner = room.user1.socketId === socket.id ? room.user2 : room.user1;
 
-          if (matchSocket) {
-            matchSocket.emit('match-found', {
+          // Both users may press Next at once - only the one that closes the
+          // room notifies the other side
+          if (await closeRoom(io, roomId, room)) {
+            io.to(partner.socketId).emit('chat-ended', {
               roomId,
-              partner: {
-                username: user.username,
-                gender: user.gender,
-                interests: user.interests,
-              },
-              commonInterests,
+              reason: 'Partner skipped to the next chat',
+              requeued: CONFIG.AUTO_REQUEUE_PARTNER,
             });
+
+            await recordPairing(room, 'skipped');
+
+            if (CONFIG.AUTO_REQUEUE_PARTNER && await isSocketConnected(io, partner.socketId)) {
+              await matchOrEnqueue(io, partner.socketId, toQueueEntry(partner));
+            }
+
+            console.log(`[ROOM CLOSED] Room ${roomId} closed by next-partner`);
           }
+        }
 
-          console.log(`[ROOM CREATED] Room ${roomId} created`);
-        } else {
-          waitingUsers.set(socket.id, user);
-          socket.emit('searching');
-          console.log(`[WAITING] User ${socket.id} added to queue. Queue size: ${waitingUsers.size}`);
+        if (!socket.data.profile) {
+          socket.emit('error', { message: 'Please join the queue first' });
+          return;
         }
-      } catch (error) {
-        console.error(`[JOIN QUEUE ERROR] ${socket.id}:`, error);
-        socket.emit('error', { message: 'Failed to join queue' });
-      }
-    });
 
-    // ============================================
-    // LEAVE QUEUE EVENT HANDLER
-    // ============================================
-    socket.on('leave-queue', () => {
-      try {
-        waitingUsers.delete(socket.id);
-        console.log(`[LEAVE QUEUE] User ${socket.id} left the queue`);
+        // The terms changed since we joined (the session survived a restart)
+        if (socket.data.profile.termsVersion !== agePolicy.termsVersion) {
+          socket.emit('error', { message: TERMS_NOT_ACCEPTED.error, field: TERMS_NOT_ACCEPTED.field, code: TERMS_NOT_ACCEPTED.code });
+          return;
+        }
+
+        if (rejectIfBanned(socket)) return;
+
+        // The partner's auto-requeue may already have matched us
+        if (await store.hasWaitingUser(socket.id) || await store.getSocketRoom(socket.id)) return;
+
+        if (!await checkProofOfWork(socket, data?.pow)) return;
+
+        const joinLimitError = await checkJoinLimits(socket);
+        if (joinLimitError) {
+          socket.emit('error', { message: joinLimitError });
+          return;
+        }
+
+        await matchOrEnqueue(io, socket.id, { ...socket.data.profile, joinedAt: Date.now() });
       } catch (error) {
-        console.error(`[LEAVE QUEUE ERROR] ${socket.id}:`, error);
+        console.error(`[NEXT PARTNER ERROR] ${socket.id}:`, error);
+        socket.emit('error', { message: 'Failed to find next partner' });
       }
     });
 
     // ============================================
-    // SEND MESSAGE EVENT HANDLER (WITH MEDIA SUPPORT)
+    // REPORT PARTNER EVENT HANDLER
     // ============================================
-    socket.on('send-message', (data) => {
+    // Works during the chat and for REPORT_WINDOW after it closed. The report
+    // carries the room's recent transcript as evidence. Replies are
+    // { reportId } or { error }.
+    socket.on('report-partner', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
       try {
-        const isMedia = data.type === 'image' || data.type === 'video';
-        
-        // Rate limiting (stricter for media)
-        if (!checkRateLimit(socket.id, isMedia)) {
-          const limitType = isMedia ? 'media' : 'message';
-          const waitTime = isMedia 
-            ? Math.ceil(CONFIG.MEDIA_RATE_WINDOW / 1000) 
-            : Math.ceil(CONFIG.MESSAGE_RATE_WINDOW / 1000);
-          
-          socket.emit('error', { 
-            message: `Too many ${limitType}s. Please wait ${waitTime} seconds.` 
-          });
+        // Reports are only stored in MongoDB
+        if (!isMongoConfigured()) {
+          reply({ error: 'Reporting is unavailable right now' });
           return;
         }
 
-        // Validate message (includes media size validation)
-        const validation = validateMessage(data);
+        const validation = validateReport(data);
         if (!validation.valid) {
-          console.warn(`[MESSAGE VALIDATION ERROR] ${socket.id}: ${validation.error}`);
-          socket.emit('error', { message: validation.error });
+          reply({ error: validation.error });
           return;
         }
 
-        const roomId = socketToRoom.get(socket.id);
-        if (!roomId) {
-          socket.emit('error', { message: 'Not in a chat room' });
+        // Keyed by client ID so reconnecting doesn't reset the limit
+        const count = await store.hitRateLimit('report', socket.data.clientId, CONFIG.REPORT_RATE_WINDOW);
+        if (count > CONFIG.REPORT_RATE_LIMIT) {
+          reply({ error: 'Too many reports. Please try again later.' });
           return;
         }
 
-        // Verify room still exists
-        if (!activeRooms.has(roomId)) {
-          socket.emit('error', { message: 'Chat room no longer exists' });
-          socketToRoom.delete(socket.id);
+        // Only the two participants can report, identified by their client ID
+        const roomId = typeof data.roomId === 'string' ? data.roomId : null;
+        const participation = await getParticipation(roomId, socket.data.clientId);
+        if (!participation) {
+          reply({ error: 'This chat can no longer be reported' });
           return;
         }
 
-        const message = {
-          id: uuidv4(),
-          senderId: socket.id,
-          content: data.content,
-          type: data.type || 'text',
-          timestamp: Date.now(),
-        };
+        const { summary, seat, partnerSeat } = participation;
+        const report = await createReport(await connectToMongo(), {
+          roomId,
+          roomCreatedAt: summary.createdAt,
+          reporter: summary[seat],
+          reported: summary[partnerSeat],
+          ...validation.data,
+          transcript: await store.getRoomTranscript(roomId),
+        });
 
-        // Log media transfers
-        if (isMedia) {
-          const sizeMB = (getBase64Size(data.content) / 1024 / 1024).toFixed(2);
-          console.log(`[MEDIA] Room ${roomId}: ${data.type} (${sizeMB}MB) from ${socket.id}`);
+        if (!report) {
+          reply({ error: 'You already reported this chat' });
+          return;
         }
 
-        io.to(roomId).emit('new-message', message);
-        
+        console.log(`[REPORT] ${report.id}: ${socket.id} reported their partner in room ${roomId} (${report.reason})`);
+        reply({ reportId: report.id });
       } catch (error) {
-        console.error(`[SEND MESSAGE ERROR] ${socket.id}:`, error);
-        socket.emit('error', { message: 'Failed to send message' });
+        console.error(`[REPORT ERROR] ${socket.id}:`, error);
+        reply({ error: 'Failed to send report. Please try again.' });
       }
     });
 
     // ============================================
-    // WEBRTC SIGNALING: OFFER
+    // BLOCK PARTNER EVENT HANDLER
     // ============================================
-    socket.on('webrtc-offer', (data) => {
+    // "Never match me with this person again". Like reporting, works during
+    // the chat and for REPORT_WINDOW after it. Replies are { blocked } or { error }.
+    socket.on('block-partner', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
       try {
-        const roomId = socketToRoom.get(socket.id);
-        if (roomId && activeRooms.has(roomId)) {
-          socket.broadcast.to(roomId).emit('webrtc-offer', {
-            offer: data.offer,
-            from: socket.id,
-          });
-          console.log(`[WEBRTC] Offer sent in room ${roomId}`);
+        // Keyed by client ID, like reports
+        const count = await store.hitRateLimit('block', socket.data.clientId, CONFIG.REPORT_RATE_WINDOW);
+        if (count > CONFIG.BLOCK_RATE_LIMIT) {
+          reply({ error: 'Too many blocks. Please try again later.' });
+          return;
+        }
+
+        const roomId = typeof data?.roomId === 'string' ? data.roomId : null;
+        const participation = await getParticipation(roomId, socket.data.clientId);
+        if (!participation) {
+          reply({ error: 'This chat can no longer be blocked' });
+          return;
+        }
+
+        const { summary, seat, partnerSeat } = participation;
+
+        // Takes effect at once through the skip history, even before the database write
+        await recordPairing(summary, 'skipped');
+
+        if (isMongoConfigured()) {
+          await addBlock(await connectToMongo(), summary[seat].clientId, summary[partnerSeat].clientId);
         }
+
+        console.log(`[BLOCK] ${socket.id} blocked their partner from room ${roomId}`);
+        reply({ blocked: true });
       } catch (error) {
-        console.error(`[WEBRTC OFFER ERROR] ${socket.id}:`, error);
+        console.error(`[BLOCK ERROR] ${socket.id}:`, error);
+        reply({ error: 'Failed to block. Please try again.' });
       }
     });
 
     // ============================================
-    // WEBRTC SIGNALING: ANSWER
+    // RESUME SESSION EVENT HANDLER
     // ============================================
-    socket.on('webrtc-answer', (data) => {
+    // A reconnecting client reclaims its seat in a room with the session
+    // token it got on match-found, and receives messages sent in the gap
+    socket.on('resume-session', async (data) => {
       try {
-        const roomId = socketToRoom.get(socket.id);
-        if (roomId && activeRooms.has(roomId)) {
-          socket.broadcast.to(roomId).emit('webrtc-answer', {
-            answer: data.answer,
-            from: socket.id,
-          });
-          console.log(`[WEBRTC] Answer sent in room ${roomId}`);
+        const roomId = typeof data?.roomId === 'string' ? data.roomId : null;
+        const token = typeof data?.sessionToken === 'string' ? data.sessionToken : null;
+
+        const room = roomId && token ? await store.getRoom(roomId) : null;
+        const seat = room && getSeatByToken(room, token);
+        if (!seat) {
+          socket.emit('session-expired', { roomId });
+          return;
+        }
+
+        if (await store.hasWaitingUser(socket.id) || await store.getSocketRoom(socket.id)) {
+          socket.emit('error', { message: 'Already in queue or chat' });
+          return;
+        }
+
+        // A ban issued during the grace period couldn't reach the dropped
+        // socket; it covers the seat's client as well as this connection
+        if (rejectIfBanned(socket) || rejectIfBanned(socket, room[seat].clientId)) return;
+
+        const previousSocketId = room[seat].socketId;
+        const partnerSeat = seat === 'user1' ? 'user2' : 'user1';
+
+        // The partner may be dropping or resuming at the same moment
+        let hadCall = false;
+        const resumed = await store.updateRoom(roomId, (current) => {
+          // Another connection reclaimed the seat first
+          if (current[seat].socketId !== previousSocketId) return null;
+
+          current[seat].socketId = socket.id;
+          current[seat].ip = socket.data.ip;
+          delete current[seat].disconnectedAt;
+
+          // A call can't survive the connection drop
+          hadCall = Boolean(current.call);
+          delete current.call;
+          return current;
+        });
+        if (!resumed) {
+          socket.emit('session-expired', { roomId });
+          return;
+        }
+
+        await store.deleteSocketRoom(previousSocketId);
+        await store.setSocketRoom(socket.id, roomId);
+        socket.join(roomId);
+
+        // The server may not have noticed the old connection drop yet
+        io.in(previousSocketId).disconnectSockets(true);
+
+        socket.data.profile = toProfile(resumed[seat]);
+
+        const messages = await store.takePendingMessages(token);
+
+        socket.emit('session-resumed', {
+          roomId,
+          previousSocketId,
+          messages,
+          partnerReconnecting: Boolean(resumed[partnerSeat].disconnectedAt),
+          mediaPermission: describeMediaPermission(await store.getRoomMediaPermission(roomId), seat),
+        });
+
+        if (hadCall) {
+          socket.to(roomId).emit('call-ended');
         }
+        socket.to(roomId).emit('partner-reconnected', { roomId });
+
+        console.log(`[RESUME] ${socket.id} resumed room ${roomId} (was ${previousSocketId}), ${messages.length} buffered message(s)`);
       } catch (error) {
-        console.error(`[WEBRTC ANSWER ERROR] ${socket.id}:`, error);
+        console.error(`[RESUME ERROR] ${socket.id}:`, error);
+        socket.emit('session-expired', { roomId: data?.roomId });
       }
     });
 
     // ============================================
-    // WEBRTC SIGNALING: ICE CANDIDATE
+    // MESSAGE REACTIONS
     // ============================================
-    socket.on('webrtc-ice-candidate', (data) => {
+    // Toggles one of our reactions on a recent message in the room; both
+    // sides get the new reactions. Replies are {} or { error }.
+    socket.on('react-message', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
       try {
-        const roomId = socketToRoom.get(socket.id);
-        if (roomId && activeRooms.has(roomId)) {
-          socket.broadcast.to(roomId).emit('webrtc-ice-candidate', {
-            candidate: data.candidate,
-            from: socket.id,
-          });
+        const rateLimitError = await enforceRateLimit(io, socket, 'reaction');
+        if (rateLimitError) {
+          reply({ error: rateLimitError });
+          return;
+        }
+
+        const validation = validateReaction(data);
+        if (!validation.valid) {
+          reply({ error: validation.error });
+          return;
+        }
+
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (!room) {
+          reply({ error: 'Not in a chat room' });
+          return;
+        }
+
+        // Only messages that were delivered in this room, and recently enough
+        // to still be in its transcript
+        const { messageId, emoji } = validation.data;
+        const transcript = await store.getRoomTranscript(roomId);
+        if (!transcript.some((entry) => entry.id === messageId && !entry.deletedAt)) {
+          reply({ error: 'Message not found' });
+          return;
         }
+
+        const reactions = await store.toggleReaction(roomId, messageId, getSeat(room, socket.id), emoji, CONFIG.ROOM_TIMEOUT);
+        sendReactions(io, room, messageId, reactions);
+        reply({});
       } catch (error) {
-        console.error(`[WEBRTC ICE ERROR] ${socket.id}:`, error);
+        console.error(`[REACTION ERROR] ${socket.id}:`, error);
+        reply({ error: 'Failed to react' });
       }
     });
 
     // ============================================
-    // END CHAT EVENT HANDLER
+    // MEDIA PERMISSION: ALLOW
     // ============================================
-    socket.on('end-chat', () => {
+    // One side agrees to exchange media; it unlocks once both have
+    socket.on('allow-media', async () => {
       try {
-        const roomId = socketToRoom.get(socket.id);
-        if (!roomId) return;
-
-        io.to(roomId).emit('chat-ended', {
-          reason: 'User left the chat',
-        });
-
-        const room = activeRooms.get(roomId);
-        if (room) {
-          socketToRoom.delete(room.user1.socketId);
-          socketToRoom.delete(room.user2.socketId);
-
-          const socket1 = io.sockets.sockets.get(room.user1.socketId);
-          const socket2 = io.sockets.sockets.get(room.user2.socketId);
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (!room) return;
 
-          if (socket1) socket1.leave(roomId);
-          if (socket2) socket2.leave(roomId);
-        }
-
-        activeRooms.delete(roomId);
-        console.log(`[ROOM CLOSED] Room ${roomId} closed by user`);
+        const seat = getSeat(room, socket.id);
+        const permission = await store.optInToRoomMedia(roomId, seat, CONFIG.ROOM_TIMEOUT);
+        sendMediaPermission(io, room, permission);
+        console.log(`[MEDIA PERMISSION] ${socket.id} allowed media in room ${roomId} (${permission.optIns.length}/2)`);
       } catch (error) {
-        console.error(`[END CHAT ERROR] ${socket.id}:`, error);
+        console.error(`[ALLOW MEDIA ERROR] ${socket.id}:`, error);
       }
     });
 
     // ============================================
     // TYPING INDICATOR
     // ============================================
-    socket.on('typing', (isTyping) => {
+    socket.on('typing', async (isTyping) => {
       try {
-        const roomId = socketToRoom.get(socket.id);
-        if (roomId && activeRooms.has(roomId)) {
+        const { roomId, room } = await getSocketRoomState(socket.id);
+        if (room) {
           socket.broadcast.to(roomId).emit('partner-typing', isTyping);
         }
       } catch (error) {
@@ -821,38 +3005,57 @@ app.prepare().then(() => {
     // ============================================
     // DISCONNECT EVENT HANDLER
     // ============================================
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       try {
         console.log(`[DISCONNECT] User disconnected: ${socket.id}`);
 
-        waitingUsers.delete(socket.id);
-        messageRateLimits.delete(socket.id);
-        mediaRateLimits.delete(socket.id);
+        await store.removeWaitingUser(socket.id);
+        for (const key of connectionKeys(socket)) {
+          await store.removeConnection(key, socket.id);
+        }
 
-        const roomId = socketToRoom.get(socket.id);
-        if (roomId) {
-          socket.broadcast.to(roomId).emit('chat-ended', {
-            reason: 'Partner disconnected',
-          });
+        // Unfinished uploads can't be completed from another connection
+        for (const mediaId of uploads.keys()) {
+          await store.deleteMedia(mediaId);
+        }
+        uploads.clear();
+
+        const roomId = await store.getSocketRoom(socket.id);
+        await store.deleteSocketRoom(socket.id);
+
+        // Hold the seat for a while so a brief network blip doesn't end the
+        // chat. The partner may be dropping at the same moment: the update
+        // keeps both marks.
+        let hadCall = false;
+        const room = roomId && await store.updateRoom(roomId, (current) => {
+          const seat = getSeat(current, socket.id);
+          if (!seat) return null;
+
+          current[seat].disconnectedAt = Date.now();
+          // A call can't survive the connection drop
+          hadCall = Boolean(current.call);
+          delete current.call;
+          return current;
+        });
 
-          const room = activeRooms.get(roomId);
-          if (room) {
-            const partnerSocketId = 
-              room.user1.socketId === socket.id 
-                ? room.user2.socketId 
-                : room.user1.socketId;
-            
-            socketToRoom.delete(partnerSocketId);
-            
-            const partnerSocket = io.sockets.sockets.get(partnerSocketId);
-            if (partnerSocket) {
-              partnerSocket.leave(roomId);
-            }
+        if (room) {
+          if (hadCall) {
+            io.to(roomId).emit('call-ended');
           }
 
-          socketToRoom.delete(socket.id);
-          activeRooms.delete(roomId);
-          console.log(`[CLEANUP] Room ${roomId} cleaned up after disconnect`);
+          // The socket has already left its rooms, so emit to the room directly
+          io.to(roomId).emit('partner-reconnecting', {
+            roomId,
+            gracePeriod: CONFIG.RESUME_GRACE_PERIOD,
+          });
+
+          setTimeout(() => {
+            expireSeat(io, roomId, socket.id).catch((error) => {
+              console.error(`[EXPIRE SEAT ERROR] ${roomId}:`, error);
+            });
+          }, CONFIG.RESUME_GRACE_PERIOD);
+
+          console.log(`[DISCONNECT] Holding room ${roomId} for ${CONFIG.RESUME_GRACE_PERIOD / 1000}s`);
         }
       } catch (error) {
         console.error(`[DISCONNECT ERROR] ${socket.id}:`, error);
@@ -860,6 +3063,150 @@ app.prepare().then(() => {
     });
   });
 
+  // ============================================
+  // ADMIN NAMESPACE (DASHBOARD AT /admin)
+  // ============================================
+  // Staff connect to /admin with their session (cookie, or auth.token). They
+  // get a live snapshot every ADMIN_SNAPSHOT_INTERVAL; moderators and admins
+  // can also act on users and rooms. Action replies are { ok: true } (or
+  // { banId }) or { error }. Every action is written to the audit log.
+  const adminNamespace = io.of('/admin');
+
+  adminNamespace.use(async (socket, next) => {
+    const token = readSessionToken({ cookie: socket.handshake.headers.cookie }) || socket.handshake.auth?.token;
+    try {
+      const admin = isMongoConfigured() && token ? await resolveAdmin(await connectToMongo(), token) : null;
+      if (admin) {
+        socket.data.sessionToken = token;
+        socket.data.admin = admin;
+        socket.data.ip = resolveClientIp(socket);
+        return next();
+      }
+    } catch (error) {
+      console.error('[ADMIN AUTH ERROR]', error.message);
+    }
+
+    const error = new Error('Unauthorized');
+    error.data = { code: 'unauthorized' };
+    next(error);
+  });
+
+  // Each instance reports to its own moderators (the queue and rooms are
+  // shared, health is per instance)
+  const adminSnapshotInterval = setInterval(async () => {
+    try {
+      if (adminNamespace.sockets.size === 0) return;
+      adminNamespace.local.emit('admin-snapshot', await buildAdminSnapshot());
+    } catch (error) {
+      console.error('[ADMIN SNAPSHOT ERROR]', error);
+    }
+  }, CONFIG.ADMIN_SNAPSHOT_INTERVAL);
+
+  adminNamespace.on('connection', (socket) => {
+    console.log(`[ADMIN] ${socket.data.admin.username} (${socket.data.admin.role}) connected: ${socket.id}`);
+
+    const sendSnapshot = async () => {
+      socket.emit('admin-snapshot', await buildAdminSnapshot());
+    };
+
+    sendSnapshot().catch((error) => console.error('[ADMIN SNAPSHOT ERROR]', error));
+
+    // Wrap an action handler: re-check the session and the role it needs,
+    // audit what was done, always acknowledge, and refresh this view.
+    // Handlers return { error } or the reply plus the audit `target`.
+    const action = (name, { role, audit }, handle) => {
+      socket.on(name, async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          const db = await connectToMongo();
+          const admin = await resolveAdmin(db, socket.data.sessionToken);
+          if (!admin) {
+            reply({ error: 'Your session has ended. Sign in again.' });
+            socket.disconnect(true);
+            return;
+          }
+          if (!hasRole(admin, role)) {
+            reply({ error: 'Forbidden' });
+            return;
+          }
+
+          const payload = data && typeof data === 'object' ? data : {};
+          const { target = null, ...result } = await handle(payload, admin);
+          if (!result.error) {
+            await recordAudit(db, { actor: admin, action: audit, target, details: payload, ip: socket.data.ip });
+          }
+          reply(result);
+          await sendSnapshot();
+        } catch (error) {
+          console.error(`[ADMIN ${name.toUpperCase()} ERROR] ${socket.id}:`, error);
+          reply({ error: 'Action failed' });
+        }
+      });
+    };
+
+    // Disconnect a user, ending their chat or search. They may come back
+    // (use a ban to keep them out).
+    action('kick-socket', { role: 'moderator', audit: 'user.kick' }, async ({ socketId }, admin) => {
+      if (typeof socketId !== 'string' || !await isSocketConnected(io, socketId)) {
+        return { error: 'User is not connected' };
+      }
+
+      io.to(socketId).emit('kicked', { message: 'You were disconnected by a moderator' });
+      await removeFromChat(io, socketId, 'Partner was removed by a moderator');
+      io.in(socketId).disconnectSockets(true);
+
+      console.log(`[ADMIN] ${admin.username} kicked ${socketId}`);
+      return { ok: true, target: { type: 'socket', id: socketId } };
+    });
+
+    action('close-room', { role: 'moderator', audit: 'room.close' }, async ({ roomId }, admin) => {
+      const room = typeof roomId === 'string' ? await store.getRoom(roomId) : null;
+      if (!room) {
+        return { error: 'Room not found' };
+      }
+
+      io.to(roomId).emit('chat-ended', { roomId, reason: 'Chat closed by a moderator' });
+      await closeRoom(io, roomId, room);
+
+      console.log(`[ADMIN] ${admin.username} closed room ${roomId}`);
+      return { ok: true, target: { type: 'room', id: roomId } };
+    });
+
+    // { clientId?, ip?, type, durationMs?, reason, note?, reportId? }
+    action('ban', { role: 'moderator', audit: 'ban.create' }, async (data, admin) => {
+      const validation = validateBan({ ...data, createdBy: admin.username });
+      if (!validation.valid) {
+        return { error: validation.error };
+      }
+
+      const ban = await issueBan(io, validation.data, 'Partner was removed by a moderator');
+      console.log(`[ADMIN] ${admin.username} banned ${ban.clientId || ''} ${ban.ip || ''} (${ban.type}, ${ban.reason})`);
+      return { banId: ban.id, target: { type: 'ban', id: ban.id } };
+    });
+
+    // System notice shown to every connected user
+    action('broadcast-notice', { role: 'admin', audit: 'notice.broadcast' }, async ({ message, level }, admin) => {
+      const text = typeof message === 'string' ? message.trim() : '';
+      if (!text || text.length > CONFIG.MAX_NOTICE_LENGTH) {
+        return { error: `Notice must be 1-${CONFIG.MAX_NOTICE_LENGTH} characters` };
+      }
+
+      io.emit('system-notice', {
+        id: uuidv4(),
+        message: text,
+        level: level === 'warning' ? 'warning' : 'info',
+        sentAt: Date.now(),
+      });
+
+      console.log(`[ADMIN] ${admin.username} broadcast a notice`);
+      return { ok: true };
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`[ADMIN] ${socket.data.admin.username} disconnected: ${socket.id}`);
+    });
+  });
+
   // ============================================
   // GLOBAL ERROR HANDLERS
   // ============================================
@@ -888,7 +3235,11 @@ app.prepare().then(() => {
 
     // Clear intervals
     clearInterval(cleanupInterval);
+    clearInterval(banRefreshInterval);
+    textModerator.close();
+    usernamePolicy.close();
     clearInterval(healthInterval);
+    clearInterval(adminSnapshotInterval);
 
     // Notify all connected users
     io.emit('server-shutdown', { 
@@ -896,15 +3247,18 @@ app.prepare().then(() => {
     });
 
     // Close all socket connections gracefully
-    io.close(() => {
+    io.close(async () => {
       console.log('[SHUTDOWN] Socket.IO server closed');
       
       // Final cleanup
-      waitingUsers.clear();
-      activeRooms.clear();
-      socketToRoom.clear();
-      messageRateLimits.clear();
-      mediaRateLimits.clear();
+      try {
+        await store.clear();
+        await store.disconnect();
+        await storeSetup.close();
+        await closeMongo();
+      } catch (error) {
+        console.error('[SHUTDOWN ERROR]', error);
+      }
       
       console.log('[SHUTDOWN] Cleanup complete');
     });
@@ -916,6 +3270,12 @@ app.prepare().then(() => {
     }, 10000);
   };
 
+  // Reload the text moderation config and reserved usernames without a restart
+  process.on('SIGHUP', () => {
+    textModerator.reload();
+    usernamePolicy.reload();
+  });
+
   // Listen for termination signals (Railway uses SIGTERM)
   process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
   process.on('SIGINT', () => gracefulShutdown('SIGINT'));
@@ -928,11 +3288,24 @@ app.prepare().then(() => {
     console.log(`🚀 Server listening on port ${port}`);
     console.log(`🌍 Environment: ${dev ? 'development' : 'production'}`);
     console.log(`💾 Memory limits: ${CONFIG.MAX_WAITING_USERS} waiting users, ${CONFIG.MAX_ACTIVE_ROOMS} rooms`);
+    console.log(`🗄️  State store: ${CONFIG.REDIS_URL ? 'Redis (multi-instance)' : 'in-memory (single instance)'}`);
     console.log(`📸 Image limit: ${CONFIG.MAX_IMAGE_SIZE / 1024 / 1024}MB`);
     console.log(`🎥 Video limit: ${CONFIG.MAX_VIDEO_SIZE / 1024 / 1024}MB`);
-    console.log(`📦 HTTP buffer: ${CONFIG.MAX_HTTP_BUFFER_SIZE / 1024 / 1024}MB`);
+    console.log(`🎤 Audio limit: ${CONFIG.MAX_AUDIO_SIZE / 1024 / 1024}MB, ${CONFIG.MAX_AUDIO_DURATION}s`);
+    console.log(`📦 HTTP buffer: ${CONFIG.MAX_HTTP_BUFFER_SIZE / 1024 / 1024}MB, upload chunks: ${CONFIG.MEDIA_CHUNK_SIZE / 1024}KB`);
+    console.log(`🧮 Media memory budget: ${CONFIG.MEDIA_MEMORY_BUDGET / 1024 / 1024}MB across all rooms`);
+    console.log(`🙈 Media consent: both allow${CONFIG.MEDIA_UNLOCK_TEXT_MESSAGES > 0 ? ` or after ${CONFIG.MEDIA_UNLOCK_TEXT_MESSAGES} texts` : ''}`);
+    console.log(`🧭 ICE: ${iceConfig.stunUrls.length} STUN, ${iceConfig.turnUrls.length} TURN URL(s)${iceConfig.turnSecret ? ' with shared-secret credentials' : ''}`);
     console.log(`🧹 Cleanup interval: ${CONFIG.CLEANUP_INTERVAL / 1000}s`);
     console.log(`⏱️  Queue timeout: ${CONFIG.QUEUE_TIMEOUT / 1000}s`);
+    console.log(`🔌 Resume grace period: ${CONFIG.RESUME_GRACE_PERIOD / 1000}s`);
+    console.log(`✏️  Edit/delete window: ${CONFIG.MESSAGE_EDIT_WINDOW / 1000}s`);
+    console.log(`🌐 Per-address limits: ${CONFIG.MAX_SOCKETS_PER_IP} sockets/IP, ${CONFIG.MAX_QUEUED_PER_IP} queued/IP, ${CONFIG.MAX_JOINS_PER_IP} joins/min/IP (trusted proxies: ${CONFIG.TRUSTED_PROXIES.length || 'none'})`);
+    console.log(`🔁 Spam detection: flag at ${CONFIG.SPAM_FLAG_ROOMS} rooms within ${CONFIG.SPAM_WINDOW / 60000}min, shadow-mute at ${CONFIG.SPAM_MUTE_ROOMS} rooms within ${CONFIG.SPAM_MUTE_BURST / 60000}min`);
+    console.log(`🔞 Age policy: ${agePolicy.toPublic().brackets.length} brackets, terms version ${agePolicy.termsVersion}`);
+    console.log(`🧮 Proof of work: ${CONFIG.POW_ENABLED ? `${CONFIG.POW_BASE_DIFFICULTY}-${CONFIG.POW_MAX_DIFFICULTY} bits` : 'disabled'}`);
+    console.log(`🚫 Bans: ${isMongoConfigured() ? `${banCache.size} active, refreshed every ${CONFIG.BAN_REFRESH_INTERVAL / 1000}s` : 'disabled (no MONGO_URL)'}`);
+    console.log(`🛡️ Admin dashboard: ${isMongoConfigured() && isAdminAuthConfigured() ? 'enabled at /admin' : 'disabled (needs MONGO_URL and ADMIN_SESSION_SECRET)'}`);
     console.log(`📊 Health check interval: ${CONFIG.HEALTH_CHECK_INTERVAL / 1000}s`);
     console.log('='.repeat(70));
   });
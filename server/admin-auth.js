@@ -0,0 +1,382 @@
+// ============================================
+// ADMIN AUTHENTICATION
+// ============================================
+// Staff accounts for the moderation API and the /admin dashboard. Accounts
+// live in MongoDB with scrypt-hashed passwords. Signing in returns a session
+// token, signed with ADMIN_SESSION_SECRET, sent back as an HttpOnly cookie
+// or as a bearer token. Every request looks the account up again, so role
+// changes apply at once and disabling an account or changing its password
+// ends its sessions.
+//
+// Roles, from least to most access:
+// - viewer:    read reports, bans and the live dashboard
+// - moderator: also act on them (review reports, ban, kick, close rooms)
+// - admin:     also manage accounts, broadcast notices and read the audit log
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ADMINS_COLLECTION = 'admins';
+
+const ROLES = ['viewer', 'moderator', 'admin'];
+
+const SESSION_COOKIE = 'randommatch_admin';
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+// Repeated wrong passwords lock the account for a while
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000; // 15 minutes
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 12;
+const MAX_PASSWORD_LENGTH = 200;
+
+const PASSWORD_KEY_LENGTH = 64;
+
+/**
+ * Hash a password as "scrypt$<salt>$<key>" (base64)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = typeof stored === 'string' ? stored.split('$') : [];
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate a new account: username, password and role
+ */
+function validateAdmin(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid account' };
+  }
+
+  const username = typeof data.username === 'string' ? data.username.trim().toLowerCase() : '';
+  if (!USERNAME_PATTERN.test(username)) {
+    return { valid: false, error: 'username must be 3-32 characters: letters, digits, _ . -' };
+  }
+
+  const passwordError = validatePassword(data.password);
+  if (passwordError) {
+    return { valid: false, error: passwordError };
+  }
+
+  if (!ROLES.includes(data.role)) {
+    return { valid: false, error: `role must be one of: ${ROLES.join(', ')}` };
+  }
+
+  return { valid: true, data: { username, password: data.password, role: data.role } };
+}
+
+/**
+ * Validate a change to an account: any of role, disabled, password
+ */
+function validateAdminUpdate(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid update' };
+  }
+
+  const update = {};
+  if (data.role !== undefined) {
+    if (!ROLES.includes(data.role)) {
+      return { valid: false, error: `role must be one of: ${ROLES.join(', ')}` };
+    }
+    update.role = data.role;
+  }
+
+  if (data.disabled !== undefined) {
+    if (typeof data.disabled !== 'boolean') {
+      return { valid: false, error: 'disabled must be true or false' };
+    }
+    update.disabled = data.disabled;
+  }
+
+  if (data.password !== undefined) {
+    const passwordError = validatePassword(data.password);
+    if (passwordError) {
+      return { valid: false, error: passwordError };
+    }
+    update.password = data.password;
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { valid: false, error: 'Nothing to update' };
+  }
+
+  return { valid: true, data: update };
+}
+
+/**
+ * What callers get to see of an account (never the password hash)
+ */
+function toPublicAdmin(admin) {
+  return {
+    id: admin.id,
+    username: admin.username,
+    role: admin.role,
+    createdAt: admin.createdAt,
+    createdBy: admin.createdBy,
+    lastLoginAt: admin.lastLoginAt,
+    disabledAt: admin.disabledAt,
+  };
+}
+
+/**
+ * Create an account. Returns it, or null if the username is taken.
+ */
+async function createAdmin(db, { username, password, role }, { createdBy = null } = {}) {
+  const admin = {
+    id: uuidv4(),
+    username,
+    role,
+    passwordHash: await hashPassword(password),
+    createdAt: new Date(),
+    createdBy,
+    lastLoginAt: null,
+    disabledAt: null,
+    failedLogins: 0,
+    lockedUntil: null,
+    sessionsValidAfter: null,
+  };
+
+  try {
+    await db.collection(ADMINS_COLLECTION).insertOne(admin);
+  } catch (error) {
+    if (error.code === 11000) return null; // Duplicate username
+    throw error;
+  }
+  return toPublicAdmin(admin);
+}
+
+async function listAdmins(db) {
+  const admins = await db.collection(ADMINS_COLLECTION)
+    .find({}, { projection: { _id: 0 } })
+    .sort({ createdAt: 1 })
+    .toArray();
+  return admins.map(toPublicAdmin);
+}
+
+/**
+ * Apply a validated update. Disabling an account or changing its password
+ * signs it out everywhere. Returns the account, or null if not found.
+ */
+async function updateAdmin(db, id, { role, disabled, password }) {
+  const set = {};
+  if (role !== undefined) set.role = role;
+  if (disabled !== undefined) set.disabledAt = disabled ? new Date() : null;
+  if (password !== undefined) {
+    set.passwordHash = await hashPassword(password);
+    set.failedLogins = 0;
+    set.lockedUntil = null;
+  }
+  if (disabled || password !== undefined) set.sessionsValidAfter = new Date();
+
+  const admin = await db.collection(ADMINS_COLLECTION).findOneAndUpdate(
+    { id },
+    { $set: set },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+  return admin && toPublicAdmin(admin);
+}
+
+/**
+ * Revoke every session token issued to the account so far. Tokens are
+ * stateless, so signing out one session signs out all of them.
+ */
+async function endSessions(db, id) {
+  await db.collection(ADMINS_COLLECTION).updateOne({ id }, { $set: { sessionsValidAfter: new Date() } });
+}
+
+/**
+ * Index the collection and, when ADMIN_USERNAME and ADMIN_PASSWORD are set
+ * and no account exists yet, create the first admin from them.
+ * Returns the created account or null.
+ */
+async function ensureBootstrapAdmin(db) {
+  const admins = db.collection(ADMINS_COLLECTION);
+  await admins.createIndex({ username: 1 }, { unique: true });
+  await admins.createIndex({ id: 1 }, { unique: true });
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD || await admins.countDocuments({}, { limit: 1 }) > 0) {
+    return null;
+  }
+
+  const validation = validateAdmin({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+  if (!validation.valid) {
+    throw new Error(`Invalid ADMIN_USERNAME/ADMIN_PASSWORD: ${validation.error}`);
+  }
+  return createAdmin(db, validation.data, { createdBy: 'bootstrap' });
+}
+
+/**
+ * Check a username and password.
+ * Returns { admin } or { error, locked? }.
+ */
+async function checkCredentials(db, username, password, now = Date.now()) {
+  const admins = db.collection(ADMINS_COLLECTION);
+  const invalid = { error: 'Invalid username or password' };
+
+  if (typeof username !== 'string' || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+    return invalid;
+  }
+
+  const admin = await admins.findOne({ username: username.trim().toLowerCase() });
+  if (!admin) {
+    // Spend the same time as a real check so usernames can't be probed
+    await hashPassword(password);
+    return invalid;
+  }
+
+  if (admin.lockedUntil && admin.lockedUntil.getTime() > now) {
+    return { error: 'Too many failed sign-ins. Try again later.', locked: true };
+  }
+
+  if (!await verifyPassword(password, admin.passwordHash)) {
+    const failedLogins = (admin.failedLogins || 0) + 1;
+    const locked = failedLogins >= MAX_FAILED_LOGINS;
+    await admins.updateOne(
+      { id: admin.id },
+      { $set: locked
+        ? { failedLogins: 0, lockedUntil: new Date(now + LOGIN_LOCKOUT) }
+        : { failedLogins } }
+    );
+    return invalid;
+  }
+
+  if (admin.disabledAt) {
+    return { error: 'This account is disabled' };
+  }
+
+  await admins.updateOne(
+    { id: admin.id },
+    { $set: { failedLogins: 0, lockedUntil: null, lastLoginAt: new Date(now) } }
+  );
+  return { admin: toPublicAdmin({ ...admin, lastLoginAt: new Date(now) }) };
+}
+
+// ============================================
+// SESSION TOKENS
+// ============================================
+// "<payload>.<signature>", both base64url; the payload is
+// { sub: adminId, iat, exp } and the signature an HMAC-SHA256 of it.
+
+function sessionSecret() {
+  return process.env.ADMIN_SESSION_SECRET || null;
+}
+
+/**
+ * Whether sign-in can work at all (a signing secret is configured)
+ */
+function isAdminAuthConfigured() {
+  return Boolean(sessionSecret());
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', sessionSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * A session token for the account. Returns { token, expiresAt }.
+ */
+function createSessionToken(admin, now = Date.now()) {
+  const expiresAt = now + SESSION_TTL;
+  const payload = Buffer.from(JSON.stringify({ sub: admin.id, iat: now, exp: expiresAt })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * The claims of a genuine, unexpired token, or null
+ */
+function verifySessionToken(token, now = Date.now()) {
+  if (!isAdminAuthConfigured() || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return typeof claims.sub === 'string' && claims.exp > now ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The session token from an Authorization: Bearer header or the session
+ * cookie, whichever is present
+ */
+function readSessionToken({ authorization, cookie }) {
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length);
+  }
+
+  for (const part of (cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * The account a session token belongs to, if the token is valid and the
+ * account is still enabled and hasn't been signed out since
+ */
+async function resolveAdmin(db, token) {
+  const claims = verifySessionToken(token);
+  if (!claims) return null;
+
+  const admin = await db.collection(ADMINS_COLLECTION).findOne({ id: claims.sub }, { projection: { _id: 0 } });
+  if (!admin || admin.disabledAt) return null;
+  if (admin.sessionsValidAfter && claims.iat < admin.sessionsValidAfter.getTime()) return null;
+
+  return toPublicAdmin(admin);
+}
+
+/**
+ * Whether the account's role includes the given one
+ */
+function hasRole(admin, role) {
+  return Boolean(admin) && ROLES.indexOf(admin.role) >= ROLES.indexOf(role);
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_TTL,
+  validateAdmin,
+  validateAdminUpdate,
+  createAdmin,
+  listAdmins,
+  updateAdmin,
+  endSessions,
+  ensureBootstrapAdmin,
+  checkCredentials,
+  isAdminAuthConfigured,
+  createSessionToken,
+  readSessionToken,
+  resolveAdmin,
+  hasRole,
+};
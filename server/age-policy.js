@@ -0,0 +1,148 @@
+// ============================================
+// AGE POLICY
+// ============================================
+// Users declare an age bracket and accept the terms before joining the
+// queue. Brackets and the terms version come from a JSON config:
+//
+//   termsVersion - bumped whenever the terms change; a join with an older
+//                  (or no) accepted version is refused until the user
+//                  accepts again
+//   adultAge     - brackets whose maxAge is below it are minor brackets
+//   brackets     - [{ id, label, minAge, maxAge (null = no limit),
+//                    matchWith?, allowMedia? }]
+//
+// Rules that no config can relax:
+// - a minor bracket is never matched with an adult one (a config that
+//   lists one in the other's matchWith is refused at startup)
+// - minor brackets can't send images, videos or voice messages, or make
+//   or take calls
+//
+// Otherwise two users are matched only when each one's bracket lists the
+// other's in matchWith (default: every bracket on the same side of
+// adultAge), and adult brackets may send media (and call) unless
+// allowMedia is false.
+
+const fs = require('fs');
+
+class AgePolicyConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AgePolicyConfigError';
+  }
+}
+
+/**
+ * Validate a config object and resolve each bracket's rules.
+ * Returns { termsVersion, adultAge, brackets: Map(id -> bracket) }.
+ */
+function buildAgePolicy(config) {
+  if (!config || typeof config !== 'object') {
+    throw new AgePolicyConfigError('config must be an object');
+  }
+
+  const { termsVersion, adultAge = 18 } = config;
+  if (typeof termsVersion !== 'string' || !termsVersion) {
+    throw new AgePolicyConfigError('termsVersion must be a non-empty string');
+  }
+  if (!Number.isInteger(adultAge) || adultAge < 1) {
+    throw new AgePolicyConfigError('adultAge must be a positive integer');
+  }
+  if (!Array.isArray(config.brackets) || config.brackets.length === 0) {
+    throw new AgePolicyConfigError('config must have a non-empty "brackets" array');
+  }
+
+  const brackets = new Map();
+  config.brackets.forEach((options, index) => {
+    const { id, label, minAge, maxAge = null } = options || {};
+    if (typeof id !== 'string' || !id || brackets.has(id)) {
+      throw new AgePolicyConfigError(`brackets[${index}]: id must be a unique non-empty string`);
+    }
+    if (!Number.isInteger(minAge) || (maxAge !== null && (!Number.isInteger(maxAge) || maxAge < minAge))) {
+      throw new AgePolicyConfigError(`brackets[${index}]: minAge must be an integer and maxAge an integer >= minAge or null`);
+    }
+
+    // A bracket reaching past adultAge would put adults among minors
+    const minor = maxAge !== null && maxAge < adultAge;
+    if (!minor && minAge < adultAge) {
+      throw new AgePolicyConfigError(`brackets[${index}]: spans adultAge (${adultAge}); split it in two`);
+    }
+
+    brackets.set(id, {
+      id,
+      label: typeof label === 'string' && label ? label : id,
+      minor,
+      allowMedia: !minor && options.allowMedia !== false,
+      matchWith: Array.isArray(options.matchWith) ? options.matchWith.map(String) : null,
+    });
+  });
+
+  for (const bracket of brackets.values()) {
+    if (!bracket.matchWith) {
+      bracket.matchWith = [...brackets.values()].filter((other) => other.minor === bracket.minor).map((other) => other.id);
+    }
+
+    for (const otherId of bracket.matchWith) {
+      const other = brackets.get(otherId);
+      if (!other) {
+        throw new AgePolicyConfigError(`bracket "${bracket.id}": unknown bracket "${otherId}" in matchWith`);
+      }
+      if (other.minor !== bracket.minor) {
+        throw new AgePolicyConfigError(`bracket "${bracket.id}": can't be matched with "${otherId}" (minors and adults are never matched)`);
+      }
+    }
+    bracket.matchWith = new Set(bracket.matchWith);
+  }
+
+  return { termsVersion, adultAge, brackets };
+}
+
+/**
+ * Load the policy from configFile. Unlike the other configs there is no
+ * permissive fallback: a missing or broken file throws.
+ */
+function createAgePolicy({ configFile }) {
+  const { termsVersion, adultAge, brackets } = buildAgePolicy(JSON.parse(fs.readFileSync(configFile, 'utf8')));
+
+  /**
+   * Whether two brackets may be matched: both known, on the same side of
+   * adultAge and each in the other's matchWith
+   */
+  function canMatch(bracketId, otherId) {
+    const bracket = brackets.get(bracketId);
+    const other = brackets.get(otherId);
+    if (!bracket || !other || bracket.minor !== other.minor) return false;
+    return bracket.matchWith.has(otherId) && other.matchWith.has(bracketId);
+  }
+
+  /**
+   * Whether users in the bracket may send images, videos and voice messages
+   */
+  function allowsMedia(bracketId) {
+    return brackets.get(bracketId)?.allowMedia === true;
+  }
+
+  /**
+   * What the setup form needs: the terms version and the brackets to offer
+   */
+  function toPublic() {
+    return {
+      termsVersion,
+      adultAge,
+      brackets: [...brackets.values()].map(({ id, label, minor, allowMedia }) => ({ id, label, minor, allowMedia })),
+    };
+  }
+
+  return {
+    termsVersion,
+    isBracket: (bracketId) => brackets.has(bracketId),
+    canMatch,
+    allowsMedia,
+    toPublic,
+  };
+}
+
+module.exports = {
+  AgePolicyConfigError,
+  buildAgePolicy,
+  createAgePolicy,
+};
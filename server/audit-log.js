@@ -0,0 +1,51 @@
+// ============================================
+// AUDIT LOG
+// ============================================
+// Append-only record of privileged actions: who did what to which target,
+// from where and when. Written by the moderation API and the /admin
+// dashboard; readable by admins.
+
+const { v4: uuidv4 } = require('uuid');
+
+const AUDIT_COLLECTION = 'audit_log';
+
+/**
+ * Record an action. `actor` is the signed-in account (null for failed
+ * sign-ins), `target` identifies what was acted on ({ type, id }), and
+ * `details` holds the request's parameters.
+ */
+async function recordAudit(db, { actor, action, target = null, details = null, ip = null }) {
+  const entry = {
+    id: uuidv4(),
+    action,
+    actor: actor ? { id: actor.id, username: actor.username, role: actor.role } : null,
+    target,
+    details,
+    ip,
+    createdAt: new Date(),
+  };
+
+  await db.collection(AUDIT_COLLECTION).insertOne(entry);
+  return entry;
+}
+
+/**
+ * List entries, newest first
+ */
+async function listAuditLog(db, { action, actorId, limit = 50, skip = 0 } = {}) {
+  const query = {};
+  if (action) query.action = action;
+  if (actorId) query['actor.id'] = actorId;
+
+  const entries = await db.collection(AUDIT_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .toArray();
+
+  const total = await db.collection(AUDIT_COLLECTION).countDocuments(query);
+  return { entries, total };
+}
+
+module.exports = { recordAudit, listAuditLog };
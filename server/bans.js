@@ -0,0 +1,280 @@
+// ============================================
+// BANS
+// ============================================
+// Moderators ban a device (stable client ID), an IP address, or both.
+// Bans are stored in MongoDB; each server instance keeps the active ones in
+// memory and reloads them periodically, so checking a ban at join time never
+// waits on the database.
+
+const { v4: uuidv4 } = require('uuid');
+const { normalizeIp } = require('./ip');
+
+const BANS_COLLECTION = 'bans';
+
+const BAN_TYPES = ['temporary', 'permanent'];
+
+// Shown to the banned user, so these are categories rather than free text
+const BAN_REASONS = [
+  'harassment',
+  'hate_speech',
+  'sexual_content',
+  'spam',
+  'scam',
+  'underage',
+  'self_harm',
+  'ban_evasion',
+  'other',
+];
+
+// Where the socket server registers how to put a new ban into force and
+// how to lift one. The API routes run in the same process but Next.js
+// bundles its own copy of this module, so the hooks live on process-wide
+// symbols.
+const BAN_ENFORCER_KEY = Symbol.for('randommatch.banEnforcer');
+const BAN_LIFTER_KEY = Symbol.for('randommatch.banLifter');
+
+const MAX_BAN_NOTE_LENGTH = 2000;
+const MAX_BAN_DURATION = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+const CLIENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate a moderator's new ban. Temporary bans need a duration.
+ */
+function validateBan(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid ban' };
+  }
+
+  const clientId = typeof data.clientId === 'string' && CLIENT_ID_PATTERN.test(data.clientId)
+    ? data.clientId.toLowerCase()
+    : null;
+  const ip = normalizeIp(data.ip);
+  if (!clientId && !ip) {
+    return { valid: false, error: 'clientId or ip is required' };
+  }
+
+  if (!BAN_TYPES.includes(data.type)) {
+    return { valid: false, error: `type must be one of: ${BAN_TYPES.join(', ')}` };
+  }
+
+  if (!BAN_REASONS.includes(data.reason)) {
+    return { valid: false, error: `reason must be one of: ${BAN_REASONS.join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (data.type === 'temporary') {
+    const durationMs = Number(data.durationMs);
+    if (!Number.isFinite(durationMs) || durationMs <= 0 || durationMs > MAX_BAN_DURATION) {
+      return { valid: false, error: 'durationMs must be a positive number of milliseconds (max 1 year)' };
+    }
+    expiresAt = new Date(Date.now() + durationMs);
+  }
+
+  const note = typeof data.note === 'string' ? data.note.trim() : '';
+  if (note.length > MAX_BAN_NOTE_LENGTH) {
+    return { valid: false, error: `note too long. Maximum is ${MAX_BAN_NOTE_LENGTH} characters` };
+  }
+
+  return {
+    valid: true,
+    data: {
+      clientId,
+      ip,
+      type: data.type,
+      reason: data.reason,
+      note: note || null,
+      expiresAt,
+      reportId: typeof data.reportId === 'string' ? data.reportId : null,
+      createdBy: typeof data.createdBy === 'string' ? data.createdBy.trim().substring(0, 100) || null : null,
+    },
+  };
+}
+
+/**
+ * Query matching bans that are in force at the given time
+ */
+function activeBanQuery(now = new Date()) {
+  return {
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
+}
+
+async function createBan(db, ban) {
+  const record = {
+    id: uuidv4(),
+    ...ban,
+    createdAt: new Date(),
+    revokedAt: null,
+    revokedBy: null,
+  };
+
+  await db.collection(BANS_COLLECTION).insertOne(record);
+  return record;
+}
+
+/**
+ * List bans, newest first; active = true limits it to bans still in force
+ */
+async function listBans(db, { active, clientId, ip, limit = 50, skip = 0 } = {}) {
+  const query = active ? activeBanQuery() : {};
+  if (clientId) query.clientId = clientId.toLowerCase();
+  if (ip) query.ip = normalizeIp(ip);
+
+  const bans = await db.collection(BANS_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .toArray();
+
+  const total = await db.collection(BANS_COLLECTION).countDocuments(query);
+  return { bans, total };
+}
+
+/**
+ * Lift a ban early. Returns the updated ban, or null if it was already revoked.
+ */
+async function revokeBan(db, id, { revokedBy = null } = {}) {
+  return db.collection(BANS_COLLECTION).findOneAndUpdate(
+    { id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy } },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+}
+
+/**
+ * In-memory index of active bans, reloaded from MongoDB with refresh().
+ * If a reload fails the previous snapshot stays in use.
+ */
+class BanCache {
+  constructor() {
+    this.byClientId = new Map();
+    this.byIp = new Map();
+    this.loadedAt = null;
+  }
+
+  async refresh(db) {
+    const bans = await db.collection(BANS_COLLECTION)
+      .find(activeBanQuery(), { projection: { _id: 0 } })
+      .toArray();
+
+    const byClientId = new Map();
+    const byIp = new Map();
+    for (const ban of bans) {
+      if (ban.clientId) byClientId.set(ban.clientId, pickLongerBan(byClientId.get(ban.clientId), ban));
+      if (ban.ip) byIp.set(ban.ip, pickLongerBan(byIp.get(ban.ip), ban));
+    }
+
+    this.byClientId = byClientId;
+    this.byIp = byIp;
+    this.loadedAt = Date.now();
+    return bans.length;
+  }
+
+  /**
+   * Index a ban issued by this instance right away, ahead of the next refresh
+   */
+  add(ban) {
+    if (ban.clientId) this.byClientId.set(ban.clientId, pickLongerBan(this.byClientId.get(ban.clientId), ban));
+    if (ban.ip) this.byIp.set(ban.ip, pickLongerBan(this.byIp.get(ban.ip), ban));
+  }
+
+  /**
+   * The ban in force for this device or IP, if any (the longest one wins)
+   */
+  find({ clientId, ip }, now = Date.now()) {
+    const candidates = [
+      clientId && this.byClientId.get(clientId),
+      ip && this.byIp.get(normalizeIp(ip)),
+    ].filter((ban) => ban && (!ban.expiresAt || new Date(ban.expiresAt).getTime() > now));
+
+    return candidates.reduce((longest, ban) => pickLongerBan(longest, ban), null);
+  }
+
+  get size() {
+    return new Set([...this.byClientId.values(), ...this.byIp.values()]).size;
+  }
+}
+
+/**
+ * Of two bans, the one that lasts longer (permanent beats any expiry)
+ */
+function pickLongerBan(a, b) {
+  if (!a) return b;
+  if (!a.expiresAt) return a;
+  if (!b.expiresAt) return b;
+  return new Date(b.expiresAt) > new Date(a.expiresAt) ? b : a;
+}
+
+/**
+ * What a banned user is told: the category and when it ends, never the moderator's note
+ */
+function toBanNotice(ban) {
+  const expiresAt = ban.expiresAt ? new Date(ban.expiresAt).getTime() : null;
+  return {
+    type: ban.type,
+    reason: ban.reason,
+    expiresAt,
+    message: expiresAt
+      ? `You are banned until ${new Date(expiresAt).toISOString()}`
+      : 'You are permanently banned',
+  };
+}
+
+/**
+ * Register enforce(ban, reason), which applies a stored ban to this
+ * process's ban cache and connected sockets
+ */
+function setBanEnforcer(enforce) {
+  globalThis[BAN_ENFORCER_KEY] = enforce;
+}
+
+/**
+ * Apply a stored ban right away through the socket server, if one runs in
+ * this process. Returns false without one; the ban then takes effect at
+ * the socket server's next refresh.
+ */
+async function enforceBan(ban, reason) {
+  const enforce = globalThis[BAN_ENFORCER_KEY];
+  if (!enforce) return false;
+
+  await enforce(ban, reason);
+  return true;
+}
+
+/**
+ * Register lift(ban), which drops a revoked ban from this process's ban cache
+ */
+function setBanLifter(lift) {
+  globalThis[BAN_LIFTER_KEY] = lift;
+}
+
+/**
+ * Stop enforcing a revoked ban right away, if the socket server runs in
+ * this process. Returns false without one; the ban then stops at the
+ * socket server's next refresh.
+ */
+async function liftBan(ban) {
+  const lift = globalThis[BAN_LIFTER_KEY];
+  if (!lift) return false;
+
+  await lift(ban);
+  return true;
+}
+
+module.exports = {
+  BAN_TYPES,
+  BAN_REASONS,
+  validateBan,
+  createBan,
+  listBans,
+  revokeBan,
+  BanCache,
+  toBanNotice,
+  setBanEnforcer,
+  enforceBan,
+  setBanLifter,
+  liftBan,
+};
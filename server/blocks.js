@@ -0,0 +1,37 @@
+// ============================================
+// PERSONAL BLOCKS
+// ============================================
+// "Never match me with this person again". Stored in MongoDB by stable
+// client ID and honoured in both directions when matching.
+
+const BLOCKS_COLLECTION = 'blocks';
+
+/**
+ * Record that clientId blocked blockedClientId (blocking twice is a no-op)
+ */
+async function addBlock(db, clientId, blockedClientId) {
+  await db.collection(BLOCKS_COLLECTION).updateOne(
+    { clientId, blockedClientId },
+    { $setOnInsert: { clientId, blockedClientId, createdAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Client IDs this client must never be matched with: everyone they blocked
+ * and everyone who blocked them
+ */
+async function getBlockedClientIds(db, clientId) {
+  const blocks = await db.collection(BLOCKS_COLLECTION)
+    .find(
+      { $or: [{ clientId }, { blockedClientId: clientId }] },
+      { projection: { _id: 0, clientId: 1, blockedClientId: 1 } }
+    )
+    .toArray();
+
+  return new Set(blocks.map((block) => (
+    block.clientId === clientId ? block.blockedClientId : block.clientId
+  )));
+}
+
+module.exports = { addBlock, getBlockedClientIds };
@@ -0,0 +1,52 @@
+// ============================================
+// MONGODB CONNECTION
+// ============================================
+// Shared by the socket server (reports) and the Next.js API routes. The
+// client is created on first use and cached for the life of the process.
+
+const { MongoClient } = require('mongodb');
+
+let client;
+let dbPromise;
+
+/**
+ * Whether a database is configured at all (features that need it are
+ * skipped in local setups without one)
+ */
+function isMongoConfigured() {
+  return Boolean(process.env.MONGO_URL);
+}
+
+/**
+ * Connect once and return the database handle.
+ * A failed connection is forgotten so the next call retries.
+ */
+async function connectToMongo() {
+  if (!dbPromise) {
+    // Fail fast when the database is down: callers include interactive
+    // socket events whose clients give up after a few seconds
+    client = new MongoClient(process.env.MONGO_URL, { serverSelectionTimeoutMS: 5000 });
+    dbPromise = client.connect()
+      .then(() => client.db(process.env.DB_NAME))
+      .catch((error) => {
+        client = null;
+        dbPromise = null;
+        throw error;
+      });
+  }
+  return dbPromise;
+}
+
+/**
+ * Close the shared client (used on server shutdown)
+ */
+async function closeMongo() {
+  if (client) {
+    const closing = client;
+    client = null;
+    dbPromise = null;
+    await closing.close();
+  }
+}
+
+module.exports = { isMongoConfigured, connectToMongo, closeMongo };
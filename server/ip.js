@@ -0,0 +1,154 @@
+// ============================================
+// CLIENT ADDRESSES
+// ============================================
+// Canonical IPs, the subnet an address belongs to (for per-network limits),
+// and the real client address behind trusted reverse proxies.
+
+const net = require('net');
+
+// Request header the custom server sets to the resolved client address
+// before handing requests to Next.js (any value the client sent is replaced)
+const CLIENT_IP_HEADER = 'x-randommatch-client-ip';
+
+/**
+ * Canonical form of an IP address ("::ffff:1.2.3.4" -> "1.2.3.4")
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== 'string') return null;
+  const trimmed = ip.trim().toLowerCase();
+  return trimmed.startsWith('::ffff:') && trimmed.includes('.') ? trimmed.slice(7) : trimmed || null;
+}
+
+/**
+ * Address as bytes (4 for IPv4, 16 for IPv6), or null if it isn't an IP
+ */
+function toBytes(ip) {
+  const version = net.isIP(ip);
+  if (version === 4) {
+    return ip.split('.').map(Number);
+  }
+  if (version !== 6) return null;
+
+  // An IPv4 tail ("::1.2.3.4") is two more groups
+  let address = ip.split('%')[0];
+  const tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const [a, b, c, d] = tail[1].split('.').map(Number);
+    address = address.slice(0, -tail[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  // Expand "::" to the missing zero groups
+  const [head, rest] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest ? rest.split(':') : [];
+  const groups = rest === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - restGroups.length).fill('0'), ...restGroups];
+
+  return groups.flatMap((group) => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+/**
+ * Parse a list of IPs and CIDR ranges ("10.0.0.0/8, ::1") into ranges.
+ * Throws on an invalid entry, so a typo in the config fails at startup.
+ */
+function parseIpRanges(list) {
+  const entries = Array.isArray(list) ? list : String(list || '').split(',');
+
+  return entries
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [address, prefixText] = entry.split('/');
+      const bytes = toBytes(normalizeIp(address));
+      const bits = bytes ? bytes.length * 8 : 0;
+      const prefix = prefixText === undefined ? bits : Number(prefixText);
+
+      if (!bytes || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+        throw new Error(`Invalid IP or CIDR range: ${entry}`);
+      }
+      return { bytes, prefix };
+    });
+}
+
+/**
+ * Whether the first `prefix` bits of two addresses of the same family match
+ */
+function prefixMatches(a, b, prefix) {
+  if (a.length !== b.length) return false;
+
+  const fullBytes = Math.floor(prefix / 8);
+  for (let i = 0; i < fullBytes; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+
+  const remainingBits = prefix % 8;
+  if (remainingBits === 0) return true;
+  const mask = (0xff << (8 - remainingBits)) & 0xff;
+  return (a[fullBytes] & mask) === (b[fullBytes] & mask);
+}
+
+function isIpInRanges(ip, ranges) {
+  const bytes = toBytes(normalizeIp(ip));
+  return Boolean(bytes) && ranges.some((range) => prefixMatches(bytes, range.bytes, range.prefix));
+}
+
+/**
+ * The network an address belongs to, as a CIDR string ("1.2.3.0/24").
+ * Clients on one network (a household, an office, a cloud provider's block)
+ * share per-subnet limits.
+ */
+function subnetOf(ip, { ipv4Prefix = 24, ipv6Prefix = 64 } = {}) {
+  const bytes = toBytes(normalizeIp(ip));
+  if (!bytes) return null;
+
+  const prefix = bytes.length === 4 ? ipv4Prefix : ipv6Prefix;
+  const masked = bytes.map((byte, i) => {
+    const bitsLeft = prefix - i * 8;
+    if (bitsLeft >= 8) return byte;
+    if (bitsLeft <= 0) return 0;
+    return byte & ((0xff << (8 - bitsLeft)) & 0xff);
+  });
+
+  if (bytes.length === 4) {
+    return `${masked.join('.')}/${prefix}`;
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((masked[i] << 8) | masked[i + 1]).toString(16));
+  }
+  // Shorten the trailing zero groups the mask produced
+  return `${groups.join(':').replace(/(^|:)0(:0)+$/, '::')}/${prefix}`;
+}
+
+/**
+ * The client's address. X-Forwarded-For is only read when the connection
+ * comes from a trusted proxy, and then walked right to left past any other
+ * trusted proxies: the first untrusted hop is the client. Entries further
+ * left were written by the client itself and can't be believed.
+ */
+function resolveClientAddress(remoteAddress, forwardedFor, trustedProxies) {
+  let address = normalizeIp(remoteAddress);
+  if (!forwardedFor || trustedProxies.length === 0) return address;
+
+  const hops = String(forwardedFor).split(',').map(normalizeIp);
+  for (let i = hops.length - 1; i >= 0 && isIpInRanges(address, trustedProxies); i--) {
+    if (!net.isIP(hops[i] || '')) break;
+    address = hops[i];
+  }
+
+  return address;
+}
+
+module.exports = {
+  CLIENT_IP_HEADER,
+  normalizeIp,
+  parseIpRanges,
+  isIpInRanges,
+  subnetOf,
+  resolveClientAddress,
+};
@@ -0,0 +1,155 @@
+// ============================================
+// MATCH SCORING
+// ============================================
+// Ranks waiting users for someone joining the queue. Age brackets (see
+// server/age-policy.js) and gender preferences are hard filters; everything
+// else is a weighted score:
+//   interests * sharedInterestCount
+// + waitTime  * secondsTheCandidateHasWaited   (uncapped, so nobody starves)
+// + language  * (same language ? 1 : 0)
+// - recentPartner * (matched with each other recently ? 1 : 0)
+//
+// Partners from the re-match cooldown window are only considered when nobody
+// else is compatible; partners either user skipped or blocked are never
+// considered. History and blocks are keyed by the stable client ID, not the
+// socket ID.
+//
+// A custom scorer with the same signature as scoreCandidate can be plugged
+// in through CONFIG.MATCH_SCORER_MODULE. A configured scorer that can't be
+// loaded stops startup instead of quietly matching with the default one.
+
+const path = require('path');
+
+const DEFAULT_MATCH_WEIGHTS = {
+  interests: 1,
+  waitTime: 0.05, // per second waited - 20s of waiting is worth one shared interest
+  language: 2,
+  recentPartner: 5,
+};
+
+/**
+ * Whether two users' gender preferences allow them to be matched
+ */
+function isGenderCompatible(user, candidate) {
+  const userAccepts = user.preferredGender === 'any' || user.preferredGender === candidate.gender;
+  const candidateAccepts = candidate.preferredGender === 'any' || candidate.preferredGender === user.gender;
+  return userAccepts && candidateAccepts;
+}
+
+/**
+ * Default scorer. Returns the score plus the breakdown that produced it.
+ */
+function scoreCandidate(user, candidate, { weights, now, isRecentPartner }) {
+  const commonInterests = user.interests.filter(
+    interest => candidate.interests.includes(interest)
+  );
+  const waitSeconds = Math.max(0, (now - candidate.joinedAt) / 1000);
+  const sameLanguage = Boolean(user.language) && user.language === candidate.language;
+
+  const score =
+    weights.interests * commonInterests.length +
+    weights.waitTime * waitSeconds +
+    (sameLanguage ? weights.language : 0) -
+    (isRecentPartner ? weights.recentPartner : 0);
+
+  return { score, commonInterests };
+}
+
+/**
+ * Pick the best candidate from the waiting list.
+ * waitingEntries is an array of [socketId, user] pairs; ties are broken randomly.
+ * recentPartners, skippedPartners and blockedPartners are Sets of client IDs.
+ * canMatchAges(bracket, otherBracket) decides which age brackets may meet;
+ * without it only users in the same bracket are matched.
+ */
+function selectMatch(user, socketId, waitingEntries, options = {}) {
+  const {
+    scorer = scoreCandidate,
+    weights = DEFAULT_MATCH_WEIGHTS,
+    now = Date.now(),
+    recentPartners = new Set(),
+    skippedPartners = new Set(),
+    blockedPartners = new Set(),
+    canMatchAges = (bracket, otherBracket) => bracket === otherBracket,
+    random = Math.random,
+  } = options;
+
+  const compatibleMatches = [];
+
+  for (const [waitingSocketId, waitingUser] of waitingEntries) {
+    if (waitingSocketId === socketId) continue;
+
+    // Same browser in another tab, or someone either side skipped or blocked
+    if (user.clientId && waitingUser.clientId === user.clientId) continue;
+    if (skippedPartners.has(waitingUser.clientId)) continue;
+    if (blockedPartners.has(waitingUser.clientId)) continue;
+
+    if (!canMatchAges(user.ageBracket, waitingUser.ageBracket)) continue;
+    if (!isGenderCompatible(user, waitingUser)) continue;
+
+    const isRecentPartner = recentPartners.has(waitingUser.clientId);
+    const { score, commonInterests } = scorer(user, waitingUser, {
+      weights,
+      now,
+      isRecentPartner,
+    });
+
+    compatibleMatches.push({
+      user: waitingUser,
+      socketId: waitingSocketId,
+      score,
+      commonInterests,
+      isRecentPartner,
+    });
+  }
+
+  if (compatibleMatches.length === 0) {
+    return { match: null, compatibleCount: 0, bestCount: 0 };
+  }
+
+  // Fall back to recent partners only when nobody else is compatible
+  const freshMatches = compatibleMatches.filter(m => !m.isRecentPartner);
+  const candidates = freshMatches.length > 0 ? freshMatches : compatibleMatches;
+
+  // Scores include fractional wait time, so compare with a small tolerance
+  const highestScore = Math.max(...candidates.map(m => m.score));
+  const bestMatches = candidates.filter(m => highestScore - m.score < 1e-6);
+  const selectedMatch = bestMatches[Math.floor(random() * bestMatches.length)];
+
+  return {
+    match: selectedMatch,
+    compatibleCount: compatibleMatches.length,
+    bestCount: bestMatches.length,
+  };
+}
+
+/**
+ * Load a custom scorer module, or the default scorer when none is configured.
+ * Throws if the configured module can't be loaded or exports no function.
+ */
+function loadScorer(modulePath) {
+  if (!modulePath) return scoreCandidate;
+
+  let scorer;
+  try {
+    const custom = require(path.resolve(modulePath));
+    scorer = typeof custom === 'function' ? custom : custom?.scoreCandidate;
+  } catch (error) {
+    throw new Error(`[MATCHING] Failed to load scorer ${modulePath}: ${error.message}`, { cause: error });
+  }
+
+  if (typeof scorer !== 'function') {
+    throw new Error(`[MATCHING] Scorer ${modulePath} does not export a scoring function`);
+  }
+
+  console.log(`[MATCHING] Using custom scorer from ${modulePath}`);
+  return scorer;
+}
+
+module.exports = {
+  DEFAULT_MATCH_WEIGHTS,
+  isGenderCompatible,
+  scoreCandidate,
+  selectMatch,
+  loadScorer,
+};
@@ -0,0 +1,726 @@
+// ============================================
+// MEDIA CONTENT SNIFFING
+// ============================================
+// Identifies uploaded media from its bytes instead of the MIME type the
+// client declared, walks the container structure so truncated, corrupted
+// and polyglot files (an archive, executable or script after the real end
+// of the file) are rejected, and extracts dimensions and duration for the
+// server-side limits.
+// No external dependencies: only the formats the chat accepts are parsed.
+
+/**
+ * Raised by the parsers when a file's structure is invalid
+ */
+class MediaFormatError extends Error {}
+
+function fail(message) {
+  throw new MediaFormatError(message);
+}
+
+// Container format expected for each accepted MIME type
+const MIME_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'audio/mp4': 'mp4',
+  'video/webm': 'webm',
+  'audio/webm': 'webm',
+  'video/ogg': 'ogg',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+};
+
+/**
+ * Identify the container format from the file's magic bytes
+ */
+function detectFormat(buf) {
+  if (buf.length < 12) return null;
+
+  if (buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) return 'jpeg';
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (/^GIF8[79]a$/.test(buf.toString('latin1', 0, 6))) return 'gif';
+  if (buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buf.toString('latin1', 4, 8) === 'ftyp') return 'mp4';
+  if (buf.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+  if (buf.toString('latin1', 0, 4) === 'OggS') return 'ogg';
+  if (buf.toString('latin1', 0, 3) === 'ID3' || (buf[0] === 0xFF && (buf[1] & 0xE0) === 0xE0)) return 'mp3';
+
+  return null;
+}
+
+// Signatures that make data after an image something other than metadata.
+// Checked where that data starts, past any zero padding.
+const TRAILER_SIGNATURES = [
+  Buffer.from('PK\x03\x04', 'latin1'), // ZIP (also JAR, DOCX, APK)
+  Buffer.from('Rar!\x1A\x07', 'latin1'),
+  Buffer.from('7z\xBC\xAF\x27\x1C', 'latin1'),
+  Buffer.from([0x1F, 0x8B]), // gzip
+  Buffer.from('%PDF', 'latin1'),
+  Buffer.from('MZ', 'latin1'), // Windows executable
+  Buffer.from('\x7FELF', 'latin1'),
+  Buffer.from([0xFE, 0xED, 0xFA, 0xCE]), // Mach-O (both byte orders, 32/64-bit)
+  Buffer.from([0xFE, 0xED, 0xFA, 0xCF]),
+  Buffer.from([0xCE, 0xFA, 0xED, 0xFE]),
+  Buffer.from([0xCF, 0xFA, 0xED, 0xFE]),
+  Buffer.from([0xCA, 0xFE, 0xBA, 0xBE]), // Java class / universal binary
+  Buffer.from('#!', 'latin1'),
+];
+
+// Markup a browser or interpreter would run, at the start of the trailer
+const TRAILER_SCRIPT_PATTERN = /^\s*<(?:!doctype\s+html|html|script|svg|\?php)\b/i;
+
+// A ZIP is found by its end-of-central-directory record, which sits at
+// most 22 bytes plus a 64KB comment from the end, wherever the archive starts
+const ZIP_END_SIGNATURE = Buffer.from('PK\x05\x06', 'latin1');
+const ZIP_END_SEARCH = 22 + 0xFFFF;
+
+/**
+ * Data after the end of an image is allowed (cameras and editors append
+ * metadata, thumbnails or a motion-photo clip) unless it is an archive,
+ * executable or script smuggled in behind the image
+ */
+function assertSafeTrailingData(buf, end) {
+  let start = end;
+  while (start < buf.length && buf[start] === 0) start++;
+  if (start === buf.length) return;
+
+  const trailer = buf.subarray(start);
+  if (TRAILER_SIGNATURES.some((signature) => trailer.subarray(0, signature.length).equals(signature))
+    || TRAILER_SCRIPT_PATTERN.test(trailer.toString('latin1', 0, 64))
+    || trailer.includes(ZIP_END_SIGNATURE, Math.max(0, trailer.length - ZIP_END_SEARCH))) {
+    fail('Unexpected data after end of file');
+  }
+}
+
+// ============================================
+// IMAGES
+// ============================================
+
+function parseJpeg(buf) {
+  let offset = 2;
+  let width = 0;
+  let height = 0;
+
+  for (;;) {
+    if (offset + 2 > buf.length) fail('Truncated JPEG');
+    if (buf[offset] !== 0xFF) fail('Invalid JPEG marker');
+
+    const marker = buf[offset + 1];
+    offset += 2;
+
+    // Fill bytes before a marker
+    if (marker === 0xFF) {
+      offset -= 1;
+      continue;
+    }
+
+    // End of image
+    if (marker === 0xD9) break;
+
+    // Standalone markers without a length
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) continue;
+
+    const length = buf.readUInt16BE(offset);
+    if (length < 2 || offset + length > buf.length) fail('Invalid JPEG segment');
+
+    // Start of frame (baseline, progressive, ...) holds the dimensions
+    const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF
+      && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+    if (isStartOfFrame) {
+      height = buf.readUInt16BE(offset + 3);
+      width = buf.readUInt16BE(offset + 5);
+    }
+
+    offset += length;
+
+    // Start of scan: entropy-coded data runs until the next real marker
+    if (marker === 0xDA) {
+      for (;;) {
+        if (offset + 1 >= buf.length) fail('Truncated JPEG');
+        const next = buf[offset + 1];
+        if (buf[offset] === 0xFF && next !== 0x00 && next !== 0xFF && !(next >= 0xD0 && next <= 0xD7)) break;
+        offset++;
+      }
+    }
+  }
+
+  if (!width || !height) fail('JPEG has no frame header');
+  assertSafeTrailingData(buf, offset);
+  return { width, height };
+}
+
+function parsePng(buf) {
+  let offset = 8;
+  let width = 0;
+  let height = 0;
+  let ended = false;
+
+  while (!ended) {
+    if (offset + 12 > buf.length) fail('Truncated PNG');
+
+    const length = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    if (!/^[A-Za-z]{4}$/.test(type)) fail('Invalid PNG chunk');
+    if (offset + 12 + length > buf.length) fail('Truncated PNG chunk');
+
+    if (offset === 8) {
+      if (type !== 'IHDR' || length !== 13) fail('PNG must start with IHDR');
+      width = buf.readUInt32BE(offset + 8);
+      height = buf.readUInt32BE(offset + 12);
+    }
+
+    ended = type === 'IEND';
+    offset += 12 + length;
+  }
+
+  if (!width || !height) fail('Invalid PNG dimensions');
+  assertSafeTrailingData(buf, offset);
+  return { width, height };
+}
+
+function parseGif(buf) {
+  const width = buf.readUInt16LE(6);
+  const height = buf.readUInt16LE(8);
+
+  // Skip a run of data sub-blocks (size byte + data, ending with size 0)
+  const skipSubBlocks = (offset) => {
+    for (;;) {
+      if (offset >= buf.length) fail('Truncated GIF');
+      const size = buf[offset];
+      offset += 1 + size;
+      if (size === 0) return offset;
+    }
+  };
+
+  // Header, logical screen descriptor and optional global color table
+  let offset = 13;
+  if (buf[10] & 0x80) {
+    offset += 3 * 2 ** ((buf[10] & 0x07) + 1);
+  }
+
+  for (;;) {
+    if (offset >= buf.length) fail('Truncated GIF');
+    const block = buf[offset];
+
+    if (block === 0x3B) {
+      // Trailer
+      offset += 1;
+      break;
+    } else if (block === 0x21) {
+      // Extension: introducer, label, sub-blocks
+      offset = skipSubBlocks(offset + 2);
+    } else if (block === 0x2C) {
+      // Image descriptor, optional local color table, LZW code size, image data
+      if (offset + 10 > buf.length) fail('Truncated GIF');
+      const flags = buf[offset + 9];
+      offset += 10;
+      if (flags & 0x80) {
+        offset += 3 * 2 ** ((flags & 0x07) + 1);
+      }
+      offset = skipSubBlocks(offset + 1);
+    } else {
+      fail('Invalid GIF block');
+    }
+  }
+
+  if (!width || !height) fail('Invalid GIF dimensions');
+  assertSafeTrailingData(buf, offset);
+  return { width, height };
+}
+
+function parseWebp(buf) {
+  // The RIFF header declares the exact file size
+  const end = buf.readUInt32LE(4) + 8;
+  if (end > buf.length) fail('Truncated WebP');
+
+  let offset = 12;
+  let width = 0;
+  let height = 0;
+
+  while (offset < end) {
+    if (offset + 8 > end) fail('Truncated WebP chunk');
+
+    const type = buf.toString('latin1', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const data = offset + 8;
+    if (data + size > end) fail('Truncated WebP chunk');
+
+    // The first chunk describes the image
+    if (offset === 12) {
+      if (type === 'VP8X') {
+        width = buf.readUIntLE(data + 4, 3) + 1;
+        height = buf.readUIntLE(data + 7, 3) + 1;
+      } else if (type === 'VP8 ') {
+        if (buf.readUIntBE(data + 3, 3) !== 0x9D012A) fail('Invalid VP8 frame');
+        width = buf.readUInt16LE(data + 6) & 0x3FFF;
+        height = buf.readUInt16LE(data + 8) & 0x3FFF;
+      } else if (type === 'VP8L') {
+        if (buf[data] !== 0x2F) fail('Invalid VP8L frame');
+        const bits = buf.readUInt32LE(data + 1);
+        width = (bits & 0x3FFF) + 1;
+        height = ((bits >> 14) & 0x3FFF) + 1;
+      } else {
+        fail('Unknown WebP image chunk');
+      }
+    }
+
+    // Chunks are padded to an even size
+    offset = data + size + (size % 2);
+  }
+
+  if (!width || !height) fail('Invalid WebP dimensions');
+  assertSafeTrailingData(buf, end);
+  return { width, height };
+}
+
+// ============================================
+// MP4 / ISO BASE MEDIA FILE FORMAT
+// ============================================
+
+/**
+ * Visit each box between start and end; boxes must tile the range exactly
+ */
+function walkBoxes(buf, start, end, visit) {
+  let offset = start;
+  while (offset < end) {
+    if (offset + 8 > end) fail('Truncated MP4 box');
+
+    let size = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) fail('Truncated MP4 box');
+      size = Number(buf.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      // Box extends to the end of its parent
+      size = end - offset;
+    }
+
+    if (size < header || offset + size > end) fail('Invalid MP4 box size');
+    visit(type, offset + header, offset + size);
+    offset += size;
+  }
+}
+
+function parseMp4(buf) {
+  let timescale = 0;
+  let duration = 0;
+  let fragmentDuration = 0;
+  let width = 0;
+  let height = 0;
+  let hasMovie = false;
+  let first = true;
+
+  walkBoxes(buf, 0, buf.length, (type, start, end) => {
+    if (first && type !== 'ftyp') fail('MP4 must start with ftyp');
+    first = false;
+
+    if (type !== 'moov') return;
+    hasMovie = true;
+
+    walkBoxes(buf, start, end, (movieType, movieStart, movieEnd) => {
+      if (movieType === 'mvhd') {
+        // Version 1 uses 64-bit times
+        const version = buf[movieStart];
+        if (version === 1) {
+          timescale = buf.readUInt32BE(movieStart + 20);
+          duration = Number(buf.readBigUInt64BE(movieStart + 24));
+        } else {
+          timescale = buf.readUInt32BE(movieStart + 12);
+          duration = buf.readUInt32BE(movieStart + 16);
+        }
+      } else if (movieType === 'trak') {
+        walkBoxes(buf, movieStart, movieEnd, (trackType, trackStart, trackEnd) => {
+          // Track header ends with 16.16 fixed-point width and height
+          if (trackType === 'tkhd' && trackEnd - trackStart >= 8) {
+            width = Math.max(width, buf.readUInt32BE(trackEnd - 8) >>> 16);
+            height = Math.max(height, buf.readUInt32BE(trackEnd - 4) >>> 16);
+          }
+        });
+      } else if (movieType === 'mvex') {
+        // Fragmented files (e.g. Safari's MediaRecorder) carry the duration here
+        walkBoxes(buf, movieStart, movieEnd, (extendsType, extendsStart) => {
+          if (extendsType === 'mehd') {
+            fragmentDuration = buf[extendsStart] === 1
+              ? Number(buf.readBigUInt64BE(extendsStart + 4))
+              : buf.readUInt32BE(extendsStart + 4);
+          }
+        });
+      }
+    });
+  });
+
+  if (!hasMovie) fail('MP4 has no movie header');
+
+  const units = duration || fragmentDuration;
+  return {
+    width: width || undefined,
+    height: height || undefined,
+    duration: timescale && units ? units / timescale : null,
+  };
+}
+
+// ============================================
+// WEBM / MATROSKA (EBML)
+// ============================================
+
+const EBML_ID = {
+  HEADER: 0x1A45DFA3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  VIDEO: 0xE0,
+  PIXEL_WIDTH: 0xB0,
+  PIXEL_HEIGHT: 0xBA,
+  CLUSTER: 0x1F43B675,
+  TIMECODE: 0xE7,
+  BLOCK_GROUP: 0xA0,
+  BLOCK: 0xA1,
+  SIMPLE_BLOCK: 0xA3,
+};
+
+// Master elements we step into rather than over (recorders write Segment
+// and Cluster with "unknown" size, so their end isn't known up front)
+const EBML_MASTERS = new Set([
+  EBML_ID.HEADER,
+  EBML_ID.SEGMENT,
+  EBML_ID.INFO,
+  EBML_ID.TRACKS,
+  EBML_ID.TRACK_ENTRY,
+  EBML_ID.VIDEO,
+  EBML_ID.CLUSTER,
+  EBML_ID.BLOCK_GROUP,
+]);
+
+/**
+ * Read an EBML variable-length integer. IDs keep their length marker bits.
+ */
+function readVint(buf, offset, keepMarker) {
+  if (offset >= buf.length) fail('Truncated WebM');
+
+  const first = buf[offset];
+  if (first === 0) fail('Invalid WebM element');
+
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buf.length) fail('Truncated WebM');
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let unknown = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buf[offset + i];
+    unknown = unknown && buf[offset + i] === 0xFF;
+  }
+
+  return { value, length, unknown: !keepMarker && unknown };
+}
+
+/**
+ * Read an EBML unsigned integer of 0-8 bytes
+ */
+function readEbmlUint(buf, offset, length) {
+  if (length > 8) fail('Invalid WebM integer');
+
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + buf[offset + i];
+  }
+  return value;
+}
+
+function parseWebm(buf) {
+  let offset = 0;
+  let docType = null;
+  let timecodeScale = 1000000; // nanoseconds per timecode unit (default 1ms)
+  let declaredDuration = 0;
+  let clusterTime = 0;
+  let lastBlockTime = 0;
+  let width = 0;
+  let height = 0;
+  let index = 0;
+
+  while (offset < buf.length) {
+    const id = readVint(buf, offset, true);
+    const size = readVint(buf, offset + id.length, false);
+    const start = offset + id.length + size.length;
+
+    // File layout: the EBML header, then one Segment
+    if (index === 0 && id.value !== EBML_ID.HEADER) fail('WebM must start with an EBML header');
+    if (id.value === EBML_ID.SEGMENT && !size.unknown && start + size.value !== buf.length) {
+      fail('Unexpected data after end of file');
+    }
+    index++;
+
+    if (EBML_MASTERS.has(id.value)) {
+      offset = start;
+      continue;
+    }
+
+    if (size.unknown) fail('Invalid WebM element size');
+    if (start + size.value > buf.length) fail('Truncated WebM');
+
+    switch (id.value) {
+      case EBML_ID.DOC_TYPE:
+        docType = buf.toString('latin1', start, start + size.value).replace(/\0+$/, '');
+        break;
+      case EBML_ID.TIMECODE_SCALE:
+        timecodeScale = readEbmlUint(buf, start, size.value);
+        break;
+      case EBML_ID.DURATION:
+        if (size.value !== 4 && size.value !== 8) fail('Invalid WebM duration');
+        declaredDuration = size.value === 4 ? buf.readFloatBE(start) : buf.readDoubleBE(start);
+        break;
+      case EBML_ID.PIXEL_WIDTH:
+        width = Math.max(width, readEbmlUint(buf, start, size.value));
+        break;
+      case EBML_ID.PIXEL_HEIGHT:
+        height = Math.max(height, readEbmlUint(buf, start, size.value));
+        break;
+      case EBML_ID.TIMECODE:
+        clusterTime = readEbmlUint(buf, start, size.value);
+        break;
+      case EBML_ID.SIMPLE_BLOCK:
+      case EBML_ID.BLOCK: {
+        // Track number, then a timecode relative to the cluster
+        const track = readVint(buf, start, false);
+        lastBlockTime = Math.max(lastBlockTime, clusterTime + buf.readInt16BE(start + track.length));
+        break;
+      }
+      default:
+        break;
+    }
+
+    offset = start + size.value;
+  }
+
+  if (docType !== 'webm') fail('Not a WebM file');
+
+  // Live recordings often have no Duration element - use the last block
+  const units = Math.max(declaredDuration, lastBlockTime);
+  return {
+    width: width || undefined,
+    height: height || undefined,
+    duration: units > 0 ? units * timecodeScale / 1e9 : null,
+  };
+}
+
+// ============================================
+// OGG (OPUS, VORBIS, THEORA)
+// ============================================
+
+function parseOgg(buf) {
+  const streams = new Map();
+  let offset = 0;
+
+  // Pages must follow each other back to back up to the end of the file
+  while (offset < buf.length) {
+    if (offset + 27 > buf.length) fail('Truncated Ogg page');
+    if (buf.toString('latin1', offset, offset + 4) !== 'OggS' || buf[offset + 4] !== 0) {
+      fail('Invalid Ogg page');
+    }
+
+    const headerType = buf[offset + 5];
+    const granule = buf.readBigInt64LE(offset + 6);
+    const serial = buf.readUInt32LE(offset + 14);
+    const segments = buf[offset + 26];
+    const data = offset + 27 + segments;
+    if (data > buf.length) fail('Truncated Ogg page');
+
+    let bodyLength = 0;
+    for (let i = 0; i < segments; i++) {
+      bodyLength += buf[offset + 27 + i];
+    }
+    if (data + bodyLength > buf.length) fail('Truncated Ogg page');
+
+    // Beginning of stream: the first packet identifies the codec
+    if (headerType & 0x02) {
+      const packet = buf.subarray(data, data + bodyLength);
+      const stream = { codec: null, granule: 0n };
+
+      if (packet.toString('latin1', 0, 8) === 'OpusHead') {
+        stream.codec = 'opus';
+        stream.preSkip = packet.readUInt16LE(10);
+      } else if (packet[0] === 0x01 && packet.toString('latin1', 1, 7) === 'vorbis') {
+        stream.codec = 'vorbis';
+        stream.sampleRate = packet.readUInt32LE(12);
+      } else if (packet[0] === 0x80 && packet.toString('latin1', 1, 7) === 'theora') {
+        stream.codec = 'theora';
+        stream.width = packet.readUIntBE(14, 3);
+        stream.height = packet.readUIntBE(17, 3);
+        stream.frameRate = packet.readUInt32BE(22) / packet.readUInt32BE(26);
+        stream.granuleShift = ((packet[40] & 0x03) << 3) | (packet[41] >> 5);
+      }
+
+      streams.set(serial, stream);
+    }
+
+    const stream = streams.get(serial);
+    if (!stream) fail('Ogg page for unknown stream');
+    if (granule >= 0n) {
+      stream.granule = granule;
+    }
+
+    offset = data + bodyLength;
+  }
+
+  let duration = 0;
+  let width = 0;
+  let height = 0;
+
+  for (const stream of streams.values()) {
+    if (stream.codec === 'opus') {
+      // Opus granule positions always count 48kHz samples
+      duration = Math.max(duration, Number(stream.granule - BigInt(stream.preSkip)) / 48000);
+    } else if (stream.codec === 'vorbis' && stream.sampleRate) {
+      duration = Math.max(duration, Number(stream.granule) / stream.sampleRate);
+    } else if (stream.codec === 'theora' && stream.frameRate) {
+      const shift = BigInt(stream.granuleShift);
+      const frames = (stream.granule >> shift) + (stream.granule & ((1n << shift) - 1n));
+      duration = Math.max(duration, Number(frames) / stream.frameRate);
+      width = Math.max(width, stream.width);
+      height = Math.max(height, stream.height);
+    }
+  }
+
+  if (streams.size === 0) fail('Ogg file has no streams');
+
+  return {
+    width: width || undefined,
+    height: height || undefined,
+    duration: duration > 0 ? duration : null,
+  };
+}
+
+// ============================================
+// MPEG AUDIO (MP3)
+// ============================================
+
+// Bitrates in kbps by [MPEG-1 | MPEG-2/2.5][layer I, II, III]
+const MPEG_BITRATES = {
+  1: [
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  ],
+  2: [
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  ],
+};
+
+// Sample rates by version bits (0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1)
+const MPEG_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000],
+};
+
+function parseMp3(buf) {
+  let offset = 0;
+  let duration = 0;
+  let frames = 0;
+
+  // Optional ID3v2 tag (syncsafe size, optional footer)
+  if (buf.toString('latin1', 0, 3) === 'ID3') {
+    const size = ((buf[6] & 0x7F) << 21) | ((buf[7] & 0x7F) << 14) | ((buf[8] & 0x7F) << 7) | (buf[9] & 0x7F);
+    offset = 10 + size + (buf[5] & 0x10 ? 10 : 0);
+  }
+
+  while (offset < buf.length) {
+    // Optional ID3v1 tag at the very end
+    if (buf.length - offset === 128 && buf.toString('latin1', offset, offset + 3) === 'TAG') {
+      offset = buf.length;
+      break;
+    }
+
+    if (offset + 4 > buf.length) fail('Truncated MP3 frame');
+    const header = buf.readUInt32BE(offset);
+    if ((header & 0xFFE00000) >>> 0 !== 0xFFE00000) fail('Invalid MP3 frame');
+
+    const versionBits = (header >>> 19) & 0x03;
+    const layerBits = (header >>> 17) & 0x03;
+    const bitrateIndex = (header >>> 12) & 0x0F;
+    const sampleRateIndex = (header >>> 10) & 0x03;
+    const padding = (header >>> 9) & 0x01;
+
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      fail('Invalid MP3 frame header');
+    }
+
+    const isMpeg1 = versionBits === 3;
+    const layer = 4 - layerBits; // 1, 2 or 3
+    const bitrate = MPEG_BITRATES[isMpeg1 ? 1 : 2][layer - 1][bitrateIndex] * 1000;
+    const sampleRate = MPEG_SAMPLE_RATES[versionBits][sampleRateIndex];
+
+    let frameLength;
+    let samples;
+    if (layer === 1) {
+      frameLength = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+      samples = 384;
+    } else if (layer === 3 && !isMpeg1) {
+      frameLength = Math.floor(72 * bitrate / sampleRate) + padding;
+      samples = 576;
+    } else {
+      frameLength = Math.floor(144 * bitrate / sampleRate) + padding;
+      samples = 1152;
+    }
+
+    if (offset + frameLength > buf.length) fail('Truncated MP3 frame');
+    duration += samples / sampleRate;
+    frames++;
+    offset += frameLength;
+  }
+
+  if (frames === 0) fail('MP3 has no audio frames');
+  return { duration };
+}
+
+const PARSERS = {
+  jpeg: parseJpeg,
+  png: parsePng,
+  gif: parseGif,
+  webp: parseWebp,
+  mp4: parseMp4,
+  webm: parseWebm,
+  ogg: parseOgg,
+  mp3: parseMp3,
+};
+
+/**
+ * Check that a file really is the declared MIME type and return what was
+ * learned about it: { valid, error } or { valid, info: { format, width, height, duration } }.
+ * A corrupted file also gets `reason`, the parser's detail for the logs (the
+ * caller logs; `error` is what the user is told).
+ */
+function inspectMedia(buf, mimeType) {
+  const expected = MIME_FORMATS[mimeType];
+  const actual = detectFormat(buf);
+
+  if (!actual) {
+    return { valid: false, error: 'Unrecognized file format' };
+  }
+
+  if (actual !== expected) {
+    return { valid: false, error: 'File content does not match its type' };
+  }
+
+  try {
+    return { valid: true, info: { format: actual, ...PARSERS[actual](buf) } };
+  } catch (error) {
+    // Out-of-bounds reads on a truncated file surface as RangeError
+    if (error instanceof MediaFormatError || error instanceof RangeError) {
+      return { valid: false, error: 'File is corrupted or contains unexpected data', reason: error.message };
+    }
+    throw error;
+  }
+}
+
+module.exports = { inspectMedia };
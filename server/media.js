@@ -0,0 +1,124 @@
+// ============================================
+// MEDIA RELAY
+// ============================================
+// Images, videos and voice notes are uploaded in binary chunks over the
+// socket and kept in the store only while their room is open. Clients fetch
+// them over HTTP by media ID (a random UUID, so only the room knows it).
+
+// URL prefix the media route is served under
+const MEDIA_ROUTE = '/media/';
+
+// Accepted MIME types per media type (codec parameters are stripped first)
+const MEDIA_MIME_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  video: ['video/mp4', 'video/webm', 'video/ogg'],
+  audio: ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg'],
+};
+
+const MEDIA_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Reduce a MIME type to its lowercase base type ("audio/webm;codecs=opus" -> "audio/webm")
+ */
+function normalizeMimeType(mimeType) {
+  if (typeof mimeType !== 'string') return null;
+  return mimeType.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Parse a single-range "Range: bytes=..." header.
+ * Returns null when there is no usable header, or false when it can't be satisfied.
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+
+  if (start > end || start >= size) return false;
+  return { start, end };
+}
+
+/**
+ * Create the HTTP handler for GET /media/:id.
+ * Supports range requests so videos and voice notes can seek.
+ */
+function createMediaRequestHandler(store) {
+  return async (req, res) => {
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+      }
+
+      const mediaId = new URL(req.url, 'http://localhost').pathname.slice(MEDIA_ROUTE.length);
+      const meta = MEDIA_ID_PATTERN.test(mediaId) ? await store.getMediaMeta(mediaId) : null;
+
+      // Unknown, expired or still uploading
+      if (!meta || !meta.complete) {
+        res.writeHead(404, { 'Cache-Control': 'no-store' });
+        res.end();
+        return;
+      }
+
+      const headers = {
+        'Content-Type': meta.mimeType,
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'private, max-age=3600',
+        'X-Content-Type-Options': 'nosniff',
+      };
+
+      const range = parseRange(req.headers.range, meta.size);
+      if (range === false) {
+        res.writeHead(416, { ...headers, 'Content-Range': `bytes */${meta.size}` });
+        res.end();
+        return;
+      }
+
+      const { start, end } = range || { start: 0, end: meta.size - 1 };
+      headers['Content-Length'] = end - start + 1;
+      if (range) {
+        headers['Content-Range'] = `bytes ${start}-${end}/${meta.size}`;
+      }
+
+      if (req.method === 'HEAD') {
+        res.writeHead(range ? 206 : 200, headers);
+        res.end();
+        return;
+      }
+
+      const data = await store.readMedia(mediaId, start, end);
+      if (!data) {
+        res.writeHead(404, { 'Cache-Control': 'no-store' });
+        res.end();
+        return;
+      }
+
+      res.writeHead(range ? 206 : 200, headers);
+      res.end(data);
+    } catch (error) {
+      console.error('[MEDIA REQUEST ERROR]', error);
+      if (!res.headersSent) {
+        res.writeHead(500);
+      }
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  MEDIA_ROUTE,
+  MEDIA_MIME_TYPES,
+  normalizeMimeType,
+  createMediaRequestHandler,
+};
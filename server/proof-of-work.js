@@ -0,0 +1,93 @@
+// ============================================
+// PROOF OF WORK
+// ============================================
+// Hashcash-style cost on joining the queue, so bots can't join for free.
+// Each socket is handed a random challenge; a solution is a nonce such that
+// SHA-256("<challenge>:<nonce>") starts with `difficulty` zero bits. The
+// browser finds one in a Web Worker (lib/pow-worker.js); checking it takes a
+// single hash. Challenges are bound to the socket and used once.
+
+const crypto = require('crypto');
+
+const MAX_SOLUTION_LENGTH = 32;
+
+/**
+ * A fresh challenge at the given difficulty (leading zero bits)
+ */
+function createChallenge(difficulty, ttlMs) {
+  return {
+    challenge: crypto.randomBytes(16).toString('hex'),
+    difficulty,
+    expiresAt: Date.now() + ttlMs,
+  };
+}
+
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Check a solution against the challenge it claims to solve
+ */
+function verifySolution(issued, proof, now = Date.now()) {
+  if (!issued) {
+    return { valid: false, error: 'No challenge issued' };
+  }
+
+  if (!proof || typeof proof !== 'object' || proof.challenge !== issued.challenge) {
+    return { valid: false, error: 'Unknown challenge' };
+  }
+
+  if (now > issued.expiresAt) {
+    return { valid: false, error: 'Challenge expired' };
+  }
+
+  const { solution } = proof;
+  if (typeof solution !== 'string' || !solution || solution.length > MAX_SOLUTION_LENGTH) {
+    return { valid: false, error: 'Invalid solution' };
+  }
+
+  const hash = crypto.createHash('sha256').update(`${issued.challenge}:${solution}`).digest();
+  if (countLeadingZeroBits(hash) < issued.difficulty) {
+    return { valid: false, error: 'Wrong solution', wrong: true };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Difficulty for the next challenge: the base, plus extra bits while the
+ * queue is filling up and for connections that look abusive. Each extra bit
+ * doubles the expected work.
+ *
+ * - queueLoad: waiting users / queue capacity (0..1)
+ * - socketsFromIp / socketLimit: open sockets from the client's IP and the cap
+ * - violations: rate limit violations on record for the client
+ * - failures: wrong solutions sent on this socket
+ */
+function chooseDifficulty({ base, max }, { queueLoad = 0, socketsFromIp = 0, socketLimit = Infinity, violations = 0, failures = 0 }) {
+  let difficulty = base;
+
+  if (queueLoad >= 0.8) difficulty += 4;
+  else if (queueLoad >= 0.5) difficulty += 2;
+
+  if (socketsFromIp > socketLimit / 2) difficulty += 2;
+  if (violations > 0) difficulty += 2;
+  difficulty += Math.min(failures, 3);
+
+  return Math.min(difficulty, max);
+}
+
+module.exports = {
+  createChallenge,
+  verifySolution,
+  chooseDifficulty,
+};
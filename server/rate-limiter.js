@@ -0,0 +1,124 @@
+// ============================================
+// RATE LIMITING WITH ESCALATING PENALTIES
+// ============================================
+// Each client has a token bucket per kind of message: short bursts are fine,
+// sustained flooding runs the bucket dry. Running dry is a violation, and
+// repeated violations climb a ladder of penalties (warning, mutes of
+// increasing length, then a temporary ban). Violations are forgotten after
+// a quiet period. State lives in the shared store, keyed by stable client ID,
+// so reconnecting doesn't reset it. Penalties are also recorded against the
+// IP, and whichever has more violations counts, so a fresh client ID doesn't
+// start the ladder over.
+
+const DEFAULT_PENALTIES = [
+  { action: 'warn' },
+  { action: 'mute', durationMs: 30 * 1000 }, // 30 seconds
+  { action: 'mute', durationMs: 2 * 60 * 1000 }, // 2 minutes
+  { action: 'mute', durationMs: 10 * 60 * 1000 }, // 10 minutes
+  { action: 'ban', durationMs: 60 * 60 * 1000 }, // 1 hour
+];
+
+/**
+ * Create a limiter over the shared store.
+ *
+ * - buckets: kind -> { capacity, refillPerSecond }
+ * - penalties: the ladder; the last step repeats for further violations
+ * - grace: denials this soon after a violation belong to the same burst and
+ *   don't climb the ladder
+ * - memoryMs: how long violations are remembered
+ */
+function createRateLimiter(store, { buckets, penalties = DEFAULT_PENALTIES, grace, memoryMs }) {
+  // Store keys of the penalties that apply to a client
+  const penaltyKeys = ({ clientId, ip }) => (ip ? [clientId, `ip:${ip}`] : [clientId]);
+
+  /**
+   * The penalty that applies to a client: the most violations, latest
+   * violation and longest mute of its client ID and IP, or null
+   */
+  async function getPenalty(client) {
+    const found = (await Promise.all(penaltyKeys(client).map((key) => store.getPenalty(key)))).filter(Boolean);
+    if (found.length === 0) return null;
+
+    return {
+      violations: Math.max(...found.map((penalty) => penalty.violations)),
+      lastViolationAt: Math.max(...found.map((penalty) => penalty.lastViolationAt)),
+      mutedUntil: Math.max(...found.map((penalty) => penalty.mutedUntil || 0)) || null,
+    };
+  }
+
+  // Checks for the same client run one at a time, so each event in a burst
+  // sees the penalty the previous one applied
+  const pending = new Map();
+
+  /**
+   * Spend one of a client's ({ clientId, ip }) tokens. Returns
+   * { allowed: true }, or { allowed: false, action, ... }
+   * where action is:
+   * - 'muted': already muted ({ until })
+   * - 'throttled': same burst as the last violation ({ retryAfterMs })
+   * - 'warn': first violation ({ retryAfterMs })
+   * - 'mute': newly muted ({ until, durationMs })
+   * - 'ban': to be banned ({ durationMs })
+   */
+  function check(client, kind) {
+    const { clientId } = client;
+    const previous = pending.get(clientId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => evaluate(client, kind, Date.now()));
+    pending.set(clientId, current);
+
+    const forget = () => {
+      if (pending.get(clientId) === current) pending.delete(clientId);
+    };
+    current.then(forget, forget);
+
+    return current;
+  }
+
+  async function evaluate(client, kind, now) {
+    const penalty = await getPenalty(client);
+    if (penalty?.mutedUntil > now) {
+      return { allowed: false, action: 'muted', until: penalty.mutedUntil, violations: penalty.violations };
+    }
+
+    // Buckets stay per client, so people sharing an IP don't share a budget
+    const { allowed, retryAfterMs } = await store.takeToken(kind, client.clientId, buckets[kind]);
+    if (allowed) return { allowed: true };
+
+    if (penalty && now - penalty.lastViolationAt < grace) {
+      return { allowed: false, action: 'throttled', retryAfterMs, violations: penalty.violations };
+    }
+
+    const violations = (penalty?.violations || 0) + 1;
+    const step = penalties[Math.min(violations, penalties.length) - 1];
+    const mutedUntil = step.action === 'mute' ? now + step.durationMs : null;
+
+    for (const key of penaltyKeys(client)) {
+      await store.setPenalty(
+        key,
+        { violations, lastViolationAt: now, mutedUntil },
+        Math.max(memoryMs, step.durationMs || 0)
+      );
+    }
+
+    return {
+      allowed: false,
+      action: step.action,
+      violations,
+      retryAfterMs,
+      until: mutedUntil,
+      durationMs: step.durationMs || null,
+    };
+  }
+
+  /**
+   * Current mute end time for a client ({ clientId, ip }), or null
+   */
+  async function getMutedUntil(client, now = Date.now()) {
+    const penalty = await getPenalty(client);
+    return penalty?.mutedUntil > now ? penalty.mutedUntil : null;
+  }
+
+  return { check, getMutedUntil };
+}
+
+module.exports = { DEFAULT_PENALTIES, createRateLimiter };
@@ -0,0 +1,174 @@
+// ============================================
+// PARTNER REPORTS
+// ============================================
+// Reports are stored in MongoDB with a snapshot of the room's recent messages
+// (media replaced by content hashes), so moderators can review them after
+// the room itself is gone.
+
+const { v4: uuidv4 } = require('uuid');
+
+const REPORTS_COLLECTION = 'reports';
+
+// Categories a user can pick when reporting a partner
+const REPORT_REASONS = [
+  'harassment',
+  'hate_speech',
+  'sexual_content',
+  'spam',
+  'scam',
+  'underage',
+  'self_harm',
+  'other',
+];
+
+// open -> reviewing -> resolved | dismissed
+const REPORT_STATUSES = ['open', 'reviewing', 'resolved', 'dismissed'];
+
+const MAX_REPORT_NOTE_LENGTH = 1000;
+const MAX_RESOLUTION_LENGTH = 2000;
+
+/**
+ * Validate what the reporter sent: a known reason and an optional note
+ */
+function validateReport(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid report' };
+  }
+
+  if (!REPORT_REASONS.includes(data.reason)) {
+    return { valid: false, error: 'Please choose a reason' };
+  }
+
+  const note = typeof data.note === 'string' ? data.note.trim() : '';
+  if (note.length > MAX_REPORT_NOTE_LENGTH) {
+    return { valid: false, error: `Note too long. Maximum is ${MAX_REPORT_NOTE_LENGTH} characters` };
+  }
+
+  if (data.reason === 'other' && !note) {
+    return { valid: false, error: 'Please describe the problem' };
+  }
+
+  return { valid: true, data: { reason: data.reason, note } };
+}
+
+/**
+ * Label each transcript entry by who sent it, from the reporter's point of view.
+ * Media IDs are dropped: the files expire, only their hashes are evidence.
+ */
+function buildEvidence(transcript, reporterClientId) {
+  return transcript.map(({ senderClientId, mediaId, ...entry }) => ({
+    ...entry,
+    from: senderClientId === reporterClientId ? 'reporter' : 'reported',
+  }));
+}
+
+/**
+ * Store a new report. Each user can report a given room once.
+ * Returns the report, or null if this user already reported the room.
+ */
+async function createReport(db, { roomId, roomCreatedAt, reporter, reported, reason, note, transcript }) {
+  const reports = db.collection(REPORTS_COLLECTION);
+
+  const existing = await reports.findOne({ roomId, 'reporter.clientId': reporter.clientId });
+  if (existing) return null;
+
+  const now = new Date();
+  const report = {
+    id: uuidv4(),
+    status: 'open',
+    reason,
+    note,
+    roomId,
+    roomCreatedAt: roomCreatedAt ? new Date(roomCreatedAt) : null,
+    reporter,
+    reported,
+    messages: buildEvidence(transcript, reporter.clientId),
+    createdAt: now,
+    updatedAt: now,
+    reviewedBy: null,
+    resolution: null,
+    resolvedAt: null,
+  };
+
+  await reports.insertOne(report);
+  return report;
+}
+
+/**
+ * List reports, newest first. The summary leaves out the message snapshot.
+ */
+async function listReports(db, { status, reason, limit = 50, skip = 0 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (reason) query.reason = reason;
+
+  const reports = await db.collection(REPORTS_COLLECTION)
+    .find(query, { projection: { _id: 0, messages: 0 } })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .toArray();
+
+  const total = await db.collection(REPORTS_COLLECTION).countDocuments(query);
+  return { reports, total };
+}
+
+async function getReport(db, id) {
+  return db.collection(REPORTS_COLLECTION).findOne({ id }, { projection: { _id: 0 } });
+}
+
+/**
+ * Validate a moderator's status change
+ */
+function validateReportUpdate(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Invalid update' };
+  }
+
+  if (!REPORT_STATUSES.includes(data.status) || data.status === 'open') {
+    return { valid: false, error: `status must be one of: ${REPORT_STATUSES.slice(1).join(', ')}` };
+  }
+
+  const resolution = typeof data.resolution === 'string' ? data.resolution.trim() : '';
+  if (resolution.length > MAX_RESOLUTION_LENGTH) {
+    return { valid: false, error: `resolution too long. Maximum is ${MAX_RESOLUTION_LENGTH} characters` };
+  }
+
+  const closing = data.status === 'resolved' || data.status === 'dismissed';
+  if (closing && !resolution) {
+    return { valid: false, error: 'resolution is required to close a report' };
+  }
+
+  const reviewedBy = typeof data.reviewedBy === 'string' ? data.reviewedBy.trim().substring(0, 100) : '';
+
+  return { valid: true, data: { status: data.status, resolution: resolution || null, reviewedBy: reviewedBy || null } };
+}
+
+/**
+ * Move a report to reviewing, resolved or dismissed.
+ * Closed reports can't be changed again. Returns the updated report or null.
+ */
+async function updateReport(db, id, { status, resolution, reviewedBy }) {
+  const now = new Date();
+  const update = { status, updatedAt: now };
+  if (resolution) update.resolution = resolution;
+  if (reviewedBy) update.reviewedBy = reviewedBy;
+  if (status === 'resolved' || status === 'dismissed') update.resolvedAt = now;
+
+  return db.collection(REPORTS_COLLECTION).findOneAndUpdate(
+    { id, status: { $in: ['open', 'reviewing'] } },
+    { $set: update },
+    { returnDocument: 'after', projection: { _id: 0 } }
+  );
+}
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  validateReport,
+  validateReportUpdate,
+  createReport,
+  listReports,
+  getReport,
+  updateReport,
+};
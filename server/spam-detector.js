@@ -0,0 +1,224 @@
+// ============================================
+// CROSS-ROOM SPAM DETECTION
+// ============================================
+// Rate limits are per client, so one actor pasting the same advert into
+// many rooms from many sockets slips under them. Each text message is
+// fingerprinted with a MinHash signature of its character shingles
+// (similar texts share most signature values) and indexed in the shared
+// store for a while, in bands so near-duplicates can be looked up. When the
+// same actor - the same client ID or the same IP - has sent near-duplicates
+// of a message into enough different rooms, they are flagged for
+// moderators, and past a second threshold shadow-muted: their messages
+// still show as sent on their side but are no longer delivered. Only a
+// burst counts toward the mute - someone opening every chat with the same
+// introduction, or people behind one shared IP saying the same thing, meets
+// new partners far more slowly than a script pastes. Detection events are
+// stored in MongoDB for review.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const SPAM_EVENTS_COLLECTION = 'spam_events';
+
+const SPAM_EVENT_TYPES = ['flagged', 'shadow_muted'];
+
+// Signature size and how it's split for lookup: two texts become
+// candidates when all the values of any one band match, which is likely
+// for near-duplicates and rare otherwise
+const SIGNATURE_SIZE = 16; // 32-bit values, one SHA-512 per shingle
+const ROWS_PER_BAND = 2;
+
+// Character shingle length, and how much of a long text is hashed
+const SHINGLE_LENGTH = 5;
+const MAX_FINGERPRINT_TEXT = 2000;
+
+const MAX_SAMPLE_LENGTH = 500;
+
+/**
+ * Lowercase letters and digits separated by single spaces, so case,
+ * punctuation, emoji and spacing tricks don't change the fingerprint
+ */
+function normalizeText(text) {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .substring(0, MAX_FINGERPRINT_TEXT);
+}
+
+/**
+ * MinHash signature of a text's character shingles (hex, 8 digits per
+ * value) with the band keys it is indexed under. Null for texts too short
+ * to tell apart from everyday greetings.
+ */
+function fingerprint(text, minLength) {
+  const normalized = normalizeText(text);
+  if (normalized.length < minLength) return null;
+
+  const minimums = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (let i = 0; i + SHINGLE_LENGTH <= normalized.length; i++) {
+    const digest = crypto.createHash('sha512').update(normalized.substring(i, i + SHINGLE_LENGTH)).digest();
+    for (let h = 0; h < SIGNATURE_SIZE; h++) {
+      minimums[h] = Math.min(minimums[h], digest.readUInt32BE(h * 4));
+    }
+  }
+
+  const values = minimums.map((value) => value.toString(16).padStart(8, '0'));
+  const bands = [];
+  for (let i = 0; i < SIGNATURE_SIZE; i += ROWS_PER_BAND) {
+    bands.push(`${i / ROWS_PER_BAND}:${values.slice(i, i + ROWS_PER_BAND).join('')}`);
+  }
+  return { signature: values.join(''), bands };
+}
+
+/**
+ * Estimated Jaccard similarity of two texts from their signatures (0..1):
+ * the share of signature values they have in common
+ */
+function similarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.length; i += 8) {
+    if (a.substring(i, i + 8) === b.substring(i, i + 8)) same++;
+  }
+  return same / SIGNATURE_SIZE;
+}
+
+/**
+ * Create a detector over the shared store.
+ *
+ * - windowMs: how long messages are remembered
+ * - minLength: shorter texts (after normalizing) aren't fingerprinted
+ * - minSimilarity: estimated similarity (0..1) for two messages to count
+ *   as the same
+ * - flagRooms / muteRooms: distinct rooms one actor must have sent a
+ *   message into to be flagged (within windowMs) / shadow-muted (within
+ *   burstMs)
+ * - burstMs: how close together the messages that lead to a mute must be
+ * - shadowMuteMs: how long a shadow mute lasts
+ * - indexLimit: entries kept per band
+ */
+function createSpamDetector(store, { windowMs, minLength, minSimilarity, flagRooms, muteRooms, burstMs, shadowMuteMs, indexLimit }) {
+  /**
+   * Check a text message before delivery. Returns { shadowMuted, event },
+   * where event ({ type, fingerprint, actorRooms, rooms, senders, until })
+   * is set when the sender was just flagged or shadow-muted.
+   */
+  async function check({ clientId, ip, roomId, text }, now = Date.now()) {
+    const status = await store.getSpamStatus(clientId);
+    if (status?.shadowMutedUntil > now) {
+      return { shadowMuted: true, event: null };
+    }
+
+    const print = fingerprint(text, minLength);
+    if (!print) {
+      return { shadowMuted: false, event: null };
+    }
+
+    const entries = await store.addContentFingerprint(
+      print.bands,
+      [print.signature, clientId, ip || '', roomId, now].join('|'),
+      { windowMs, limit: indexLimit }
+    );
+
+    // Everything near this message, the part of it sent by this actor, and
+    // the part of that sent in the last burstMs
+    const rooms = new Set();
+    const senders = new Set();
+    const actorRooms = new Set();
+    const burstRooms = new Set();
+    for (const entry of entries) {
+      const [signature, entryClientId, entryIp, entryRoomId, sentAt] = entry.split('|');
+      if (similarity(signature, print.signature) < minSimilarity) continue;
+
+      rooms.add(entryRoomId);
+      senders.add(entryClientId);
+      if (entryClientId === clientId || (ip && entryIp === ip)) {
+        actorRooms.add(entryRoomId);
+        if (now - Number(sentAt) <= burstMs) burstRooms.add(entryRoomId);
+      }
+    }
+
+    const stats = {
+      fingerprint: print.signature,
+      actorRooms: actorRooms.size,
+      rooms: rooms.size,
+      senders: senders.size,
+    };
+
+    if (burstRooms.size >= muteRooms) {
+      const until = now + shadowMuteMs;
+      await store.setSpamStatus(clientId, { flaggedAt: status?.flaggedAt || now, shadowMutedUntil: until }, Math.max(shadowMuteMs, windowMs));
+      return { shadowMuted: true, event: { type: 'shadow_muted', ...stats, until } };
+    }
+
+    // Flag once per window, not on every further message
+    if (actorRooms.size >= flagRooms && !(status?.flaggedAt > now - windowMs)) {
+      await store.setSpamStatus(clientId, { flaggedAt: now, shadowMutedUntil: null }, windowMs);
+      return { shadowMuted: false, event: { type: 'flagged', ...stats, until: null } };
+    }
+
+    return { shadowMuted: false, event: null };
+  }
+
+  /**
+   * Whether the client's messages are currently being withheld
+   */
+  async function isShadowMuted(clientId, now = Date.now()) {
+    const status = await store.getSpamStatus(clientId);
+    return status?.shadowMutedUntil > now;
+  }
+
+  return { check, isShadowMuted };
+}
+
+/**
+ * Store a detection for moderators, with a sample of the text that set it off
+ */
+async function recordSpamEvent(db, { type, clientId, ip, roomId, text, fingerprint, actorRooms, rooms, senders, until }) {
+  const event = {
+    id: uuidv4(),
+    type,
+    clientId,
+    ip,
+    roomId,
+    sample: text.substring(0, MAX_SAMPLE_LENGTH),
+    fingerprint,
+    actorRooms,
+    rooms,
+    senders,
+    shadowMutedUntil: until ? new Date(until) : null,
+    createdAt: new Date(),
+  };
+
+  await db.collection(SPAM_EVENTS_COLLECTION).insertOne(event);
+  return event;
+}
+
+/**
+ * List detections, newest first
+ */
+async function listSpamEvents(db, { type, clientId, limit = 50, skip = 0 } = {}) {
+  const query = {};
+  if (type) query.type = type;
+  if (clientId) query.clientId = clientId.toLowerCase();
+
+  const events = await db.collection(SPAM_EVENTS_COLLECTION)
+    .find(query, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .toArray();
+
+  const total = await db.collection(SPAM_EVENTS_COLLECTION).countDocuments(query);
+  return { events, total };
+}
+
+module.exports = {
+  SPAM_EVENT_TYPES,
+  fingerprint,
+  similarity,
+  createSpamDetector,
+  recordSpamEvent,
+  listSpamEvents,
+};
@@ -0,0 +1,53 @@
+// ============================================
+// STATE STORE FACTORY
+// ============================================
+// Picks the store implementation from configuration:
+// - no REDIS_URL: in-memory store (single instance)
+// - REDIS_URL set: Redis store plus the socket.io Redis adapter, so several
+//   instances share the queue and relay room events to each other
+//
+// Local multi-instance test:
+//   redis-server
+//   REDIS_URL=redis://localhost:6379 PORT=3000 node server.js
+//   REDIS_URL=redis://localhost:6379 PORT=3001 node server.js
+// then open one browser tab on each port and start matching.
+// tests/redis-multi-instance.test.js automates this (TEST_REDIS_URL=... yarn test).
+
+const { MemoryStore } = require('./memory-store');
+const { RedisStore } = require('./redis-store');
+
+/**
+ * Create the store and, for Redis, the socket.io adapter factory
+ */
+async function createStore({ redisUrl, keyPrefix }) {
+  if (!redisUrl) {
+    return { store: new MemoryStore(), adapter: null, close: async () => {} };
+  }
+
+  // Loaded lazily so single-instance deployments don't need a Redis client
+  const Redis = require('ioredis');
+  const { createAdapter } = require('@socket.io/redis-adapter');
+
+  const client = new Redis(redisUrl, { lazyConnect: true });
+  const pubClient = new Redis(redisUrl, { lazyConnect: true });
+  const subClient = pubClient.duplicate();
+
+  for (const redis of [client, pubClient, subClient]) {
+    redis.on('error', (error) => {
+      console.error('[REDIS ERROR]', error.message);
+    });
+  }
+
+  const store = new RedisStore({ client, keyPrefix });
+  await Promise.all([store.connect(), pubClient.connect(), subClient.connect()]);
+
+  return {
+    store,
+    adapter: createAdapter(pubClient, subClient, { key: `${keyPrefix}socket.io` }),
+    close: async () => {
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    },
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,706 @@
+// ============================================
+// IN-MEMORY STATE STORE
+// ============================================
+// Default store: keeps queue, rooms and rate limits in process-local Maps.
+// Only suitable for a single server instance.
+
+/**
+ * A room's media permission entry, created on first use
+ */
+function getMediaPermissionEntry(mediaPermissions, roomId) {
+  if (!mediaPermissions.has(roomId)) {
+    mediaPermissions.set(roomId, { optIns: new Set(), texts: { user1: 0, user2: 0 } });
+  }
+  return mediaPermissions.get(roomId);
+}
+
+/**
+ * In-memory implementation of the shared state store.
+ * All methods are async so callers work unchanged with the Redis store.
+ */
+class MemoryStore {
+  constructor() {
+    this.waitingUsers = new Map();
+    this.activeRooms = new Map();
+    this.socketToRoom = new Map();
+
+    // Fixed-window rate limits - one map per limiter kind (e.g. 'report')
+    this.rateLimits = new Map();
+
+    // Token buckets - one map per limiter kind ('message', 'media')
+    this.tokenBuckets = new Map();
+
+    // Rate limit penalties per client ID: { penalty, expiresAt }
+    this.penalties = new Map();
+
+    // Open sockets per address key ('ip:...', 'subnet:...'): key -> Map(socketId -> seenAt)
+    this.connections = new Map();
+
+    // Recent message fingerprints per band: band -> { entries: Map(entry -> seenAt), windowMs }
+    this.contentFingerprints = new Map();
+
+    // Spam detector state per client ID: { status, expiresAt }
+    this.spamStatuses = new Map();
+
+    // Recent partners per client ID, oldest first (Map keeps insertion order)
+    this.partnerHistory = new Map();
+
+    // Messages held for reconnecting participants, keyed by session token
+    this.pendingMessages = new Map();
+
+    // Relayed media: mediaId -> { meta, chunks, size, reserved, expiresAt }
+    this.media = new Map();
+    // Bytes reserved by all relayed media (declared sizes, see createMedia)
+    this.mediaBytes = 0;
+
+    // Media IDs per room, deleted together when the room closes
+    this.roomMedia = new Map();
+
+    // Media consent per room: roomId -> { optIns: Set(seat), texts: { user1, user2 } }
+    this.mediaPermissions = new Map();
+
+    // Message reactions per room: roomId -> Set("<messageId>|<seat>|<emoji>")
+    this.reactions = new Map();
+
+    // Recent messages per room for reports: roomId -> { entries, expiresAt }
+    this.roomTranscripts = new Map();
+
+    // Participants of recently closed rooms: roomId -> { summary, expiresAt }
+    this.closedRooms = new Map();
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  // ============================================
+  // WAITING QUEUE
+  // ============================================
+
+  async addWaitingUser(socketId, user) {
+    this.waitingUsers.set(socketId, user);
+  }
+
+  async hasWaitingUser(socketId) {
+    return this.waitingUsers.has(socketId);
+  }
+
+  /**
+   * Remove a user from the queue. Returns true only for the caller that
+   * actually removed the entry, so it doubles as an atomic "claim".
+   */
+  async removeWaitingUser(socketId) {
+    return this.waitingUsers.delete(socketId);
+  }
+
+  async getWaitingUsers() {
+    return Array.from(this.waitingUsers.entries());
+  }
+
+  async countWaitingUsers() {
+    return this.waitingUsers.size;
+  }
+
+  // ============================================
+  // ROOMS
+  // ============================================
+
+  async setRoom(roomId, room) {
+    this.activeRooms.set(roomId, room);
+  }
+
+  async getRoom(roomId) {
+    return this.activeRooms.get(roomId) || null;
+  }
+
+  /**
+   * Change a room: update(room) gets a copy and returns the room to store,
+   * or null to leave it as it is. Nothing else runs in between here.
+   * Returns the stored room, or null.
+   */
+  async updateRoom(roomId, update) {
+    const room = this.activeRooms.get(roomId);
+    if (!room) return null;
+
+    const updated = update(structuredClone(room));
+    if (!updated) return null;
+
+    this.activeRooms.set(roomId, updated);
+    return updated;
+  }
+
+  async deleteRoom(roomId) {
+    return this.activeRooms.delete(roomId);
+  }
+
+  async getRooms() {
+    return Array.from(this.activeRooms.entries());
+  }
+
+  async countRooms() {
+    return this.activeRooms.size;
+  }
+
+  // ============================================
+  // SOCKET -> ROOM MAPPING
+  // ============================================
+
+  async setSocketRoom(socketId, roomId) {
+    this.socketToRoom.set(socketId, roomId);
+  }
+
+  async getSocketRoom(socketId) {
+    return this.socketToRoom.get(socketId) || null;
+  }
+
+  async deleteSocketRoom(socketId) {
+    this.socketToRoom.delete(socketId);
+  }
+
+  async countSocketRooms() {
+    return this.socketToRoom.size;
+  }
+
+  // ============================================
+  // RATE LIMITING (FIXED WINDOW)
+  // ============================================
+
+  /**
+   * Count one hit in the caller's current window and return the new count
+   */
+  async hitRateLimit(kind, socketId, windowMs) {
+    const now = Date.now();
+    if (!this.rateLimits.has(kind)) {
+      this.rateLimits.set(kind, new Map());
+    }
+
+    const limits = this.rateLimits.get(kind);
+    const userLimits = limits.get(socketId) || { count: 0, windowStart: now, windowMs };
+
+    // Reset window if expired
+    if (now - userLimits.windowStart > windowMs) {
+      userLimits.count = 0;
+      userLimits.windowStart = now;
+    }
+
+    userLimits.count++;
+    limits.set(socketId, userLimits);
+    return userLimits.count;
+  }
+
+  /**
+   * Drop rate limit windows that have been idle for a while, full token
+   * buckets and expired penalties
+   */
+  async pruneRateLimits() {
+    const now = Date.now();
+    for (const limits of this.rateLimits.values()) {
+      for (const [socketId, userLimits] of limits.entries()) {
+        if (now - userLimits.windowStart > userLimits.windowMs * 10) {
+          limits.delete(socketId);
+        }
+      }
+    }
+
+    // A full bucket is the same as no bucket
+    for (const buckets of this.tokenBuckets.values()) {
+      for (const [key, bucket] of buckets.entries()) {
+        if (bucket.fullAt <= now) {
+          buckets.delete(key);
+        }
+      }
+    }
+
+    for (const [clientId, entry] of this.penalties.entries()) {
+      if (entry.expiresAt < now) {
+        this.penalties.delete(clientId);
+      }
+    }
+  }
+
+  async countRateLimits(kind) {
+    return this.rateLimits.get(kind)?.size || 0;
+  }
+
+  // ============================================
+  // RATE LIMITING (TOKEN BUCKET)
+  // ============================================
+
+  /**
+   * Take one token from a bucket that refills continuously.
+   * Returns { allowed, retryAfterMs }, where retryAfterMs is the wait until
+   * the next token.
+   */
+  async takeToken(kind, key, { capacity, refillPerSecond }) {
+    const now = Date.now();
+    if (!this.tokenBuckets.has(kind)) {
+      this.tokenBuckets.set(kind, new Map());
+    }
+
+    const buckets = this.tokenBuckets.get(kind);
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    bucket.updatedAt = now;
+    bucket.fullAt = now + ((capacity - bucket.tokens) / refillPerSecond) * 1000;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+      bucket.fullAt += 1000 / refillPerSecond;
+    }
+
+    buckets.set(key, bucket);
+    return { allowed, retryAfterMs: allowed ? 0 : Math.ceil(((1 - bucket.tokens) / refillPerSecond) * 1000) };
+  }
+
+  async countTokenBuckets(kind) {
+    return this.tokenBuckets.get(kind)?.size || 0;
+  }
+
+  async getPenalty(clientId) {
+    const entry = this.penalties.get(clientId);
+    if (!entry || entry.expiresAt < Date.now()) return null;
+    return entry.penalty;
+  }
+
+  async setPenalty(clientId, penalty, ttlMs) {
+    this.penalties.set(clientId, { penalty, expiresAt: Date.now() + ttlMs });
+  }
+
+  // ============================================
+  // CONNECTIONS PER ADDRESS
+  // ============================================
+
+  /**
+   * Record (or refresh) an open socket under an address key and return how
+   * many are open there. Entries not refreshed within ttlMs are dropped.
+   */
+  async addConnection(key, socketId, ttlMs) {
+    const now = Date.now();
+    if (!this.connections.has(key)) {
+      this.connections.set(key, new Map());
+    }
+
+    const sockets = this.connections.get(key);
+    sockets.set(socketId, now);
+    for (const [id, seenAt] of sockets.entries()) {
+      if (now - seenAt > ttlMs) sockets.delete(id);
+    }
+    return sockets.size;
+  }
+
+  async removeConnection(key, socketId) {
+    const sockets = this.connections.get(key);
+    if (!sockets) return;
+
+    sockets.delete(socketId);
+    if (sockets.size === 0) {
+      this.connections.delete(key);
+    }
+  }
+
+  // ============================================
+  // CONTENT FINGERPRINTS (SPAM DETECTION)
+  // ============================================
+
+  /**
+   * Record an entry under each of its fingerprint bands and return every
+   * entry seen in any of those bands within windowMs (deduplicated). Each
+   * band keeps at most `limit` entries, the most recent ones.
+   */
+  async addContentFingerprint(bands, entry, { windowMs, limit }) {
+    const now = Date.now();
+    const seen = new Set();
+
+    for (const band of bands) {
+      const index = this.contentFingerprints.get(band) || { entries: new Map(), windowMs };
+      index.entries.delete(entry); // Re-insert so it counts as the newest
+      index.entries.set(entry, now);
+
+      for (const [key, seenAt] of index.entries.entries()) {
+        if (now - seenAt > windowMs || index.entries.size > limit) {
+          index.entries.delete(key);
+        }
+      }
+      this.contentFingerprints.set(band, index);
+
+      for (const key of index.entries.keys()) seen.add(key);
+    }
+
+    return [...seen];
+  }
+
+  /**
+   * Drop fingerprint bands with nothing recent and expired spam statuses
+   */
+  async pruneContentFingerprints() {
+    const now = Date.now();
+    for (const [band, index] of this.contentFingerprints.entries()) {
+      const newest = [...index.entries.values()].pop();
+      if (!newest || now - newest > index.windowMs) {
+        this.contentFingerprints.delete(band);
+      }
+    }
+
+    for (const [clientId, entry] of this.spamStatuses.entries()) {
+      if (entry.expiresAt < now) {
+        this.spamStatuses.delete(clientId);
+      }
+    }
+  }
+
+  async getSpamStatus(clientId) {
+    const entry = this.spamStatuses.get(clientId);
+    if (!entry || entry.expiresAt < Date.now()) return null;
+    return entry.status;
+  }
+
+  async setSpamStatus(clientId, status, ttlMs) {
+    this.spamStatuses.set(clientId, { status, expiresAt: Date.now() + ttlMs });
+  }
+
+  // ============================================
+  // PARTNER HISTORY (RE-MATCH COOLDOWN)
+  // ============================================
+  // Keyed by stable client ID; kind is 'matched' or 'skipped'
+
+  async recordPartner(clientId, partnerId, kind, { limit, ttlMs }) {
+    if (!this.partnerHistory.has(clientId)) {
+      this.partnerHistory.set(clientId, new Map());
+    }
+
+    const history = this.partnerHistory.get(clientId);
+    const previous = history.get(partnerId);
+
+    // Re-inserting moves the partner to the newest position; a skip is sticky
+    history.delete(partnerId);
+    history.set(partnerId, {
+      at: Date.now(),
+      skipped: kind === 'skipped' || Boolean(previous?.skipped),
+    });
+
+    // Drop the oldest entries beyond the limit
+    while (history.size > limit) {
+      history.delete(history.keys().next().value);
+    }
+  }
+
+  async getPartnerHistory(clientId, ttlMs) {
+    const now = Date.now();
+    const result = { matched: [], skipped: [] };
+
+    for (const [partnerId, entry] of this.partnerHistory.get(clientId) || []) {
+      if (now - entry.at > ttlMs) continue;
+      (entry.skipped ? result.skipped : result.matched).push(partnerId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Drop history entries whose cooldown has passed
+   */
+  async prunePartnerHistory(ttlMs) {
+    const now = Date.now();
+    for (const [clientId, history] of this.partnerHistory.entries()) {
+      for (const [partnerId, entry] of history.entries()) {
+        if (now - entry.at > ttlMs) {
+          history.delete(partnerId);
+        }
+      }
+      if (history.size === 0) {
+        this.partnerHistory.delete(clientId);
+      }
+    }
+  }
+
+  // ============================================
+  // PENDING MESSAGES (SESSION RESUME)
+  // ============================================
+
+  async pushPendingMessage(sessionToken, message, { limit, ttlMs }) {
+    const pending = this.pendingMessages.get(sessionToken) || { messages: [] };
+
+    pending.messages.push(message);
+    pending.messages.splice(0, Math.max(0, pending.messages.length - limit));
+    pending.expiresAt = Date.now() + ttlMs;
+
+    this.pendingMessages.set(sessionToken, pending);
+  }
+
+  async takePendingMessages(sessionToken) {
+    const pending = this.pendingMessages.get(sessionToken);
+    this.pendingMessages.delete(sessionToken);
+
+    if (!pending || pending.expiresAt < Date.now()) return [];
+    return pending.messages;
+  }
+
+  async deletePendingMessages(sessionToken) {
+    this.pendingMessages.delete(sessionToken);
+  }
+
+  /**
+   * Swap a buffered message for a new version of it (edited or deleted).
+   * Returns false if it isn't buffered.
+   */
+  async replacePendingMessage(sessionToken, message) {
+    const pending = this.pendingMessages.get(sessionToken);
+    const index = pending ? pending.messages.findIndex((buffered) => buffered.id === message.id) : -1;
+    if (index === -1) return false;
+
+    pending.messages[index] = message;
+    return true;
+  }
+
+  // ============================================
+  // RELAYED MEDIA
+  // ============================================
+
+  /**
+   * Reserve meta.size bytes for a new upload. Returns false, storing
+   * nothing, if that would take all media held past maxTotalBytes even
+   * after dropping expired media.
+   */
+  async createMedia(mediaId, meta, ttlMs, maxTotalBytes) {
+    if (this.mediaBytes + meta.size > maxTotalBytes) {
+      await this.pruneMedia();
+      if (this.mediaBytes + meta.size > maxTotalBytes) return false;
+    }
+
+    this.media.set(mediaId, { meta, chunks: [], size: 0, reserved: meta.size, expiresAt: Date.now() + ttlMs });
+    this.mediaBytes += meta.size;
+    return true;
+  }
+
+  /**
+   * Append an uploaded chunk and return the number of bytes stored so far
+   */
+  async appendMediaChunk(mediaId, chunk) {
+    const entry = this.media.get(mediaId);
+    if (!entry) return null;
+
+    entry.chunks.push(chunk);
+    entry.size += chunk.length;
+    return entry.size;
+  }
+
+  async getMediaMeta(mediaId) {
+    const entry = this.media.get(mediaId);
+    if (!entry || entry.expiresAt < Date.now()) return null;
+    return entry.meta;
+  }
+
+  async setMediaMeta(mediaId, meta) {
+    const entry = this.media.get(mediaId);
+    if (entry) {
+      entry.meta = meta;
+    }
+  }
+
+  /**
+   * Read bytes start..end (inclusive) of a stored media object
+   */
+  async readMedia(mediaId, start, end) {
+    const entry = this.media.get(mediaId);
+    if (!entry || entry.expiresAt < Date.now()) return null;
+
+    // Join the chunks once, on first read
+    if (entry.chunks.length > 1) {
+      entry.chunks = [Buffer.concat(entry.chunks)];
+    }
+
+    return (entry.chunks[0] || Buffer.alloc(0)).subarray(start, end + 1);
+  }
+
+  async deleteMedia(mediaId) {
+    const entry = this.media.get(mediaId);
+    if (!entry) return;
+
+    this.media.delete(mediaId);
+    this.mediaBytes -= entry.reserved;
+  }
+
+  async addRoomMedia(roomId, mediaId) {
+    if (!this.roomMedia.has(roomId)) {
+      this.roomMedia.set(roomId, new Set());
+    }
+    this.roomMedia.get(roomId).add(mediaId);
+  }
+
+  /**
+   * Return and forget the media IDs recorded for a room
+   */
+  async takeRoomMedia(roomId) {
+    const mediaIds = Array.from(this.roomMedia.get(roomId) || []);
+    this.roomMedia.delete(roomId);
+    return mediaIds;
+  }
+
+  /**
+   * Drop media whose TTL has passed (e.g. from rooms that were never closed)
+   */
+  async pruneMedia() {
+    const now = Date.now();
+    for (const [mediaId, entry] of this.media.entries()) {
+      if (entry.expiresAt < now) {
+        await this.deleteMedia(mediaId);
+        this.roomMedia.get(entry.meta.roomId)?.delete(mediaId);
+      }
+    }
+  }
+
+  async countMedia() {
+    return this.media.size;
+  }
+
+  // ============================================
+  // ROOM MEDIA PERMISSION
+  // ============================================
+  // Which seats allowed media and how many texts each has sent; the caller
+  // deletes it when the room closes. Methods return
+  // { optIns: [seat...], texts: { user1, user2 } }.
+
+  async getRoomMediaPermission(roomId) {
+    const entry = this.mediaPermissions.get(roomId);
+    return entry
+      ? { optIns: Array.from(entry.optIns), texts: { ...entry.texts } }
+      : { optIns: [], texts: { user1: 0, user2: 0 } };
+  }
+
+  async optInToRoomMedia(roomId, seat) {
+    getMediaPermissionEntry(this.mediaPermissions, roomId).optIns.add(seat);
+    return this.getRoomMediaPermission(roomId);
+  }
+
+  async countRoomText(roomId, seat) {
+    getMediaPermissionEntry(this.mediaPermissions, roomId).texts[seat]++;
+    return this.getRoomMediaPermission(roomId);
+  }
+
+  async deleteRoomMediaPermission(roomId) {
+    this.mediaPermissions.delete(roomId);
+  }
+
+  // ============================================
+  // MESSAGE REACTIONS
+  // ============================================
+  // Each seat can add each emoji to a message once; the caller deletes a
+  // room's reactions when it closes
+
+  /**
+   * Add the seat's reaction if it isn't there, remove it if it is.
+   * Returns the message's reactions: [{ seat, emoji }].
+   */
+  async toggleReaction(roomId, messageId, seat, emoji) {
+    if (!this.reactions.has(roomId)) {
+      this.reactions.set(roomId, new Set());
+    }
+
+    const reactions = this.reactions.get(roomId);
+    const member = `${messageId}|${seat}|${emoji}`;
+    if (!reactions.delete(member)) {
+      reactions.add(member);
+    }
+
+    return Array.from(reactions)
+      .map((entry) => entry.split('|'))
+      .filter(([id]) => id === messageId)
+      .map(([, reactionSeat, reactionEmoji]) => ({ seat: reactionSeat, emoji: reactionEmoji }));
+  }
+
+  async deleteRoomReactions(roomId) {
+    this.reactions.delete(roomId);
+  }
+
+  // ============================================
+  // ROOM TRANSCRIPTS (REPORT EVIDENCE)
+  // ============================================
+  // A bounded ring buffer of each room's latest messages, kept for a while
+  // after the room closes so its participants can still report each other
+
+  async pushRoomTranscript(roomId, entry, { limit, ttlMs }) {
+    const transcript = this.roomTranscripts.get(roomId) || { entries: [] };
+
+    transcript.entries.push(entry);
+    transcript.entries.splice(0, Math.max(0, transcript.entries.length - limit));
+    transcript.expiresAt = Date.now() + ttlMs;
+
+    this.roomTranscripts.set(roomId, transcript);
+  }
+
+  async getRoomTranscript(roomId) {
+    const transcript = this.roomTranscripts.get(roomId);
+    if (!transcript || transcript.expiresAt < Date.now()) return [];
+    return transcript.entries.slice();
+  }
+
+  /**
+   * Merge changes into one message's entry. Returns the updated entry, or
+   * null if the message isn't in the transcript.
+   */
+  async updateRoomTranscriptEntry(roomId, messageId, changes) {
+    const transcript = this.roomTranscripts.get(roomId);
+    if (!transcript || transcript.expiresAt < Date.now()) return null;
+
+    const index = transcript.entries.findIndex((entry) => entry.id === messageId);
+    if (index === -1) return null;
+
+    transcript.entries[index] = { ...transcript.entries[index], ...changes };
+    return transcript.entries[index];
+  }
+
+  /**
+   * Remember who was in a closed room and keep its transcript for ttlMs
+   */
+  async archiveRoom(roomId, summary, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    this.closedRooms.set(roomId, { summary, expiresAt });
+
+    const transcript = this.roomTranscripts.get(roomId);
+    if (transcript) {
+      transcript.expiresAt = expiresAt;
+    }
+  }
+
+  async getClosedRoom(roomId) {
+    const closed = this.closedRooms.get(roomId);
+    if (!closed || closed.expiresAt < Date.now()) return null;
+    return closed.summary;
+  }
+
+  async pruneRoomTranscripts() {
+    const now = Date.now();
+    for (const map of [this.roomTranscripts, this.closedRooms]) {
+      for (const [roomId, entry] of map.entries()) {
+        if (entry.expiresAt < now) {
+          map.delete(roomId);
+        }
+      }
+    }
+  }
+
+  async clear() {
+    this.roomTranscripts.clear();
+    this.closedRooms.clear();
+    this.media.clear();
+    this.mediaBytes = 0;
+    this.roomMedia.clear();
+    this.mediaPermissions.clear();
+    this.reactions.clear();
+    this.pendingMessages.clear();
+    this.partnerHistory.clear();
+    this.waitingUsers.clear();
+    this.activeRooms.clear();
+    this.socketToRoom.clear();
+    this.rateLimits.clear();
+    this.tokenBuckets.clear();
+    this.penalties.clear();
+    this.connections.clear();
+    this.contentFingerprints.clear();
+    this.spamStatuses.clear();
+  }
+}
+
+module.exports = { MemoryStore };
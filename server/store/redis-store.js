@@ -0,0 +1,660 @@
+// ============================================
+// REDIS STATE STORE
+// ============================================
+// Shared store for running several server instances behind a load balancer.
+// Queue, rooms and rate-limit windows live in Redis so any instance can
+// match users and route messages for rooms created elsewhere.
+
+// KEYS[1] bucket key; ARGV capacity, refill per second.
+// Returns { allowed (0/1), tokens left (string, may be fractional) }.
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) / 1000 * rate)
+
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate * 1000) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// KEYS[1] list key; ARGV current item, replacement.
+// Replaces the first item equal to the current one, so items pushed or
+// trimmed meanwhile don't shift it. Returns 1 if it was still there.
+const REPLACE_LIST_ITEM_SCRIPT = `
+local items = redis.call('LRANGE', KEYS[1], 0, -1)
+for i, item in ipairs(items) do
+  if item == ARGV[1] then
+    redis.call('LSET', KEYS[1], i - 1, ARGV[2])
+    return 1
+  end
+end
+return 0
+`;
+
+// KEYS[1] media expiry sorted set, KEYS[2] media size hash;
+// ARGV media ID, size, TTL ms, budget in bytes.
+// Forgets expired media, then reserves the size if everything held still
+// fits in the budget. Returns 1 if reserved.
+const RESERVE_MEDIA_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', now)
+for _, mediaId in ipairs(expired) do
+  redis.call('HDEL', KEYS[2], mediaId)
+end
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+
+local used = 0
+for _, size in ipairs(redis.call('HVALS', KEYS[2])) do
+  used = used + tonumber(size)
+end
+if used + tonumber(ARGV[2]) > tonumber(ARGV[4]) then
+  return 0
+end
+
+redis.call('ZADD', KEYS[1], now + tonumber(ARGV[3]), ARGV[1])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[2])
+return 1
+`;
+
+// KEYS[1] rooms hash; ARGV room ID, room JSON the change was based on, new JSON.
+// Writes only if the room is unchanged since it was read (and still open).
+// Returns 1 if written.
+const COMPARE_AND_SET_ROOM_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+  return 1
+end
+return 0
+`;
+
+// How often updateRoom re-reads a room that changed under it before giving up
+const ROOM_UPDATE_ATTEMPTS = 10;
+
+/**
+ * Media permission from its hash ("optin:<seat>", "text:<seat>")
+ */
+function toMediaPermission(hash) {
+  return {
+    optIns: ['user1', 'user2'].filter((seat) => hash[`optin:${seat}`] === '1'),
+    texts: {
+      user1: parseInt(hash['text:user1']) || 0,
+      user2: parseInt(hash['text:user2']) || 0,
+    },
+  };
+}
+
+/**
+ * Replace the JSON item of a list whose id matches with replace(item).
+ * Returns the new item, or null if there is no such item.
+ */
+async function replaceListItem(client, key, id, replace) {
+  const items = await client.lrange(key, 0, -1);
+  const current = items.find((item) => JSON.parse(item).id === id);
+  if (!current) return null;
+
+  const updated = replace(JSON.parse(current));
+  const replaced = await client.replaceListItem(key, current, JSON.stringify(updated));
+  return replaced === 1 ? updated : null;
+}
+
+/**
+ * Redis implementation of the shared state store (ioredis client)
+ */
+class RedisStore {
+  constructor({ client, keyPrefix = 'randomchat:' }) {
+    this.client = client;
+    this.keys = {
+      waiting: `${keyPrefix}waiting`,
+      rooms: `${keyPrefix}rooms`,
+      socketRooms: `${keyPrefix}socket-rooms`,
+      rate: (kind, socketId) => `${keyPrefix}rate:${kind}:${socketId}`,
+      bucket: (kind, key) => `${keyPrefix}bucket:${kind}:${key}`,
+      penalty: (clientId) => `${keyPrefix}penalty:${clientId}`,
+      connections: (key) => `${keyPrefix}connections:${key}`,
+      fingerprint: (band) => `${keyPrefix}fingerprint:${band}`,
+      spamStatus: (clientId) => `${keyPrefix}spam-status:${clientId}`,
+      matchedPartners: (clientId) => `${keyPrefix}partners:matched:${clientId}`,
+      skippedPartners: (clientId) => `${keyPrefix}partners:skipped:${clientId}`,
+      pending: (sessionToken) => `${keyPrefix}pending:${sessionToken}`,
+      media: (mediaId) => `${keyPrefix}media:${mediaId}`,
+      mediaMeta: (mediaId) => `${keyPrefix}media-meta:${mediaId}`,
+      roomMedia: (roomId) => `${keyPrefix}room-media:${roomId}`,
+      mediaPermission: (roomId) => `${keyPrefix}media-permission:${roomId}`,
+      mediaExpiry: `${keyPrefix}media-expiry`,
+      mediaSizes: `${keyPrefix}media-sizes`,
+      reactions: (roomId) => `${keyPrefix}reactions:${roomId}`,
+      transcript: (roomId) => `${keyPrefix}transcript:${roomId}`,
+      closedRoom: (roomId) => `${keyPrefix}closed-room:${roomId}`,
+    };
+
+    // Token bucket update in one round trip, timed by the Redis clock so
+    // every instance sees the same refill
+    this.client.defineCommand('takeToken', {
+      numberOfKeys: 1,
+      lua: TAKE_TOKEN_SCRIPT,
+    });
+
+    // Edits to messages held in lists (transcripts, pending messages)
+    this.client.defineCommand('replaceListItem', {
+      numberOfKeys: 1,
+      lua: REPLACE_LIST_ITEM_SCRIPT,
+    });
+
+    // Room changes from concurrent handlers, on any instance
+    this.client.defineCommand('compareAndSetRoom', {
+      numberOfKeys: 1,
+      lua: COMPARE_AND_SET_ROOM_SCRIPT,
+    });
+
+    // Memory budget shared by every instance's uploads
+    this.client.defineCommand('reserveMedia', {
+      numberOfKeys: 2,
+      lua: RESERVE_MEDIA_SCRIPT,
+    });
+  }
+
+  async connect() {
+    if (this.client.status === 'wait') {
+      await this.client.connect();
+    }
+  }
+
+  async disconnect() {
+    await this.client.quit();
+  }
+
+  // ============================================
+  // WAITING QUEUE
+  // ============================================
+
+  async addWaitingUser(socketId, user) {
+    await this.client.hset(this.keys.waiting, socketId, JSON.stringify(user));
+  }
+
+  async hasWaitingUser(socketId) {
+    return (await this.client.hexists(this.keys.waiting, socketId)) === 1;
+  }
+
+  /**
+   * HDEL is atomic, so when two instances race for the same waiting user
+   * only one of them gets true back
+   */
+  async removeWaitingUser(socketId) {
+    return (await this.client.hdel(this.keys.waiting, socketId)) === 1;
+  }
+
+  async getWaitingUsers() {
+    const entries = await this.client.hgetall(this.keys.waiting);
+    return Object.entries(entries).map(([socketId, user]) => [socketId, JSON.parse(user)]);
+  }
+
+  async countWaitingUsers() {
+    return this.client.hlen(this.keys.waiting);
+  }
+
+  // ============================================
+  // ROOMS
+  // ============================================
+
+  async setRoom(roomId, room) {
+    await this.client.hset(this.keys.rooms, roomId, JSON.stringify(room));
+  }
+
+  async getRoom(roomId) {
+    const room = await this.client.hget(this.keys.rooms, roomId);
+    return room ? JSON.parse(room) : null;
+  }
+
+  /**
+   * Change a room without losing concurrent changes: update(room) gets a
+   * fresh copy and returns the room to store, or null to leave it as it
+   * is. Runs again if the room changed meanwhile, so it must not have side
+   * effects. Returns the stored room, or null.
+   */
+  async updateRoom(roomId, update) {
+    for (let attempt = 0; attempt < ROOM_UPDATE_ATTEMPTS; attempt++) {
+      const current = await this.client.hget(this.keys.rooms, roomId);
+      if (!current) return null;
+
+      const updated = update(JSON.parse(current));
+      if (!updated) return null;
+
+      if (await this.client.compareAndSetRoom(this.keys.rooms, roomId, current, JSON.stringify(updated))) {
+        return updated;
+      }
+    }
+
+    throw new Error(`Room ${roomId} kept changing during an update`);
+  }
+
+  async deleteRoom(roomId) {
+    return (await this.client.hdel(this.keys.rooms, roomId)) === 1;
+  }
+
+  async getRooms() {
+    const entries = await this.client.hgetall(this.keys.rooms);
+    return Object.entries(entries).map(([roomId, room]) => [roomId, JSON.parse(room)]);
+  }
+
+  async countRooms() {
+    return this.client.hlen(this.keys.rooms);
+  }
+
+  // ============================================
+  // SOCKET -> ROOM MAPPING
+  // ============================================
+
+  async setSocketRoom(socketId, roomId) {
+    await this.client.hset(this.keys.socketRooms, socketId, roomId);
+  }
+
+  async getSocketRoom(socketId) {
+    return this.client.hget(this.keys.socketRooms, socketId);
+  }
+
+  async deleteSocketRoom(socketId) {
+    await this.client.hdel(this.keys.socketRooms, socketId);
+  }
+
+  async countSocketRooms() {
+    return this.client.hlen(this.keys.socketRooms);
+  }
+
+  // ============================================
+  // RATE LIMITING (FIXED WINDOW)
+  // ============================================
+
+  /**
+   * Count one hit in the caller's current window and return the new count.
+   * The window key is created with a TTL, so Redis expires it by itself.
+   */
+  async hitRateLimit(kind, socketId, windowMs) {
+    const key = this.keys.rate(kind, socketId);
+
+    const results = await this.client
+      .multi()
+      .set(key, 0, 'PX', windowMs, 'NX')
+      .incr(key)
+      .exec();
+
+    return results[1][1];
+  }
+
+  // Windows, buckets and penalties expire through their TTL
+  async pruneRateLimits() {}
+
+  // Not tracked: counting would need a keyspace scan
+  async countRateLimits() {
+    return null;
+  }
+
+  // ============================================
+  // RATE LIMITING (TOKEN BUCKET)
+  // ============================================
+  // One hash per bucket, expiring once it would be full again
+
+  async takeToken(kind, key, { capacity, refillPerSecond }) {
+    const [allowed, tokens] = await this.client.takeToken(this.keys.bucket(kind, key), capacity, refillPerSecond);
+    return {
+      allowed: allowed === 1,
+      retryAfterMs: allowed === 1 ? 0 : Math.ceil(((1 - parseFloat(tokens)) / refillPerSecond) * 1000),
+    };
+  }
+
+  // Not tracked: counting would need a keyspace scan
+  async countTokenBuckets() {
+    return null;
+  }
+
+  async getPenalty(clientId) {
+    const penalty = await this.client.get(this.keys.penalty(clientId));
+    return penalty ? JSON.parse(penalty) : null;
+  }
+
+  async setPenalty(clientId, penalty, ttlMs) {
+    await this.client.set(this.keys.penalty(clientId), JSON.stringify(penalty), 'PX', ttlMs);
+  }
+
+  // ============================================
+  // CONNECTIONS PER ADDRESS
+  // ============================================
+  // Sorted sets of socket IDs scored by when they were last refreshed, so
+  // sockets of a crashed instance age out instead of counting forever
+
+  async addConnection(key, socketId, ttlMs) {
+    const setKey = this.keys.connections(key);
+    const now = Date.now();
+
+    const results = await this.client
+      .multi()
+      .zadd(setKey, now, socketId)
+      .zremrangebyscore(setKey, '-inf', now - ttlMs)
+      .zcard(setKey)
+      .pexpire(setKey, ttlMs)
+      .exec();
+
+    return results[2][1];
+  }
+
+  async removeConnection(key, socketId) {
+    await this.client.zrem(this.keys.connections(key), socketId);
+  }
+
+  // ============================================
+  // CONTENT FINGERPRINTS (SPAM DETECTION)
+  // ============================================
+  // One sorted set per band, entries scored by when they were last seen,
+  // trimmed to the window and the size limit on every write
+
+  async addContentFingerprint(bands, entry, { windowMs, limit }) {
+    const now = Date.now();
+    const multi = this.client.multi();
+    for (const band of bands) {
+      const key = this.keys.fingerprint(band);
+      multi
+        .zadd(key, now, entry)
+        .zremrangebyscore(key, '-inf', now - windowMs)
+        .zremrangebyrank(key, 0, -(limit + 1))
+        .pexpire(key, windowMs)
+        .zrange(key, 0, -1);
+    }
+
+    const results = await multi.exec();
+    const seen = new Set();
+    for (let i = 4; i < results.length; i += 5) {
+      for (const key of results[i][1]) seen.add(key);
+    }
+    return [...seen];
+  }
+
+  // Bands and statuses expire through their TTL
+  async pruneContentFingerprints() {}
+
+  async getSpamStatus(clientId) {
+    const status = await this.client.get(this.keys.spamStatus(clientId));
+    return status ? JSON.parse(status) : null;
+  }
+
+  async setSpamStatus(clientId, status, ttlMs) {
+    await this.client.set(this.keys.spamStatus(clientId), JSON.stringify(status), 'PX', ttlMs);
+  }
+
+  // ============================================
+  // PARTNER HISTORY (RE-MATCH COOLDOWN)
+  // ============================================
+  // Sorted sets scored by timestamp, one for matches and one for skips
+
+  async recordPartner(clientId, partnerId, kind, { limit, ttlMs }) {
+    const key = kind === 'skipped'
+      ? this.keys.skippedPartners(clientId)
+      : this.keys.matchedPartners(clientId);
+    const now = Date.now();
+
+    await this.client
+      .multi()
+      .zadd(key, now, partnerId)
+      .zremrangebyscore(key, '-inf', now - ttlMs)
+      .zremrangebyrank(key, 0, -(limit + 1))
+      .pexpire(key, ttlMs)
+      .exec();
+  }
+
+  async getPartnerHistory(clientId, ttlMs) {
+    const cutoff = Date.now() - ttlMs;
+    const [matched, skipped] = await Promise.all([
+      this.client.zrangebyscore(this.keys.matchedPartners(clientId), cutoff, '+inf'),
+      this.client.zrangebyscore(this.keys.skippedPartners(clientId), cutoff, '+inf'),
+    ]);
+    return { matched: matched.filter(id => !skipped.includes(id)), skipped };
+  }
+
+  // Keys expire through their TTL
+  async prunePartnerHistory() {}
+
+  // ============================================
+  // PENDING MESSAGES (SESSION RESUME)
+  // ============================================
+  // One list per session token, trimmed to the newest messages
+
+  async pushPendingMessage(sessionToken, message, { limit, ttlMs }) {
+    const key = this.keys.pending(sessionToken);
+
+    await this.client
+      .multi()
+      .rpush(key, JSON.stringify(message))
+      .ltrim(key, -limit, -1)
+      .pexpire(key, ttlMs)
+      .exec();
+  }
+
+  /**
+   * Read and delete in one transaction so messages are delivered only once
+   */
+  async takePendingMessages(sessionToken) {
+    const key = this.keys.pending(sessionToken);
+    const results = await this.client.multi().lrange(key, 0, -1).del(key).exec();
+    return results[0][1].map(message => JSON.parse(message));
+  }
+
+  async deletePendingMessages(sessionToken) {
+    await this.client.del(this.keys.pending(sessionToken));
+  }
+
+  async replacePendingMessage(sessionToken, message) {
+    return Boolean(await replaceListItem(this.client, this.keys.pending(sessionToken), message.id, () => message));
+  }
+
+  // ============================================
+  // RELAYED MEDIA
+  // ============================================
+  // Bytes are APPENDed to a string key as chunks arrive, so no instance
+  // holds a whole file in memory; every key carries the media TTL
+
+  /**
+   * Reserve meta.size bytes for a new upload. Returns false, storing
+   * nothing, if that would take all media held past maxTotalBytes even
+   * after dropping expired media.
+   */
+  async createMedia(mediaId, meta, ttlMs, maxTotalBytes) {
+    const { mediaExpiry, mediaSizes } = this.keys;
+    if (!await this.client.reserveMedia(mediaExpiry, mediaSizes, mediaId, meta.size, ttlMs, maxTotalBytes)) {
+      return false;
+    }
+
+    await this.client
+      .multi()
+      .set(this.keys.mediaMeta(mediaId), JSON.stringify(meta), 'PX', ttlMs)
+      .set(this.keys.media(mediaId), '', 'PX', ttlMs)
+      .exec();
+    return true;
+  }
+
+  /**
+   * Append an uploaded chunk and return the number of bytes stored so far.
+   * Returns null once the media is gone (e.g. its room closed mid-upload),
+   * since APPEND would otherwise recreate the key without a TTL.
+   */
+  async appendMediaChunk(mediaId, chunk) {
+    const key = this.keys.media(mediaId);
+    if (!await this.client.exists(key)) return null;
+    return this.client.append(key, chunk);
+  }
+
+  async getMediaMeta(mediaId) {
+    const meta = await this.client.get(this.keys.mediaMeta(mediaId));
+    return meta ? JSON.parse(meta) : null;
+  }
+
+  async setMediaMeta(mediaId, meta) {
+    await this.client.set(this.keys.mediaMeta(mediaId), JSON.stringify(meta), 'KEEPTTL', 'XX');
+  }
+
+  /**
+   * Read bytes start..end (inclusive) of a stored media object
+   */
+  async readMedia(mediaId, start, end) {
+    const key = this.keys.media(mediaId);
+    const [[, exists], [, data]] = await this.client
+      .multi()
+      .exists(key)
+      .getrangeBuffer(key, start, end)
+      .exec();
+    return exists ? data : null;
+  }
+
+  async deleteMedia(mediaId) {
+    await this.client
+      .multi()
+      .del(this.keys.media(mediaId), this.keys.mediaMeta(mediaId))
+      .zrem(this.keys.mediaExpiry, mediaId)
+      .hdel(this.keys.mediaSizes, mediaId)
+      .exec();
+  }
+
+  async addRoomMedia(roomId, mediaId, ttlMs) {
+    const key = this.keys.roomMedia(roomId);
+    await this.client.multi().sadd(key, mediaId).pexpire(key, ttlMs).exec();
+  }
+
+  /**
+   * Return and forget the media IDs recorded for a room
+   */
+  async takeRoomMedia(roomId) {
+    const key = this.keys.roomMedia(roomId);
+    const [[, mediaIds]] = await this.client.multi().smembers(key).del(key).exec();
+    return mediaIds;
+  }
+
+  // Keys expire through their TTL; reservations are dropped by createMedia
+  async pruneMedia() {}
+
+  // Not tracked: counting would need a keyspace scan
+  async countMedia() {
+    return null;
+  }
+
+  // ============================================
+  // ROOM MEDIA PERMISSION
+  // ============================================
+  // One hash per room, expiring with the room in case it is never closed
+
+  async getRoomMediaPermission(roomId) {
+    return toMediaPermission(await this.client.hgetall(this.keys.mediaPermission(roomId)));
+  }
+
+  async optInToRoomMedia(roomId, seat, ttlMs) {
+    const key = this.keys.mediaPermission(roomId);
+    const [, , [, hash]] = await this.client
+      .multi()
+      .hset(key, `optin:${seat}`, '1')
+      .pexpire(key, ttlMs)
+      .hgetall(key)
+      .exec();
+    return toMediaPermission(hash);
+  }
+
+  async countRoomText(roomId, seat, ttlMs) {
+    const key = this.keys.mediaPermission(roomId);
+    const [, , [, hash]] = await this.client
+      .multi()
+      .hincrby(key, `text:${seat}`, 1)
+      .pexpire(key, ttlMs)
+      .hgetall(key)
+      .exec();
+    return toMediaPermission(hash);
+  }
+
+  async deleteRoomMediaPermission(roomId) {
+    await this.client.del(this.keys.mediaPermission(roomId));
+  }
+
+  // ============================================
+  // MESSAGE REACTIONS
+  // ============================================
+  // One set per room of "<messageId>|<seat>|<emoji>", expiring with the room
+  // in case it is never closed
+
+  async toggleReaction(roomId, messageId, seat, emoji, ttlMs) {
+    const key = this.keys.reactions(roomId);
+    const member = `${messageId}|${seat}|${emoji}`;
+
+    // Only the seat's own socket toggles its member, so this can't race
+    if (await this.client.sadd(key, member) === 0) {
+      await this.client.srem(key, member);
+    }
+
+    const [, [, members]] = await this.client.multi().pexpire(key, ttlMs).smembers(key).exec();
+    return members
+      .map((entry) => entry.split('|'))
+      .filter(([id]) => id === messageId)
+      .map(([, reactionSeat, reactionEmoji]) => ({ seat: reactionSeat, emoji: reactionEmoji }));
+  }
+
+  async deleteRoomReactions(roomId) {
+    await this.client.del(this.keys.reactions(roomId));
+  }
+
+  // ============================================
+  // ROOM TRANSCRIPTS (REPORT EVIDENCE)
+  // ============================================
+  // One capped list per room; closing the room shortens its TTL to the
+  // report window instead of deleting it
+
+  async pushRoomTranscript(roomId, entry, { limit, ttlMs }) {
+    const key = this.keys.transcript(roomId);
+
+    await this.client
+      .multi()
+      .rpush(key, JSON.stringify(entry))
+      .ltrim(key, -limit, -1)
+      .pexpire(key, ttlMs)
+      .exec();
+  }
+
+  async getRoomTranscript(roomId) {
+    const entries = await this.client.lrange(this.keys.transcript(roomId), 0, -1);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  async updateRoomTranscriptEntry(roomId, messageId, changes) {
+    return replaceListItem(this.client, this.keys.transcript(roomId), messageId, (entry) => ({ ...entry, ...changes }));
+  }
+
+  async archiveRoom(roomId, summary, ttlMs) {
+    await this.client
+      .multi()
+      .set(this.keys.closedRoom(roomId), JSON.stringify(summary), 'PX', ttlMs)
+      .pexpire(this.keys.transcript(roomId), ttlMs)
+      .exec();
+  }
+
+  async getClosedRoom(roomId) {
+    const summary = await this.client.get(this.keys.closedRoom(roomId));
+    return summary ? JSON.parse(summary) : null;
+  }
+
+  // Keys expire through their TTL
+  async pruneRoomTranscripts() {}
+
+  /**
+   * Shared state belongs to every instance, so shutting one down must not
+   * wipe it. Local sockets remove their own entries as they disconnect.
+   */
+  async clear() {}
+}
+
+module.exports = { RedisStore };
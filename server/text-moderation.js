@@ -0,0 +1,417 @@
+// ============================================
+// TEXT MODERATION PIPELINE
+// ============================================
+// Outgoing text messages run through an ordered list of stages read from a
+// JSON config file. Each stage finds matches and applies its action:
+//   reject - the message is not sent (stops the pipeline)
+//   mask   - matched characters are replaced with '*'
+//   flag   - the message is sent unchanged, but the hit is recorded
+//   allow  - the stage is switched off
+//
+// Stages:
+//   wordlist - words/phrases from the config or a text file (one per line,
+//              '#' comments, a trailing '*' matches any ending)
+//   email, phone, url - personal-information detectors
+//
+// Matching runs on a normalised copy of the text (NFKD, accents and
+// invisible characters stripped, lowercase, look-alike letters folded) and
+// listed words also accept leetspeak, so "Ｆ.ü.c.k" and "fuuuck" match "fuck"
+// and "sh1t" matches "shit". A stage ignores text an earlier stage already
+// matched, so put email before url.
+//
+// The config and word lists are re-read when they change on disk (or on
+// reload()); a broken config is logged and the previous one stays in use.
+
+const fs = require('fs');
+const path = require('path');
+
+const ACTIONS = ['reject', 'mask', 'flag', 'allow'];
+
+// Zero-width and formatting characters used to split words invisibly
+const INVISIBLE_PATTERN = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u206A-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/;
+
+// Non-Latin letters that look like Latin ones, folded before matching
+const LOOKALIKE_LETTERS = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+  'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ј': 'j',
+  'ԁ': 'd', 'ɡ': 'g', 'ү': 'y', 'һ': 'h',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+};
+
+// Digits and symbols accepted in place of a letter inside a listed word.
+// Matched in the pattern rather than folded, so "shit!" still ends at the "!"
+const LEETSPEAK = {
+  a: '4@', b: '8', e: '3€', g: '9', i: '1!|', l: '1|£', o: '0', s: '5$', t: '7+',
+};
+
+// Top-level domains recognised in bare links like "example.com" (extend with extraTlds)
+const COMMON_TLDS = [
+  'com', 'net', 'org', 'io', 'co', 'me', 'gg', 'tv', 'ly', 'app', 'dev', 'xyz', 'info',
+  'biz', 'site', 'online', 'link', 'live', 'club', 'shop', 'store', 'top', 'ru', 'uk',
+  'de', 'fr', 'in', 'us', 'ca', 'au', 'to', 'cc', 'su', 'onion',
+];
+
+const DEFAULT_MESSAGES = {
+  wordlist: "Your message wasn't sent because it contains language that isn't allowed",
+  email: "Your message wasn't sent. Sharing email addresses isn't allowed",
+  phone: "Your message wasn't sent. Sharing phone numbers isn't allowed",
+  url: "Your message wasn't sent. Links aren't allowed",
+};
+
+class TextModerationConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TextModerationConfigError';
+  }
+}
+
+// ============================================
+// NORMALISATION
+// ============================================
+
+/**
+ * Normalise text for matching.
+ * folded:   NFKD, accents and invisible characters removed, lowercase
+ * skeleton: folded with look-alike letters mapped to Latin ones (same length)
+ * origins:  for each UTF-16 unit of folded, its [start, end) in the original
+ */
+function normalizeText(text) {
+  let folded = '';
+  let skeleton = '';
+  const origins = [];
+
+  let index = 0;
+  for (const char of text) {
+    const end = index + char.length;
+
+    if (!INVISIBLE_PATTERN.test(char)) {
+      const decomposed = char.normalize('NFKD').toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+      for (const unit of decomposed) {
+        folded += unit;
+        skeleton += LOOKALIKE_LETTERS[unit] || unit;
+        for (let i = 0; i < unit.length; i++) origins.push([index, end]);
+      }
+    }
+
+    index = end;
+  }
+
+  return { folded, skeleton, origins };
+}
+
+/**
+ * Map a [start, end) range of the normalised text back to the original
+ */
+function toOriginalSpan(origins, start, end) {
+  return { start: origins[start][0], end: origins[end - 1][1] };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============================================
+// STAGES
+// ============================================
+// Each stage has find(normalized) returning [start, end) ranges in the
+// normalised text.
+
+/**
+ * Regex source for one word-list entry. Letters may repeat ("fuuuck"), be
+ * written as digits or symbols ("sh1t") and be split by up to three
+ * separator characters ("f.u c-k").
+ */
+function wordPattern(entry) {
+  const wildcard = entry.endsWith('*');
+  const { skeleton } = normalizeText(wildcard ? entry.slice(0, -1) : entry);
+  const word = skeleton.trim();
+  if (!word) return null;
+
+  let body = '';
+  let spaceBefore = false;
+  for (const char of word) {
+    if (/\s/.test(char)) {
+      spaceBefore = true;
+      continue;
+    }
+
+    if (body) {
+      body += spaceBefore ? '[^\\p{L}\\p{N}]+' : '[^\\p{L}\\p{N}]{0,3}';
+    }
+    body += `[${escapeRegExp(char + (LEETSPEAK[char] || ''))}]+`;
+    spaceBefore = false;
+  }
+
+  return wildcard ? `${body}[\\p{L}\\p{N}]*` : body;
+}
+
+/**
+ * Read a word list file: one entry per line, '#' starts a comment
+ */
+function readWordList(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+}
+
+function createWordListStage(options, baseDir, watchedFiles) {
+  const words = Array.isArray(options.words) ? options.words.map(String) : [];
+
+  if (options.file) {
+    const file = path.resolve(baseDir, options.file);
+    watchedFiles.add(file);
+    words.push(...readWordList(file));
+  }
+
+  const patterns = words
+    .map(wordPattern)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+  const regex = patterns.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})(?![\\p{L}\\p{N}])`, 'gu')
+    : null;
+
+  return {
+    size: patterns.length,
+    find({ skeleton }) {
+      if (!regex) return [];
+      return Array.from(skeleton.matchAll(regex), (m) => [m.index, m.index + m[0].length]);
+    },
+  };
+}
+
+function createEmailStage() {
+  const at = '(?:@|\\s*[(\\[{]\\s*at\\s*[)\\]}]\\s*)';
+  const dot = '(?:\\.|\\s*[(\\[{]\\s*dot\\s*[)\\]}]\\s*)';
+  const regex = new RegExp(`[a-z0-9._%+-]+${at}[a-z0-9-]+(?:${dot}[a-z0-9-]+)+`, 'gu');
+
+  return {
+    find({ folded }) {
+      return Array.from(folded.matchAll(regex), (m) => [m.index, m.index + m[0].length]);
+    },
+  };
+}
+
+function createPhoneStage(options) {
+  const minDigits = Number.isInteger(options.minDigits) ? options.minDigits : 7;
+  const regex = /(?<![\p{L}\p{N}])\+?\d(?:[\s().\-/]{0,2}\d){5,16}(?![\p{L}\p{N}])/gu;
+
+  return {
+    find({ folded }) {
+      const matches = [];
+      for (const m of folded.matchAll(regex)) {
+        const digits = m[0].replace(/\D/g, '');
+        // Dates like 2024-05-01 look like numbers too
+        if (digits.length < minDigits || /^\d{4}-\d{2}-\d{2}$/.test(m[0])) continue;
+        matches.push([m.index, m.index + m[0].length]);
+      }
+      return matches;
+    },
+  };
+}
+
+function createUrlStage(options) {
+  const allowDomains = (Array.isArray(options.allowDomains) ? options.allowDomains : [])
+    .map((domain) => String(domain).toLowerCase().replace(/^\.+/, ''));
+  const tlds = [...COMMON_TLDS, ...(Array.isArray(options.extraTlds) ? options.extraTlds : [])]
+    .map((tld) => escapeRegExp(String(tld).toLowerCase()));
+
+  const dot = '(?:\\.|\\s*[(\\[{]\\s*dot\\s*[)\\]}]\\s*)';
+  const explicit = '(?:[a-z][a-z0-9+.-]*:\\/\\/|www\\.)[^\\s<>"]+';
+  const bare = `(?<![\\p{L}\\p{N}@.-])(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?${dot})+(?:${tlds.join('|')})(?![\\p{L}\\p{N}-])(?:[/?#][^\\s<>"]*)?`;
+  const regex = new RegExp(`${explicit}|${bare}`, 'gu');
+
+  // "https://www.Example.com/x" -> "www.example.com"
+  const hostOf = (link) => link
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/\s*[(\[{]\s*dot\s*[)\]}]\s*/g, '.')
+    .split(/[/?#:\s]/)[0];
+
+  const isAllowed = (host) => allowDomains.some(
+    (domain) => host === domain || host.endsWith(`.${domain}`)
+  );
+
+  return {
+    find({ folded }) {
+      const matches = [];
+      for (const m of folded.matchAll(regex)) {
+        if (isAllowed(hostOf(m[0]))) continue;
+        matches.push([m.index, m.index + m[0].length]);
+      }
+      return matches;
+    },
+  };
+}
+
+const STAGE_FACTORIES = {
+  wordlist: createWordListStage,
+  email: createEmailStage,
+  phone: createPhoneStage,
+  url: createUrlStage,
+};
+
+// ============================================
+// CONFIG LOADING
+// ============================================
+
+/**
+ * Build the pipeline from a config object. Word list files are resolved
+ * against baseDir and added to watchedFiles.
+ */
+function buildPipeline(config, baseDir, watchedFiles = new Set()) {
+  if (!config || !Array.isArray(config.pipeline)) {
+    throw new TextModerationConfigError('config must have a "pipeline" array');
+  }
+
+  return config.pipeline.map((options, index) => {
+    const factory = STAGE_FACTORIES[options?.stage];
+    if (!factory) {
+      throw new TextModerationConfigError(`pipeline[${index}]: unknown stage "${options?.stage}"`);
+    }
+
+    if (!ACTIONS.includes(options.action)) {
+      throw new TextModerationConfigError(`pipeline[${index}]: action must be one of ${ACTIONS.join(', ')}`);
+    }
+
+    return {
+      stage: options.stage,
+      name: options.name || options.stage,
+      action: options.action,
+      message: options.message || DEFAULT_MESSAGES[options.stage],
+      ...factory(options, baseDir, watchedFiles),
+    };
+  });
+}
+
+function loadPipeline(configFile) {
+  const watchedFiles = new Set([configFile]);
+  const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  const pipeline = buildPipeline(config, path.dirname(configFile), watchedFiles);
+  return { pipeline, watchedFiles };
+}
+
+// ============================================
+// RUNNING THE PIPELINE
+// ============================================
+
+/**
+ * Replace every non-space character inside the spans with '*'
+ */
+function applyMasks(text, spans) {
+  if (spans.length === 0) return text;
+
+  let result = '';
+  let index = 0;
+  for (const char of text) {
+    const masked = spans.some((span) => index >= span.start && index < span.end);
+    result += masked && !/\s/.test(char) ? '*' : char;
+    index += char.length;
+  }
+  return result;
+}
+
+/**
+ * Run text through the pipeline.
+ * Returns { action: 'allow' | 'reject', text, flags, reason }, where flags
+ * lists every stage that matched: { stage, name, action, count }.
+ */
+function runPipeline(pipeline, text) {
+  const normalized = normalizeText(text);
+  const claimed = [];
+  const masks = [];
+  const flags = [];
+
+  for (const stage of pipeline) {
+    if (stage.action === 'allow') continue;
+
+    const hits = stage.find(normalized)
+      .filter(([start, end]) => end > start)
+      .map(([start, end]) => toOriginalSpan(normalized.origins, start, end))
+      .filter((span) => !claimed.some((other) => span.start < other.end && other.start < span.end));
+    if (hits.length === 0) continue;
+
+    claimed.push(...hits);
+    flags.push({ stage: stage.stage, name: stage.name, action: stage.action, count: hits.length });
+
+    if (stage.action === 'reject') {
+      return { action: 'reject', text, flags, reason: stage.message };
+    }
+    if (stage.action === 'mask') {
+      masks.push(...hits);
+    }
+  }
+
+  return { action: 'allow', text: applyMasks(text, masks), flags, reason: null };
+}
+
+/**
+ * Load the pipeline from configFile and keep it up to date.
+ * Without a config file every message is allowed.
+ */
+function createTextModerator({ configFile, watchInterval = 2000 } = {}) {
+  let pipeline = [];
+  let watchedFiles = new Set();
+
+  const unwatch = () => {
+    for (const file of watchedFiles) fs.unwatchFile(file);
+  };
+
+  const watch = () => {
+    for (const file of watchedFiles) {
+      fs.watchFile(file, { interval: watchInterval }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) reload();
+      });
+    }
+  };
+
+  /**
+   * Re-read the config and word lists. Returns true if the new config is in use.
+   */
+  function reload() {
+    if (!configFile) return false;
+
+    try {
+      const loaded = loadPipeline(configFile);
+      unwatch();
+      pipeline = loaded.pipeline;
+      watchedFiles = loaded.watchedFiles;
+      watch();
+
+      const summary = pipeline.map((stage) => (
+        stage.stage === 'wordlist' ? `${stage.name}:${stage.action}(${stage.size})` : `${stage.name}:${stage.action}`
+      ));
+      console.log(`[TEXT MODERATION] Loaded ${configFile}: ${summary.join(', ') || 'no stages'}`);
+      return true;
+    } catch (error) {
+      console.error(`[TEXT MODERATION] Failed to load ${configFile}, keeping the previous rules:`, error.message);
+
+      // Keep watching so fixing the file takes effect
+      if (watchedFiles.size === 0) {
+        watchedFiles = new Set([configFile]);
+        watch();
+      }
+      return false;
+    }
+  }
+
+  reload();
+
+  return {
+    moderate: (text) => runPipeline(pipeline, text),
+    reload,
+    close: unwatch,
+  };
+}
+
+module.exports = {
+  TextModerationConfigError,
+  normalizeText,
+  buildPipeline,
+  runPipeline,
+  createTextModerator,
+};
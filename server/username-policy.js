@@ -0,0 +1,172 @@
+// ============================================
+// USERNAME POLICY
+// ============================================
+// Display names are shown in the partner's chat header, so they're cleaned
+// up and checked before a user can join the queue:
+// - NFKC normalisation (full-width and styled letters become plain ones)
+// - control, formatting and bidi characters are removed (zero-width
+//   joiners, right-to-left overrides, filler characters)
+// - runs of whitespace collapse to one space
+// - too many combining marks on one letter ("zalgo" text) is refused
+// - names that read as a reserved one ("Admin", "System", "Аdm1n",
+//   "a.d.m.i.n") are refused
+//
+// The reserved list is a text file (one name per line, '#' comments; a
+// trailing '*' also reserves every name starting with it, a leading '*'
+// every name ending with it). It is re-read when it changes on disk or on
+// reload(); if it can't be read the previous list stays in use.
+//
+// Refusals carry a code and a message the setup form shows under the
+// username field.
+
+const fs = require('fs');
+const { normalizeText } = require('./text-moderation');
+
+// Formatting (Cf, including bidi controls and zero-width joiners), control
+// (Cc), private-use, unassigned and line/paragraph separator characters,
+// plus fillers that render as nothing
+const STRIPPED_PATTERN = /[\p{Cc}\p{Cf}\p{Co}\p{Cn}\p{Zl}\p{Zp}\u115F\u1160\u3164\uFFA0]/gu;
+
+// Digits and symbols read as letters when comparing with reserved names
+const LEETSPEAK = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '€': 'e', '+': 't',
+};
+
+const ERRORS = {
+  empty: 'Please enter a username',
+  too_long: (maxLength) => `Usernames can be at most ${maxLength} characters`,
+  no_letters: 'Usernames need at least one letter, number or emoji',
+  too_many_marks: 'Too many accents or marks stacked on one letter',
+  reserved: 'That name is reserved. Please choose another',
+};
+
+/**
+ * Reduce a name to how it reads: look-alike letters, leetspeak and
+ * letter pairs that pass for another letter are folded, and everything but
+ * letters and digits dropped, so "Аdm1n", "A d m i n" and "adrnin" all
+ * become "admin"
+ */
+function toSkeleton(name) {
+  return Array.from(normalizeText(name).skeleton, (char) => LEETSPEAK[char] || char)
+    .join('')
+    .replace(/[^\p{L}\p{N}]+/gu, '')
+    .replace(/l/g, 'i') // l, 1, I and | are hard to tell apart
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w');
+}
+
+/**
+ * Parse reserved-list entries into { skeleton, prefix, suffix } matchers
+ */
+function parseReserved(entries) {
+  return entries
+    .map((entry) => {
+      const prefix = entry.endsWith('*');
+      const suffix = entry.startsWith('*');
+      const skeleton = toSkeleton(entry.replace(/^\*|\*$/g, ''));
+      return skeleton ? { skeleton, prefix, suffix } : null;
+    })
+    .filter(Boolean);
+}
+
+function readReservedFile(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+}
+
+function isReserved(reserved, name) {
+  const skeleton = toSkeleton(name);
+  return reserved.some((entry) => {
+    if (entry.prefix && entry.suffix) return skeleton.includes(entry.skeleton);
+    if (entry.prefix) return skeleton.startsWith(entry.skeleton);
+    if (entry.suffix) return skeleton.endsWith(entry.skeleton);
+    return skeleton === entry.skeleton;
+  });
+}
+
+/**
+ * Check a username against the policy.
+ * Returns { valid: true, username } with the cleaned-up name, or
+ * { valid: false, code, error }.
+ */
+function checkUsername(username, { maxLength, maxCombiningMarks, reserved = [] }) {
+  if (typeof username !== 'string') {
+    return { valid: false, code: 'empty', error: ERRORS.empty };
+  }
+
+  const cleaned = username
+    .normalize('NFKC')
+    .replace(STRIPPED_PATTERN, '')
+    .replace(/\s+/gu, ' ')
+    .trim();
+
+  if (!cleaned) {
+    return { valid: false, code: 'empty', error: ERRORS.empty };
+  }
+
+  if (Array.from(cleaned).length > maxLength) {
+    return { valid: false, code: 'too_long', error: ERRORS.too_long(maxLength) };
+  }
+
+  if (!/[\p{L}\p{N}\p{So}]/u.test(cleaned)) {
+    return { valid: false, code: 'no_letters', error: ERRORS.no_letters };
+  }
+
+  const longestMarkRun = Math.max(0, ...Array.from(cleaned.matchAll(/\p{M}+/gu), (m) => Array.from(m[0]).length));
+  if (longestMarkRun > maxCombiningMarks) {
+    return { valid: false, code: 'too_many_marks', error: ERRORS.too_many_marks };
+  }
+
+  if (isReserved(reserved, cleaned)) {
+    return { valid: false, code: 'reserved', error: ERRORS.reserved };
+  }
+
+  return { valid: true, username: cleaned };
+}
+
+/**
+ * Load the reserved list from reservedFile and keep it up to date.
+ * Without a file no names are reserved.
+ */
+function createUsernamePolicy({ reservedFile, maxLength, maxCombiningMarks, watchInterval = 2000 } = {}) {
+  let reserved = [];
+
+  /**
+   * Re-read the reserved list. Returns true if the new list is in use.
+   */
+  function reload() {
+    if (!reservedFile) return false;
+
+    try {
+      reserved = parseReserved(readReservedFile(reservedFile));
+      console.log(`[USERNAME POLICY] Loaded ${reserved.length} reserved names from ${reservedFile}`);
+      return true;
+    } catch (error) {
+      console.error(`[USERNAME POLICY] Failed to load ${reservedFile}, keeping the previous list:`, error.message);
+      return false;
+    }
+  }
+
+  if (reservedFile) {
+    fs.watchFile(reservedFile, { interval: watchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) reload();
+    });
+  }
+
+  reload();
+
+  return {
+    check: (username) => checkUsername(username, { maxLength, maxCombiningMarks, reserved }),
+    reload,
+    close: () => reservedFile && fs.unwatchFile(reservedFile),
+  };
+}
+
+module.exports = {
+  toSkeleton,
+  checkUsername,
+  createUsernamePolicy,
+};
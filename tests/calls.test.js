@@ -0,0 +1,123 @@
+// ============================================
+// CALL RULES TEST
+// ============================================
+// Runs one server instance and checks that calls follow the rules for
+// media messages: age groups that can't send media can't make or take
+// calls, and nobody can call before both partners have allowed media. The
+// age policy gives one adult bracket no media, so both sides of the check
+// can be seen. Needs a production build ("yarn build").
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  ROOT,
+  BUILD_MISSING,
+  startInstance,
+  stopInstance,
+  nextEvent,
+  noEvent,
+  connectClient,
+  matchClients,
+} = require('./helpers/server');
+
+const PORT = 3103;
+
+describe('calls', { skip: BUILD_MISSING }, () => {
+  const sockets = [];
+  let instance;
+  let dir;
+
+  /**
+   * Connect two clients and match them with the given age brackets
+   */
+  async function matchPair(brackets) {
+    const pair = [await connectClient(PORT), await connectClient(PORT)];
+    sockets.push(...pair);
+    const matches = await matchClients(pair[0], pair[1], brackets.map((ageBracket, index) => ({ username: `user${index}`, ageBracket })));
+    return [...pair, matches];
+  }
+
+  /**
+   * Both partners allow media; resolves once it is unlocked
+   */
+  async function allowMedia(pair) {
+    const unlocked = pair.map((socket) => nextEvent(socket, 'media-permission', { filter: (permission) => permission.unlocked }));
+    pair.forEach((socket) => socket.emit('allow-media'));
+    await Promise.all(unlocked);
+  }
+
+  before(async () => {
+    const { termsVersion } = JSON.parse(fs.readFileSync(path.join(ROOT, 'config', 'age-policy.json'), 'utf8'));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calls-test-'));
+    const configFile = path.join(dir, 'age-policy.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+      termsVersion,
+      brackets: [
+        { id: '16-17', minAge: 16, maxAge: 17 },
+        { id: '25-34', minAge: 25, maxAge: 34 },
+        { id: '35+', minAge: 35, maxAge: null, allowMedia: false },
+      ],
+    }));
+
+    // Not a number: unlocking by texting falls back to the default
+    instance = await startInstance(PORT, { AGE_POLICY_CONFIG: configFile, MEDIA_UNLOCK_TEXT_MESSAGES: 'ten' });
+  });
+
+  after(async () => {
+    sockets.forEach((socket) => socket.close());
+    if (instance) await stopInstance(instance);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lets adults call each other once both allow media', async () => {
+    const [caller, callee, matches] = await matchPair(['25-34', '25-34']);
+    assert.equal(matches[0].mediaPermission.textMessagesLeft, 10);
+
+    for (const type of ['video', 'voice']) {
+      const ringing = noEvent(callee, 'incoming-call');
+      caller.emit('call-request', { type });
+      assert.match((await nextEvent(caller, 'call-refused')).message, /allow media/);
+      await ringing;
+    }
+
+    await allowMedia([caller, callee]);
+    caller.emit('call-request', { type: 'voice' });
+    assert.equal((await nextEvent(callee, 'incoming-call')).type, 'voice');
+
+    callee.emit('call-accept');
+    assert.equal((await nextEvent(caller, 'call-accepted')).type, 'voice');
+  });
+
+  it('refuses voice and video calls between minors', async () => {
+    const [caller, callee] = await matchPair(['16-17', '16-17']);
+
+    for (const type of ['video', 'voice']) {
+      const ringing = noEvent(callee, 'incoming-call');
+      caller.emit('call-request', { type });
+      assert.match((await nextEvent(caller, 'call-refused')).message, /age group/);
+      await ringing;
+    }
+  });
+
+  it('refuses calls from or to a bracket without media', async () => {
+    const [adult, noMedia] = await matchPair(['25-34', '35+']);
+    await allowMedia([adult, noMedia]);
+
+    noMedia.emit('call-request', { type: 'video' });
+    assert.match((await nextEvent(noMedia, 'call-refused')).message, /age group/);
+
+    const ringing = noEvent(noMedia, 'incoming-call');
+    adult.emit('call-request', { type: 'video' });
+    assert.match((await nextEvent(adult, 'call-refused')).message, /partner can't take calls/);
+    await ringing;
+
+    // Answering without a call ringing does nothing
+    const accepted = noEvent(adult, 'call-accepted');
+    noMedia.emit('call-accept');
+    await accepted;
+  });
+});
@@ -0,0 +1,155 @@
+// ============================================
+// SERVER INSTANCE HELPERS
+// ============================================
+// For tests that run server.js as a child process and talk to it over
+// socket.io. They need a production build ("yarn build"); BUILD_MISSING is
+// the skip reason to use without one.
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const STARTUP_TIMEOUT = 60000;
+const EVENT_TIMEOUT = 5000;
+
+const BUILD_MISSING = !fs.existsSync(path.join(ROOT, '.next', 'BUILD_ID')) && 'run "yarn build" first';
+
+const { termsVersion } = JSON.parse(fs.readFileSync(path.join(ROOT, 'config', 'age-policy.json'), 'utf8'));
+
+/**
+ * Start one server instance (in-memory store, no MongoDB, no proof of work
+ * unless env says otherwise) and resolve once it listens
+ */
+function startInstance(port, env = {}) {
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'production',
+      PORT: String(port),
+      MONGO_URL: '',
+      POW_ENABLED: 'false',
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`instance on port ${port} did not start:\n${output}`));
+    }, STARTUP_TIMEOUT);
+
+    const onData = (data) => {
+      output += data;
+      if (output.includes(`Server listening on port ${port}`)) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`instance on port ${port} exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+/**
+ * Stop an instance and wait for it to exit
+ */
+function stopInstance(child) {
+  if (child.exitCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    child.removeAllListeners('exit');
+    child.on('exit', () => resolve());
+    child.kill('SIGTERM');
+    setTimeout(() => child.kill('SIGKILL'), 10000).unref();
+  });
+}
+
+/**
+ * Resolve with the next payload of an event that passes the filter, or
+ * reject after a timeout
+ */
+function nextEvent(socket, event, { timeoutMs = EVENT_TIMEOUT, filter = () => true } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`no "${event}" within ${timeoutMs}ms`));
+    }, timeoutMs);
+    const onEvent = (data) => {
+      if (!filter(data)) return;
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      resolve(data);
+    };
+    socket.on(event, onEvent);
+  });
+}
+
+/**
+ * Resolve if the event does not arrive within the time given
+ */
+async function noEvent(socket, event, timeoutMs = 500) {
+  const received = await nextEvent(socket, event, { timeoutMs }).then(() => true, () => false);
+  if (received) throw new Error(`unexpected "${event}"`);
+}
+
+/**
+ * Connect a client to an instance, with its own client ID
+ */
+async function connectClient(port) {
+  const { io } = require('socket.io-client');
+  const socket = io(`http://localhost:${port}`, {
+    transports: ['websocket'],
+    auth: { clientId: crypto.randomUUID() },
+    reconnection: false,
+  });
+  await nextEvent(socket, 'connect');
+  return socket;
+}
+
+/**
+ * Join the queue with a valid profile (overrides replace its fields)
+ */
+function joinQueue(socket, username, overrides = {}) {
+  socket.emit('join-queue', {
+    username,
+    gender: 'female',
+    preferredGender: 'any',
+    interests: ['music'],
+    ageBracket: '25-34',
+    termsVersion,
+    ...overrides,
+  });
+}
+
+/**
+ * Queue two connected clients one after the other and resolve with both
+ * match-found payloads
+ */
+async function matchClients(first, second, profiles = [{}, {}]) {
+  const matched = [nextEvent(first, 'match-found'), nextEvent(second, 'match-found')];
+  joinQueue(first, profiles[0].username || 'first', profiles[0]);
+  await nextEvent(first, 'searching');
+  joinQueue(second, profiles[1].username || 'second', profiles[1]);
+  return Promise.all(matched);
+}
+
+module.exports = {
+  ROOT,
+  EVENT_TIMEOUT,
+  BUILD_MISSING,
+  startInstance,
+  stopInstance,
+  nextEvent,
+  noEvent,
+  connectClient,
+  joinQueue,
+  matchClients,
+};
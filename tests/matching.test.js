@@ -0,0 +1,281 @@
+// ============================================
+// MATCH SCORING TESTS
+// ============================================
+// Synthetic waiting lists for selectMatch and the default scorer: hard
+// filters, wait-time aging (nobody starves), tie-breaking and loading a
+// custom scorer from CONFIG.MATCH_SCORER_MODULE.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  DEFAULT_MATCH_WEIGHTS,
+  scoreCandidate,
+  selectMatch,
+  loadScorer,
+} = require('../server/matching');
+
+const NOW = 1_000_000_000;
+
+/**
+ * A waiting user; joinedAgo is in seconds before NOW
+ */
+function makeUser(clientId, { interests = [], joinedAgo = 0, ...overrides } = {}) {
+  return {
+    clientId,
+    username: clientId,
+    gender: 'female',
+    preferredGender: 'any',
+    ageBracket: '25-34',
+    language: 'en',
+    interests,
+    joinedAt: NOW - joinedAgo * 1000,
+    ...overrides,
+  };
+}
+
+/**
+ * [socketId, user] pairs as selectMatch takes them
+ */
+function waiting(...users) {
+  return users.map((user) => [`socket-${user.clientId}`, user]);
+}
+
+describe('scoreCandidate', () => {
+  const options = { weights: DEFAULT_MATCH_WEIGHTS, now: NOW, isRecentPartner: false };
+
+  it('counts shared interests', () => {
+    const user = makeUser('me', { interests: ['music', 'art', 'tech'] });
+    const candidate = makeUser('them', { interests: ['art', 'music', 'food'] });
+
+    const { score, commonInterests } = scoreCandidate(user, candidate, options);
+    assert.deepEqual(commonInterests.sort(), ['art', 'music']);
+    assert.equal(score, 2 * DEFAULT_MATCH_WEIGHTS.interests + DEFAULT_MATCH_WEIGHTS.language);
+  });
+
+  it('adds the wait time without a cap', () => {
+    const user = makeUser('me', { language: null });
+    const fresh = scoreCandidate(user, makeUser('fresh'), options).score;
+    const hourOld = scoreCandidate(user, makeUser('old', { joinedAgo: 3600 }), options).score;
+
+    assert.equal(fresh, 0);
+    assert.ok(Math.abs(hourOld - 3600 * DEFAULT_MATCH_WEIGHTS.waitTime) < 1e-9);
+  });
+
+  it('ignores a join time in the future', () => {
+    const user = makeUser('me', { language: null });
+    const { score } = scoreCandidate(user, makeUser('skewed', { joinedAgo: -30 }), options);
+    assert.equal(score, 0);
+  });
+
+  it('rewards a shared language and penalises recent partners', () => {
+    const user = makeUser('me');
+    const candidate = makeUser('them');
+
+    assert.equal(scoreCandidate(user, candidate, options).score, DEFAULT_MATCH_WEIGHTS.language);
+    assert.equal(
+      scoreCandidate(user, candidate, { ...options, isRecentPartner: true }).score,
+      DEFAULT_MATCH_WEIGHTS.language - DEFAULT_MATCH_WEIGHTS.recentPartner
+    );
+    assert.equal(scoreCandidate(user, makeUser('other', { language: 'de' }), options).score, 0);
+  });
+});
+
+describe('selectMatch filters', () => {
+  it('returns no match for an empty queue', () => {
+    assert.deepEqual(selectMatch(makeUser('me'), 'socket-me', [], { now: NOW }), {
+      match: null,
+      compatibleCount: 0,
+      bestCount: 0,
+    });
+  });
+
+  it('skips the joining socket and the same client in another tab', () => {
+    const me = makeUser('me');
+    const result = selectMatch(me, 'socket-me', waiting(me, makeUser('me', { username: 'tab' })), { now: NOW });
+    assert.equal(result.match, null);
+  });
+
+  it('respects gender preferences on both sides', () => {
+    const me = makeUser('me', { gender: 'male', preferredGender: 'female' });
+    const entries = waiting(
+      makeUser('male', { gender: 'male' }),
+      makeUser('picky', { preferredGender: 'female' }),
+      makeUser('ok', { preferredGender: 'male' })
+    );
+
+    const result = selectMatch(me, 'socket-me', entries, { now: NOW });
+    assert.equal(result.match.user.clientId, 'ok');
+    assert.equal(result.compatibleCount, 1);
+  });
+
+  it('only matches the same age bracket by default, or as canMatchAges allows', () => {
+    const me = makeUser('me', { ageBracket: '18-24' });
+    const entries = waiting(makeUser('older', { ageBracket: '25-34' }));
+
+    assert.equal(selectMatch(me, 'socket-me', entries, { now: NOW }).match, null);
+    assert.equal(
+      selectMatch(me, 'socket-me', entries, { now: NOW, canMatchAges: () => true }).match.user.clientId,
+      'older'
+    );
+  });
+
+  it('never picks skipped or blocked partners', () => {
+    const entries = waiting(makeUser('skipped'), makeUser('blocked'));
+    const result = selectMatch(makeUser('me'), 'socket-me', entries, {
+      now: NOW,
+      skippedPartners: new Set(['skipped']),
+      blockedPartners: new Set(['blocked']),
+    });
+    assert.equal(result.match, null);
+  });
+
+  it('falls back to a recent partner only when nobody else is compatible', () => {
+    const recentPartners = new Set(['recent']);
+
+    // The recent partner scores higher but someone new is available
+    const withOther = waiting(
+      makeUser('recent', { interests: ['music', 'art', 'tech', 'food', 'travel', 'movies'] }),
+      makeUser('new')
+    );
+    const me = makeUser('me', { interests: ['music', 'art', 'tech', 'food', 'travel', 'movies'] });
+    assert.equal(selectMatch(me, 'socket-me', withOther, { now: NOW, recentPartners }).match.user.clientId, 'new');
+
+    const alone = waiting(makeUser('recent'));
+    const result = selectMatch(me, 'socket-me', alone, { now: NOW, recentPartners });
+    assert.equal(result.match.user.clientId, 'recent');
+    assert.equal(result.match.isRecentPartner, true);
+  });
+});
+
+describe('selectMatch fairness', () => {
+  it('lets a long wait outweigh shared interests', () => {
+    const me = makeUser('me', { interests: ['music', 'art', 'tech'] });
+    const popular = makeUser('popular', { interests: ['music', 'art', 'tech'] });
+
+    // Three shared interests are worth 3 / waitTime seconds of waiting
+    const breakEven = (3 * DEFAULT_MATCH_WEIGHTS.interests) / DEFAULT_MATCH_WEIGHTS.waitTime;
+    const earlier = selectMatch(me, 'socket-me', waiting(popular, makeUser('loner', { joinedAgo: breakEven - 1 })), { now: NOW });
+    const later = selectMatch(me, 'socket-me', waiting(popular, makeUser('loner', { joinedAgo: breakEven + 1 })), { now: NOW });
+
+    assert.equal(earlier.match.user.clientId, 'popular');
+    assert.equal(later.match.user.clientId, 'loner');
+  });
+
+  it('does not starve a user nobody shares interests with', () => {
+    // Every second a well-matched pair arrives: one joins the queue, the
+    // other joins and picks a partner. The loner has no interests at all.
+    const interests = ['music', 'art', 'tech', 'food', 'travel'];
+    let entries = waiting(makeUser('loner', { joinedAgo: 0, language: null }));
+    let now = NOW;
+    let matchedAfter = null;
+
+    for (let second = 1; second <= 1000 && matchedAfter === null; second++) {
+      now += 1000;
+      entries.push([`socket-waiter-${second}`, makeUser(`waiter-${second}`, { interests, joinedAt: now })]);
+
+      const joiner = makeUser(`joiner-${second}`, { interests, joinedAt: now });
+      const { match } = selectMatch(joiner, `socket-joiner-${second}`, entries, { now, random: () => 0 });
+      entries = entries.filter(([socketId]) => socketId !== match.socketId);
+
+      if (match.user.clientId === 'loner') matchedAfter = second;
+    }
+
+    // Five shared interests plus a shared language (which the loner lacks
+    // too) are outweighed once the loner has waited (5 + 2) / waitTime seconds
+    const bound = Math.ceil((interests.length * DEFAULT_MATCH_WEIGHTS.interests + DEFAULT_MATCH_WEIGHTS.language) / DEFAULT_MATCH_WEIGHTS.waitTime);
+    assert.notEqual(matchedAfter, null, 'the loner was never matched');
+    assert.ok(matchedAfter <= bound + 1, `matched after ${matchedAfter}s, expected at most ${bound + 1}s`);
+  });
+
+  it('serves the longest waiter first among otherwise equal candidates', () => {
+    const entries = waiting(
+      makeUser('newest', { joinedAgo: 1 }),
+      makeUser('oldest', { joinedAgo: 30 }),
+      makeUser('middle', { joinedAgo: 10 })
+    );
+    const result = selectMatch(makeUser('me'), 'socket-me', entries, { now: NOW });
+    assert.equal(result.match.user.clientId, 'oldest');
+    assert.equal(result.bestCount, 1);
+  });
+});
+
+describe('selectMatch tie-breaking', () => {
+  const entries = waiting(makeUser('a'), makeUser('b'), makeUser('c'), makeUser('worse', { language: 'de' }));
+
+  it('picks among the equally best candidates with the random source', () => {
+    const pick = (value) => selectMatch(makeUser('me'), 'socket-me', entries, { now: NOW, random: () => value });
+
+    assert.equal(pick(0).bestCount, 3);
+    assert.equal(pick(0).match.user.clientId, 'a');
+    assert.equal(pick(0.5).match.user.clientId, 'b');
+    assert.equal(pick(0.99).match.user.clientId, 'c');
+  });
+
+  it('still tells apart wait times a millisecond apart', () => {
+    const close = waiting(makeUser('a', { joinedAt: NOW - 5000 }), makeUser('b', { joinedAt: NOW - 5001 }));
+    const result = selectMatch(makeUser('me'), 'socket-me', close, { now: NOW, random: () => 0 });
+    assert.equal(result.bestCount, 1);
+    assert.equal(result.match.user.clientId, 'b');
+  });
+
+  it('spreads picks across tied candidates', () => {
+    const counts = { a: 0, b: 0, c: 0 };
+    for (let i = 0; i < 300; i++) {
+      counts[selectMatch(makeUser('me'), 'socket-me', entries, { now: NOW, random: () => i / 300 }).match.user.clientId]++;
+    }
+    assert.deepEqual(counts, { a: 100, b: 100, c: 100 });
+  });
+});
+
+describe('loadScorer', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'match-scorer-'));
+    fs.writeFileSync(path.join(dir, 'function.js'), 'module.exports = () => ({ score: 42, commonInterests: [] });\n');
+    fs.writeFileSync(path.join(dir, 'named.js'), 'exports.scoreCandidate = () => ({ score: 7, commonInterests: [] });\n');
+    fs.writeFileSync(path.join(dir, 'empty.js'), 'module.exports = { weights: {} };\n');
+    fs.writeFileSync(path.join(dir, 'broken.js'), 'throw new Error("boom");\n');
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns the default scorer when none is configured', () => {
+    assert.equal(loadScorer(null), scoreCandidate);
+    assert.equal(loadScorer(''), scoreCandidate);
+  });
+
+  it('loads a module exporting a function or a scoreCandidate function', () => {
+    assert.equal(loadScorer(path.join(dir, 'function.js'))().score, 42);
+    assert.equal(loadScorer(path.join(dir, 'named.js'))().score, 7);
+  });
+
+  it('resolves a path relative to the working directory', () => {
+    const relative = path.relative(process.cwd(), path.join(dir, 'named.js'));
+    assert.equal(loadScorer(relative)().score, 7);
+  });
+
+  it('is used by selectMatch', () => {
+    const scorer = loadScorer(path.join(dir, 'function.js'));
+    const result = selectMatch(makeUser('me'), 'socket-me', waiting(makeUser('them')), { now: NOW, scorer });
+    assert.equal(result.match.score, 42);
+  });
+
+  it('throws when the configured module is missing', () => {
+    assert.throws(() => loadScorer(path.join(dir, 'missing.js')), /Failed to load scorer .*missing\.js/);
+  });
+
+  it('throws when the module fails to load', () => {
+    assert.throws(() => loadScorer(path.join(dir, 'broken.js')), /Failed to load scorer .*boom/);
+  });
+
+  it('throws when the module exports no scoring function', () => {
+    assert.throws(() => loadScorer(path.join(dir, 'empty.js')), /does not export a scoring function/);
+  });
+});
@@ -0,0 +1,49 @@
+// ============================================
+// MEDIA MEMORY BUDGET TESTS
+// ============================================
+// The in-memory store refuses uploads once the media it holds would pass
+// the budget, and frees room as media is deleted or expires.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStore } = require('../server/store/memory-store');
+
+const TTL = 60 * 1000;
+const BUDGET = 1000;
+
+function meta(size) {
+  return { type: 'image', mimeType: 'image/png', size, roomId: 'room', complete: false };
+}
+
+describe('media memory budget', () => {
+  it('refuses an upload that would pass the budget', async () => {
+    const store = new MemoryStore();
+    assert.equal(await store.createMedia('a', meta(600), TTL, BUDGET), true);
+    assert.equal(await store.createMedia('b', meta(400), TTL, BUDGET), true);
+    assert.equal(await store.createMedia('c', meta(1), TTL, BUDGET), false);
+    assert.equal(await store.getMediaMeta('c'), null);
+  });
+
+  it('frees the reservation when media is deleted', async () => {
+    const store = new MemoryStore();
+    await store.createMedia('a', meta(800), TTL, BUDGET);
+    assert.equal(await store.createMedia('b', meta(300), TTL, BUDGET), false);
+
+    await store.deleteMedia('a');
+    await store.deleteMedia('a');
+    assert.equal(await store.createMedia('b', meta(300), TTL, BUDGET), true);
+    assert.equal(store.mediaBytes, 300);
+  });
+
+  it('evicts expired media to make room', async () => {
+    const store = new MemoryStore();
+    await store.createMedia('old', meta(800), -1, BUDGET);
+    await store.addRoomMedia('room', 'old');
+
+    assert.equal(await store.createMedia('new', meta(800), TTL, BUDGET), true);
+    assert.equal(store.media.has('old'), false);
+    assert.deepEqual(await store.takeRoomMedia('room'), []);
+    assert.equal(store.mediaBytes, 800);
+  });
+});
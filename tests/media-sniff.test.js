@@ -0,0 +1,58 @@
+// ============================================
+// MEDIA SNIFFING: DATA AFTER THE END OF AN IMAGE
+// ============================================
+// Photos often carry metadata, thumbnails or a motion-photo clip after the
+// image itself; only archives, executables and scripts there are refused.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { inspectMedia } = require('../server/media-sniff');
+
+// A 1x1 GIF: header, screen descriptor, image descriptor, image data, trailer
+const GIF = Buffer.from([
+  ...Buffer.from('GIF89a', 'latin1'), 0x01, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00,
+  0x2C, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+  0x02, 0x02, 0x44, 0x01, 0x00,
+  0x3B,
+]);
+
+function withTrailer(...parts) {
+  return Buffer.concat([GIF, ...parts.map((part) => Buffer.from(part, 'latin1'))]);
+}
+
+describe('trailing data after an image', () => {
+  it('accepts the image alone or with zero padding', () => {
+    assert.equal(inspectMedia(GIF, 'image/gif').valid, true);
+    assert.equal(inspectMedia(withTrailer('\0\0\0\0'), 'image/gif').valid, true);
+  });
+
+  it('accepts metadata and embedded media', () => {
+    assert.equal(inspectMedia(withTrailer('SEFH\x01\x00\x00\x00Image_UTC_Data'), 'image/gif').valid, true);
+    assert.equal(inspectMedia(withTrailer('<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>'), 'image/gif').valid, true);
+    assert.equal(inspectMedia(withTrailer('\0\0\0\x18ftypmp42\0\0\0\0'), 'image/gif').valid, true);
+  });
+
+  it('rejects archives, executables and scripts', () => {
+    const trailers = [
+      'PK\x03\x04\x14\x00\x00\x00',
+      '\0\0Rar!\x1A\x07\x00',
+      '%PDF-1.7\n',
+      'MZ\x90\x00\x03\x00',
+      '\x7FELF\x02\x01\x01',
+      '#!/bin/sh\n',
+      '\n<script>alert(1)</script>',
+      '<?php echo 1; ?>',
+    ];
+    for (const trailer of trailers) {
+      const result = inspectMedia(withTrailer(trailer), 'image/gif');
+      assert.equal(result.valid, false, JSON.stringify(trailer));
+      assert.match(result.reason, /after end of file/);
+    }
+  });
+
+  it('rejects a ZIP whose start is hidden behind other data', () => {
+    const buf = withTrailer('metadata', 'x'.repeat(1000), 'PK\x05\x06', '\0'.repeat(18));
+    assert.equal(inspectMedia(buf, 'image/gif').valid, false);
+  });
+});
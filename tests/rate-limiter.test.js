@@ -0,0 +1,74 @@
+// ============================================
+// RATE LIMITER PENALTY TESTS
+// ============================================
+// Violations climb the penalty ladder per client ID and per IP, so switching
+// to a new client ID doesn't start over.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStore } = require('../server/store/memory-store');
+const { createRateLimiter } = require('../server/rate-limiter');
+
+const PENALTIES = [
+  { action: 'warn' },
+  { action: 'mute', durationMs: 1 },
+  { action: 'ban', durationMs: 60 * 1000 },
+];
+
+function createLimiter() {
+  return createRateLimiter(new MemoryStore(), {
+    buckets: { message: { capacity: 1, refillPerSecond: 0.001 } },
+    penalties: PENALTIES,
+    grace: 0,
+    memoryMs: 60 * 1000,
+  });
+}
+
+/**
+ * Send until the client's bucket runs dry: one violation
+ */
+async function violate(limiter, client) {
+  for (;;) {
+    const result = await limiter.check(client, 'message');
+    if (!result.allowed) return result;
+  }
+}
+
+describe('rate limiter penalties', () => {
+  it('escalates on the IP when the client ID changes', async () => {
+    const limiter = createLimiter();
+
+    assert.equal((await violate(limiter, { clientId: 'a', ip: '203.0.113.1' })).action, 'warn');
+    assert.equal((await violate(limiter, { clientId: 'b', ip: '203.0.113.1' })).action, 'mute');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.equal((await violate(limiter, { clientId: 'c', ip: '203.0.113.1' })).action, 'ban');
+  });
+
+  it('escalates on the client ID when the IP changes', async () => {
+    const limiter = createLimiter();
+
+    assert.equal((await violate(limiter, { clientId: 'a', ip: '203.0.113.1' })).action, 'warn');
+    assert.equal((await violate(limiter, { clientId: 'a', ip: '198.51.100.1' })).action, 'mute');
+  });
+
+  it("doesn't share token buckets between clients on one IP", async () => {
+    const limiter = createLimiter();
+
+    await violate(limiter, { clientId: 'a', ip: '203.0.113.1' });
+    assert.equal((await limiter.check({ clientId: 'b', ip: '203.0.113.1' }, 'message')).allowed, true);
+  });
+
+  it('reports a mute for every client on the IP', async () => {
+    const limiter = createRateLimiter(new MemoryStore(), {
+      buckets: { message: { capacity: 1, refillPerSecond: 0.001 } },
+      penalties: [{ action: 'mute', durationMs: 60 * 1000 }],
+      grace: 0,
+      memoryMs: 60 * 1000,
+    });
+
+    await violate(limiter, { clientId: 'a', ip: '203.0.113.1' });
+    assert.ok(await limiter.getMutedUntil({ clientId: 'b', ip: '203.0.113.1' }));
+    assert.equal(await limiter.getMutedUntil({ clientId: 'b', ip: '198.51.100.1' }), null);
+  });
+});
@@ -0,0 +1,142 @@
+// ============================================
+// MULTI-INSTANCE (REDIS) TEST
+// ============================================
+// Starts two server instances on one Redis and checks that users on
+// different instances are matched, that messages are relayed between them
+// and that a dropped user's room is cleaned up once the grace period ends,
+// also when both partners drop at the same moment.
+//
+// Needs a Redis it may write to and a production build:
+//   redis-server
+//   yarn build
+//   TEST_REDIS_URL=redis://localhost:6379 yarn test
+// Without TEST_REDIS_URL the test is skipped. Keys are written under a
+// random prefix and removed afterwards.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const {
+  EVENT_TIMEOUT,
+  BUILD_MISSING,
+  startInstance,
+  stopInstance,
+  nextEvent,
+  connectClient,
+  matchClients,
+} = require('./helpers/server');
+
+const REDIS_URL = process.env.TEST_REDIS_URL;
+const PORTS = [3101, 3102];
+const GRACE_PERIOD = 1000;
+
+const skip = !REDIS_URL ? 'set TEST_REDIS_URL to run against a local Redis' : BUILD_MISSING;
+
+/**
+ * The next message the partner sent (senders get their own messages back too)
+ */
+function nextPartnerMessage(socket) {
+  return nextEvent(socket, 'new-message', { filter: (message) => message.senderId !== socket.id });
+}
+
+describe('two instances on one Redis', { skip }, () => {
+  const keyPrefix = `randomchat-test-${crypto.randomBytes(4).toString('hex')}:`;
+  const instances = [];
+  const sockets = [];
+  let redis;
+
+  /**
+   * Connect one client to each instance and match them
+   */
+  async function matchPair(names) {
+    const [first, second] = await Promise.all(PORTS.map(connectClient));
+    sockets.push(first, second);
+
+    const [firstMatch, secondMatch] = await matchClients(first, second, names.map((username) => ({ username })));
+    return { first, second, firstMatch, secondMatch };
+  }
+
+  /**
+   * Poll until check() is true, or fail after a timeout
+   */
+  async function waitFor(check, message, timeoutMs = GRACE_PERIOD + EVENT_TIMEOUT) {
+    const deadline = Date.now() + timeoutMs;
+    while (!await check()) {
+      if (Date.now() > deadline) assert.fail(message);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+
+  before(async () => {
+    const Redis = require('ioredis');
+    redis = new Redis(REDIS_URL);
+    for (const port of PORTS) {
+      instances.push(await startInstance(port, {
+        REDIS_URL,
+        REDIS_KEY_PREFIX: keyPrefix,
+        RESUME_GRACE_PERIOD_MS: String(GRACE_PERIOD),
+      }));
+    }
+  });
+
+  after(async () => {
+    sockets.forEach((socket) => socket.close());
+    await Promise.all(instances.map(stopInstance));
+
+    if (redis) {
+      const keys = await redis.keys(`${keyPrefix}*`);
+      if (keys.length > 0) await redis.del(...keys);
+      await redis.quit();
+    }
+  });
+
+  it('matches users, relays messages and cleans up after a disconnect', async () => {
+    // Matching across instances
+    const { first: alice, second: bob, firstMatch: aliceMatch, secondMatch: bobMatch } = await matchPair(['alice', 'bobby']);
+    assert.equal(aliceMatch.roomId, bobMatch.roomId);
+    assert.equal(aliceMatch.partner.username, 'bobby');
+    assert.equal(bobMatch.partner.username, 'alice');
+    const { roomId } = aliceMatch;
+    assert.ok(await redis.hexists(`${keyPrefix}rooms`, roomId), 'room is in Redis');
+
+    // Message relay, both ways
+    const toBob = nextPartnerMessage(bob);
+    alice.emit('send-message', { content: 'hello from instance one' });
+    assert.equal((await toBob).content, 'hello from instance one');
+
+    const toAlice = nextPartnerMessage(alice);
+    bob.emit('send-message', { content: 'hello from instance two' });
+    assert.equal((await toAlice).content, 'hello from instance two');
+
+    // Disconnect cleanup: the seat is held for the grace period, then the
+    // room closes and its shared state is gone
+    const reconnecting = nextEvent(bob, 'partner-reconnecting');
+    const ended = nextEvent(bob, 'chat-ended', { timeoutMs: GRACE_PERIOD + EVENT_TIMEOUT });
+    alice.close();
+
+    assert.equal((await reconnecting).roomId, roomId);
+    assert.equal((await ended).roomId, roomId);
+
+    assert.equal(await redis.hexists(`${keyPrefix}rooms`, roomId), 0, 'room removed');
+    assert.equal(await redis.hlen(`${keyPrefix}socket-rooms`), 0, 'socket mappings removed');
+    assert.equal(await redis.hlen(`${keyPrefix}waiting`), 0, 'nobody left waiting');
+  });
+
+  it('closes the room when both partners drop at the same moment', async () => {
+    const { first, second, firstMatch } = await matchPair(['carol', 'danny']);
+    const { roomId } = firstMatch;
+
+    first.close();
+    second.close();
+
+    // Both seats are held: neither disconnect overwrote the other's
+    await waitFor(async () => {
+      const room = JSON.parse(await redis.hget(`${keyPrefix}rooms`, roomId) || 'null');
+      return room && room.user1.disconnectedAt && room.user2.disconnectedAt;
+    }, 'both seats marked as disconnected', EVENT_TIMEOUT);
+
+    await waitFor(async () => !await redis.hexists(`${keyPrefix}rooms`, roomId), 'room removed after the grace period');
+    assert.equal(await redis.hlen(`${keyPrefix}socket-rooms`), 0, 'socket mappings removed');
+  });
+});
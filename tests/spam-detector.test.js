@@ -0,0 +1,68 @@
+// ============================================
+// CROSS-ROOM SPAM DETECTION TESTS
+// ============================================
+// A script pasting one text into many rooms gets shadow-muted; someone
+// opening each new chat with the same greeting doesn't.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryStore } = require('../server/store/memory-store');
+const { createSpamDetector } = require('../server/spam-detector');
+
+const MINUTE = 60 * 1000;
+const GREETING = "Hey there! How's your day going so far?";
+const ADVERT = 'Cheap followers at example dot com, use code CHAT50 today';
+
+function createDetector() {
+  return createSpamDetector(new MemoryStore(), {
+    windowMs: 10 * MINUTE,
+    minLength: 24,
+    minSimilarity: 0.6,
+    flagRooms: 3,
+    muteRooms: 5,
+    burstMs: 2 * MINUTE,
+    shadowMuteMs: 30 * MINUTE,
+    indexLimit: 500,
+  });
+}
+
+/**
+ * Send the text into five rooms, gapMs apart; resolves with each result
+ */
+async function sendToFiveRooms(detector, sender, text, gapMs) {
+  const start = Date.now();
+  const results = [];
+  for (let i = 0; i < 5; i++) {
+    results.push(await detector.check({ ...sender, roomId: `room-${i}`, text }, start + i * gapMs));
+  }
+  return results;
+}
+
+describe('cross-room spam detection', () => {
+  it("doesn't mute one user greeting five partners", async () => {
+    const detector = createDetector();
+    const results = await sendToFiveRooms(detector, { clientId: 'greeter', ip: '203.0.113.1' }, GREETING, MINUTE);
+
+    assert.ok(results.every((result) => !result.shadowMuted));
+    assert.equal(await detector.isShadowMuted('greeter', Date.now() + 4 * MINUTE), false);
+  });
+
+  it("doesn't mute people behind one IP greeting their partners", async () => {
+    const detector = createDetector();
+    const start = Date.now();
+    for (let i = 0; i < 5; i++) {
+      const result = await detector.check({ clientId: `user-${i}`, ip: '203.0.113.1', roomId: `room-${i}`, text: GREETING }, start + i * MINUTE);
+      assert.equal(result.shadowMuted, false);
+    }
+  });
+
+  it('mutes the same text pasted into five rooms in a burst', async () => {
+    const detector = createDetector();
+    const results = await sendToFiveRooms(detector, { clientId: 'spammer', ip: '198.51.100.1' }, ADVERT, 5000);
+
+    assert.equal(results[2].event?.type, 'flagged');
+    assert.equal(results[4].shadowMuted, true);
+    assert.equal(results[4].event?.type, 'shadow_muted');
+  });
+});